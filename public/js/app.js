@@ -7,15 +7,42 @@
   // DOM Elements - Viewer
   const viewModeRadios = document.querySelectorAll('input[name="viewMode"]');
   const hideEmptyCheckbox = document.getElementById('hideEmptyFields');
+  const decodeEscapesCheckbox = document.getElementById('decodeEscapes');
+  const decodeEscapesControl = document.getElementById('decodeEscapesControl');
+  const hl7VersionSelect = document.getElementById('hl7Version');
+  const validateCheckbox = document.getElementById('validateMessages');
   const messagesPerBatchSelect = document.getElementById('messagesPerBatch');
   const clearBtn = document.getElementById('clearBtn');
   const dropZone = document.getElementById('dropZone');
   const fileInput = document.getElementById('fileInput');
+  const readProgress = document.getElementById('readProgress');
+  const readProgressFill = document.getElementById('readProgressFill');
+  const readProgressText = document.getElementById('readProgressText');
   const textInput = document.getElementById('textInput');
   const loadBtn = document.getElementById('loadBtn');
+  const extractEmbeddedCheckbox = document.getElementById('extractEmbedded');
   const inputArea = document.getElementById('inputArea');
   const viewerContainer = document.getElementById('viewerContainer');
   const viewerArea = document.getElementById('viewerArea');
+  const validationPanel = document.getElementById('validationPanel');
+  const sourceSidebar = document.getElementById('sourceSidebar');
+  const sourceSidebarCount = document.getElementById('sourceSidebarCount');
+  const sourceList = document.getElementById('sourceList');
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const downloadHL7Btn = document.getElementById('downloadHL7Btn');
+
+  // DOM Elements - Search
+  const searchBar = document.getElementById('searchBar');
+  const searchInput = document.getElementById('searchInput');
+  const searchMatchCase = document.getElementById('searchMatchCase');
+  const searchRegex = document.getElementById('searchRegex');
+  const searchCount = document.getElementById('searchCount');
+  const searchCancelBtn = document.getElementById('searchCancelBtn');
+  const searchPrevBtn = document.getElementById('searchPrevBtn');
+  const searchNextBtn = document.getElementById('searchNextBtn');
+  const gotoMessageInput = document.getElementById('gotoMessageInput');
+  const gotoMessageTotal = document.getElementById('gotoMessageTotal');
 
   // DOM Elements - Page Mode
   const pageModeRadios = document.querySelectorAll('input[name="pageMode"]');
@@ -33,14 +60,120 @@
   const statsFieldInput = document.getElementById('statsFieldInput');
   const statsGenerateBtn = document.getElementById('statsGenerateBtn');
   const statsResults = document.getElementById('statsResults');
+  const statsFieldSuggestions = document.getElementById('statsFieldSuggestions');
+
+  // DOM Elements - Segment Dictionary
+  const dictionaryBtn = document.getElementById('dictionaryBtn');
+  const dictionaryModal = document.getElementById('dictionaryModal');
+  const dictionaryCloseBtn = document.getElementById('dictionaryCloseBtn');
+  const dictionaryStatus = document.getElementById('dictionaryStatus');
+  const dictionaryFileInput = document.getElementById('dictionaryFileInput');
+  const dictionaryExportBtn = document.getElementById('dictionaryExportBtn');
+  const dictionaryClearBtn = document.getElementById('dictionaryClearBtn');
+  const profilesStatus = document.getElementById('profilesStatus');
+  const profilesFileInput = document.getElementById('profilesFileInput');
+  const profilesExportBtn = document.getElementById('profilesExportBtn');
+  const profilesTemplateBtn = document.getElementById('profilesTemplateBtn');
+  const profilesClearBtn = document.getElementById('profilesClearBtn');
+
+  // DOM Elements - De-identification
+  const deidentifyBtn = document.getElementById('deidentifyBtn');
+  const deidentifyModal = document.getElementById('deidentifyModal');
+  const deidentifyCloseBtn = document.getElementById('deidentifyCloseBtn');
+  const deidentifyProfileSelect = document.getElementById('deidentifyProfileSelect');
+  const deidentifySaveBtn = document.getElementById('deidentifySaveBtn');
+  const deidentifyDeleteBtn = document.getElementById('deidentifyDeleteBtn');
+  const deidentifyDateShift = document.getElementById('deidentifyDateShift');
+  const deidentifyRules = document.getElementById('deidentifyRules');
+  const deidentifyAddRuleBtn = document.getElementById('deidentifyAddRuleBtn');
+  const deidentifyStatus = document.getElementById('deidentifyStatus');
+  const deidentifyApplyBtn = document.getElementById('deidentifyApplyBtn');
+  const deidentifyDownloadBtn = document.getElementById('deidentifyDownloadBtn');
+
+  // DOM Elements - Acknowledgments
+  const ackBtn = document.getElementById('ackBtn');
+  const ackModal = document.getElementById('ackModal');
+  const ackCloseBtn = document.getElementById('ackCloseBtn');
+  const ackCode = document.getElementById('ackCode');
+  const ackText = document.getElementById('ackText');
+  const ackIncludeError = document.getElementById('ackIncludeError');
+  const ackError = document.getElementById('ackError');
+  const ackErrorField = document.getElementById('ackErrorField');
+  const ackErrorOccurrence = document.getElementById('ackErrorOccurrence');
+  const ackErrorCode = document.getElementById('ackErrorCode');
+  const ackErrorSeverity = document.getElementById('ackErrorSeverity');
+  const ackErrorMessage = document.getElementById('ackErrorMessage');
+  const ackStatus = document.getElementById('ackStatus');
+  const ackApplyBtn = document.getElementById('ackApplyBtn');
+  const ackDownloadBtn = document.getElementById('ackDownloadBtn');
+
+  // DOM Elements - HL7 v2 XML
+  const xmlBtn = document.getElementById('xmlBtn');
+  const xmlModal = document.getElementById('xmlModal');
+  const xmlCloseBtn = document.getElementById('xmlCloseBtn');
+  const xmlText = document.getElementById('xmlText');
+  const xmlStatus = document.getElementById('xmlStatus');
+  const xmlApplyBtn = document.getElementById('xmlApplyBtn');
+  const xmlCopyBtn = document.getElementById('xmlCopyBtn');
+  const xmlDownloadBtn = document.getElementById('xmlDownloadBtn');
+
+  // DOM Elements - FHIR
+  const fhirBtn = document.getElementById('fhirBtn');
+  const fhirModal = document.getElementById('fhirModal');
+  const fhirCloseBtn = document.getElementById('fhirCloseBtn');
+  const fhirMappingText = document.getElementById('fhirMappingText');
+  const fhirMappingStatus = document.getElementById('fhirMappingStatus');
+  const fhirSaveMappingBtn = document.getElementById('fhirSaveMappingBtn');
+  const fhirResetMappingBtn = document.getElementById('fhirResetMappingBtn');
+  const fhirStatus = document.getElementById('fhirStatus');
+  const fhirBundle = document.getElementById('fhirBundle');
+  const fhirMapped = document.getElementById('fhirMapped');
+  const fhirApplyBtn = document.getElementById('fhirApplyBtn');
+  const fhirDownloadBtn = document.getElementById('fhirDownloadBtn');
+
+  // DOM Elements - Message Generator
+  const generatorBtn = document.getElementById('generatorBtn');
+  const generatorModal = document.getElementById('generatorModal');
+  const generatorCloseBtn = document.getElementById('generatorCloseBtn');
+  const generatorEvent = document.getElementById('generatorEvent');
+  const generatorVersion = document.getElementById('generatorVersion');
+  const generatorSegments = document.getElementById('generatorSegments');
+  const generatorSegmentInput = document.getElementById('generatorSegmentInput');
+  const generatorAddSegmentBtn = document.getElementById('generatorAddSegmentBtn');
+  const generatorCount = document.getElementById('generatorCount');
+  const generatorStatus = document.getElementById('generatorStatus');
+  const generatorLoadBtn = document.getElementById('generatorLoadBtn');
+  const generatorDownloadBtn = document.getElementById('generatorDownloadBtn');
+
+  // DOM Elements - Compare
+  const comparePanel = document.getElementById('comparePanel');
+  const compareLeftInput = document.getElementById('compareLeftInput');
+  const compareLeftFile = document.getElementById('compareLeftFile');
+  const compareLeftUseViewer = document.getElementById('compareLeftUseViewer');
+  const compareLeftMessage = document.getElementById('compareLeftMessage');
+  const compareRightInput = document.getElementById('compareRightInput');
+  const compareRightFile = document.getElementById('compareRightFile');
+  const compareRightUseViewer = document.getElementById('compareRightUseViewer');
+  const compareRightMessage = document.getElementById('compareRightMessage');
+  const compareIgnoreVolatile = document.getElementById('compareIgnoreVolatile');
+  const compareIgnoredFields = document.getElementById('compareIgnoredFields');
+  const compareOnlyDifferences = document.getElementById('compareOnlyDifferences');
+  const compareModeRadios = document.querySelectorAll('input[name="compareMode"]');
+  const compareMatchKey = document.getElementById('compareMatchKey');
+  const compareResults = document.getElementById('compareResults');
 
   // Filter state
   let filterCounter = 1;
 
-  // Current content state
+  // Current content state, and its type (HL7Parser.detectContentType), found once when it loads.
+  // HL7 stays as it was loaded (chunked when read from files); its edits are kept in HL7Editor
   let currentContent = null;
+  let currentContentType = null;
   let currentPageMode = 'viewer';
 
+  // Source files (by index, see HL7Parser.createMessageList) whose messages the viewer leaves out
+  let hiddenSources = new Set();
+
   // ========================================
   // SETTINGS MANAGEMENT
   // ========================================
@@ -51,14 +184,41 @@
   function loadSettings() {
     const viewMode = localStorage.getItem('hl7viewer_viewMode') || 'collapsed';
     const hideEmptyFields = localStorage.getItem('hl7viewer_hideEmptyFields') === 'true';
+    const decodeEscapes = localStorage.getItem('hl7viewer_decodeEscapes') === 'true';
+    const hl7Version = localStorage.getItem('hl7viewer_hl7Version') || 'auto';
+    const validate = localStorage.getItem('hl7viewer_validate') !== 'false';
     const messagesPerBatch = localStorage.getItem('hl7viewer_messagesPerBatch') || '20';
+    const compareIgnore = localStorage.getItem('hl7viewer_compareIgnore') !== 'false';
+    const compareIgnoredList = localStorage.getItem('hl7viewer_compareIgnoredFields');
+    const compareOnlyDiffs = localStorage.getItem('hl7viewer_compareOnlyDifferences') === 'true';
+    const compareMode = localStorage.getItem('hl7viewer_compareMode') || 'single';
+    const compareKey = localStorage.getItem('hl7viewer_compareMatchKey') || HL7Diff.DEFAULT_MATCH_KEY;
+    const searchCase = localStorage.getItem('hl7viewer_searchMatchCase') === 'true';
+    const searchRegExp = localStorage.getItem('hl7viewer_searchRegex') === 'true';
+    const extractEmbedded = localStorage.getItem('hl7viewer_extractEmbedded') === 'true';
 
     // Apply to UI
     viewModeRadios.forEach(radio => {
       radio.checked = radio.value === viewMode;
     });
     hideEmptyCheckbox.checked = hideEmptyFields;
+    decodeEscapesCheckbox.checked = decodeEscapes;
+    hl7VersionSelect.value = hl7Version;
+    if (!hl7VersionSelect.value) hl7VersionSelect.value = 'auto';
+    validateCheckbox.checked = validate;
     messagesPerBatchSelect.value = messagesPerBatch;
+    compareIgnoreVolatile.checked = compareIgnore;
+    compareIgnoredFields.value = compareIgnoredList !== null ? compareIgnoredList : HL7Diff.DEFAULT_IGNORED_FIELDS.join(', ');
+    compareOnlyDifferences.checked = compareOnlyDiffs;
+    compareModeRadios.forEach(radio => {
+      radio.checked = radio.value === compareMode;
+    });
+    compareMatchKey.value = compareKey;
+    searchMatchCase.checked = searchCase;
+    searchRegex.checked = searchRegExp;
+    extractEmbeddedCheckbox.checked = extractEmbedded;
+    updateDecodeEscapesControl();
+    updateCompareMode();
   }
 
   /**
@@ -68,7 +228,18 @@
     const viewMode = document.querySelector('input[name="viewMode"]:checked').value;
     localStorage.setItem('hl7viewer_viewMode', viewMode);
     localStorage.setItem('hl7viewer_hideEmptyFields', hideEmptyCheckbox.checked);
+    localStorage.setItem('hl7viewer_decodeEscapes', decodeEscapesCheckbox.checked);
+    localStorage.setItem('hl7viewer_hl7Version', hl7VersionSelect.value);
+    localStorage.setItem('hl7viewer_validate', validateCheckbox.checked);
     localStorage.setItem('hl7viewer_messagesPerBatch', messagesPerBatchSelect.value);
+    localStorage.setItem('hl7viewer_compareIgnore', compareIgnoreVolatile.checked);
+    localStorage.setItem('hl7viewer_compareIgnoredFields', compareIgnoredFields.value);
+    localStorage.setItem('hl7viewer_compareOnlyDifferences', compareOnlyDifferences.checked);
+    localStorage.setItem('hl7viewer_compareMode', getCompareMode());
+    localStorage.setItem('hl7viewer_compareMatchKey', compareMatchKey.value);
+    localStorage.setItem('hl7viewer_searchMatchCase', searchMatchCase.checked);
+    localStorage.setItem('hl7viewer_searchRegex', searchRegex.checked);
+    localStorage.setItem('hl7viewer_extractEmbedded', extractEmbeddedCheckbox.checked);
   }
 
   /**
@@ -78,10 +249,38 @@
     return {
       viewMode: document.querySelector('input[name="viewMode"]:checked').value,
       hideEmptyFields: hideEmptyCheckbox.checked,
+      decodeEscapes: decodeEscapesCheckbox.checked,
+      hl7Version: hl7VersionSelect.value,
+      validate: validateCheckbox.checked,
       messagesPerBatch: messagesPerBatchSelect.value
     };
   }
 
+  /**
+   * Add an option for each HL7 version definition set to the version override select
+   */
+  function populateVersionSelect() {
+    HL7Dictionary.getVersions().forEach(version => {
+      const option = document.createElement('option');
+      option.value = version;
+      option.textContent = 'v' + version;
+      option.title = 'Used for MSH-12 ' + HL7Dictionary.getVersionCoverage(version).join(', ');
+      hl7VersionSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * The raw/decoded toggle only applies to the Textual View (the Tree View always decodes)
+   */
+  function updateDecodeEscapesControl() {
+    const isTextual = document.querySelector('input[name="viewMode"]:checked').value === 'standard';
+    decodeEscapesCheckbox.disabled = !isTextual;
+    decodeEscapesControl.classList.toggle('disabled', !isTextual);
+    decodeEscapesControl.title = isTextual
+      ? 'Show values with escape sequences (\\F\\, \\T\\, \\.br\\, ...) decoded'
+      : 'Tree View always shows decoded values';
+  }
+
   // ========================================
   // PAGE MODE MANAGEMENT
   // ========================================
@@ -96,6 +295,7 @@
       // Show viewer, hide statistics
       viewerArea.style.display = 'block';
       statsPanel.classList.remove('active');
+      comparePanel.classList.remove('active');
 
       // Show input area only if no content loaded
       if (currentContent) {
@@ -113,6 +313,7 @@
       viewerArea.style.display = 'none';
       inputArea.classList.add('hidden');
       statsPanel.classList.add('active');
+      comparePanel.classList.remove('active');
 
       // Hide viewer-only controls
       viewerOnlyControls.forEach(el => {
@@ -121,6 +322,19 @@
 
       // Check if content is loaded
       updateStatsNoContentMessage();
+    } else if (mode === 'compare') {
+      // Show compare page, hide viewer and statistics
+      viewerArea.style.display = 'none';
+      inputArea.classList.add('hidden');
+      statsPanel.classList.remove('active');
+      comparePanel.classList.add('active');
+
+      // Hide viewer-only controls
+      viewerOnlyControls.forEach(el => {
+        el.style.display = 'none';
+      });
+
+      prepareComparePage();
     }
   }
 
@@ -181,28 +395,135 @@
     if (!currentContent) {
       viewerContainer.innerHTML = '<div class="welcome-message"><p>Upload a file or paste content to view HL7/JSON data</p></div>';
       viewerContainer.className = 'hl7-container';
+      renderValidationPanel();
+      renderSourceSidebar();
+      updateSearch(false);
       return;
     }
 
-    HL7Parser.renderContent(viewerContainer, currentContent, getSettings());
+    if (isHL7Loaded()) {
+      // HL7 is rendered from the editable model, without the messages of hidden source files
+      const settings = Object.assign(getSettings(), { hiddenSources: hiddenSources });
+      HL7Parser.renderMessages(viewerContainer, HL7Editor.getMessageList(), settings, highlightSearchMessage);
+    } else {
+      HL7Parser.renderContent(viewerContainer, currentContent, getSettings());
+    }
+    renderValidationPanel();
+    renderSourceSidebar();
+    updateSearch(false);
+  }
+
+  /**
+   * Convert the HL7 v2 XML in content to pipe-delimited HL7 (see HL7Xml): each file's on its own when
+   * it was read from files (sources, see HL7FileReader), so files that aren't XML are kept as they are
+   * Returns { content, sources, converted }: the content and its files after converting, and whether
+   * any XML was. Throws an Error when XML can't be read
+   */
+  function convertXmlContent(content, sources) {
+    const files = sources && sources.length > 0 ? sources : [{ name: null, start: 0 }];
+    const parts = [];
+    let converted = false;
+    let length = 0;
+
+    const convertedSources = files.map((source, index) => {
+      const last = index === files.length - 1;
+      let text = content.substring(source.start, last ? content.length : files[index + 1].start);
+      if (HL7Parser.isXMLContent(text)) {
+        try {
+          text = HL7Xml.toER7(text) + (last ? '' : '\n');
+        } catch (error) {
+          throw new Error(source.name ? `${source.name}: ${error.message}` : error.message);
+        }
+        converted = true;
+      }
+
+      parts.push(text);
+      const start = length;
+      length += text.length;
+      return { name: source.name, start: start };
+    });
+
+    return { content: parts.join(''), sources: sources ? convertedSources : null, converted: converted };
+  }
+
+  // Characters at the start of each file looked at to tell whether chunked content is plain HL7
+  const CONTENT_HEAD_LENGTH = 64 * 1024;
+
+  /**
+   * Check whether content read from files (chunked, see HL7FileReader) can stay in its chunks: it
+   * looks like HL7, no file starts like XML or JSON, and nothing is to be extracted from it. Only
+   * the start of each file is read
+   */
+  function canStayChunked(content, sources) {
+    if (extractEmbeddedCheckbox.checked) return false;
+
+    const files = sources && sources.length > 0 ? sources : [{ start: 0 }];
+    const hasMarkup = files.some(source => /^\s*[<{[]/.test(content.substring(source.start, source.start + CONTENT_HEAD_LENGTH)));
+    return !hasMarkup && HL7Parser.detectContentType(content.substring(0, CONTENT_HEAD_LENGTH)) === 'hl7';
   }
 
   /**
    * Load and render new content
+   * messageStarts, when known (see HL7FileReader), save finding where its HL7 messages start again;
+   * sources are the files it was read from, if it was. Content read from files has had its MLLP
+   * framing stripped already; other content has it stripped here. HL7 v2 XML is converted to
+   * pipe-delimited HL7. Plain HL7 read from files is kept in its chunks; other chunked content is
+   * joined into one string first
    */
-  function loadContent(content) {
-    if (!content || !content.trim()) {
-      alert('No content to display. Please upload a file or paste some content.');
-      return;
-    }
+  function loadContent(content, messageStarts, sources) {
+    const chunked = !!content && typeof content !== 'string' && canStayChunked(content, sources);
+    if (content && typeof content !== 'string' && !chunked) content = content.toString();
+
+    let origins = null;
+    let contentType = 'hl7';
+    if (!chunked) {
+      if (!messageStarts && content) content = HL7Parser.stripMllpFraming(content);
+      if (!content || !content.trim()) {
+        alert('No content to display. Please upload a file or paste some content.');
+        return;
+      }
 
-    const contentType = HL7Parser.detectContentType(content);
-    if (!contentType) {
-      alert('Could not detect HL7 or JSON content. Please check your input.');
-      return;
+      try {
+        const converted = convertXmlContent(content, sources);
+        if (converted.converted) {
+          content = converted.content;
+          sources = converted.sources;
+          messageStarts = null;
+        }
+      } catch (error) {
+        alert('Could not read the HL7 v2 XML: ' + error.message);
+        return;
+      }
+
+      // With Extract Embedded HL7, only the messages found in the content are loaded, each with
+      // where it was found
+      if (extractEmbeddedCheckbox.checked) {
+        const extracted = HL7Extract.extract(content, sources);
+        if (extracted.origins.length === 0) {
+          alert('No embedded HL7 messages were found in the content.');
+          return;
+        }
+        content = extracted.content;
+        messageStarts = extracted.messageStarts;
+        sources = extracted.sources;
+        origins = extracted.origins;
+      }
+
+      contentType = HL7Parser.detectContentType(content);
+      if (!contentType) {
+        alert('Could not detect HL7 or JSON content. Please check your input.');
+        return;
+      }
     }
 
+    HL7Background.cancel();
+    validation = null;
+    searchResult = null;
     currentContent = content;
+    currentContentType = contentType;
+    hiddenSources = new Set();
+    HL7Editor.load(contentType === 'hl7' ? content : null, messageStarts, sources, origins);
+    updateEditButtons();
     renderCurrentContent();
 
     // Collapse input area after successful load
@@ -216,12 +537,19 @@
    * Clear the viewer
    */
   function clearViewer() {
+    HL7Background.cancel();
+    validation = null;
+    searchResult = null;
     currentContent = null;
+    currentContentType = null;
+    hiddenSources = new Set();
+    HL7Editor.load(null);
+    updateEditButtons();
     textInput.value = '';
     fileInput.value = '';
 
-    // Switch back to viewer mode if on statistics page
-    if (currentPageMode === 'statistics') {
+    // Switch back to viewer mode if on the statistics or compare page
+    if (currentPageMode !== 'viewer') {
       document.querySelector('input[name="pageMode"][value="viewer"]').checked = true;
       setPageMode('viewer');
     } else {
@@ -243,6 +571,254 @@
     updateStatsNoContentMessage();
   }
 
+  // ========================================
+  // VALIDATION PANEL
+  // ========================================
+
+  // Most issues listed in the panel (the counts always cover every message)
+  const MAX_LISTED_ISSUES = 500;
+
+  // The last validation of the loaded messages: { hl7Version, result } (see
+  // HL7Validator.validateMessageList), kept up to date as messages are edited; null until one ends
+  let validation = null;
+
+  /**
+   * Show the validation summary and issue list for the loaded HL7 content, validating it in the
+   * background first unless it was validated against the selected version already
+   * Hidden when validation is off or the content is not HL7
+   */
+  function renderValidationPanel() {
+    validationPanel.innerHTML = '';
+
+    if (!currentContent || !validateCheckbox.checked || currentContentType !== 'hl7') {
+      HL7Background.cancel('validation');
+      validationPanel.style.display = 'none';
+      return;
+    }
+
+    validationPanel.style.display = 'block';
+    if (validation && validation.hl7Version === hl7VersionSelect.value) {
+      showValidationResult(validation.result);
+    } else {
+      runValidation(hl7VersionSelect.value);
+    }
+  }
+
+  /**
+   * Validate every loaded message in the background, with its progress and a Cancel button in the
+   * panel; nothing is shown when the panel was rendered again before the run ended
+   */
+  async function runValidation(hl7Version) {
+    validation = null;
+
+    const header = document.createElement('div');
+    header.className = 'validation-header';
+    const summary = document.createElement('span');
+    summary.className = 'validation-summary';
+    summary.textContent = 'Validating...';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'validation-toggle-btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => HL7Background.cancel('validation'));
+    header.appendChild(summary);
+    header.appendChild(cancelBtn);
+    validationPanel.appendChild(header);
+
+    let result;
+    try {
+      result = await HL7Background.runValidation(HL7Editor.getTaskInput(), hl7Version, (phase, fraction) => {
+        summary.textContent = `${phase}... ${Math.round(fraction * 100)}%`;
+      });
+    } catch (error) {
+      if (!validationPanel.contains(header)) return;
+      summary.className = 'validation-summary validation-error';
+      summary.textContent = 'Validation failed: ' + error.message;
+      cancelBtn.remove();
+      return;
+    }
+    if (!validationPanel.contains(header)) return;
+
+    if (!result) {
+      // Cancelled: the full pass only runs again when asked
+      summary.textContent = 'Validation cancelled.';
+      const validateBtn = document.createElement('button');
+      validateBtn.type = 'button';
+      validateBtn.className = 'validation-toggle-btn';
+      validateBtn.textContent = 'Validate';
+      validateBtn.addEventListener('click', renderValidationPanel);
+      header.replaceChild(validateBtn, cancelBtn);
+      return;
+    }
+
+    validation = { hl7Version: hl7Version, result: result };
+    validationPanel.innerHTML = '';
+    showValidationResult(result);
+  }
+
+  /**
+   * Bring the validation up to date after a message was edited: only that message is validated
+   * again, unless no validation has ended yet
+   */
+  function updateValidation(messageIndex) {
+    if (validation) {
+      const issues = HL7Validator.validateMessage(HL7Editor.getMessageList().get(messageIndex).segments, validation.hl7Version);
+      HL7Validator.updateMessageIssues(validation.result, messageIndex, issues);
+    }
+    renderValidationPanel();
+  }
+
+  /**
+   * Show the summary and issue list of a validation (HL7Validator.validateMessageList)
+   */
+  function showValidationResult(result) {
+    // Issues of the batch envelope (FHS/BHS/BTS/FTS) are listed first, then each message's
+    const rows = [];
+    const envelopeIssues = [].concat(...result.envelope);
+    envelopeIssues.forEach(issue => rows.push({ label: 'Envelope', issue: issue }));
+    result.messages.forEach(message => {
+      message.issues.forEach(issue => rows.push({ label: String(message.index + 1), issue: issue }));
+    });
+    const allIssues = rows.map(row => row.issue);
+
+    const header = document.createElement('div');
+    header.className = 'validation-header';
+    const severity = HL7Validator.getWorstSeverity(allIssues);
+    const messageWord = result.messageCount === 1 ? 'message' : 'messages';
+
+    const summary = document.createElement('span');
+    summary.className = 'validation-summary' + (severity ? ' validation-' + severity : ' validation-ok');
+    summary.textContent = allIssues.length === 0
+      ? `Validation: no issues in ${result.messageCount} ${messageWord}`
+      : `Validation: ${HL7Validator.formatCounts(allIssues)} in ${result.messages.length} of ${result.messageCount} ${messageWord}` +
+        (envelopeIssues.length > 0 ? ' and the batch envelope' : '');
+    header.appendChild(summary);
+    validationPanel.appendChild(header);
+
+    if (allIssues.length === 0) return;
+
+    const toggleBtn = document.createElement('button');
+    toggleBtn.type = 'button';
+    toggleBtn.className = 'validation-toggle-btn';
+    toggleBtn.textContent = 'Show issues';
+    header.appendChild(toggleBtn);
+
+    const list = document.createElement('div');
+    list.className = 'validation-list';
+    list.style.display = 'none';
+
+    const table = document.createElement('table');
+    table.className = 'validation-table';
+    table.innerHTML = '<thead><tr><th>Message</th><th>Severity</th><th>Location</th><th>Issue</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    const listed = Math.min(rows.length, MAX_LISTED_ISSUES);
+    rows.slice(0, listed).forEach(item => {
+      const issue = item.issue;
+      const row = document.createElement('tr');
+      row.className = 'validation-' + issue.severity;
+      [item.label, issue.severity, issue.location, issue.text].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    list.appendChild(table);
+
+    if (allIssues.length > listed) {
+      const more = document.createElement('p');
+      more.className = 'validation-more';
+      more.textContent = `Showing the first ${listed} of ${allIssues.length} issues. Use the Statistics page (ERRORS, WARNINGS, ISSUES) to filter messages by issue.`;
+      list.appendChild(more);
+    }
+
+    validationPanel.appendChild(list);
+
+    toggleBtn.addEventListener('click', function() {
+      const isHidden = list.style.display === 'none';
+      list.style.display = isHidden ? 'block' : 'none';
+      toggleBtn.textContent = isHidden ? 'Hide issues' : 'Show issues';
+    });
+  }
+
+  // ========================================
+  // SOURCE FILES
+  // ========================================
+
+  /**
+   * Get the files the loaded HL7 messages were read from, when there are several (see
+   * HL7Parser.createMessageList); none otherwise
+   */
+  function getLoadedSources() {
+    const sources = isHL7Loaded() ? HL7Editor.getMessageList().getSources() : [];
+    return sources.length > 1 ? sources : [];
+  }
+
+  /**
+   * List the loaded files in the sidebar, each with a checkbox that shows or hides its messages
+   * Hidden unless the messages were read from several files
+   */
+  function renderSourceSidebar() {
+    const sources = getLoadedSources();
+    sourceList.innerHTML = '';
+    sourceSidebar.style.display = sources.length > 0 ? 'block' : 'none';
+    if (sources.length === 0) return;
+
+    const shown = sources.filter((source, index) => !hiddenSources.has(index)).length;
+    sourceSidebarCount.textContent = shown < sources.length ? `${shown} of ${sources.length}` : `${sources.length}`;
+
+    sources.forEach((source, index) => {
+      const item = document.createElement('div');
+      item.className = 'source-item' + (hiddenSources.has(index) ? ' source-hidden' : '');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !hiddenSources.has(index);
+      checkbox.dataset.source = index;
+      checkbox.title = 'Show or hide this file\'s messages';
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'source-name';
+      name.dataset.source = index;
+      name.textContent = source.name;
+      name.title = `${source.name}: go to its first message`;
+      name.disabled = source.messageCount === 0 || hiddenSources.has(index);
+
+      const count = document.createElement('span');
+      count.className = 'source-count';
+      count.textContent = source.messageCount;
+      count.title = `${source.messageCount} ${source.messageCount === 1 ? 'message' : 'messages'}`;
+
+      item.appendChild(checkbox);
+      item.appendChild(name);
+      item.appendChild(count);
+      sourceList.appendChild(item);
+    });
+  }
+
+  sourceList.addEventListener('change', function(e) {
+    const index = parseInt(e.target.dataset.source, 10);
+    if (isNaN(index)) return;
+
+    if (e.target.checked) {
+      hiddenSources.delete(index);
+    } else {
+      hiddenSources.add(index);
+    }
+    renderCurrentContent();
+  });
+
+  sourceList.addEventListener('click', function(e) {
+    const name = e.target.closest('.source-name');
+    if (!name) return;
+
+    const source = getLoadedSources()[parseInt(name.dataset.source, 10)];
+    if (source) HL7Parser.scrollToMessage(viewerContainer, source.firstMessage);
+  });
+
   // ========================================
   // FILE HANDLING
   // ========================================
@@ -263,26 +839,31 @@
     });
   }
 
+  /**
+   * Show how much of the files being loaded has been read (fraction from 0 to 1)
+   */
+  function showReadProgress(fraction) {
+    const percent = Math.round(fraction * 100);
+    readProgress.style.display = 'flex';
+    readProgressFill.style.width = percent + '%';
+    readProgressText.textContent = `Reading... ${percent}%`;
+  }
+
   /**
    * Handle file upload
+   * Files are read in chunks (see HL7FileReader), indexing where their messages start as they are read
    */
   async function handleFileUpload(files) {
     if (!files || files.length === 0) return;
 
+    showReadProgress(0);
     try {
-      // If multiple files, concatenate them
-      let allContent = '';
-      for (const file of files) {
-        const content = await readFile(file);
-        if (allContent) {
-          allContent += '\n\n';
-        }
-        allContent += content;
-      }
-
-      loadContent(allContent);
+      const result = await HL7FileReader.readFiles(files, showReadProgress);
+      loadContent(result.content, result.messageStarts, result.sources);
     } catch (error) {
       alert('Error reading file: ' + error.message);
+    } finally {
+      readProgress.style.display = 'none';
     }
   }
 
@@ -301,6 +882,7 @@
   viewModeRadios.forEach(radio => {
     radio.addEventListener('change', function() {
       saveSettings();
+      updateDecodeEscapesControl();
       if (currentContent) {
         renderCurrentContent();
       }
@@ -314,6 +896,30 @@
     }
   });
 
+  decodeEscapesCheckbox.addEventListener('change', function() {
+    saveSettings();
+    if (currentContent) {
+      renderCurrentContent();
+    }
+  });
+
+  extractEmbeddedCheckbox.addEventListener('change', saveSettings);
+
+  validateCheckbox.addEventListener('change', function() {
+    saveSettings();
+    if (currentContent) {
+      renderCurrentContent();
+    }
+  });
+
+  hl7VersionSelect.addEventListener('change', function() {
+    saveSettings();
+    updateFieldSuggestions();
+    if (currentContent) {
+      renderCurrentContent();
+    }
+  });
+
   messagesPerBatchSelect.addEventListener('change', function() {
     saveSettings();
     if (currentContent) {
@@ -410,131 +1016,1831 @@
   }
 
   // ========================================
-  // DOWNLOAD LOCAL MODAL
+  // EDITING
   // ========================================
 
-  const downloadLocalBtn = document.getElementById('downloadLocalBtn');
-  const downloadModal = document.getElementById('downloadModal');
-  const modalCloseBtn = document.getElementById('modalCloseBtn');
-
-  downloadLocalBtn.addEventListener('click', function() {
-    downloadModal.classList.add('visible');
-  });
-
-  modalCloseBtn.addEventListener('click', function() {
-    downloadModal.classList.remove('visible');
-  });
+  /**
+   * Check whether the loaded content is HL7 (and so rendered from, and edited in, HL7Editor)
+   */
+  function isHL7Loaded() {
+    return !!currentContent && currentContentType === 'hl7';
+  }
 
-  downloadModal.addEventListener('click', function(e) {
-    if (e.target === downloadModal) {
-      downloadModal.classList.remove('visible');
-    }
-  });
+  /**
+   * Get the loaded content as one string: HL7 with any edits (put together only when asked for, see
+   * HL7Editor.getContent), or the JSON as it was loaded
+   */
+  function getViewerText() {
+    return isHL7Loaded() ? HL7Editor.getContent() : currentContent;
+  }
 
-  document.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape' && downloadModal.classList.contains('visible')) {
-      downloadModal.classList.remove('visible');
-    }
-  });
+  /**
+   * Enable the undo, redo and download buttons when they apply
+   */
+  function updateEditButtons() {
+    undoBtn.disabled = !HL7Editor.canUndo();
+    redoBtn.disabled = !HL7Editor.canRedo();
+    downloadHL7Btn.disabled = !isHL7Loaded();
+  }
 
-  // Copy buttons inside the modal
-  downloadModal.addEventListener('click', function(e) {
-    const btn = e.target.closest('.copy-code-btn');
-    if (!btn) return;
-    const text = btn.getAttribute('data-copy');
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      navigator.clipboard.writeText(text).then(function() {
-        btn.textContent = '\u2713';
-        setTimeout(function() { btn.textContent = '\uD83D\uDCCB'; }, 1500);
-      });
-    } else {
-      const ta = document.createElement('textarea');
-      ta.value = text;
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand('copy');
-      document.body.removeChild(ta);
-      btn.textContent = '\u2713';
-      setTimeout(function() { btn.textContent = '\uD83D\uDCCB'; }, 1500);
-    }
-  });
+  /**
+   * Show the result of an edit (an error message, or null when it was made)
+   */
+  function applyEdit(messageIndex, error) {
+    if (error) alert(error);
 
-  // ========================================
-  // STATISTICS HANDLERS
-  // ========================================
+    HL7Parser.refreshMessage(viewerContainer, messageIndex);
+    updateValidation(messageIndex);
+    updateEditButtons();
+    updateSearchForMessage(messageIndex);
+  }
 
   /**
-   * Update filter logic section visibility
+   * Replace a rendered value with an input to edit it; Enter (or leaving the input) saves, Escape cancels
    */
-  function updateFilterLogicVisibility() {
-    const filterRows = statsFiltersList.querySelectorAll('.stats-filter-row');
-    const hasMultipleFilters = filterRows.length > 1;
+  function startEditing(valueElement, path) {
+    const error = HL7Editor.checkFieldPath(path);
+    if (error) {
+      alert(error);
+      return;
+    }
 
-    filterLogicSection.style.display = hasMultipleFilters ? 'block' : 'none';
+    // Multi-line values (\.br\) need a textarea
+    const value = HL7Editor.getValue(path);
+    const input = document.createElement(value.includes('\n') ? 'textarea' : 'input');
+    input.className = 'hl7-edit-input';
+    input.value = value;
+    valueElement.textContent = '';
+    valueElement.appendChild(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = function(save) {
+      if (finished) return;
+      finished = true;
+      applyEdit(path.messageIndex, save ? HL7Editor.setValue(path, input.value) : null);
+    };
 
-    // Update remove button visibility
-    filterRows.forEach((row, index) => {
-      const removeBtn = row.querySelector('.stats-filter-remove-btn');
-      if (removeBtn) {
-        removeBtn.style.visibility = filterRows.length > 1 ? 'visible' : 'hidden';
+    input.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
       }
     });
+    input.addEventListener('blur', function() {
+      finish(true);
+    });
+    input.addEventListener('click', function(e) {
+      e.stopPropagation();
+    });
   }
 
   /**
-   * Add a new filter row
+   * Undo or redo the last change
    */
-  function addFilterRow() {
-    filterCounter++;
-    const newRow = document.createElement('div');
-    newRow.className = 'stats-filter-row';
-    newRow.dataset.filterId = filterCounter;
-    newRow.innerHTML = `
-      <span class="stats-filter-label">F${filterCounter}</span>
-      <input type="text" class="stats-field-input stats-filter-input" placeholder="e.g., PV1.2 = E">
-      <button type="button" class="stats-filter-remove-btn" title="Remove filter">&#10005;</button>
-    `;
-    statsFiltersList.appendChild(newRow);
-    updateFilterLogicVisibility();
-
-    // Focus the new input
-    newRow.querySelector('input').focus();
+  function undoEdit(redo) {
+    const messageIndex = redo ? HL7Editor.redo() : HL7Editor.undo();
+    if (messageIndex !== -1) applyEdit(messageIndex, null);
   }
 
   /**
-   * Remove a filter row
+   * Download the loaded HL7 content, with any edits, as a .hl7 file
    */
-  function removeFilterRow(row) {
-    row.remove();
-    updateFilterLogicVisibility();
+  function downloadHL7() {
+    const blob = new Blob(HL7Editor.getContentParts(), { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'hl7_messages_' + new Date().toISOString().slice(0, 10) + '.hl7';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
   }
 
+  // Right-click menu for adding and deleting segments and repetitions
+  const editMenu = document.createElement('div');
+  editMenu.className = 'json-context-menu hl7-edit-menu';
+  editMenu.style.display = 'none';
+  document.body.appendChild(editMenu);
+  let editMenuPath = null;
+
   /**
-   * Get all filters and logic settings
+   * Show the edit menu for a segment, field or repetition
    */
-  function getFiltersConfig() {
-    const filterRows = statsFiltersList.querySelectorAll('.stats-filter-row');
-    const filters = [];
-
-    filterRows.forEach(row => {
-      const input = row.querySelector('input');
-      const label = row.querySelector('.stats-filter-label').textContent;
-      const value = input.value.trim();
-      if (value) {
-        filters.push({ label, expression: value });
-      }
-    });
-
-    if (filters.length === 0) {
-      return null;
+  function showEditMenu(e, path) {
+    const items = [];
+    if (path.field && !HL7Editor.checkFieldPath(path)) {
+      items.push(['add-repetition', '&#10133;', 'Add repetition']);
+      if (path.repetition) items.push(['delete-repetition', '&#10134;', `Delete repetition ${path.repetition}`]);
     }
+    items.push(['insert-segment', '&#10133;', 'Insert segment after...']);
+    items.push(['delete-segment', '&#128465;', 'Delete segment']);
 
-    if (filters.length === 1) {
-      return { filters, logic: 'single', expression: null };
-    }
+    editMenu.innerHTML = items.map(([action, icon, label]) => `
+      <div class="json-context-menu-item" data-action="${action}">
+        <span class="json-context-menu-icon">${icon}</span>
+        ${label}
+      </div>
+    `).join('');
+    editMenuPath = path;
+    editMenu.style.left = e.pageX + 'px';
+    editMenu.style.top = e.pageY + 'px';
+    editMenu.style.display = 'block';
+  }
 
-    const logicMode = document.querySelector('input[name="filterLogic"]:checked').value;
-    let expression = null;
+  viewerContainer.addEventListener('dblclick', function(e) {
+    const valueElement = HL7Parser.getValueElement(e.target);
+    const path = valueElement && HL7Parser.getElementPath(valueElement);
+    if (!path || !path.field) return;
+
+    e.preventDefault();
+    startEditing(valueElement, path);
+  });
+
+  viewerContainer.addEventListener('contextmenu', function(e) {
+    const path = HL7Parser.getElementPath(e.target);
+    if (!path) return;
+
+    e.preventDefault();
+    showEditMenu(e, path);
+  });
+
+  editMenu.addEventListener('click', function(e) {
+    const item = e.target.closest('.json-context-menu-item');
+    editMenu.style.display = 'none';
+    if (!item || !editMenuPath) return;
+
+    const path = editMenuPath;
+    let error = null;
+    if (item.dataset.action === 'add-repetition') {
+      error = HL7Editor.addRepetition(path);
+    } else if (item.dataset.action === 'delete-repetition') {
+      error = HL7Editor.deleteRepetition(path);
+    } else if (item.dataset.action === 'insert-segment') {
+      const segmentId = prompt('Segment ID to insert (e.g. PV1, NTE, ZPV):');
+      if (segmentId === null) return;
+      error = HL7Editor.insertSegment(path, segmentId);
+    } else if (item.dataset.action === 'delete-segment') {
+      error = HL7Editor.deleteSegment(path);
+    }
+    applyEdit(path.messageIndex, error);
+  });
+
+  document.addEventListener('click', function(e) {
+    if (!editMenu.contains(e.target)) {
+      editMenu.style.display = 'none';
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+      editMenu.style.display = 'none';
+      return;
+    }
+
+    // Ctrl+Z / Ctrl+Y (Cmd on Mac) undo and redo edits, except while typing
+    if (!(e.ctrlKey || e.metaKey) || currentPageMode !== 'viewer') return;
+    if (e.target.closest('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      undoEdit(key === 'y' || e.shiftKey);
+    }
+  });
+
+  undoBtn.addEventListener('click', function() {
+    undoEdit(false);
+  });
+
+  redoBtn.addEventListener('click', function() {
+    undoEdit(true);
+  });
+
+  downloadHL7Btn.addEventListener('click', downloadHL7);
+
+  // ========================================
+  // SEARCH
+  // ========================================
+
+  // Wait after the last keystroke before searching (ms)
+  const SEARCH_DELAY = 250;
+
+  // The current search: its parsed query, hits (see HL7Search.findHits) and the hit shown (-1 for none)
+  let searchQuery = null;
+  let searchHits = [];
+  let searchHitMessages = new Set();
+  let searchTruncated = false;
+  let searchIndex = -1;
+  let searchTimer = null;
+
+  // The last search of the loaded messages: { key, query, decode, hits, truncated }, with the hits in
+  // every file (key identifies the query and its options), kept up to date as messages are edited;
+  // null until one ends
+  let searchResult = null;
+
+  // The search running in the background (a promise), and the number of the last one started (a
+  // search that ends after another started is ignored)
+  let searchPromise = null;
+  let searchRun = 0;
+
+  /**
+   * Run the search box's query over the loaded messages and highlight the hits in the rendered ones
+   * The search runs in the background unless the same query was searched last
+   * keepPosition keeps the hit shown (after an edit); otherwise no hit is shown until Next or Previous
+   */
+  function updateSearch(keepPosition) {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+    const run = ++searchRun;
+    searchPromise = null;
+    searchCancelBtn.style.display = 'none';
+    HL7Search.clearHighlights(viewerContainer);
+    searchBar.style.display = isHL7Loaded() ? 'flex' : 'none';
+    gotoMessageTotal.textContent = isHL7Loaded() ? `of ${HL7Editor.getMessageList().count}` : '';
+    searchCount.classList.remove('search-error');
+    searchQuery = null;
+    searchHits = [];
+    searchHitMessages = new Set();
+    searchTruncated = false;
+
+    if (isHL7Loaded()) {
+      try {
+        searchQuery = HL7Search.parseQuery(searchInput.value, { regex: searchRegex.checked, matchCase: searchMatchCase.checked });
+      } catch (error) {
+        searchCount.classList.add('search-error');
+        searchCount.textContent = error.message;
+      }
+    }
+
+    if (!searchQuery) {
+      HL7Background.cancel('search');
+      searchIndex = -1;
+      showSearchHit(false);
+      return;
+    }
+
+    // The tree view always shows values decoded; the standard view only with Decode Escapes
+    const settings = getSettings();
+    const decode = settings.viewMode === 'collapsed' || settings.decodeEscapes;
+    const key = JSON.stringify([searchInput.value, searchRegex.checked, searchMatchCase.checked, decode]);
+    if (searchResult && searchResult.key === key) {
+      showSearchResult(keepPosition);
+      return;
+    }
+
+    searchResult = null;
+    const query = searchQuery;
+    searchCount.textContent = 'Searching...';
+    searchPrevBtn.disabled = true;
+    searchNextBtn.disabled = true;
+    searchCancelBtn.style.display = '';
+
+    searchPromise = HL7Background.runSearch(HL7Editor.getTaskInput(), query, decode, (phase, fraction) => {
+      if (run === searchRun) searchCount.textContent = `${phase}... ${Math.round(fraction * 100)}%`;
+    }).then(result => {
+      if (run !== searchRun) return;
+      searchPromise = null;
+      searchCancelBtn.style.display = 'none';
+      if (!result) {
+        searchCount.textContent = 'Search cancelled';
+        return;
+      }
+      searchResult = Object.assign({ key: key, query: query, decode: decode }, result);
+      showSearchResult(keepPosition);
+    }, error => {
+      if (run !== searchRun) return;
+      searchPromise = null;
+      searchCancelBtn.style.display = 'none';
+      searchCount.classList.add('search-error');
+      searchCount.textContent = error.message;
+    });
+  }
+
+  /**
+   * Show the hits of the last search, highlighting them in the rendered messages
+   */
+  function showSearchResult(keepPosition) {
+    // Hits in the messages of hidden source files are left out
+    const hits = searchResult.hits;
+    searchHits = hiddenSources.size > 0 ? hits.filter(hit => isMessageShown(hit.messageIndex)) : hits;
+    searchHitMessages = new Set(searchHits.map(hit => hit.messageIndex));
+    searchTruncated = searchResult.truncated;
+    viewerContainer.querySelectorAll(':scope > [data-message]').forEach(messageElement => {
+      highlightSearchMessage(messageElement, parseInt(messageElement.dataset.message, 10));
+    });
+
+    searchIndex = keepPosition ? Math.min(searchIndex, searchHits.length - 1) : -1;
+    showSearchHit(false);
+  }
+
+  /**
+   * Bring the search up to date after a message was edited: only that message is searched again,
+   * unless no search has ended yet or the last one stopped at HL7Search.MAX_HITS
+   */
+  function updateSearchForMessage(messageIndex) {
+    if (searchResult && !searchResult.truncated && !searchTimer) {
+      const hits = searchResult.hits;
+      let start = hits.findIndex(hit => hit.messageIndex >= messageIndex);
+      if (start === -1) start = hits.length;
+      let end = start;
+      while (end < hits.length && hits[end].messageIndex === messageIndex) end++;
+
+      const message = HL7Editor.getMessageList().get(messageIndex);
+      hits.splice(start, end - start, ...HL7Search.findMessageHits(message, messageIndex, searchResult.query, searchResult.decode));
+      if (hits.length > HL7Search.MAX_HITS) {
+        hits.length = HL7Search.MAX_HITS;
+        searchResult.truncated = true;
+      }
+    }
+    updateSearch(true);
+  }
+
+  /**
+   * Check whether a message is shown: its source file, if it has one, is not hidden
+   */
+  function isMessageShown(messageIndex) {
+    const source = HL7Editor.getMessageList().getSource(messageIndex);
+    return !source || !hiddenSources.has(source.index);
+  }
+
+  /**
+   * Highlight the hits in a rendered message, if it has any (called for each message as it is rendered)
+   */
+  function highlightSearchMessage(messageElement, messageIndex) {
+    if (searchQuery && searchHitMessages.has(messageIndex)) {
+      HL7Search.highlightMessage(messageElement, HL7Editor.getMessageList().get(messageIndex), searchQuery);
+    }
+  }
+
+  /**
+   * Mark the current hit and update the count; the hit is revealed (rendering its message and expanding
+   * its tree nodes) and, with scroll, scrolled into view
+   */
+  function showSearchHit(scroll) {
+    viewerContainer.querySelectorAll('.hl7-search-current').forEach(el => el.classList.remove('hl7-search-current'));
+
+    if (searchIndex >= 0) {
+      const element = HL7Search.revealHit(viewerContainer, searchHits[searchIndex]);
+      if (element) {
+        element.classList.add('hl7-search-current');
+        if (scroll) element.scrollIntoView({ block: 'center' });
+      }
+    }
+
+    if (searchQuery) {
+      const total = searchHits.length + (searchTruncated ? '+' : '');
+      if (searchHits.length === 0) {
+        searchCount.textContent = 'No results';
+      } else if (searchIndex < 0) {
+        searchCount.textContent = `${total} ${searchHits.length === 1 ? 'hit' : 'hits'}`;
+      } else {
+        searchCount.textContent = `${searchIndex + 1} of ${total}`;
+      }
+    } else if (!searchCount.classList.contains('search-error')) {
+      searchCount.textContent = '';
+    }
+    searchPrevBtn.disabled = searchHits.length === 0;
+    searchNextBtn.disabled = searchHits.length === 0;
+  }
+
+  /**
+   * Go to the next (step 1) or previous (step -1) hit, wrapping around at either end
+   */
+  async function goToSearchHit(step) {
+    // Search now if the query was typed but the search hasn't run yet, and wait for it to end
+    if (searchTimer) updateSearch(false);
+    if (searchPromise) await searchPromise;
+    if (searchHits.length === 0) return;
+
+    if (searchIndex < 0) {
+      searchIndex = step > 0 ? 0 : searchHits.length - 1;
+    } else {
+      searchIndex = (searchIndex + step + searchHits.length) % searchHits.length;
+    }
+    showSearchHit(true);
+  }
+
+  searchInput.addEventListener('input', function() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(function() {
+      updateSearch(false);
+    }, SEARCH_DELAY);
+  });
+
+  searchInput.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      goToSearchHit(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      searchInput.value = '';
+      updateSearch(false);
+      searchInput.blur();
+    }
+  });
+
+  [searchMatchCase, searchRegex].forEach(checkbox => {
+    checkbox.addEventListener('change', function() {
+      saveSettings();
+      updateSearch(false);
+    });
+  });
+
+  searchCancelBtn.addEventListener('click', function() {
+    HL7Background.cancel('search');
+  });
+
+  searchPrevBtn.addEventListener('click', function() {
+    goToSearchHit(-1);
+  });
+
+  searchNextBtn.addEventListener('click', function() {
+    goToSearchHit(1);
+  });
+
+  // Go to message #N (numbers outside the loaded messages go to the first or last)
+  gotoMessageInput.addEventListener('keydown', function(e) {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+
+    const count = HL7Editor.getMessageList().count;
+    const number = parseInt(gotoMessageInput.value, 10);
+    if (isNaN(number) || count === 0) return;
+
+    const messageNumber = Math.min(Math.max(number, 1), count);
+    gotoMessageInput.value = messageNumber;
+    HL7Parser.scrollToMessage(viewerContainer, messageNumber - 1);
+  });
+
+  // Ctrl+F (Cmd+F on Mac) searches the loaded messages, which the browser's Find can't do for messages not rendered
+  document.addEventListener('keydown', function(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f' && currentPageMode === 'viewer' && isHL7Loaded()) {
+      e.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    }
+  });
+
+  // ========================================
+  // DOWNLOAD LOCAL MODAL
+  // ========================================
+
+  const downloadLocalBtn = document.getElementById('downloadLocalBtn');
+  const downloadModal = document.getElementById('downloadModal');
+  const modalCloseBtn = document.getElementById('modalCloseBtn');
+
+  downloadLocalBtn.addEventListener('click', function() {
+    downloadModal.classList.add('visible');
+  });
+
+  modalCloseBtn.addEventListener('click', function() {
+    downloadModal.classList.remove('visible');
+  });
+
+  downloadModal.addEventListener('click', function(e) {
+    if (e.target === downloadModal) {
+      downloadModal.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && downloadModal.classList.contains('visible')) {
+      downloadModal.classList.remove('visible');
+    }
+  });
+
+  // Copy buttons inside the modal
+  downloadModal.addEventListener('click', function(e) {
+    const btn = e.target.closest('.copy-code-btn');
+    if (!btn) return;
+    const text = btn.getAttribute('data-copy');
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(function() {
+        btn.textContent = '\u2713';
+        setTimeout(function() { btn.textContent = '\uD83D\uDCCB'; }, 1500);
+      });
+    } else {
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      document.body.removeChild(ta);
+      btn.textContent = '\u2713';
+      setTimeout(function() { btn.textContent = '\uD83D\uDCCB'; }, 1500);
+    }
+  });
+
+  // ========================================
+  // SEGMENT DICTIONARY
+  // ========================================
+
+  /**
+   * Show which segments have custom definitions
+   */
+  function updateDictionaryStatus() {
+    const customIds = HL7Dictionary.getCustomSegmentIds();
+    if (customIds.length === 0) {
+      dictionaryStatus.textContent = 'No custom definitions loaded.';
+    } else {
+      dictionaryStatus.textContent = `Custom definitions loaded for ${customIds.length} segment${customIds.length === 1 ? '' : 's'}: ${customIds.join(', ')}`;
+    }
+    dictionaryExportBtn.disabled = customIds.length === 0;
+    dictionaryClearBtn.disabled = customIds.length === 0;
+  }
+
+  /**
+   * Fill the statistics field autocomplete from the dictionary (for the selected version, if any)
+   */
+  function updateFieldSuggestions() {
+    statsFieldSuggestions.innerHTML = '';
+    HL7Dictionary.getFieldReferences(hl7VersionSelect.value).forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.ref;
+      option.label = item.name;
+      statsFieldSuggestions.appendChild(option);
+    });
+  }
+
+  /**
+   * Refresh everything that depends on the dictionary
+   */
+  function handleDictionaryChange() {
+    updateDictionaryStatus();
+    updateFieldSuggestions();
+    validation = null;
+    if (currentContent) {
+      renderCurrentContent();
+    }
+  }
+
+  /**
+   * Import a dictionary JSON file
+   */
+  async function handleDictionaryImport(file) {
+    if (!file) return;
+
+    try {
+      const content = await readFile(file);
+      HL7Dictionary.importDictionary(content);
+      handleDictionaryChange();
+    } catch (error) {
+      alert('Error importing dictionary: ' + error.message);
+    }
+  }
+
+  /**
+   * Download the custom definitions as a .json file
+   */
+  function downloadDictionary() {
+    const blob = new Blob([HL7Dictionary.exportDictionary()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'hl7_dictionary_' + new Date().toISOString().slice(0, 10) + '.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Show which message profiles have been imported
+   */
+  function updateProfilesStatus() {
+    const customIds = HL7Profiles.getCustomProfileIds();
+    if (customIds.length === 0) {
+      profilesStatus.textContent = 'No custom profiles loaded.';
+    } else {
+      profilesStatus.textContent = `Custom profiles loaded (${customIds.length}): ${customIds.join(', ')}`;
+    }
+    profilesExportBtn.disabled = customIds.length === 0;
+    profilesClearBtn.disabled = customIds.length === 0;
+  }
+
+  /**
+   * Refresh everything that depends on the message profiles
+   */
+  function handleProfilesChange() {
+    updateProfilesStatus();
+    validation = null;
+    if (currentContent) {
+      renderCurrentContent();
+    }
+  }
+
+  /**
+   * Import a message profiles JSON file
+   */
+  async function handleProfilesImport(file) {
+    if (!file) return;
+
+    try {
+      const content = await readFile(file);
+      HL7Profiles.importProfiles(content);
+      handleProfilesChange();
+    } catch (error) {
+      alert('Error importing profiles: ' + error.message);
+    }
+  }
+
+  /**
+   * Download the custom profiles, or the built-in message structures as a template, as a .json file
+   */
+  function downloadProfiles(builtIn) {
+    const json = builtIn ? HL7Profiles.exportBuiltInStructures() : HL7Profiles.exportProfiles();
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = (builtIn ? 'hl7_message_structures_' : 'hl7_profiles_') + new Date().toISOString().slice(0, 10) + '.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  dictionaryBtn.addEventListener('click', function() {
+    updateDictionaryStatus();
+    updateProfilesStatus();
+    dictionaryModal.classList.add('visible');
+  });
+
+  dictionaryCloseBtn.addEventListener('click', function() {
+    dictionaryModal.classList.remove('visible');
+  });
+
+  dictionaryModal.addEventListener('click', function(e) {
+    if (e.target === dictionaryModal) {
+      dictionaryModal.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && dictionaryModal.classList.contains('visible')) {
+      dictionaryModal.classList.remove('visible');
+    }
+  });
+
+  dictionaryFileInput.addEventListener('change', function() {
+    handleDictionaryImport(this.files[0]);
+    this.value = '';
+  });
+
+  dictionaryExportBtn.addEventListener('click', downloadDictionary);
+
+  dictionaryClearBtn.addEventListener('click', function() {
+    if (!confirm('Remove all custom segment definitions?')) return;
+    HL7Dictionary.clearCustomDictionary();
+    handleDictionaryChange();
+  });
+
+  profilesFileInput.addEventListener('change', function() {
+    handleProfilesImport(this.files[0]);
+    this.value = '';
+  });
+
+  profilesExportBtn.addEventListener('click', function() {
+    downloadProfiles(false);
+  });
+
+  profilesTemplateBtn.addEventListener('click', function() {
+    downloadProfiles(true);
+  });
+
+  profilesClearBtn.addEventListener('click', function() {
+    if (!confirm('Remove all custom message profiles?')) return;
+    HL7Profiles.clearCustomProfiles();
+    handleProfilesChange();
+  });
+
+  // ========================================
+  // DE-IDENTIFICATION
+  // ========================================
+
+  /**
+   * Fill the profile list and show the selected profile's rules
+   */
+  function populateDeidentifyProfiles(selectedName) {
+    deidentifyProfileSelect.innerHTML = '';
+    HL7Deidentify.getProfileNames().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      deidentifyProfileSelect.appendChild(option);
+    });
+    deidentifyProfileSelect.value = selectedName || HL7Deidentify.DEFAULT_PROFILE_NAME;
+    showDeidentifyProfile();
+  }
+
+  /**
+   * Show the selected profile's date shift and rules in the form
+   */
+  function showDeidentifyProfile() {
+    const name = deidentifyProfileSelect.value;
+    const profile = HL7Deidentify.getProfile(name);
+    deidentifyDateShift.value = profile.dateShiftDays;
+    deidentifyRules.innerHTML = '';
+    profile.rules.forEach(addDeidentifyRuleRow);
+    deidentifyDeleteBtn.disabled = name === HL7Deidentify.DEFAULT_PROFILE_NAME;
+    deidentifyStatus.textContent = '';
+  }
+
+  /**
+   * Add a rule row (field reference, action, remove button) to the form
+   */
+  function addDeidentifyRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'stats-filter-row deidentify-rule-row';
+
+    const fieldInput = document.createElement('input');
+    fieldInput.type = 'text';
+    fieldInput.className = 'stats-field-input deidentify-field-input';
+    fieldInput.placeholder = 'e.g., PID.5';
+    fieldInput.setAttribute('list', 'statsFieldSuggestions');
+    fieldInput.autocomplete = 'off';
+    fieldInput.value = rule.field || '';
+
+    const actionSelect = document.createElement('select');
+    actionSelect.className = 'select-control';
+    Object.keys(HL7Deidentify.ACTIONS).forEach(action => {
+      const option = document.createElement('option');
+      option.value = action;
+      option.textContent = HL7Deidentify.ACTIONS[action];
+      actionSelect.appendChild(option);
+    });
+    actionSelect.value = rule.action || 'redact';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'stats-filter-remove-btn';
+    removeBtn.title = 'Remove rule';
+    removeBtn.innerHTML = '&#10005;';
+    removeBtn.addEventListener('click', function() {
+      row.remove();
+    });
+
+    row.appendChild(fieldInput);
+    row.appendChild(actionSelect);
+    row.appendChild(removeBtn);
+    deidentifyRules.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Read the profile from the form (rows without a field reference are ignored)
+   */
+  function getDeidentifyProfile() {
+    const rules = [];
+    deidentifyRules.querySelectorAll('.deidentify-rule-row').forEach(row => {
+      const field = row.querySelector('input').value.trim().toUpperCase();
+      if (field) {
+        rules.push({ field: field, action: row.querySelector('select').value });
+      }
+    });
+    return { dateShiftDays: Number(deidentifyDateShift.value || 0), rules: rules };
+  }
+
+  /**
+   * De-identify the loaded content with the form's profile
+   * Resolves to the result ({ content, replaced, messageCount }), or null after reporting a problem
+   */
+  async function runDeidentify() {
+    if (!currentContent || currentContentType !== 'hl7') {
+      alert('Load HL7 content to de-identify first.');
+      return null;
+    }
+
+    try {
+      const result = await HL7Deidentify.deidentify(HL7Editor.getContent(), getDeidentifyProfile(), hl7VersionSelect.value);
+      deidentifyStatus.textContent = `Replaced ${result.replaced} value${result.replaced === 1 ? '' : 's'} in ${result.messageCount} message${result.messageCount === 1 ? '' : 's'}.`;
+      return result;
+    } catch (error) {
+      alert('Error de-identifying: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download de-identified content as a .hl7 file
+   */
+  function downloadDeidentified(content) {
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'deidentified_messages_' + new Date().toISOString().slice(0, 10) + '.hl7';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  deidentifyBtn.addEventListener('click', function() {
+    populateDeidentifyProfiles(deidentifyProfileSelect.value);
+    deidentifyModal.classList.add('visible');
+  });
+
+  deidentifyCloseBtn.addEventListener('click', function() {
+    deidentifyModal.classList.remove('visible');
+  });
+
+  deidentifyModal.addEventListener('click', function(e) {
+    if (e.target === deidentifyModal) {
+      deidentifyModal.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && deidentifyModal.classList.contains('visible')) {
+      deidentifyModal.classList.remove('visible');
+    }
+  });
+
+  deidentifyProfileSelect.addEventListener('change', showDeidentifyProfile);
+
+  deidentifyAddRuleBtn.addEventListener('click', function() {
+    addDeidentifyRuleRow({}).querySelector('input').focus();
+  });
+
+  deidentifySaveBtn.addEventListener('click', function() {
+    const currentName = deidentifyProfileSelect.value;
+    const suggestedName = currentName === HL7Deidentify.DEFAULT_PROFILE_NAME ? '' : currentName;
+    const name = prompt('Save these rules as profile:', suggestedName);
+    if (name === null) return;
+
+    try {
+      populateDeidentifyProfiles(HL7Deidentify.saveProfile(name, getDeidentifyProfile()));
+      deidentifyStatus.textContent = `Profile "${deidentifyProfileSelect.value}" saved.`;
+    } catch (error) {
+      alert('Error saving profile: ' + error.message);
+    }
+  });
+
+  deidentifyDeleteBtn.addEventListener('click', function() {
+    const name = deidentifyProfileSelect.value;
+    if (!confirm(`Delete the de-identification profile "${name}"?`)) return;
+    HL7Deidentify.deleteProfile(name);
+    populateDeidentifyProfiles();
+  });
+
+  deidentifyApplyBtn.addEventListener('click', async function() {
+    const result = await runDeidentify();
+    if (!result) return;
+    loadContent(result.content);
+    deidentifyModal.classList.remove('visible');
+  });
+
+  deidentifyDownloadBtn.addEventListener('click', async function() {
+    const result = await runDeidentify();
+    if (result) {
+      downloadDeidentified(result.content);
+    }
+  });
+
+  // ========================================
+  // ACKNOWLEDGMENTS
+  // ========================================
+
+  /**
+   * Fill a select with the values of an HL7 table ("code - description"), the values listed first in order
+   */
+  function populateTableSelect(select, tableCode, values, selectedValue) {
+    const table = HL7Dictionary.getTable(tableCode);
+    (values || Object.keys(table.values)).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${value} - ${table.values[value]}`;
+      select.appendChild(option);
+    });
+    select.value = selectedValue;
+  }
+
+  /**
+   * Fill the code, error code and severity lists (once)
+   */
+  function populateAckOptions() {
+    if (ackCode.options.length) return;
+    populateTableSelect(ackCode, '0008', HL7Ack.ACK_CODES, 'AA');
+    populateTableSelect(ackErrorCode, '0357', null, HL7Ack.DEFAULT_ERROR_CODE);
+    populateTableSelect(ackErrorSeverity, '0516', null, HL7Ack.DEFAULT_SEVERITY);
+  }
+
+  /**
+   * Enable the error fields only when an ERR segment is added
+   */
+  function updateAckErrorControls() {
+    ackError.classList.toggle('disabled', !ackIncludeError.checked);
+  }
+
+  /**
+   * Build the ACKs for the loaded messages with the form's options
+   * Returns the result ({ content, messageCount, notes }), or null after reporting a problem
+   */
+  function runAck() {
+    if (!isHL7Loaded()) {
+      alert('Load HL7 content to acknowledge first.');
+      return null;
+    }
+
+    const options = {
+      code: ackCode.value,
+      text: ackText.value.trim(),
+      error: ackIncludeError.checked ? {
+        field: ackErrorField.value.trim().toUpperCase(),
+        occurrence: ackErrorOccurrence.value.trim(),
+        code: ackErrorCode.value,
+        severity: ackErrorSeverity.value,
+        message: ackErrorMessage.value.trim()
+      } : null
+    };
+
+    try {
+      const result = HL7Ack.createAcks(HL7Editor.getMessages(), options);
+      ackStatus.textContent = [`Built ${result.messageCount} ACK${result.messageCount === 1 ? '' : 's'}.`].concat(result.notes).join(' ');
+      return result;
+    } catch (error) {
+      alert('Error building ACKs: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download ACKs as a .hl7 file
+   */
+  function downloadAcks(content) {
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'ack_messages_' + new Date().toISOString().slice(0, 10) + '.hl7';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  ackBtn.addEventListener('click', function() {
+    populateAckOptions();
+    updateAckErrorControls();
+    ackStatus.textContent = '';
+    ackModal.classList.add('visible');
+  });
+
+  ackCloseBtn.addEventListener('click', function() {
+    ackModal.classList.remove('visible');
+  });
+
+  ackModal.addEventListener('click', function(e) {
+    if (e.target === ackModal) {
+      ackModal.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && ackModal.classList.contains('visible')) {
+      ackModal.classList.remove('visible');
+    }
+  });
+
+  ackIncludeError.addEventListener('change', updateAckErrorControls);
+
+  ackApplyBtn.addEventListener('click', function() {
+    const result = runAck();
+    if (!result) return;
+    loadContent(result.content);
+    ackModal.classList.remove('visible');
+  });
+
+  ackDownloadBtn.addEventListener('click', function() {
+    const result = runAck();
+    if (result) {
+      downloadAcks(result.content);
+    }
+  });
+
+  // ========================================
+  // HL7 V2 XML
+  // ========================================
+
+  /**
+   * Fill the XML box with the loaded messages, with their edits, in the HL7 v2 XML encoding
+   */
+  function showXml() {
+    if (!isHL7Loaded()) {
+      xmlText.value = '';
+      xmlStatus.textContent = 'Paste HL7 v2 XML to load it, or load HL7 content to see it as XML.';
+      return;
+    }
+
+    const messages = HL7Editor.getMessages();
+    xmlText.value = HL7Xml.fromMessages(messages, hl7VersionSelect.value);
+    xmlStatus.textContent = `${messages.length} message${messages.length === 1 ? '' : 's'} as HL7 v2 XML.`;
+  }
+
+  /**
+   * Download the XML box's content as a .xml file
+   */
+  function downloadXml(content) {
+    const blob = new Blob([content], { type: 'application/xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'hl7_messages_' + new Date().toISOString().slice(0, 10) + '.xml';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  xmlBtn.addEventListener('click', function() {
+    showXml();
+    xmlModal.classList.add('visible');
+  });
+
+  xmlCloseBtn.addEventListener('click', function() {
+    xmlModal.classList.remove('visible');
+  });
+
+  xmlModal.addEventListener('click', function(e) {
+    if (e.target === xmlModal) {
+      xmlModal.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && xmlModal.classList.contains('visible')) {
+      xmlModal.classList.remove('visible');
+    }
+  });
+
+  xmlApplyBtn.addEventListener('click', function() {
+    let content;
+    try {
+      content = HL7Xml.toER7(xmlText.value);
+    } catch (error) {
+      alert('Could not read the HL7 v2 XML: ' + error.message);
+      return;
+    }
+    loadContent(content);
+    xmlModal.classList.remove('visible');
+  });
+
+  xmlCopyBtn.addEventListener('click', function() {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(xmlText.value).then(function() {
+        xmlStatus.textContent = 'Copied to the clipboard.';
+      });
+    } else {
+      xmlText.select();
+      document.execCommand('copy');
+      xmlStatus.textContent = 'Copied to the clipboard.';
+    }
+  });
+
+  xmlDownloadBtn.addEventListener('click', function() {
+    if (xmlText.value.trim()) {
+      downloadXml(xmlText.value);
+    }
+  });
+
+  // ========================================
+  // FHIR
+  // ========================================
+
+  // The converted Bundles as JSON text (one Bundle, or a list of them), while the FHIR window is open
+  let fhirContent = null;
+
+  /**
+   * Show the mapping in use in the mapping box
+   */
+  function showFhirMapping() {
+    fhirMappingText.value = JSON.stringify(HL7Fhir.getMapping(), null, 2);
+    fhirMappingStatus.textContent = HL7Fhir.hasCustomMapping() ? 'Your saved mapping is in use.' : 'The built-in mapping is in use.';
+  }
+
+  /**
+   * List each mapped field next to the FHIR element it set (see HL7Fhir.convert)
+   */
+  function renderFhirMapped(mapped, messageCount) {
+    fhirMapped.innerHTML = '';
+    if (mapped.length === 0) {
+      fhirMapped.innerHTML = '<p class="fhir-mapped-empty">No fields were mapped.</p>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'fhir-mapped-table';
+    table.innerHTML = '<thead><tr><th>HL7 field</th><th>Value</th><th>FHIR element</th></tr></thead>';
+    const body = document.createElement('tbody');
+    let lastMessage = -1;
+
+    mapped.forEach(item => {
+      if (messageCount > 1 && item.message !== lastMessage) {
+        const header = document.createElement('tr');
+        header.className = 'fhir-mapped-message';
+        header.innerHTML = '<td colspan="3"></td>';
+        header.firstChild.textContent = `Message ${item.message + 1}`;
+        body.appendChild(header);
+        lastMessage = item.message;
+      }
+
+      const row = document.createElement('tr');
+      const field = item.field + (item.repetition ? ` (${item.repetition})` : '');
+      const bundlePath = (messageCount > 1 ? `[${item.message}]` : '') + `Bundle.entry[${item.entry}].resource`;
+      [field, item.value, item.element].forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 2) cell.title = bundlePath + item.element.substring(item.element.indexOf('.'));
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+
+    table.appendChild(body);
+    fhirMapped.appendChild(table);
+  }
+
+  /**
+   * Convert the loaded messages, with their edits, to FHIR Bundles with the mapping in use, and
+   * show them in the JSON viewer next to the list of mapped fields
+   */
+  function runFhir() {
+    fhirContent = null;
+    fhirBundle.innerHTML = '';
+    fhirMapped.innerHTML = '';
+    if (!isHL7Loaded()) {
+      fhirStatus.textContent = 'Load HL7 content to convert it to FHIR.';
+      return;
+    }
+
+    let result;
+    try {
+      result = HL7Fhir.convert(HL7Editor.getMessages(), HL7Fhir.getMapping(), hl7VersionSelect.value);
+    } catch (error) {
+      fhirStatus.textContent = 'Error converting to FHIR: ' + error.message;
+      return;
+    }
+
+    const bundleCount = result.bundles.length;
+    fhirContent = JSON.stringify(bundleCount === 1 ? result.bundles[0] : result.bundles, null, 2);
+    fhirStatus.textContent = `Converted ${bundleCount} message${bundleCount === 1 ? '' : 's'} to ` +
+      `${bundleCount === 1 ? 'a Bundle' : bundleCount + ' Bundles'} with ${result.resourceCount} resource${result.resourceCount === 1 ? '' : 's'}.`;
+
+    const settings = getSettings();
+    HL7Parser.renderJSONContent(fhirBundle, fhirContent, settings.viewMode, parseInt(settings.messagesPerBatch, 10));
+    renderFhirMapped(result.mapped, bundleCount);
+  }
+
+  /**
+   * Download the converted Bundles as a .json file
+   */
+  function downloadFhir(content) {
+    const blob = new Blob([content], { type: 'application/fhir+json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'fhir_bundle_' + new Date().toISOString().slice(0, 10) + '.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  fhirBtn.addEventListener('click', function() {
+    showFhirMapping();
+    fhirModal.classList.add('visible');
+    runFhir();
+  });
+
+  fhirCloseBtn.addEventListener('click', function() {
+    fhirModal.classList.remove('visible');
+  });
+
+  fhirModal.addEventListener('click', function(e) {
+    if (e.target === fhirModal) {
+      fhirModal.classList.remove('visible');
+    }
+  });
+
+  // The Bundles' tree view expands and collapses like the viewer's
+  fhirBundle.addEventListener('click', function(e) {
+    HL7Parser.handleTreeClick(e);
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && fhirModal.classList.contains('visible')) {
+      fhirModal.classList.remove('visible');
+    }
+  });
+
+  fhirSaveMappingBtn.addEventListener('click', function() {
+    try {
+      HL7Fhir.saveMapping(JSON.parse(fhirMappingText.value));
+    } catch (error) {
+      alert('Could not save the mapping: ' + error.message);
+      return;
+    }
+    showFhirMapping();
+    runFhir();
+  });
+
+  fhirResetMappingBtn.addEventListener('click', function() {
+    if (HL7Fhir.hasCustomMapping() && !confirm('Replace your saved mapping with the built-in one?')) return;
+    HL7Fhir.resetMapping();
+    showFhirMapping();
+    runFhir();
+  });
+
+  fhirApplyBtn.addEventListener('click', function() {
+    if (!fhirContent) return;
+    loadContent(fhirContent);
+    fhirModal.classList.remove('visible');
+  });
+
+  fhirDownloadBtn.addEventListener('click', function() {
+    if (fhirContent) {
+      downloadFhir(fhirContent);
+    }
+  });
+
+  // ========================================
+  // MESSAGE GENERATOR
+  // ========================================
+
+  // Fields shown for a segment without a definition (e.g. a Z-segment)
+  const GENERATOR_UNDEFINED_FIELDS = 10;
+
+  /**
+   * Fill the trigger event and version lists (once)
+   */
+  function populateGeneratorOptions() {
+    if (generatorEvent.options.length) return;
+
+    HL7Generator.getEvents().forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.event;
+      option.textContent = `${item.event} - ${item.name}`;
+      generatorEvent.appendChild(option);
+    });
+    HL7Dictionary.getVersions().forEach(version => {
+      const option = document.createElement('option');
+      option.value = version;
+      option.textContent = version;
+      generatorVersion.appendChild(option);
+    });
+
+    generatorEvent.value = 'ADT^A01';
+    generatorVersion.value = hl7VersionSelect.value !== 'auto' ? hl7VersionSelect.value : HL7_DEFAULT_VERSION;
+  }
+
+  /**
+   * Start a new template for the selected trigger event and version
+   */
+  function showGeneratorTemplate() {
+    const template = HL7Generator.createTemplate(generatorEvent.value, generatorVersion.value);
+    generatorSegments.innerHTML = '';
+    template.segments.forEach(addGeneratorSegment);
+    generatorStatus.textContent = '';
+  }
+
+  /**
+   * Describe a field's first components for its input's placeholder, e.g. "Family Name^Given Name^..."
+   */
+  function getGeneratorPlaceholder(fieldDef) {
+    const names = [];
+    for (let compNum = 1; compNum <= 3; compNum++) {
+      const info = HL7Dictionary.getComponentInfo(fieldDef, compNum);
+      if (!info) break;
+      names.push(info.name);
+    }
+    if (names.length < 2) return '';
+    return names.join('^') + (HL7Dictionary.getComponentInfo(fieldDef, 4) ? '^...' : '');
+  }
+
+  /**
+   * Add a segment of the template to the form: one row per field of its definition, with the field's
+   * name, its value, and a Random checkbox for fields that can get synthetic data
+   */
+  function addGeneratorSegment(segment) {
+    const version = generatorVersion.value;
+    const segmentDef = HL7Dictionary.getSegment(segment.segmentId, version);
+
+    const block = document.createElement('details');
+    block.className = 'generator-segment';
+    block.dataset.segmentId = segment.segmentId;
+    block.open = true;
+
+    const summary = document.createElement('summary');
+    summary.className = 'generator-segment-header';
+    const idSpan = document.createElement('span');
+    idSpan.className = 'generator-segment-id';
+    idSpan.textContent = segment.segmentId;
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'generator-segment-name';
+    nameSpan.textContent = segmentDef ? segmentDef.name : 'Custom segment';
+    summary.appendChild(idSpan);
+    summary.appendChild(nameSpan);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'stats-filter-remove-btn';
+    removeBtn.title = 'Remove segment';
+    removeBtn.innerHTML = '&#10005;';
+    removeBtn.addEventListener('click', function(e) {
+      e.preventDefault();
+      block.remove();
+    });
+    summary.appendChild(removeBtn);
+    block.appendChild(summary);
+
+    // Every defined field, plus any field the template sets that isn't defined
+    const fieldNums = new Set(Object.keys(segment.fields).map(Number));
+    if (segmentDef && segmentDef.fields) {
+      Object.keys(segmentDef.fields).forEach(key => fieldNums.add(Number(key)));
+    } else {
+      for (let fieldNum = 1; fieldNum <= GENERATOR_UNDEFINED_FIELDS; fieldNum++) fieldNums.add(fieldNum);
+    }
+
+    Array.from(fieldNums).sort((a, b) => a - b).forEach(fieldNum => {
+      // MSH-1 and MSH-2 are always the default encoding characters
+      if (segment.segmentId === 'MSH' && fieldNum <= 2) return;
+
+      const field = segment.fields[fieldNum] || {};
+      const fieldDef = HL7Dictionary.getField(segment.segmentId, fieldNum, version);
+      const row = document.createElement('div');
+      row.className = 'generator-field-row';
+      row.dataset.field = fieldNum;
+
+      const label = document.createElement('label');
+      label.className = 'generator-field-label';
+      const refSpan = document.createElement('span');
+      refSpan.className = 'generator-field-ref';
+      refSpan.textContent = `${segment.segmentId}.${fieldNum}`;
+      label.appendChild(refSpan);
+      label.appendChild(document.createTextNode(fieldDef ? fieldDef.name : ''));
+      if (fieldDef && fieldDef.dataType) label.title = `Data type: ${fieldDef.dataType}`;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'stats-field-input generator-field-input';
+      input.autocomplete = 'off';
+      input.placeholder = getGeneratorPlaceholder(fieldDef);
+      input.value = field.value || '';
+
+      row.appendChild(label);
+      row.appendChild(input);
+
+      if (HL7Generator.getRandomKind(segment.segmentId, fieldNum, version)) {
+        const randomLabel = document.createElement('label');
+        randomLabel.className = 'checkbox-control';
+        randomLabel.title = 'Fill with new synthetic data in every message';
+        randomLabel.innerHTML = '<input type="checkbox" class="generator-random"><span class="checkbox-label">Random</span>';
+        randomLabel.querySelector('input').checked = !!field.random;
+        row.appendChild(randomLabel);
+      }
+
+      block.appendChild(row);
+    });
+
+    generatorSegments.appendChild(block);
+    return block;
+  }
+
+  /**
+   * Read the template from the form (fields left empty and not random are left out)
+   */
+  function getGeneratorTemplate() {
+    const segments = [];
+    generatorSegments.querySelectorAll('.generator-segment').forEach(block => {
+      const fields = {};
+      block.querySelectorAll('.generator-field-row').forEach(row => {
+        const value = row.querySelector('.generator-field-input').value;
+        const randomCheckbox = row.querySelector('.generator-random');
+        const random = !!(randomCheckbox && randomCheckbox.checked);
+        if (value || random) {
+          fields[row.dataset.field] = { value: value, random: random };
+        }
+      });
+      segments.push({ segmentId: block.dataset.segmentId, fields: fields });
+    });
+    return { event: generatorEvent.value, version: generatorVersion.value, segments: segments };
+  }
+
+  /**
+   * Generate messages from the form
+   * Returns the result ({ content, messageCount }), or null after reporting a problem
+   */
+  function runGenerator() {
+    try {
+      const result = HL7Generator.generate(getGeneratorTemplate(), generatorCount.value);
+      generatorStatus.textContent = `Generated ${result.messageCount} message${result.messageCount === 1 ? '' : 's'}.`;
+      return result;
+    } catch (error) {
+      alert('Error generating messages: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download generated messages as a .hl7 file
+   */
+  function downloadGenerated(content) {
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'generated_messages_' + new Date().toISOString().slice(0, 10) + '.hl7';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Add the segment typed in the input to the end of the template
+   */
+  function addGeneratorSegmentFromInput() {
+    const segmentId = generatorSegmentInput.value.trim().toUpperCase();
+    if (!/^[A-Z0-9]{3}$/.test(segmentId)) {
+      alert('A segment ID is three letters or digits, e.g. NK1 or ZPV.');
+      return;
+    }
+
+    const block = addGeneratorSegment(HL7Generator.createSegment(segmentId, generatorEvent.value, generatorVersion.value));
+    generatorSegmentInput.value = '';
+    block.scrollIntoView({ block: 'nearest' });
+  }
+
+  generatorBtn.addEventListener('click', function() {
+    populateGeneratorOptions();
+    if (!generatorSegments.children.length) {
+      showGeneratorTemplate();
+    }
+    generatorModal.classList.add('visible');
+  });
+
+  generatorCloseBtn.addEventListener('click', function() {
+    generatorModal.classList.remove('visible');
+  });
+
+  generatorModal.addEventListener('click', function(e) {
+    if (e.target === generatorModal) {
+      generatorModal.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && generatorModal.classList.contains('visible')) {
+      generatorModal.classList.remove('visible');
+    }
+  });
+
+  generatorEvent.addEventListener('change', showGeneratorTemplate);
+  generatorVersion.addEventListener('change', showGeneratorTemplate);
+
+  generatorAddSegmentBtn.addEventListener('click', addGeneratorSegmentFromInput);
+
+  generatorSegmentInput.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addGeneratorSegmentFromInput();
+    }
+  });
+
+  generatorLoadBtn.addEventListener('click', function() {
+    const result = runGenerator();
+    if (!result) return;
+
+    if (currentPageMode !== 'viewer') {
+      document.querySelector('input[name="pageMode"][value="viewer"]').checked = true;
+      setPageMode('viewer');
+    }
+    loadContent(result.content);
+    generatorModal.classList.remove('visible');
+  });
+
+  generatorDownloadBtn.addEventListener('click', function() {
+    const result = runGenerator();
+    if (result) {
+      downloadGenerated(result.content);
+    }
+  });
+
+  // ========================================
+  // COMPARE
+  // ========================================
+
+  // Each side of the Compare page: its content input, message select, and parsed messages
+  const compareSides = {
+    left: { input: compareLeftInput, select: compareLeftMessage, messages: [] },
+    right: { input: compareRightInput, select: compareRightMessage, messages: [] }
+  };
+
+  /**
+   * Label a message for the message selects, e.g. "Message 2: ORU^R01 (MSG0002)"
+   */
+  function getCompareMessageLabel(message, index) {
+    const msh = message.segments[0] && message.segments[0].segmentId === 'MSH' ? message.segments[0] : null;
+    if (!msh) return `Message ${index + 1}`;
+
+    const messageType = (msh.fields[7] || '').split(msh.componentSeparator).slice(0, 2).filter(p => p).join('^'); // MSH.9
+    const controlId = msh.fields[8] || ''; // MSH.10
+    return `Message ${index + 1}: ${messageType || 'HL7 Message'}${controlId ? ` (${controlId})` : ''}`;
+  }
+
+  /**
+   * Parse one side's content and list its messages, selecting the given message (if it exists)
+   */
+  function updateCompareSide(side, selectedIndex) {
+    const compareSide = compareSides[side];
+    let content = HL7Parser.stripMllpFraming(compareSide.input.value);
+    if (HL7Parser.isXMLContent(content)) {
+      try {
+        content = HL7Xml.toER7(content);
+      } catch (error) {
+        content = '';
+      }
+    }
+    compareSide.messages = content.trim() && HL7Parser.detectContentType(content) === 'hl7'
+      ? HL7Parser.parseIntoMessages(content)
+      : [];
+
+    compareSide.select.innerHTML = '';
+    compareSide.messages.forEach((message, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = getCompareMessageLabel(message, index);
+      compareSide.select.appendChild(option);
+    });
+    compareSide.select.disabled = compareSide.messages.length === 0;
+    if (selectedIndex !== undefined && selectedIndex < compareSide.messages.length) {
+      compareSide.select.value = selectedIndex;
+    }
+  }
+
+  /**
+   * Put content on one side and select one of its messages
+   */
+  function setCompareContent(side, content, selectedIndex) {
+    compareSides[side].input.value = content;
+    updateCompareSide(side, selectedIndex);
+    renderComparison();
+  }
+
+  /**
+   * When the Compare page opens with nothing to compare, start with the first two messages of the
+   * viewer content
+   */
+  function prepareComparePage() {
+    if (compareLeftInput.value.trim() || compareRightInput.value.trim()) return;
+
+    if (isHL7Loaded()) {
+      const content = HL7Editor.getContent();
+      compareLeftInput.value = content;
+      compareRightInput.value = content;
+      updateCompareSide('left', 0);
+      updateCompareSide('right', 1);
+    } else {
+      updateCompareSide('left');
+      updateCompareSide('right');
+    }
+    renderComparison();
+  }
+
+  /**
+   * Get the Compare page mode: 'single' (one message per side) or 'bulk' (every message, paired by key)
+   */
+  function getCompareMode() {
+    return document.querySelector('input[name="compareMode"]:checked').value;
+  }
+
+  /**
+   * Show the controls of the current compare mode
+   */
+  function updateCompareMode() {
+    comparePanel.classList.toggle('compare-bulk', getCompareMode() === 'bulk');
+  }
+
+  /**
+   * Pair every message of both sides by the match key and show the report
+   */
+  function renderBatchComparison() {
+    if (compareSides.left.messages.length === 0 || compareSides.right.messages.length === 0) {
+      compareResults.innerHTML = `
+        <div class="stats-no-content">
+          <p>Add HL7 content on each side to compare all of its messages</p>
+        </div>
+      `;
+      return;
+    }
+
+    const ignoredFields = compareIgnoreVolatile.checked ? HL7Diff.parseIgnoredFields(compareIgnoredFields.value) : new Set();
+    const bulk = HL7Diff.compareBatches(compareLeftInput.value, compareRightInput.value, compareMatchKey.value, ignoredFields);
+    HL7Diff.renderBatchComparison(compareResults, bulk, {
+      messageLabel: getCompareMessageLabel,
+      onlyDifferences: compareOnlyDifferences.checked,
+      onSelectPair: openComparePair
+    });
+  }
+
+  /**
+   * Open the field-level diff of a pair from the bulk report
+   */
+  function openComparePair(pair) {
+    compareModeRadios.forEach(radio => {
+      radio.checked = radio.value === 'single';
+    });
+    updateCompareMode();
+    saveSettings();
+    compareLeftMessage.value = pair.leftIndex;
+    compareRightMessage.value = pair.rightIndex;
+    renderComparison();
+    compareResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Compare the selected messages (or every message, in bulk mode) and show the result
+   */
+  function renderComparison() {
+    if (getCompareMode() === 'bulk') {
+      renderBatchComparison();
+      return;
+    }
+
+    const left = compareSides.left;
+    const right = compareSides.right;
+    const leftMessage = left.messages[parseInt(left.select.value, 10)];
+    const rightMessage = right.messages[parseInt(right.select.value, 10)];
+
+    if (!leftMessage || !rightMessage) {
+      compareResults.innerHTML = `
+        <div class="stats-no-content">
+          <p>Choose a message on each side to compare them</p>
+        </div>
+      `;
+      return;
+    }
+
+    const ignoredFields = compareIgnoreVolatile.checked ? HL7Diff.parseIgnoredFields(compareIgnoredFields.value) : new Set();
+    const result = HL7Diff.compareMessages(leftMessage, rightMessage, ignoredFields);
+    HL7Diff.renderComparison(compareResults, result, {
+      leftMessage: leftMessage,
+      rightMessage: rightMessage,
+      leftLabel: left.select.options[left.select.selectedIndex].textContent,
+      rightLabel: right.select.options[right.select.selectedIndex].textContent,
+      onlyDifferences: compareOnlyDifferences.checked,
+      hl7Version: hl7VersionSelect.value
+    });
+  }
+
+  /**
+   * Open a file on one side of the Compare page
+   */
+  async function handleCompareFile(side, file) {
+    if (!file) return;
+
+    try {
+      setCompareContent(side, await readFile(file), 0);
+    } catch (error) {
+      alert('Error reading file: ' + error.message);
+    }
+  }
+
+  HL7Parser.setupTooltips(compareResults);
+
+  ['left', 'right'].forEach(side => {
+    const compareSide = compareSides[side];
+
+    compareSide.input.addEventListener('change', function() {
+      updateCompareSide(side, 0);
+      renderComparison();
+    });
+
+    compareSide.select.addEventListener('change', renderComparison);
+  });
+
+  compareLeftFile.addEventListener('change', function() {
+    handleCompareFile('left', this.files[0]);
+    this.value = '';
+  });
+
+  compareRightFile.addEventListener('change', function() {
+    handleCompareFile('right', this.files[0]);
+    this.value = '';
+  });
+
+  compareLeftUseViewer.addEventListener('click', function() {
+    if (!currentContent) {
+      alert('Load content in the Viewer first.');
+      return;
+    }
+    setCompareContent('left', getViewerText(), 0);
+  });
+
+  compareRightUseViewer.addEventListener('click', function() {
+    if (!currentContent) {
+      alert('Load content in the Viewer first.');
+      return;
+    }
+    setCompareContent('right', getViewerText(), 0);
+  });
+
+  compareModeRadios.forEach(radio => {
+    radio.addEventListener('change', function() {
+      updateCompareMode();
+      saveSettings();
+      renderComparison();
+    });
+  });
+
+  [compareIgnoreVolatile, compareIgnoredFields, compareOnlyDifferences, compareMatchKey].forEach(control => {
+    control.addEventListener('change', function() {
+      saveSettings();
+      renderComparison();
+    });
+  });
+
+  // ========================================
+  // STATISTICS HANDLERS
+  // ========================================
+
+  /**
+   * Update filter logic section visibility
+   */
+  function updateFilterLogicVisibility() {
+    const filterRows = statsFiltersList.querySelectorAll('.stats-filter-row');
+    const hasMultipleFilters = filterRows.length > 1;
+
+    filterLogicSection.style.display = hasMultipleFilters ? 'block' : 'none';
+
+    // Update remove button visibility
+    filterRows.forEach((row, index) => {
+      const removeBtn = row.querySelector('.stats-filter-remove-btn');
+      if (removeBtn) {
+        removeBtn.style.visibility = filterRows.length > 1 ? 'visible' : 'hidden';
+      }
+    });
+  }
+
+  /**
+   * Add a new filter row
+   */
+  function addFilterRow() {
+    filterCounter++;
+    const newRow = document.createElement('div');
+    newRow.className = 'stats-filter-row';
+    newRow.dataset.filterId = filterCounter;
+    newRow.innerHTML = `
+      <span class="stats-filter-label">F${filterCounter}</span>
+      <input type="text" class="stats-field-input stats-filter-input" placeholder="e.g., PV1.2 = E">
+      <button type="button" class="stats-filter-remove-btn" title="Remove filter">&#10005;</button>
+    `;
+    statsFiltersList.appendChild(newRow);
+    updateFilterLogicVisibility();
+
+    // Focus the new input
+    newRow.querySelector('input').focus();
+  }
+
+  /**
+   * Remove a filter row
+   */
+  function removeFilterRow(row) {
+    row.remove();
+    updateFilterLogicVisibility();
+  }
+
+  /**
+   * Get all filters and logic settings
+   */
+  function getFiltersConfig() {
+    const filterRows = statsFiltersList.querySelectorAll('.stats-filter-row');
+    const filters = [];
+
+    filterRows.forEach(row => {
+      const input = row.querySelector('input');
+      const label = row.querySelector('.stats-filter-label').textContent;
+      const value = input.value.trim();
+      if (value) {
+        filters.push({ label, expression: value });
+      }
+    });
+
+    if (filters.length === 0) {
+      return null;
+    }
+
+    if (filters.length === 1) {
+      return { filters, logic: 'single', expression: null };
+    }
+
+    const logicMode = document.querySelector('input[name="filterLogic"]:checked').value;
+    let expression = null;
 
     if (logicMode === 'custom') {
       expression = customLogicInput.value.trim();
@@ -598,12 +2904,15 @@
     }
 
     // Check if content is HL7
-    if (!HL7Parser.isHL7Content(currentContent)) {
+    if (currentContentType !== 'hl7') {
       statsResults.innerHTML = '<div class="stats-error">Statistics are only available for HL7 content. The loaded content appears to be JSON.</div>';
       return;
     }
 
-    HL7Stats.runStatistics(currentContent, fieldRef, 'statsResults', filtersConfig);
+    // Messages read from several files are also counted by file
+    const sources = getLoadedSources();
+    HL7Stats.runStatistics(HL7Editor.getTaskInput(), fieldRef, 'statsResults', filtersConfig, hl7VersionSelect.value,
+      sources.length > 0 ? sources : null);
   });
 
   // Allow Enter key to generate statistics
@@ -625,8 +2934,12 @@
   });
 
   // Load saved settings
+  populateVersionSelect();
   loadSettings();
 
+  // Populate the statistics field autocomplete
+  updateFieldSuggestions();
+
   // Initialize page mode
   setPageMode('viewer');
 
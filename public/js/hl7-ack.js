@@ -0,0 +1,215 @@
+// HL7 Viewer - Acknowledgment Module
+// Builds an ACK for each message (HL7Parser.parseIntoMessages): an MSH answering the message's
+// sender, an MSA with the chosen acknowledgment code and the message's control ID, and an optional
+// ERR pointing at a field
+
+const HL7Ack = (function() {
+  'use strict';
+
+  // Acknowledgment codes (table 0008): original mode, then enhanced mode (commit) codes
+  const ACK_CODES = ['AA', 'AE', 'AR', 'CA', 'CE', 'CR'];
+
+  // Defaults for the ERR segment: HL7 error code (table 0357) and severity (table 0516)
+  const DEFAULT_ERROR_CODE = '207';
+  const DEFAULT_SEVERITY = 'E';
+
+  // Longest MSH-10 / MSA-2 control ID
+  const MAX_CONTROL_ID_LENGTH = 20;
+
+  // Prefix of an ACK's own control ID, ahead of the acknowledged message's control ID
+  const ACK_CONTROL_ID_PREFIX = 'ACK';
+
+  /**
+   * Get a field's value from a segment, by field number (MSH.3 is fields[1], since MSH.1 is not listed)
+   */
+  function getField(segment, fieldNum) {
+    const index = segment.segmentId === 'MSH' ? fieldNum - 2 : fieldNum - 1;
+    return segment.fields[index] || '';
+  }
+
+  /**
+   * Check whether a version ID (e.g. 2.3.1) is at least major.minor
+   */
+  function isVersionAtLeast(versionId, major, minor) {
+    const match = /^(\d+)\.(\d+)/.exec((versionId || '').trim());
+    if (!match) return true;
+    const versionMajor = parseInt(match[1], 10);
+    return versionMajor > major || (versionMajor === major && parseInt(match[2], 10) >= minor);
+  }
+
+  /**
+   * Format the current time as an HL7 timestamp (YYYYMMDDHHMMSS)
+   */
+  function formatNow() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return now.getFullYear() + pad(now.getMonth() + 1) + pad(now.getDate()) +
+      pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds());
+  }
+
+  /**
+   * Check the ACK options and parse the error's field reference
+   * Returns the error's reference (or null without an error), with the segment's occurrence
+   * (counted from 1) in occurrence; throws an Error describing a problem
+   */
+  function checkOptions(options) {
+    if (!ACK_CODES.includes(options.code)) {
+      throw new Error(`"${options.code}" is not an acknowledgment code (use ${ACK_CODES.join(', ')}).`);
+    }
+    if (!options.error) return null;
+
+    const reference = HL7Stats.parseFieldReference(options.error.field);
+    if (!reference || reference.validation || reference.repetition === '*') {
+      throw new Error(`"${options.error.field}" is not a field reference for the error (e.g. PID.3 or PID.3.1).`);
+    }
+
+    const occurrence = options.error.occurrence === undefined || options.error.occurrence === ''
+      ? 1
+      : Number(options.error.occurrence);
+    if (!Number.isInteger(occurrence) || occurrence < 1) {
+      throw new Error(`"${options.error.occurrence}" is not a segment occurrence for the error (use 1 for the first ${reference.segment}).`);
+    }
+    reference.occurrence = occurrence;
+    return reference;
+  }
+
+  /**
+   * Build the ERR segment's fields for an error at a field reference. The segment sequence is the
+   * reference's occurrence, so an error in the second OBX points at that OBX. From v2.5 the location is an
+   * ERL in ERR-2, with the code, severity and message in ERR-3, ERR-4 and ERR-8; earlier versions
+   * only have ERR-1 (an ELD: segment, sequence, field and code)
+   */
+  function buildErrorFields(message, reference, error, versionId) {
+    const comp = message.componentSeparator;
+    const subcomp = message.subcomponentSeparator;
+    const errorCode = error.code || DEFAULT_ERROR_CODE;
+    const table = HL7Dictionary.getTable('0357');
+    const errorText = table && table.values[errorCode] ? table.values[errorCode] : '';
+
+    if (!isVersionAtLeast(versionId, 2, 5)) {
+      return [[reference.segment, reference.occurrence, reference.field, [errorCode, errorText, 'HL70357'].join(subcomp)].join(comp)];
+    }
+
+    const location = [reference.segment, reference.occurrence, reference.field];
+    if (reference.repetition || reference.component) location.push(reference.repetition || 1);
+    if (reference.component) location.push(reference.component);
+    if (reference.subcomponent) location.push(reference.subcomponent);
+
+    const fields = ['', location.join(comp), [errorCode, errorText, 'HL70357'].join(comp), error.severity || DEFAULT_SEVERITY];
+    if (error.message) {
+      while (fields.length < 7) fields.push('');
+      fields.push(HL7Escape.encode(error.message, message));
+    }
+    return fields;
+  }
+
+  /**
+   * Build an ACK's control ID from the acknowledged message's control ID. Long IDs keep their end,
+   * which is where sequence numbers and counters change, so IDs sharing a prefix stay apart
+   */
+  function buildAckControlId(controlId) {
+    const room = MAX_CONTROL_ID_LENGTH - ACK_CONTROL_ID_PREFIX.length;
+    return ACK_CONTROL_ID_PREFIX + (controlId.length > room ? controlId.slice(-room) : controlId);
+  }
+
+  /**
+   * Build the ACK for one message: { lines, olderError }, olderError set when its ERR is for a
+   * version before v2.5, which has no place for the error's severity and user message (the user
+   * message goes in MSA-3 instead, unless there is a text message for it)
+   * Messages without an MSH (text before the first message) get no ACK
+   */
+  function buildAck(message, options, reference) {
+    const msh = message.segments[0];
+    if (!msh || msh.segmentId !== 'MSH') return null;
+
+    const fieldSep = message.fieldSeparator;
+    const comp = message.componentSeparator;
+    const versionId = getField(msh, 12);
+    const controlId = getField(msh, 10);
+    const messageType = getField(msh, 9).split(comp);
+
+    // The answer goes back to the sender: sending and receiving application and facility swap places
+    const mshFields = [
+      getField(msh, 2),
+      getField(msh, 5),
+      getField(msh, 6),
+      getField(msh, 3),
+      getField(msh, 4),
+      formatNow(),
+      '',
+      messageType.length > 2 ? ['ACK', messageType[1] || '', 'ACK'].join(comp) : ['ACK', messageType[1] || ''].join(comp),
+      buildAckControlId(controlId),
+      getField(msh, 11),
+      versionId
+    ];
+
+    const olderError = !!reference && !isVersionAtLeast(versionId, 2, 5);
+    const msaText = options.text || (olderError && options.error.message) || '';
+    const msaFields = [options.code, controlId];
+    if (msaText) msaFields.push(HL7Escape.encode(msaText, message));
+
+    const lines = [
+      'MSH' + fieldSep + mshFields.join(fieldSep),
+      'MSA' + fieldSep + msaFields.join(fieldSep)
+    ];
+    if (reference) {
+      const errFields = buildErrorFields(message, reference, options.error, versionId);
+      while (errFields.length > 1 && !errFields[errFields.length - 1]) errFields.pop();
+      lines.push('ERR' + fieldSep + errFields.join(fieldSep));
+    }
+    return { lines: lines, olderError: olderError };
+  }
+
+  /**
+   * Describe what the ERR of messages before v2.5 could not carry, for olderCount such ACKs
+   */
+  function describeOlderErrors(olderCount, options) {
+    const count = olderCount === 1 ? '1 ACK answers a message' : `${olderCount} ACKs answer messages`;
+    let kept;
+    if (!options.error.message) {
+      kept = 'the severity is left out.';
+    } else if (options.text) {
+      kept = 'the severity and the user message are left out (MSA-3 holds the text message).';
+    } else {
+      kept = 'the severity is left out, and the user message is in MSA-3.';
+    }
+    return `${count} from before v2.5, whose ERR only has the location and code (ERR-1): ${kept}`;
+  }
+
+  /**
+   * Build an ACK for each message
+   * options: { code, text, error: { field, occurrence, code, severity, message } or null }
+   * Returns { content, messageCount, notes }; segments end with a carriage return, as HL7 specifies.
+   * notes describe the options some ACKs could not carry (see describeOlderErrors)
+   * Throws an Error for invalid options or when no message has an MSH
+   */
+  function createAcks(messages, options) {
+    const reference = checkOptions(options);
+    const lines = [];
+    let messageCount = 0;
+    let olderCount = 0;
+
+    messages.forEach(message => {
+      const ack = buildAck(message, options, reference);
+      if (!ack) return;
+      ack.lines.forEach(line => lines.push(line + '\r'));
+      messageCount++;
+      if (ack.olderError) olderCount++;
+    });
+
+    if (messageCount === 0) {
+      throw new Error('No messages with an MSH segment to acknowledge.');
+    }
+    const notes = olderCount > 0 ? [describeOlderErrors(olderCount, options)] : [];
+    return { content: lines.join(''), messageCount: messageCount, notes: notes };
+  }
+
+  // Public API
+  return {
+    ACK_CODES: ACK_CODES,
+    DEFAULT_ERROR_CODE: DEFAULT_ERROR_CODE,
+    DEFAULT_SEVERITY: DEFAULT_SEVERITY,
+    createAcks: createAcks
+  };
+
+})();
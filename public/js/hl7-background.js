@@ -0,0 +1,425 @@
+// HL7 Viewer - Background Module
+// Runs the slow work on loaded content - parsing its messages and filtering and counting them for
+// statistics (HL7Stats.extractFieldValueSteps), validating them (HL7Validator.validateMessageListSteps)
+// or searching them (HL7Search.findHitSteps) - in a Web Worker (hl7-worker.js), so the page stays
+// responsive, with progress and cancelling. One task of each kind runs at a time. Tasks get the loaded content and the text of the edited
+// messages (HL7Editor.getTaskInput); the content is sent to the worker once per load, and its message
+// index (HL7Parser.createMessageList) is kept, so later runs don't send or split it again.
+// Browsers that won't start the worker (Chrome on pages opened from file://) get the same steps
+// run on the page instead, in short slices with the page's events handled in between.
+// The same script runs on the page (the client) and in the worker (the task runner)
+
+const HL7Background = (function() {
+  'use strict';
+
+  // Longest a slice of work runs before the thread handles its other events, in ms
+  const SLICE_TIME = 30;
+
+  // localStorage keys of the user definitions (see HL7Dictionary and HL7Profiles); workers can't
+  // read localStorage, so these are passed to the worker when it starts
+  const STORAGE_KEYS = ['hl7viewer_customDictionary', 'hl7viewer_customProfiles'];
+
+  // The worker script, next to this one
+  const WORKER_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('hl7-worker.js', document.currentScript.src).href
+    : 'js/hl7-worker.js';
+
+  // ========================================
+  // TASKS
+  // ========================================
+
+  // The loaded content indexed last ({ content, messageStarts, sources, origins }), and its message list
+  let listedLoad = null;
+  let messageList = null;
+
+  /**
+   * Check whether two task inputs hold the same loaded content
+   */
+  function isSameLoad(a, b) {
+    return !!a && !!b && a.content === b.content && a.messageStarts === b.messageStarts &&
+      a.sources === b.sources && a.origins === b.origins;
+  }
+
+  /**
+   * Get the messages of a task input (see HL7Editor.getTaskInput) as a message list, indexing the
+   * content unless it was indexed last; edited messages are parsed from their text when asked for
+   */
+  function getMessageList(input) {
+    if (!isSameLoad(input, listedLoad)) {
+      messageList = HL7Parser.createMessageList(input.content, input.messageStarts, input.sources, input.origins);
+      listedLoad = input;
+    }
+    if (!input.edits || input.edits.length === 0) return messageList;
+
+    const list = messageList;
+    const raws = new Map(input.edits);
+    const parsed = new Map();
+    return Object.assign({}, list, {
+      get: function(index) {
+        if (!raws.has(index)) return list.get(index);
+        if (!parsed.has(index)) parsed.set(index, HL7Parser.parseIntoMessages(raws.get(index))[0]);
+        return parsed.get(index);
+      },
+      getLength: function(index) {
+        return raws.has(index) ? raws.get(index).length : list.getLength(index);
+      }
+    });
+  }
+
+  /**
+   * Generate statistics (HL7Stats.generateStatistics) for a field and filters of the messages
+   * A generator that yields progress ({ phase, fraction }) and returns the statistics
+   */
+  function* statisticsSteps(messages, fieldRef, filtersConfig, hl7Version, sources) {
+    const phase = fieldRef && fieldRef.trim() ? 'Counting values' : 'Filtering messages';
+    const steps = HL7Stats.extractFieldValueSteps(messages, fieldRef, filtersConfig, hl7Version, sources);
+    return HL7Stats.generateStatistics(yield* withPhase(phase, steps));
+  }
+
+  /**
+   * Yield the progress of steps that yield fractions under a phase name, returning their result
+   */
+  function* withPhase(phase, steps) {
+    let step;
+    while (!(step = steps.next()).done) yield { phase: phase, fraction: step.value };
+    return step.value;
+  }
+
+  /**
+   * Validate the messages (HL7Validator.validateMessageList)
+   */
+  function validationSteps(messages, hl7Version) {
+    return withPhase('Validating messages', HL7Validator.validateMessageListSteps(messages, hl7Version));
+  }
+
+  /**
+   * Find the hits of a search query (HL7Search.findHits) in the messages
+   */
+  function searchSteps(messages, query, decode) {
+    return withPhase('Searching messages', HL7Search.findHitSteps(messages, query, decode));
+  }
+
+  // Tasks by name: each takes the message list and its own arguments
+  const TASKS = {
+    statistics: statisticsSteps,
+    validation: validationSteps,
+    search: searchSteps
+  };
+
+  /**
+   * Run a task's steps in slices of SLICE_TIME, reporting progress (onProgress(phase, fraction))
+   * after each slice
+   * Resolves to the task's result, or to null once isCancelled() returns true; rejects when it throws
+   */
+  function runSliced(steps, onProgress, isCancelled) {
+    return new Promise((resolve, reject) => {
+      function runSlice() {
+        if (isCancelled()) {
+          resolve(null);
+          return;
+        }
+
+        const end = Date.now() + SLICE_TIME;
+        let step;
+        try {
+          do {
+            step = steps.next();
+          } while (!step.done && Date.now() < end);
+        } catch (e) {
+          reject(e);
+          return;
+        }
+
+        if (step.done) {
+          resolve(step.value);
+          return;
+        }
+        onProgress(step.value.phase, step.value.fraction);
+        setTimeout(runSlice, 0);
+      }
+
+      setTimeout(runSlice, 0);
+    });
+  }
+
+  // ========================================
+  // WORKER SIDE
+  // ========================================
+
+  // Loaded content sent by the page ({ content, messageStarts, sources, origins }), and the tasks the
+  // worker is running ({ id, cancelled }) by task name
+  let workerLoad = null;
+  const workerTasks = new Map();
+
+  /**
+   * Handle a message from the page (in the worker):
+   * - { type: 'run', id, task, load, edits, args }: run a task, replacing the one of its kind running; load (the
+   *   content, its chunks as { parts } when it is chunked, and the message starts, files and
+   *   origins it was loaded with) is left out when it is the same as the last run's
+   * - { type: 'cancel', id }: stop a task
+   * Posts { type: 'progress', id, phase, fraction } while running, then { type: 'result', id, result }
+   * or { type: 'error', id, message }; a cancelled task posts nothing more
+   */
+  function handleWorkerMessage(e) {
+    const data = e.data;
+
+    if (data.type === 'cancel') {
+      workerTasks.forEach(task => {
+        if (task.id === data.id) task.cancelled = true;
+      });
+      return;
+    }
+    if (data.type !== 'run') return;
+
+    if (workerTasks.has(data.task)) workerTasks.get(data.task).cancelled = true;
+    const task = { id: data.id, cancelled: false };
+    workerTasks.set(data.task, task);
+    if (data.load !== undefined) {
+      const content = data.load.content;
+      workerLoad = Object.assign({}, data.load, {
+        content: typeof content === 'string' ? content : HL7Parser.createChunkedText(content.parts)
+      });
+    }
+
+    const input = Object.assign({ edits: data.edits }, workerLoad);
+    const steps = TASKS[data.task].apply(null, [getMessageList(input)].concat(data.args));
+    runSliced(steps, (phase, fraction) => {
+      self.postMessage({ type: 'progress', id: task.id, phase: phase, fraction: fraction });
+    }, () => task.cancelled).then(result => {
+      if (!task.cancelled) self.postMessage({ type: 'result', id: task.id, result: result });
+    }, error => {
+      if (!task.cancelled) self.postMessage({ type: 'error', id: task.id, message: error.message });
+    }).then(() => {
+      if (workerTasks.get(data.task) === task) workerTasks.delete(data.task);
+    });
+  }
+
+  // ========================================
+  // PAGE SIDE
+  // ========================================
+
+  // The worker (null until the first task), the user definitions it was started with (JSON), the
+  // task input whose content was last sent to it, and whether it has loaded its scripts
+  let worker = null;
+  let workerStorage = null;
+  let sentLoad = null;
+  let workerReady = false;
+
+  // Set once the worker fails to start: tasks run on the page from then on
+  let workerUnavailable = false;
+
+  // The tasks in progress by task name: { id, task, input, args, onProgress, resolve, reject, inWorker }
+  const currentTasks = new Map();
+  let nextTaskId = 1;
+
+  /**
+   * Read the user definitions the worker needs, as JSON
+   */
+  function getStorageSnapshot() {
+    const storage = {};
+    try {
+      STORAGE_KEYS.forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null) storage[key] = value;
+      });
+    } catch (e) {
+      // Storage not available: the worker starts without user definitions, as the page did
+    }
+    return JSON.stringify(storage);
+  }
+
+  /**
+   * Stop the worker; the next task starts a new one
+   */
+  function stopWorker() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    sentLoad = null;
+    workerReady = false;
+  }
+
+  /**
+   * Get the worker, starting it if needed (again when the user definitions have changed, since its
+   * modules only read them when they load)
+   * Returns null when workers are not available
+   */
+  function getWorker() {
+    if (workerUnavailable || typeof Worker === 'undefined') return null;
+
+    const storage = getStorageSnapshot();
+    if (worker && storage === workerStorage) return worker;
+    stopWorker();
+
+    try {
+      worker = new Worker(WORKER_URL);
+    } catch (e) {
+      workerUnavailable = true;
+      return null;
+    }
+
+    worker.onmessage = handlePageMessage;
+    worker.onerror = handleWorkerError;
+    worker.postMessage({ type: 'init', storage: JSON.parse(storage) });
+    workerStorage = storage;
+    return worker;
+  }
+
+  /**
+   * Handle a message from the worker (on the page)
+   */
+  function handlePageMessage(e) {
+    const data = e.data;
+    if (data.type === 'ready') {
+      workerReady = true;
+      return;
+    }
+
+    const task = Array.from(currentTasks.values()).find(current => current.id === data.id);
+    if (!task) return;
+
+    if (data.type === 'progress') {
+      task.onProgress(data.phase, data.fraction);
+    } else if (data.type === 'result') {
+      currentTasks.delete(task.task);
+      task.resolve(data.result);
+    } else if (data.type === 'error') {
+      currentTasks.delete(task.task);
+      task.reject(new Error(data.message));
+    }
+  }
+
+  /**
+   * Handle an error the worker didn't catch. One before the worker is ready means it couldn't
+   * load (e.g. blocked on a page opened from file://): the tasks in progress move to the page
+   */
+  function handleWorkerError(e) {
+    e.preventDefault();
+    const ready = workerReady;
+    stopWorker();
+    if (!ready) workerUnavailable = true;
+
+    Array.from(currentTasks.values()).filter(task => task.inWorker).forEach(task => {
+      if (!ready) {
+        startTask(task);
+      } else {
+        currentTasks.delete(task.task);
+        task.reject(new Error(e.message || 'The background worker stopped unexpectedly.'));
+      }
+    });
+  }
+
+  /**
+   * Start a task in the worker, or on the page when there is no worker
+   */
+  function startTask(task) {
+    const target = getWorker();
+    task.inWorker = !!target;
+
+    if (target) {
+      const input = task.input;
+      target.postMessage({
+        type: 'run',
+        id: task.id,
+        task: task.task,
+        load: isSameLoad(input, sentLoad) ? undefined : {
+          content: typeof input.content === 'string' ? input.content : { parts: input.content.parts },
+          messageStarts: input.messageStarts,
+          sources: input.sources,
+          origins: input.origins
+        },
+        edits: input.edits,
+        args: task.args
+      });
+      sentLoad = input;
+      return;
+    }
+
+    const steps = TASKS[task.task].apply(null, [getMessageList(task.input)].concat(task.args));
+    const isCurrent = () => currentTasks.get(task.task) === task;
+    runSliced(steps, task.onProgress, () => !isCurrent()).then(result => {
+      if (!isCurrent()) return;
+      currentTasks.delete(task.task);
+      task.resolve(result);
+    }, error => {
+      if (!isCurrent()) return;
+      currentTasks.delete(task.task);
+      task.reject(error);
+    });
+  }
+
+  /**
+   * Run a task on the messages of a task input (see HL7Editor.getTaskInput); a task of the same kind
+   * still in progress is cancelled
+   * Resolves to the task's result, or to null when it is cancelled
+   */
+  function runTask(taskName, input, args, onProgress) {
+    cancel(taskName);
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: nextTaskId++,
+        task: taskName,
+        input: input,
+        args: args,
+        onProgress: onProgress || function() {},
+        resolve: resolve,
+        reject: reject,
+        inWorker: false
+      };
+      currentTasks.set(taskName, task);
+      startTask(task);
+    });
+  }
+
+  /**
+   * Generate statistics for a field of the messages of a task input (see HL7Editor.getTaskInput, and
+   * HL7Stats.extractFieldValues for the other arguments), calling onProgress(phase, fraction) as the
+   * work goes on
+   * Resolves to the statistics (HL7Stats.generateStatistics), or to null when cancelled
+   */
+  function runStatistics(input, fieldRef, filtersConfig, hl7Version, sources, onProgress) {
+    return runTask('statistics', input, [fieldRef, filtersConfig, hl7Version, sources || null], onProgress);
+  }
+
+  /**
+   * Validate the messages of a task input (see HL7Editor.getTaskInput) against an HL7 version,
+   * calling onProgress(phase, fraction) as the work goes on
+   * Resolves to the result of HL7Validator.validateMessageList, or to null when cancelled
+   */
+  function runValidation(input, hl7Version, onProgress) {
+    return runTask('validation', input, [hl7Version], onProgress);
+  }
+
+  /**
+   * Search the messages of a task input (see HL7Editor.getTaskInput) for a query
+   * (HL7Search.parseQuery), calling onProgress(phase, fraction) as the work goes on
+   * Resolves to the result of HL7Search.findHits, or to null when cancelled
+   */
+  function runSearch(input, query, decode, onProgress) {
+    return runTask('search', input, [query, !!decode], onProgress);
+  }
+
+  /**
+   * Cancel the task of a kind ('statistics', 'validation' or 'search') in progress, or every task
+   * without one (they resolve to null)
+   */
+  function cancel(taskName) {
+    const tasks = taskName ? [currentTasks.get(taskName)] : Array.from(currentTasks.values());
+    tasks.filter(task => task).forEach(task => {
+      currentTasks.delete(task.task);
+      if (task.inWorker && worker) worker.postMessage({ type: 'cancel', id: task.id });
+      task.resolve(null);
+    });
+  }
+
+  // Public API
+  return {
+    runStatistics: runStatistics,
+    runValidation: runValidation,
+    runSearch: runSearch,
+    cancel: cancel,
+    handleWorkerMessage: handleWorkerMessage
+  };
+
+})();
@@ -0,0 +1,519 @@
+// HL7 Viewer - De-identification Module
+// Rewrites HL7 content with patient identifiers removed or replaced, following per-field rules
+// (redact, consistent fake value, date shift, hash), and stores named rule profiles
+
+const HL7Deidentify = (function() {
+  'use strict';
+
+  const STORAGE_KEY = 'hl7viewer_deidentifyProfiles';
+
+  // What a rule can do to a value
+  const ACTIONS = {
+    redact: 'Redact',
+    fake: 'Fake value',
+    shift: 'Shift date',
+    hash: 'Hash'
+  };
+
+  // Built-in profile (always available, cannot be overwritten or deleted)
+  const DEFAULT_PROFILE_NAME = 'Default';
+  const DEFAULT_PROFILE = {
+    dateShiftDays: -90,
+    rules: [
+      { field: 'PID.2', action: 'fake' },
+      { field: 'PID.3', action: 'fake' },
+      { field: 'PID.4', action: 'fake' },
+      { field: 'PID.5', action: 'fake' },
+      { field: 'PID.6', action: 'fake' },
+      { field: 'PID.7', action: 'shift' },
+      { field: 'PID.9', action: 'fake' },
+      { field: 'PID.11', action: 'fake' },
+      { field: 'PID.13', action: 'fake' },
+      { field: 'PID.14', action: 'fake' },
+      { field: 'PID.18', action: 'fake' },
+      { field: 'PID.19', action: 'redact' },
+      { field: 'PID.20', action: 'redact' },
+      { field: 'PID.21', action: 'fake' },
+      { field: 'PID.29', action: 'shift' },
+      { field: 'NK1.2', action: 'fake' },
+      { field: 'NK1.4', action: 'fake' },
+      { field: 'NK1.5', action: 'fake' },
+      { field: 'NK1.6', action: 'fake' },
+      { field: 'NK1.16', action: 'shift' },
+      { field: 'NK1.30', action: 'fake' },
+      { field: 'NK1.31', action: 'fake' },
+      { field: 'NK1.32', action: 'fake' },
+      { field: 'NK1.33', action: 'fake' },
+      { field: 'NK1.37', action: 'redact' },
+      { field: 'GT1.2', action: 'fake' },
+      { field: 'GT1.3', action: 'fake' },
+      { field: 'GT1.4', action: 'fake' },
+      { field: 'GT1.5', action: 'fake' },
+      { field: 'GT1.6', action: 'fake' },
+      { field: 'GT1.7', action: 'fake' },
+      { field: 'GT1.8', action: 'shift' },
+      { field: 'GT1.12', action: 'redact' },
+      { field: 'GT1.19', action: 'fake' },
+      { field: 'IN1.16', action: 'fake' },
+      { field: 'IN1.18', action: 'shift' },
+      { field: 'IN1.19', action: 'fake' },
+      { field: 'IN1.36', action: 'hash' },
+      { field: 'IN1.49', action: 'fake' }
+    ]
+  };
+
+  // Word lists for fake names and addresses (also used by the message generator)
+  const FAKE_LAST_NAMES = ['SMITH', 'JONES', 'BROWN', 'TAYLOR', 'MILLER', 'DAVIS', 'CLARK', 'LEWIS', 'WALKER', 'YOUNG'];
+  const FAKE_FIRST_NAMES = ['ALEX', 'JORDAN', 'TAYLOR', 'CASEY', 'MORGAN', 'RILEY', 'JAMIE', 'AVERY', 'QUINN', 'DREW'];
+  const FAKE_STREETS = ['MAIN ST', 'OAK AVE', 'MAPLE DR', 'CEDAR LN', 'ELM ST', 'PINE RD', 'LAKE VIEW DR', 'HILL ST'];
+  const FAKE_CITIES = ['ANYTOWN', 'SPRINGFIELD', 'FAIRVIEW', 'RIVERSIDE', 'GREENVILLE', 'MADISON'];
+
+  // How a data type is faked; types not listed get a generic placeholder
+  const FAKE_KINDS = {
+    XPN: 'name',
+    XCN: 'person',
+    XAD: 'address',
+    XTN: 'phone',
+    CX: 'id',
+    DLN: 'id',
+    EI: 'id'
+  };
+
+  /**
+   * Load the saved profiles from localStorage
+   */
+  function loadProfiles() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Save the profiles to localStorage
+   */
+  function saveProfiles(profiles) {
+    if (Object.keys(profiles).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    }
+  }
+
+  /**
+   * Names of the available profiles, the built-in one first
+   */
+  function getProfileNames() {
+    return [DEFAULT_PROFILE_NAME].concat(Object.keys(loadProfiles()).sort());
+  }
+
+  /**
+   * Get a copy of a profile ({ dateShiftDays, rules: [{ field, action }] }), or null
+   */
+  function getProfile(name) {
+    const profile = name === DEFAULT_PROFILE_NAME ? DEFAULT_PROFILE : loadProfiles()[name];
+    return profile ? JSON.parse(JSON.stringify(profile)) : null;
+  }
+
+  /**
+   * Save a profile under a name, replacing any saved profile with that name
+   */
+  function saveProfile(name, profile) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('The profile needs a name.');
+    }
+    if (trimmedName === DEFAULT_PROFILE_NAME) {
+      throw new Error(`"${DEFAULT_PROFILE_NAME}" is the built-in profile; choose another name.`);
+    }
+    validateProfile(profile);
+
+    const profiles = loadProfiles();
+    profiles[trimmedName] = { dateShiftDays: profile.dateShiftDays, rules: profile.rules };
+    saveProfiles(profiles);
+    return trimmedName;
+  }
+
+  /**
+   * Delete a saved profile
+   */
+  function deleteProfile(name) {
+    const profiles = loadProfiles();
+    delete profiles[name];
+    saveProfiles(profiles);
+  }
+
+  /**
+   * Parse a rule's field reference (SEG.F, SEG.F.C or SEG.F.C.S), or return null if invalid
+   */
+  function parseReference(field) {
+    const match = /^([A-Z][A-Z0-9]{2})\.(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(field || '');
+    if (!match) return null;
+
+    return {
+      segmentId: match[1],
+      fieldNum: parseInt(match[2], 10),
+      compNum: match[3] ? parseInt(match[3], 10) : null,
+      subcompNum: match[4] ? parseInt(match[4], 10) : null
+    };
+  }
+
+  /**
+   * Check that a profile has the expected shape
+   * Throws an Error describing the first problem found
+   */
+  function validateProfile(profile) {
+    if (!profile || !Array.isArray(profile.rules)) {
+      throw new Error('The profile must have a list of rules.');
+    }
+    if (!Number.isInteger(profile.dateShiftDays)) {
+      throw new Error('The date shift must be a whole number of days.');
+    }
+
+    profile.rules.forEach((rule, index) => {
+      const reference = parseReference(rule.field);
+      if (!reference || reference.fieldNum < 1) {
+        throw new Error(`Rule ${index + 1}: "${rule.field}" is not a field reference (e.g. PID.5 or PID.3.1).`);
+      }
+      if (reference.segmentId === 'MSH' && reference.fieldNum <= 2) {
+        throw new Error(`Rule ${index + 1}: MSH.1 and MSH.2 hold the encoding characters and cannot be changed.`);
+      }
+      if (!ACTIONS[rule.action]) {
+        throw new Error(`Rule ${index + 1}: "${rule.action}" is not an action (use ${Object.keys(ACTIONS).join(', ')}).`);
+      }
+    });
+  }
+
+  // Hex digits kept from a hash (64 bits, so different identifiers don't collide in practice)
+  const HASH_LENGTH = 16;
+
+  // Secret key for hashing, made once per page session; without it, a hashed identifier from a
+  // small ID space (MRNs, SSNs) could be found by hashing every candidate
+  let sessionHashKey = null;
+
+  /**
+   * Get the session's HMAC-SHA-256 key, generating it on first use
+   */
+  function getHashKey() {
+    if (!sessionHashKey) {
+      if (typeof crypto === 'undefined' || !crypto.subtle) {
+        return Promise.reject(new Error('Hashing needs the Web Crypto API; open the viewer over https or from localhost.'));
+      }
+      sessionHashKey = crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        .catch(error => {
+          sessionHashKey = null;
+          throw error;
+        });
+    }
+    return sessionHashKey;
+  }
+
+  /**
+   * Keyed hash (HMAC-SHA-256 with the session's key) of each value, as HASH_LENGTH uppercase hex digits
+   * Returns a Map from value to hash
+   */
+  async function hashValues(values) {
+    const key = await getHashKey();
+    const encoder = new TextEncoder();
+    const hashes = new Map();
+    for (const value of values) {
+      const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(value)));
+      const hex = Array.from(signature, byte => byte.toString(16).padStart(2, '0')).join('');
+      hashes.set(value, hex.substring(0, HASH_LENGTH).toUpperCase());
+    }
+    return hashes;
+  }
+
+  /**
+   * Shift the date at the start of a value (YYYYMMDD...) by a number of days, keeping any time
+   * and time zone that follow. Dates with only a year or a month (YYYY, YYYYMM, as DT and DTM
+   * allow) are shifted from the middle of that year or month and keep their precision; other
+   * values are returned unchanged
+   */
+  function shiftDate(value, days) {
+    const full = /^(\d{4})(\d{2})(\d{2})(.*)$/.exec(value);
+    const partial = full ? null : /^(\d{4})(\d{2})?([+-]\d{4})?$/.exec(value);
+    const match = full || partial;
+    if (!match) return value;
+
+    // A partial date stands for its whole year or month: shift its middle day
+    const monthNum = match[2] ? parseInt(match[2], 10) : 7;
+    const dayNum = full ? parseInt(match[3], 10) : (match[2] ? 15 : 2);
+    const date = new Date(Date.UTC(parseInt(match[1], 10), monthNum - 1, dayNum));
+    if (isNaN(date.getTime()) || date.getUTCMonth() !== monthNum - 1) return value;
+
+    date.setUTCDate(date.getUTCDate() + days);
+    const year = String(date.getUTCFullYear()).padStart(4, '0');
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    if (full) return year + month + day + match[4];
+    return (match[2] ? year + month : year) + (match[3] || '');
+  }
+
+  /**
+   * Create the state shared by every message in one run, so the same original value always gets
+   * the same replacement
+   * hashes maps values to their hash; without it, the values to hash are collected in toHash
+   */
+  function createContext(profile, hashes) {
+    return {
+      dateShiftDays: profile.dateShiftDays,
+      hashes: hashes,
+      toHash: new Set(),
+      fakes: new Map(),
+      counters: {},
+      replaced: 0
+    };
+  }
+
+  /**
+   * Get the fake replacement for a value, creating the next one of its kind if it is new
+   * key identifies the original (e.g. the family and given name), make builds the replacement from its number
+   */
+  function getFake(context, kind, key, make) {
+    const mapKey = `${kind}|${key.toUpperCase()}`;
+    if (!context.fakes.has(mapKey)) {
+      const n = context.counters[kind] || 0;
+      context.counters[kind] = n + 1;
+      context.fakes.set(mapKey, make(n));
+    }
+    return context.fakes.get(mapKey);
+  }
+
+  /**
+   * Replace a value with a consistent fake one, shaped by its data type
+   * Components that don't identify anyone (e.g. assigning authority, name type) are kept
+   */
+  function fakeValue(value, dataType, encoding, context) {
+    const components = value.split(encoding.componentSeparator);
+    const kind = FAKE_KINDS[dataType] || 'text';
+    const set = (compNum, text) => {
+      while (components.length < compNum) components.push('');
+      components[compNum - 1] = text;
+    };
+
+    switch (kind) {
+      case 'name':
+      case 'person': {
+        // XPN: family^given^middle...; XCN: ID^family^given^middle...
+        const offset = kind === 'person' ? 1 : 0;
+        const key = components.slice(0, offset + 2).join(encoding.componentSeparator);
+        const fake = getFake(context, 'name', key, n => ({
+          family: FAKE_LAST_NAMES[n % FAKE_LAST_NAMES.length] + (n >= FAKE_LAST_NAMES.length * FAKE_FIRST_NAMES.length ? n : ''),
+          given: FAKE_FIRST_NAMES[Math.floor(n / FAKE_LAST_NAMES.length) % FAKE_FIRST_NAMES.length]
+        }));
+        if (offset && components[0]) set(1, getFake(context, 'id', components[0], n => String(90000001 + n)));
+        if (components[offset]) set(offset + 1, fake.family);
+        if (components[offset + 1]) set(offset + 2, fake.given);
+        if (components[offset + 2]) set(offset + 3, '');
+        break;
+      }
+      case 'address': {
+        // XAD: street^other^city^state^zip...; the state and what follows the zip are kept
+        const key = [components[0], components[2], components[4]].join(encoding.componentSeparator);
+        const fake = getFake(context, 'address', key, n => ({
+          street: `${100 + n * 7} ${FAKE_STREETS[n % FAKE_STREETS.length]}`,
+          city: FAKE_CITIES[n % FAKE_CITIES.length]
+        }));
+        if (components[0]) set(1, fake.street);
+        if (components[1]) set(2, '');
+        if (components[2]) set(3, fake.city);
+        if (components[4]) set(5, '00000');
+        break;
+      }
+      case 'phone': {
+        // XTN: number^use^equipment^email^country^area^local...
+        const key = (components[0] || '') + (components[5] || '') + (components[6] || '') + (components[3] || '');
+        const n = getFake(context, 'phone', key.replace(/[^0-9A-Za-z@.]/g, ''), count => count);
+        // 555-0100 on, moving on to the next exchange (556, 557...) every 9,900 numbers
+        const subscriber = String(5550100 + n);
+        const exchange = subscriber.slice(0, -4);
+        const local = subscriber.slice(-4);
+        if (components[0]) set(1, `(555)${exchange}-${local}`);
+        if (components[3]) set(4, `contact${n + 1}@example.com`);
+        if (components[5]) set(6, '555');
+        if (components[6]) set(7, subscriber);
+        break;
+      }
+      case 'id':
+        // CX, DLN, EI: the identifier is replaced, the rest (assigning authority, type) is kept
+        if (components[0]) set(1, getFake(context, 'id', components[0], n => String(90000001 + n)));
+        break;
+      default:
+        return getFake(context, 'text', value, n => `ANON${n + 1}`);
+    }
+
+    return components.join(encoding.componentSeparator);
+  }
+
+  /**
+   * Apply a rule's action to one value (a field repetition, component or subcomponent)
+   */
+  function applyAction(action, value, dataType, encoding, context) {
+    switch (action) {
+      case 'redact':
+        return '';
+      case 'hash':
+        if (context.hashes) return context.hashes.get(value);
+        context.toHash.add(value);
+        return value;
+      case 'shift': {
+        // For composite date types (e.g. TS) the date is the first component
+        const components = value.split(encoding.componentSeparator);
+        components[0] = shiftDate(components[0], context.dateShiftDays);
+        return components.join(encoding.componentSeparator);
+      }
+      case 'fake':
+        return fakeValue(value, dataType, encoding, context);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Get the data type of the value a reference points to (field, component or subcomponent)
+   */
+  function getReferenceDataType(reference, version) {
+    const fieldDef = HL7Dictionary.getField(reference.segmentId, reference.fieldNum, version);
+    if (!reference.compNum) return fieldDef ? fieldDef.dataType : undefined;
+
+    const info = reference.subcompNum
+      ? HL7Dictionary.getSubcomponentInfo(fieldDef, reference.compNum, reference.subcompNum)
+      : HL7Dictionary.getComponentInfo(fieldDef, reference.compNum);
+    return info ? info.dataType : undefined;
+  }
+
+  /**
+   * Apply a rule to one repetition of a field; empty values and HL7 nulls ("") are left alone
+   */
+  function applyRuleToRepetition(repetition, reference, dataType, encoding, action, context) {
+    const update = (value) => {
+      if (!value || value === '""') return value;
+      const result = applyAction(action, value, dataType, encoding, context);
+      if (result !== value) context.replaced++;
+      return result;
+    };
+
+    if (!reference.compNum) return update(repetition);
+
+    const components = repetition.split(encoding.componentSeparator);
+    if (components.length < reference.compNum) return repetition;
+
+    if (!reference.subcompNum) {
+      components[reference.compNum - 1] = update(components[reference.compNum - 1]);
+    } else {
+      const subcomponents = components[reference.compNum - 1].split(encoding.subcomponentSeparator);
+      if (subcomponents.length >= reference.subcompNum) {
+        subcomponents[reference.subcompNum - 1] = update(subcomponents[reference.subcompNum - 1]);
+        components[reference.compNum - 1] = subcomponents.join(encoding.subcomponentSeparator);
+      }
+    }
+    return components.join(encoding.componentSeparator);
+  }
+
+  /**
+   * Apply the rules to one segment line
+   */
+  function deidentifySegment(line, segmentId, rules, encoding, version, context) {
+    const parts = line.split(encoding.fieldSeparator);
+    // MSH.1 is the field separator itself, so MSH field N is part N - 1
+    const offset = segmentId === 'MSH' ? 1 : 0;
+
+    rules.forEach(rule => {
+      const reference = rule.reference;
+      if (reference.segmentId !== segmentId) return;
+
+      const index = reference.fieldNum - offset;
+      if (index >= parts.length || !parts[index]) return;
+
+      const dataType = getReferenceDataType(reference, version);
+      parts[index] = parts[index]
+        .split(encoding.repetitionSeparator)
+        .map(repetition => applyRuleToRepetition(repetition, reference, dataType, encoding, rule.action, context))
+        .join(encoding.repetitionSeparator);
+    });
+
+    return parts.join(encoding.fieldSeparator);
+  }
+
+  /**
+   * Apply the rules to every segment line of the content, with the run's context
+   * Returns { content, context, messageCount }
+   */
+  function rewriteContent(content, rules, context, hl7Version) {
+    const encoding = Object.assign({}, HL7Escape.DEFAULT_ENCODING);
+    let version = HL7Dictionary.resolveVersion('', hl7Version);
+    let messageCount = 0;
+
+    // Keep each line's terminator so the output has the same line endings
+    const lines = HL7Parser.splitSegmentLines(content);
+    const pieces = lines.map(line => line.raw);
+    lines.forEach((segmentLine, i) => {
+      const line = segmentLine.text;
+      const leading = line.match(/^\s*/)[0];
+      const text = line.substring(leading.length);
+      const segmentId = text.substring(0, 3);
+
+      if (segmentId === 'MSH' && text.length > 3) {
+        encoding.fieldSeparator = text[3];
+        const encodingChars = text.substring(4, 8);
+        encoding.componentSeparator = encodingChars[0] || '^';
+        encoding.repetitionSeparator = encodingChars[1] || '~';
+        encoding.escapeCharacter = encodingChars[2] || '\\';
+        encoding.subcomponentSeparator = encodingChars[3] || '&';
+
+        const mshFields = text.split(encoding.fieldSeparator).slice(1);
+        version = HL7Dictionary.resolveVersion(HL7Parser.getMessageVersionId(mshFields, encoding.componentSeparator), hl7Version);
+        messageCount++;
+      } else if (!/^[A-Z0-9]{3}/.test(text) || text[3] !== encoding.fieldSeparator) {
+        return;
+      }
+
+      pieces[i] = leading + deidentifySegment(text, segmentId, rules, encoding, version, context);
+    });
+
+    const output = pieces.map((piece, i) => piece + lines[i].terminator).join('');
+    return { content: output, context: context, messageCount: messageCount };
+  }
+
+  /**
+   * De-identify HL7 content with a profile ({ dateShiftDays, rules })
+   * Lines that are not segments, and the line endings, are kept as they are; replacements are
+   * consistent across all messages in the content. Wrapped segment lines are joined back up (see
+   * HL7Parser.splitSegmentLines), so the fields on their later lines are de-identified too
+   * hl7Version overrides the definition set (used for data types) chosen from MSH-12
+   * Hashed values are collected in a first pass and hashed together (Web Crypto is asynchronous)
+   * Resolves to { content, replaced, messageCount }
+   */
+  async function deidentify(content, profile, hl7Version) {
+    validateProfile(profile);
+
+    const rules = profile.rules.map(rule => ({ reference: parseReference(rule.field), action: rule.action }));
+    let hashes = null;
+    if (rules.some(rule => rule.action === 'hash')) {
+      const collected = rewriteContent(content, rules, createContext(profile, null), hl7Version).context;
+      hashes = await hashValues(collected.toHash);
+    }
+    const result = rewriteContent(content, rules, createContext(profile, hashes), hl7Version);
+    return { content: result.content, replaced: result.context.replaced, messageCount: result.messageCount };
+  }
+
+  // Public API
+  return {
+    ACTIONS: ACTIONS,
+    DEFAULT_PROFILE_NAME: DEFAULT_PROFILE_NAME,
+    FAKE_LAST_NAMES: FAKE_LAST_NAMES,
+    FAKE_FIRST_NAMES: FAKE_FIRST_NAMES,
+    FAKE_STREETS: FAKE_STREETS,
+    FAKE_CITIES: FAKE_CITIES,
+    getProfileNames: getProfileNames,
+    getProfile: getProfile,
+    saveProfile: saveProfile,
+    deleteProfile: deleteProfile,
+    validateProfile: validateProfile,
+    deidentify: deidentify
+  };
+
+})();
@@ -0,0 +1,406 @@
+// HL7 Viewer - Segment Dictionary Module
+// Builds the definitions for each HL7 version (HL7_VERSIONS over HL7_SEGMENTS) and layers
+// user-supplied segment definitions (stored in localStorage) over them
+
+const HL7Dictionary = (function() {
+  'use strict';
+
+  const STORAGE_KEY = 'hl7viewer_customDictionary';
+
+  // User definitions, in the same shape as HL7_SEGMENTS
+  let customDictionary = loadCustomDictionary();
+
+  // Built-in definitions with the user definitions applied, by version (rebuilt whenever they change)
+  let mergedDictionaries = {};
+
+  /**
+   * Load the user dictionary from localStorage
+   */
+  function loadCustomDictionary() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Save the user dictionary to localStorage
+   */
+  function saveCustomDictionary() {
+    if (Object.keys(customDictionary).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(customDictionary));
+    }
+  }
+
+  /**
+   * Merge one segment definition over another
+   * Segment and field names are replaced; fields and components are merged by number,
+   * and a field set to null is removed
+   */
+  function mergeSegment(base, override) {
+    const merged = {
+      name: override.name || (base && base.name) || '',
+      fields: {}
+    };
+
+    const baseFields = (base && base.fields) || {};
+    const overrideFields = override.fields || {};
+
+    for (const fieldNum of Object.keys(baseFields)) {
+      merged.fields[fieldNum] = baseFields[fieldNum];
+    }
+
+    for (const fieldNum of Object.keys(overrideFields)) {
+      const baseField = merged.fields[fieldNum];
+      const overrideField = overrideFields[fieldNum];
+      if (overrideField === null) {
+        delete merged.fields[fieldNum];
+        continue;
+      }
+      const field = Object.assign({}, baseField, overrideField);
+
+      if (baseField && baseField.components && overrideField.components) {
+        field.components = Object.assign({}, baseField.components, overrideField.components);
+      }
+      merged.fields[fieldNum] = field;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Apply a set of segment definitions over a dictionary, returning a new dictionary
+   */
+  function applyDefinitions(dictionary, definitions) {
+    const merged = Object.assign({}, dictionary);
+    for (const segmentId of Object.keys(definitions)) {
+      merged[segmentId] = mergeSegment(dictionary[segmentId], definitions[segmentId]);
+    }
+    return merged;
+  }
+
+  /**
+   * Build the built-in definitions for a version by applying its chain of version deltas
+   */
+  function buildVersionDictionary(version) {
+    const versionInfo = HL7_VERSIONS[version];
+    if (!versionInfo) return HL7_SEGMENTS;
+
+    const base = versionInfo.basedOn ? buildVersionDictionary(versionInfo.basedOn) : HL7_SEGMENTS;
+    return applyDefinitions(base, versionInfo.segments || {});
+  }
+
+  /**
+   * Get the merged dictionary (version definitions plus user definitions) for a version
+   */
+  function getMergedDictionary(version) {
+    const key = HL7_VERSIONS[version] ? version : HL7_DEFAULT_VERSION;
+    if (!mergedDictionaries[key]) {
+      mergedDictionaries[key] = applyDefinitions(buildVersionDictionary(key), customDictionary);
+    }
+    return mergedDictionaries[key];
+  }
+
+  /**
+   * Choose the definition set for a message
+   * override is a version from getVersions() (or 'auto'/empty to use MSH-12);
+   * versionId is the message's MSH-12 Version ID. Falls back to HL7_DEFAULT_VERSION.
+   */
+  function resolveVersion(versionId, override) {
+    if (override && override !== 'auto' && HL7_VERSIONS[override]) {
+      return override;
+    }
+
+    const match = (versionId || '').trim().match(/^\d+(?:\.\d+)*/);
+    if (match) {
+      const parts = match[0].split('.');
+      // Try the full version first, then its major.minor (e.g. 2.5.2 -> 2.5)
+      const candidates = [match[0], parts.slice(0, 2).join('.')];
+      for (const candidate of candidates) {
+        for (const version of Object.keys(HL7_VERSIONS)) {
+          if (HL7_VERSIONS[version].versions.includes(candidate)) {
+            return version;
+          }
+        }
+      }
+    }
+
+    return HL7_DEFAULT_VERSION;
+  }
+
+  /**
+   * Describe the definition set used for a message, for its version label and tooltip
+   * Returns { version, substituted, label, title }: substituted is true when the set stands in for
+   * a different MSH-12 version (e.g. v2.6 messages use v2.5.1 definitions), and the label then
+   * names both (e.g. "2.6 → v2.5.1")
+   */
+  function describeVersion(versionId, override) {
+    const version = resolveVersion(versionId, override);
+    const shown = (versionId || '').trim() || 'empty';
+    const match = (versionId || '').trim().match(/^\d+(?:\.\d+)*/);
+    const messageVersion = match ? match[0] : '';
+    const result = { version: version, substituted: false, label: `v${version}` };
+
+    if (override && override !== 'auto' && HL7_VERSIONS[override]) {
+      result.title = `HL7 v${version} definitions (selected manually; MSH-12 is ${shown})`;
+    } else if (!messageVersion) {
+      result.title = `HL7 v${version} definitions (the default; MSH-12 is ${shown})`;
+    } else if (messageVersion === version) {
+      result.title = `HL7 v${version} definitions (from MSH-12: ${shown})`;
+    } else {
+      result.substituted = true;
+      result.label = `${messageVersion} → v${version}`;
+      result.title = `HL7 v${version} definitions: there are none for v${messageVersion} (MSH-12), so fields that differ in v${messageVersion} may be named or checked as in v${version}`;
+    }
+    return result;
+  }
+
+  /**
+   * List the MSH-12 versions a definition set is used for
+   */
+  function getVersionCoverage(version) {
+    return HL7_VERSIONS[version] ? HL7_VERSIONS[version].versions.slice() : [];
+  }
+
+  /**
+   * List the available definition sets
+   */
+  function getVersions() {
+    return Object.keys(HL7_VERSIONS);
+  }
+
+  /**
+   * Get a built-in field definition, or undefined
+   */
+  function getBuiltInField(segmentId, fieldNum) {
+    const segment = HL7_SEGMENTS[segmentId];
+    return segment && segment.fields ? segment.fields[fieldNum] : undefined;
+  }
+
+  /**
+   * Check that a parsed JSON dictionary has the HL7_SEGMENTS shape
+   * Throws an Error describing the first problem found
+   */
+  function validateDictionary(dictionary) {
+    if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+      throw new Error('The dictionary must be a JSON object keyed by segment ID (e.g. { "ZPV": { ... } }).');
+    }
+
+    for (const segmentId of Object.keys(dictionary)) {
+      const segment = dictionary[segmentId];
+
+      if (!/^[A-Z0-9]{3}$/.test(segmentId)) {
+        throw new Error(`"${segmentId}" is not a valid segment ID (expected 3 uppercase letters or digits).`);
+      }
+      if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+        throw new Error(`${segmentId}: the definition must be an object.`);
+      }
+      if (segment.name !== undefined && typeof segment.name !== 'string') {
+        throw new Error(`${segmentId}: "name" must be a string.`);
+      }
+      if (segment.fields === undefined) continue;
+      if (!segment.fields || typeof segment.fields !== 'object' || Array.isArray(segment.fields)) {
+        throw new Error(`${segmentId}: "fields" must be an object keyed by field number.`);
+      }
+
+      for (const fieldNum of Object.keys(segment.fields)) {
+        const field = segment.fields[fieldNum];
+        const fieldRef = `${segmentId}.${fieldNum}`;
+
+        if (!/^\d+$/.test(fieldNum)) {
+          throw new Error(`${fieldRef}: field keys must be numbers.`);
+        }
+        if (!field || typeof field !== 'object' || Array.isArray(field)) {
+          throw new Error(`${fieldRef}: the definition must be an object.`);
+        }
+        // A name is only optional when overriding part of a built-in field
+        if (field.name === undefined ? !getBuiltInField(segmentId, fieldNum) : typeof field.name !== 'string') {
+          throw new Error(`${fieldRef}: each field needs a "name" string.`);
+        }
+        if (field.dataType !== undefined && typeof field.dataType !== 'string') {
+          throw new Error(`${fieldRef}: "dataType" must be a string (e.g. "CX").`);
+        }
+        if (field.required !== undefined && typeof field.required !== 'boolean') {
+          throw new Error(`${fieldRef}: "required" must be true or false.`);
+        }
+        if (field.maxLength !== undefined && !(Number.isInteger(field.maxLength) && field.maxLength > 0)) {
+          throw new Error(`${fieldRef}: "maxLength" must be a positive whole number.`);
+        }
+        if (field.table !== undefined && typeof field.table !== 'string') {
+          throw new Error(`${fieldRef}: "table" must be a string (e.g. "0001").`);
+        }
+        if (field.components === undefined) continue;
+        if (!field.components || typeof field.components !== 'object' || Array.isArray(field.components)) {
+          throw new Error(`${fieldRef}: "components" must be an object keyed by component number.`);
+        }
+        for (const compNum of Object.keys(field.components)) {
+          if (!/^\d+$/.test(compNum) || typeof field.components[compNum] !== 'string') {
+            throw new Error(`${fieldRef}.${compNum}: component names must be strings keyed by number.`);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Import a JSON dictionary (text) and layer it over the current user definitions
+   * Returns the IDs of the segments it defined
+   */
+  function importDictionary(jsonText) {
+    let dictionary;
+    try {
+      dictionary = JSON.parse(jsonText);
+    } catch (e) {
+      throw new Error('The file is not valid JSON: ' + e.message);
+    }
+
+    validateDictionary(dictionary);
+
+    for (const segmentId of Object.keys(dictionary)) {
+      const existing = customDictionary[segmentId];
+      customDictionary[segmentId] = existing ? mergeSegment(existing, dictionary[segmentId]) : dictionary[segmentId];
+    }
+
+    saveCustomDictionary();
+    mergedDictionaries = {};
+    return Object.keys(dictionary);
+  }
+
+  /**
+   * Remove all user definitions
+   */
+  function clearCustomDictionary() {
+    customDictionary = {};
+    saveCustomDictionary();
+    mergedDictionaries = {};
+  }
+
+  /**
+   * Get the definition for a segment in a version (user definitions applied), or undefined
+   * version defaults to HL7_DEFAULT_VERSION
+   */
+  function getSegment(segmentId, version) {
+    return getMergedDictionary(version)[segmentId];
+  }
+
+  /**
+   * Get the definition for a field in a version, or undefined
+   */
+  function getField(segmentId, fieldNum, version) {
+    const segment = getMergedDictionary(version)[segmentId];
+    return segment && segment.fields ? segment.fields[fieldNum] : undefined;
+  }
+
+  /**
+   * Check whether a segment ID has a definition
+   */
+  function hasSegment(segmentId) {
+    return Object.prototype.hasOwnProperty.call(getMergedDictionary(), segmentId);
+  }
+
+  /**
+   * Get a data type definition (e.g. 'CX') from HL7_DATA_TYPES, or undefined
+   */
+  function getDataType(code) {
+    return code ? HL7_DATA_TYPES[code] : undefined;
+  }
+
+  /**
+   * Get an HL7 table (e.g. '0001') from HL7_TABLES, or undefined
+   */
+  function getTable(code) {
+    return code ? HL7_TABLES[code] : undefined;
+  }
+
+  /**
+   * Get the name and data type of a field's component, or null if it has neither
+   * The field's own component names win over the names from its data type
+   */
+  function getComponentInfo(fieldDef, compNum) {
+    if (!fieldDef) return null;
+
+    const dataType = getDataType(fieldDef.dataType);
+    const typeComponent = dataType && dataType.components ? dataType.components[compNum] : null;
+    const name = (fieldDef.components && fieldDef.components[compNum]) || (typeComponent && typeComponent.name);
+    if (!name) return null;
+
+    return { name: name, dataType: typeComponent ? typeComponent.dataType : undefined };
+  }
+
+  /**
+   * Get the name and data type of a subcomponent (from its component's data type), or null
+   */
+  function getSubcomponentInfo(fieldDef, compNum, subcompNum) {
+    const component = getComponentInfo(fieldDef, compNum);
+    const dataType = component ? getDataType(component.dataType) : undefined;
+    const subcomponent = dataType && dataType.components ? dataType.components[subcompNum] : null;
+    return subcomponent ? { name: subcomponent.name, dataType: subcomponent.dataType } : null;
+  }
+
+  /**
+   * IDs of the segments that have user definitions
+   */
+  function getCustomSegmentIds() {
+    return Object.keys(customDictionary);
+  }
+
+  /**
+   * Serialize the user definitions as JSON (importable by importDictionary). The built-in
+   * definitions are left out: imported, they would be applied over every version's set
+   */
+  function exportDictionary() {
+    return JSON.stringify(customDictionary, null, 2);
+  }
+
+  /**
+   * List field and component references with their names, for autocomplete
+   * e.g. { ref: 'PID.5', name: 'Patient Name' }, { ref: 'PID.5.1', name: 'Patient Name > Family Name' }
+   */
+  function getFieldReferences(version) {
+    const dictionary = getMergedDictionary(version);
+    const references = [];
+    for (const segmentId of Object.keys(dictionary)) {
+      const fields = dictionary[segmentId].fields || {};
+      const fieldNums = Object.keys(fields).map(Number).sort((a, b) => a - b);
+
+      for (const fieldNum of fieldNums) {
+        const field = fields[fieldNum];
+        references.push({ ref: `${segmentId}.${fieldNum}`, name: field.name });
+
+        const dataType = getDataType(field.dataType);
+        const compNumbers = Object.keys(Object.assign({}, dataType && dataType.components, field.components));
+        const compNums = compNumbers.map(Number).sort((a, b) => a - b);
+        for (const compNum of compNums) {
+          const component = getComponentInfo(field, compNum);
+          references.push({ ref: `${segmentId}.${fieldNum}.${compNum}`, name: `${field.name} > ${component.name}` });
+        }
+      }
+    }
+    return references;
+  }
+
+  // Public API
+  return {
+    getSegment: getSegment,
+    getField: getField,
+    hasSegment: hasSegment,
+    resolveVersion: resolveVersion,
+    describeVersion: describeVersion,
+    getVersionCoverage: getVersionCoverage,
+    getVersions: getVersions,
+    getCustomSegmentIds: getCustomSegmentIds,
+    getFieldReferences: getFieldReferences,
+    getDataType: getDataType,
+    getTable: getTable,
+    getComponentInfo: getComponentInfo,
+    getSubcomponentInfo: getSubcomponentInfo,
+    importDictionary: importDictionary,
+    exportDictionary: exportDictionary,
+    clearCustomDictionary: clearCustomDictionary
+  };
+
+})();
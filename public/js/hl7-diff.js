@@ -0,0 +1,636 @@
+// HL7 Viewer - Message Diff Module
+// Compares two parsed messages (HL7Parser.parseIntoMessages) segment by segment and field by field,
+// and renders the comparison side by side. Whole files can be compared too, pairing their messages
+// by a key field (MSH-10 by default)
+
+const HL7Diff = (function() {
+  'use strict';
+
+  // Fields that change on every send, ignored by default
+  const DEFAULT_IGNORED_FIELDS = ['MSH.7', 'MSH.10'];
+
+  // Field(s) messages of two files are paired by
+  const DEFAULT_MATCH_KEY = 'MSH.10';
+
+  /**
+   * Parse a list of field references to ignore, e.g. "MSH.7, MSH-10" (invalid entries are skipped)
+   * Returns a Set of references in SEG.F form
+   */
+  function parseIgnoredFields(text) {
+    const fields = new Set();
+    (text || '').split(/[\s,;]+/).forEach(item => {
+      const match = /^([A-Za-z][A-Za-z0-9]{2})[.-](\d+)$/.exec(item.trim());
+      if (match) fields.add(`${match[1].toUpperCase()}.${parseInt(match[2], 10)}`);
+    });
+    return fields;
+  }
+
+  /**
+   * Get a segment's field values indexed by field number - 1 (MSH.1 is the field separator)
+   */
+  function getFieldValues(segment) {
+    return segment.segmentId === 'MSH' ? [segment.fieldSeparator].concat(segment.fields) : segment.fields;
+  }
+
+  /**
+   * Label each segment with its ID and occurrence, e.g. OBX#2 for the second OBX
+   */
+  function getSegmentKeys(segments) {
+    const occurrences = {};
+    return segments.map(segment => {
+      occurrences[segment.segmentId] = (occurrences[segment.segmentId] || 0) + 1;
+      return `${segment.segmentId}#${occurrences[segment.segmentId]}`;
+    });
+  }
+
+  /**
+   * Pair up the segments of two messages by ID and occurrence, keeping their order
+   * (longest common subsequence of the segment keys)
+   * Returns rows of { left, right, occurrence }; left or right is null for an unpaired segment
+   */
+  function alignSegments(leftSegments, rightSegments) {
+    const leftKeys = getSegmentKeys(leftSegments);
+    const rightKeys = getSegmentKeys(rightSegments);
+    const n = leftKeys.length;
+    const m = rightKeys.length;
+
+    // lengths[i][j] = length of the common subsequence of leftKeys[i..] and rightKeys[j..]
+    const lengths = [];
+    for (let i = n; i >= 0; i--) {
+      lengths[i] = new Array(m + 1).fill(0);
+      if (i === n) continue;
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = leftKeys[i] === rightKeys[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const rows = [];
+    const occurrence = key => parseInt(key.split('#')[1], 10);
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && leftKeys[i] === rightKeys[j]) {
+        rows.push({ left: leftSegments[i], right: rightSegments[j], occurrence: occurrence(leftKeys[i]) });
+        i++;
+        j++;
+      } else if (j >= m || (i < n && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        rows.push({ left: leftSegments[i], right: null, occurrence: occurrence(leftKeys[i]) });
+        i++;
+      } else {
+        rows.push({ left: null, right: rightSegments[j], occurrence: occurrence(rightKeys[j]) });
+        j++;
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Classify the difference between two values: 'same', 'added', 'removed' or 'changed'
+   */
+  function getStatus(leftValue, rightValue) {
+    if (leftValue === rightValue) return 'same';
+    if (!leftValue) return 'added';
+    if (!rightValue) return 'removed';
+    return 'changed';
+  }
+
+  /**
+   * Compare the components of two values (split with each side's own separator)
+   * Returns the components that differ: [{ compNum, status }]
+   */
+  function diffComponents(leftValue, rightValue, leftSep, rightSep) {
+    const left = leftValue.split(leftSep);
+    const right = rightValue.split(rightSep);
+    const components = [];
+    for (let c = 0; c < Math.max(left.length, right.length); c++) {
+      const status = getStatus(left[c] || '', right[c] || '');
+      if (status !== 'same') components.push({ compNum: c + 1, status: status });
+    }
+    return components;
+  }
+
+  /**
+   * Compare one field of two paired segments
+   * Returns { fieldNum, status, left, right, repetitions: [{ repNum, status, components }] } or
+   * null when the values are the same; status is 'ignored' for differences in ignored fields
+   */
+  function diffField(fieldNum, leftSegment, rightSegment, ignoredFields) {
+    const leftValue = getFieldValues(leftSegment)[fieldNum - 1] || '';
+    const rightValue = getFieldValues(rightSegment)[fieldNum - 1] || '';
+    const status = getStatus(leftValue, rightValue);
+    if (status === 'same') return null;
+
+    const diff = { fieldNum: fieldNum, status: status, left: leftValue, right: rightValue, repetitions: [] };
+    if (ignoredFields.has(`${leftSegment.segmentId}.${fieldNum}`)) {
+      diff.status = 'ignored';
+      return diff;
+    }
+
+    // MSH.1 and MSH.2 are the delimiters themselves and are not split
+    if (status === 'changed' && !(leftSegment.segmentId === 'MSH' && fieldNum <= 2)) {
+      const leftReps = leftValue.split(leftSegment.repetitionSeparator);
+      const rightReps = rightValue.split(rightSegment.repetitionSeparator);
+      for (let r = 0; r < Math.max(leftReps.length, rightReps.length); r++) {
+        const repStatus = getStatus(leftReps[r] || '', rightReps[r] || '');
+        if (repStatus === 'same') continue;
+        diff.repetitions.push({
+          repNum: r + 1,
+          status: repStatus,
+          components: repStatus === 'changed'
+            ? diffComponents(leftReps[r], rightReps[r], leftSegment.componentSeparator, rightSegment.componentSeparator)
+            : []
+        });
+      }
+    }
+    return diff;
+  }
+
+  /**
+   * Compare two messages (from HL7Parser.parseIntoMessages)
+   * ignoredFields is a Set of field references (see parseIgnoredFields) whose differences don't count
+   * Returns { rows: [{ segmentId, occurrence, status, left, right, fields }], counts: { added, removed,
+   * changed, fields } } where a row's status is 'same', 'added', 'removed' or 'changed' and fields lists
+   * the differing fields of a paired segment (see diffField)
+   */
+  function compareMessages(leftMessage, rightMessage, ignoredFields) {
+    const ignored = ignoredFields || new Set();
+    const counts = { added: 0, removed: 0, changed: 0, fields: 0 };
+
+    const rows = alignSegments(leftMessage.segments, rightMessage.segments).map(pair => {
+      const segment = pair.left || pair.right;
+      const row = { segmentId: segment.segmentId, occurrence: pair.occurrence, status: 'same', left: pair.left, right: pair.right, fields: [] };
+
+      if (!pair.left || !pair.right) {
+        row.status = pair.left ? 'removed' : 'added';
+      } else {
+        const fieldCount = Math.max(getFieldValues(pair.left).length, getFieldValues(pair.right).length);
+        for (let fieldNum = 1; fieldNum <= fieldCount; fieldNum++) {
+          const diff = diffField(fieldNum, pair.left, pair.right, ignored);
+          if (diff) row.fields.push(diff);
+        }
+        const changedFields = row.fields.filter(field => field.status !== 'ignored').length;
+        if (changedFields > 0) row.status = 'changed';
+        counts.fields += changedFields;
+      }
+
+      if (row.status !== 'same') counts[row.status]++;
+      return row;
+    });
+
+    return { rows: rows, counts: counts };
+  }
+
+  /**
+   * Summarize a comparison, e.g. "2 segments changed (3 fields), 1 added"
+   */
+  function formatSummary(result) {
+    const counts = result.counts;
+    if (!counts.added && !counts.removed && !counts.changed) return 'No differences';
+
+    const parts = [];
+    if (counts.changed) {
+      parts.push(`${counts.changed} segment${counts.changed === 1 ? '' : 's'} changed (${counts.fields} field${counts.fields === 1 ? '' : 's'})`);
+    }
+    if (counts.added) parts.push(`${counts.added} added`);
+    if (counts.removed) parts.push(`${counts.removed} removed`);
+    return parts.join(', ');
+  }
+
+  // ========================================
+  // BULK COMPARISON
+  // ========================================
+
+  /**
+   * Parse the field(s) to pair messages by, e.g. "MSH.10" or "PID.3 + MSH.7"
+   * Returns { refs, label } with parsed field references (see HL7Stats.parseFieldReference), or { error }
+   */
+  function parseMatchKey(text) {
+    const parts = (text || '').split('+').map(part => part.trim()).filter(part => part);
+    if (parts.length === 0) {
+      return { error: 'Enter the field to pair messages by, e.g. MSH.10 or PID.3 + MSH.7' };
+    }
+
+    const refs = [];
+    for (const part of parts) {
+      const ref = HL7Stats.parseFieldReference(part);
+      if (!ref || ref.validation) {
+        return { error: `Invalid match field "${part}". Use format like MSH.10, PID.3.1, or PID.3 + MSH.7` };
+      }
+      refs.push(ref);
+    }
+    return { refs: refs, label: parts.map(part => part.toUpperCase()).join(' + ') };
+  }
+
+  /**
+   * Get a message's key values joined with " + " ('' when every key field is empty)
+   */
+  function getMessageKey(message, refs) {
+    const values = refs.map(ref => HL7Stats.getMessageFieldValue(message, ref));
+    return values.some(value => value !== '') ? values.join(' + ') : '';
+  }
+
+  /**
+   * List the differences of a comparison (from compareMessages) as field references, e.g. PID.5,
+   * plus "SEG (segment added/removed)" for whole segments. Each is listed once
+   */
+  function getDifferenceFields(result) {
+    const fields = new Set();
+    result.rows.forEach(row => {
+      if (row.status === 'added' || row.status === 'removed') {
+        fields.add(`${row.segmentId} (segment ${row.status})`);
+        return;
+      }
+      row.fields.forEach(field => {
+        if (field.status !== 'ignored') fields.add(`${row.segmentId}.${field.fieldNum}`);
+      });
+    });
+    return Array.from(fields);
+  }
+
+  /**
+   * Compare every message of two HL7 files, pairing them by key field(s). Messages with the same key
+   * are paired in order; messages without a key value are never paired
+   * Returns { matchKey, leftMessages, rightMessages, pairs: [{ key, leftIndex, rightIndex, result,
+   * differences }], unmatchedLeft: [{ key, index }], unmatchedRight, fieldCounts: [{ field, count }],
+   * differingPairs }, or { error } for an invalid key
+   */
+  function compareBatches(leftContent, rightContent, matchKey, ignoredFields) {
+    const key = parseMatchKey(matchKey);
+    if (key.error) return { error: key.error };
+
+    const leftMessages = HL7Stats.parseMessagesForFiltering(leftContent);
+    const rightMessages = HL7Stats.parseMessagesForFiltering(rightContent);
+
+    // Right-hand message indexes by key, in file order
+    const rightByKey = new Map();
+    const rightKeys = rightMessages.map((message, index) => {
+      const messageKey = getMessageKey(message, key.refs);
+      if (messageKey) {
+        if (!rightByKey.has(messageKey)) rightByKey.set(messageKey, []);
+        rightByKey.get(messageKey).push(index);
+      }
+      return messageKey;
+    });
+
+    const pairs = [];
+    const unmatchedLeft = [];
+    const paired = new Set();
+    const fieldCounts = new Map();
+
+    leftMessages.forEach((message, index) => {
+      const messageKey = getMessageKey(message, key.refs);
+      const candidates = messageKey ? rightByKey.get(messageKey) : null;
+      if (!candidates || candidates.length === 0) {
+        unmatchedLeft.push({ key: messageKey, index: index });
+        return;
+      }
+
+      const rightIndex = candidates.shift();
+      paired.add(rightIndex);
+      const result = compareMessages(message, rightMessages[rightIndex], ignoredFields);
+      const differences = getDifferenceFields(result);
+      differences.forEach(field => fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1));
+      pairs.push({ key: messageKey, leftIndex: index, rightIndex: rightIndex, result: result, differences: differences });
+    });
+
+    const unmatchedRight = [];
+    rightKeys.forEach((messageKey, index) => {
+      if (!paired.has(index)) unmatchedRight.push({ key: messageKey, index: index });
+    });
+
+    return {
+      matchKey: key.label,
+      leftMessages: leftMessages,
+      rightMessages: rightMessages,
+      pairs: pairs,
+      unmatchedLeft: unmatchedLeft,
+      unmatchedRight: unmatchedRight,
+      fieldCounts: Array.from(fieldCounts, ([field, count]) => ({ field: field, count: count }))
+        .sort((a, b) => b.count - a.count || a.field.localeCompare(b.field)),
+      differingPairs: pairs.filter(pair => pair.differences.length > 0).length
+    };
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  /**
+   * Get the definition set for a message's segments (from its MSH-12, unless overridden)
+   */
+  function getMessageVersion(segments, hl7Version) {
+    const msh = segments.find(s => s.segmentId === 'MSH');
+    const versionId = msh ? HL7Parser.getMessageVersionId(msh.fields, msh.componentSeparator) : '';
+    return HL7Dictionary.resolveVersion(versionId, hl7Version);
+  }
+
+  /**
+   * Mark an element with a difference class
+   */
+  function markElement(element, status) {
+    if (element) element.classList.add(`hl7-diff-${status}`);
+  }
+
+  /**
+   * Highlight a segment line's differences on one side ('left' or 'right'): added values are
+   * marked on the right, removed ones on the left, changed and ignored ones on both
+   */
+  function markLineDifferences(lineDiv, fields, side) {
+    const shown = side === 'left' ? 'removed' : 'added';
+
+    fields.forEach(field => {
+      if (field.status !== shown && field.status !== 'changed' && field.status !== 'ignored') return;
+
+      const fieldSpan = lineDiv.querySelector(`:scope > .hl7-field[data-field="${field.fieldNum}"]`);
+      if (!fieldSpan) return;
+      if (field.status !== 'changed' || field.repetitions.length === 0) {
+        markElement(fieldSpan, field.status);
+        return;
+      }
+
+      const hasRepetitionSpans = fieldSpan.querySelector('.hl7-repetition') !== null;
+      field.repetitions.forEach(repetition => {
+        if (repetition.status !== shown && repetition.status !== 'changed') return;
+
+        const repSpan = hasRepetitionSpans
+          ? fieldSpan.querySelector(`.hl7-repetition[data-repetition="${repetition.repNum}"]`)
+          : (repetition.repNum === 1 ? fieldSpan : null);
+        if (!repSpan) return;
+
+        const componentSpans = repSpan.querySelectorAll('[data-component]');
+        if (repetition.status !== 'changed' || componentSpans.length === 0) {
+          markElement(repSpan, repetition.status);
+          return;
+        }
+
+        repetition.components.forEach(component => {
+          if (component.status !== shown && component.status !== 'changed') return;
+          repSpan.querySelectorAll(`[data-component="${component.compNum}"]`).forEach(span => markElement(span, component.status));
+        });
+      });
+    });
+  }
+
+  /**
+   * Create one side of a comparison row
+   */
+  function createSideCell(segment, row, side, version) {
+    const cell = document.createElement('td');
+    cell.className = 'compare-cell';
+    if (!segment) {
+      cell.classList.add('compare-cell-empty');
+      return cell;
+    }
+
+    const lineDiv = HL7Parser.createSegmentLine(segment, version, false);
+    markLineDifferences(lineDiv, row.fields, side);
+    if (row.status === (side === 'left' ? 'removed' : 'added')) {
+      lineDiv.classList.add(`hl7-diff-${row.status}`);
+    }
+    cell.appendChild(lineDiv);
+    return cell;
+  }
+
+  /**
+   * Render a comparison (from compareMessages) side by side
+   * options: { leftMessage, rightMessage, leftLabel, rightLabel, onlyDifferences, hl7Version }
+   * The container needs hover tooltips (HL7Parser.setupTooltips) for field names
+   */
+  function renderComparison(container, result, options) {
+    container.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'compare-summary';
+    summary.innerHTML = `
+      <span class="compare-summary-text">${formatSummary(result)}</span>
+      <span class="compare-legend">
+        <span class="hl7-diff-added">added</span>
+        <span class="hl7-diff-removed">removed</span>
+        <span class="hl7-diff-changed">changed</span>
+        <span class="hl7-diff-ignored">ignored</span>
+      </span>
+    `;
+    container.appendChild(summary);
+
+    const rows = options.onlyDifferences
+      ? result.rows.filter(row => row.status !== 'same')
+      : result.rows;
+    if (rows.length === 0) return;
+
+    const leftVersion = getMessageVersion(options.leftMessage.segments, options.hl7Version);
+    const rightVersion = getMessageVersion(options.rightMessage.segments, options.hl7Version);
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th class="compare-segment-col"></th>
+          <th>${escapeHtml(options.leftLabel)}</th>
+          <th>${escapeHtml(options.rightLabel)}</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      tr.className = `compare-row compare-row-${row.status}`;
+
+      const labelCell = document.createElement('td');
+      labelCell.className = 'compare-segment-col';
+      labelCell.textContent = row.occurrence > 1 ? `${row.segmentId} #${row.occurrence}` : row.segmentId;
+      tr.appendChild(labelCell);
+
+      tr.appendChild(createSideCell(row.left, row, 'left', leftVersion));
+      tr.appendChild(createSideCell(row.right, row, 'right', rightVersion));
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+  }
+
+  /**
+   * Build the rows of a report table listing unmatched messages
+   */
+  function createUnmatchedRows(unmatched, messages, messageLabel) {
+    if (unmatched.length === 0) {
+      return '<tr><td colspan="2" class="stats-value-empty">None</td></tr>';
+    }
+    return unmatched.map(item => `
+      <tr>
+        <td class="stats-value-cell ${item.key ? '' : 'stats-value-empty'}">${escapeHtml(item.key || '(no key)')}</td>
+        <td>${escapeHtml(messageLabel(messages[item.index], item.index))}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Render a bulk comparison (from compareBatches) as a report: summary cards, per-field difference
+   * counts, the matched pairs and the unmatched messages of each side
+   * options: { messageLabel(message, index), onlyDifferences, onSelectPair(pair) } - clicking a
+   * matched pair calls onSelectPair to open its field-level diff
+   */
+  function renderBatchComparison(container, bulk, options) {
+    if (bulk.error) {
+      container.innerHTML = `<div class="stats-error">${escapeHtml(bulk.error)}</div>`;
+      return;
+    }
+
+    const pairCount = bulk.pairs.length;
+    const pairs = options.onlyDifferences
+      ? bulk.pairs.filter(pair => pair.differences.length > 0)
+      : bulk.pairs;
+
+    const fieldRows = bulk.fieldCounts.length === 0
+      ? '<tr><td colspan="3" class="stats-value-empty">No differences</td></tr>'
+      : bulk.fieldCounts.map(item => `
+        <tr>
+          <td class="stats-value-cell">${escapeHtml(item.field)}</td>
+          <td class="stats-count-cell">${item.count}</td>
+          <td class="stats-percent-cell">${((item.count / pairCount) * 100).toFixed(1)}%</td>
+        </tr>
+      `).join('');
+
+    const pairRows = pairs.length === 0
+      ? `<tr><td colspan="4" class="stats-value-empty">${pairCount === 0 ? 'No messages paired' : 'No differences'}</td></tr>`
+      : pairs.map(pair => `
+        <tr class="compare-bulk-pair" data-pair="${bulk.pairs.indexOf(pair)}" title="Open the field-level diff">
+          <td class="stats-value-cell">${escapeHtml(pair.key)}</td>
+          <td>${escapeHtml(options.messageLabel(bulk.leftMessages[pair.leftIndex], pair.leftIndex))}</td>
+          <td>${escapeHtml(options.messageLabel(bulk.rightMessages[pair.rightIndex], pair.rightIndex))}</td>
+          <td class="${pair.differences.length > 0 ? 'compare-bulk-changed' : 'compare-bulk-same'}">${escapeHtml(formatSummary(pair.result))}</td>
+        </tr>
+      `).join('');
+
+    container.innerHTML = `
+      <div class="compare-bulk-report">
+        <div class="stats-header">
+          <h2>Messages Paired by ${escapeHtml(bulk.matchKey)}</h2>
+        </div>
+
+        <div class="stats-summary">
+          <div class="stats-summary-card">
+            <div class="stats-summary-value">${bulk.leftMessages.length}</div>
+            <div class="stats-summary-label">Left Messages</div>
+          </div>
+          <div class="stats-summary-card">
+            <div class="stats-summary-value">${bulk.rightMessages.length}</div>
+            <div class="stats-summary-label">Right Messages</div>
+          </div>
+          <div class="stats-summary-card stats-card-success">
+            <div class="stats-summary-value">${pairCount}</div>
+            <div class="stats-summary-label">Paired</div>
+          </div>
+          <div class="stats-summary-card stats-card-warning">
+            <div class="stats-summary-value">${bulk.differingPairs}</div>
+            <div class="stats-summary-label">Pairs With Differences</div>
+          </div>
+          <div class="stats-summary-card stats-card-warning">
+            <div class="stats-summary-value">${bulk.unmatchedLeft.length}</div>
+            <div class="stats-summary-label">Unmatched Left</div>
+          </div>
+          <div class="stats-summary-card stats-card-warning">
+            <div class="stats-summary-value">${bulk.unmatchedRight.length}</div>
+            <div class="stats-summary-label">Unmatched Right</div>
+          </div>
+        </div>
+
+        <div class="stats-content">
+          <div class="stats-table-section">
+            <h3>Differences by Field</h3>
+            <div class="stats-table-wrapper">
+              <table class="stats-table">
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>Pairs</th>
+                    <th>Percentage</th>
+                  </tr>
+                </thead>
+                <tbody>${fieldRows}</tbody>
+              </table>
+            </div>
+          </div>
+
+          <div class="stats-table-section">
+            <h3>Paired Messages</h3>
+            <div class="stats-table-wrapper">
+              <table class="stats-table">
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Left</th>
+                    <th>Right</th>
+                    <th>Differences</th>
+                  </tr>
+                </thead>
+                <tbody>${pairRows}</tbody>
+              </table>
+            </div>
+          </div>
+
+          <div class="stats-table-section">
+            <h3>Unmatched Left (${bulk.unmatchedLeft.length})</h3>
+            <div class="stats-table-wrapper">
+              <table class="stats-table">
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Message</th>
+                  </tr>
+                </thead>
+                <tbody>${createUnmatchedRows(bulk.unmatchedLeft, bulk.leftMessages, options.messageLabel)}</tbody>
+              </table>
+            </div>
+          </div>
+
+          <div class="stats-table-section">
+            <h3>Unmatched Right (${bulk.unmatchedRight.length})</h3>
+            <div class="stats-table-wrapper">
+              <table class="stats-table">
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Message</th>
+                  </tr>
+                </thead>
+                <tbody>${createUnmatchedRows(bulk.unmatchedRight, bulk.rightMessages, options.messageLabel)}</tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    container.querySelectorAll('.compare-bulk-pair').forEach(row => {
+      row.addEventListener('click', function() {
+        options.onSelectPair(bulk.pairs[parseInt(this.dataset.pair, 10)]);
+      });
+    });
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return {
+    DEFAULT_IGNORED_FIELDS: DEFAULT_IGNORED_FIELDS,
+    DEFAULT_MATCH_KEY: DEFAULT_MATCH_KEY,
+    parseIgnoredFields: parseIgnoredFields,
+    compareMessages: compareMessages,
+    compareBatches: compareBatches,
+    formatSummary: formatSummary,
+    renderComparison: renderComparison,
+    renderBatchComparison: renderBatchComparison
+  };
+
+})();
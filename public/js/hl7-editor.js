@@ -0,0 +1,431 @@
+// HL7 Viewer - Message Editor Module
+// Keeps the loaded messages as the model the viewer renders and edits: the content's message list
+// (HL7Parser.createMessageList, parsed as messages are needed) with the edited messages over it.
+// Values, segments and repetitions are changed in the model, edited messages are re-serialized with
+// their own MSH encoding characters, and every change can be undone and redone. The content itself
+// is never rewritten: the whole text, edits included, is only put together when it is saved
+
+const HL7Editor = (function() {
+  'use strict';
+
+  // Most changes kept for undo
+  const MAX_HISTORY = 200;
+
+  // The loaded content (a string, or chunked text from HL7FileReader), what it was loaded with, its
+  // message list, and the edited messages by index
+  let content = '';
+  let loaded = { messageStarts: null, sources: null, origins: null };
+  let original = HL7Parser.createMessageList('');
+  let edited = new Map();
+  let undoStack = [];
+  let redoStack = [];
+
+  // The messages with any edits applied, as a message list (see HL7Parser.createMessageList)
+  const messages = {
+    get count() {
+      return original.count;
+    },
+    get: function(index) {
+      return edited.get(index) || original.get(index);
+    },
+    getLength: function(index) {
+      return edited.has(index) ? edited.get(index).raw.length : original.getLength(index);
+    },
+    getSources: function() {
+      return original.getSources();
+    },
+    getSource: function(index) {
+      return original.getSource(index);
+    },
+    getOrigin: function(index) {
+      return original.getOrigin(index);
+    },
+    getEnvelope: function() {
+      return original.getEnvelope();
+    }
+  };
+
+  /**
+   * Load HL7 content as the model, clearing the undo history (no content clears the model)
+   * messageStarts, when known (see HL7FileReader), save finding them again; sources are the files
+   * the content was read from, if it was, and origins where its messages were found, if they were
+   * extracted from other text (see HL7Parser.createMessageList)
+   */
+  function load(newContent, messageStarts, sources, origins) {
+    content = newContent || '';
+    loaded = newContent
+      ? { messageStarts: messageStarts || null, sources: sources || null, origins: origins || null }
+      : { messageStarts: null, sources: null, origins: null };
+    original = HL7Parser.createMessageList(content, loaded.messageStarts, loaded.sources, loaded.origins);
+    edited = new Map();
+    undoStack = [];
+    redoStack = [];
+  }
+
+  /**
+   * Get the messages, with any edits applied, as a message list: each is parsed when it is asked for
+   */
+  function getMessageList() {
+    return messages;
+  }
+
+  /**
+   * Get every message, parsed, with any edits applied (for features that need them all at once)
+   */
+  function getMessages() {
+    return Array.from({ length: messages.count }, (_, index) => messages.get(index));
+  }
+
+  /**
+   * Get the content of all messages as a list of strings, for saving (e.g. as the parts of a Blob)
+   * without joining it; messages that were not edited keep their original text, and the text
+   * between messages (batch envelope segments, lines before the first message) stays too
+   */
+  function getContentParts() {
+    const parts = [];
+    let position = 0;
+    Array.from(edited.keys()).sort((a, b) => a - b).forEach(index => {
+      const start = original.getOffset(index);
+      parts.push.apply(parts, HL7Parser.getTextPieces(content, position, start));
+      parts.push(edited.get(index).raw);
+      position = start + original.getLength(index);
+    });
+    parts.push.apply(parts, HL7Parser.getTextPieces(content, position, content.length));
+    return parts;
+  }
+
+  /**
+   * Get the content of all messages as one string (see getContentParts), for features that work on
+   * the whole text
+   */
+  function getContent() {
+    return getContentParts().join('');
+  }
+
+  /**
+   * Get what a background task needs to build the same messages (see HL7Background): the loaded
+   * content with the message starts, files and origins it was loaded with, and the raw text of
+   * each edited message as [index, raw] pairs
+   */
+  function getTaskInput() {
+    return {
+      content: content,
+      messageStarts: loaded.messageStarts,
+      sources: loaded.sources,
+      origins: loaded.origins,
+      edits: Array.from(edited, entry => [entry[0], entry[1].raw])
+    };
+  }
+
+  /**
+   * Check whether there is a change to undo
+   */
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is an undone change to redo
+   */
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  // ========================================
+  // SERIALIZATION
+  // ========================================
+
+  /**
+   * Serialize a segment with its message's encoding characters
+   */
+  function serializeSegment(segment) {
+    const fieldSep = segment.fieldSeparator;
+    if (segment.segmentId === 'MSH') {
+      return 'MSH' + fieldSep + segment.fields.join(fieldSep);
+    }
+    if (segment.fields.length === 1 && segment.fields[0] === '') {
+      return segment.segmentId;
+    }
+    return segment.segmentId + fieldSep + segment.fields.join(fieldSep);
+  }
+
+  /**
+   * Rebuild an edited segment's repetitions and raw line from its fields
+   */
+  function updateSegment(segment) {
+    segment.repetitions = segment.fields.map((fieldValue, index) => {
+      // MSH.2 holds the repetition separator itself, so it never repeats
+      if (segment.segmentId === 'MSH' && index === 0) return [fieldValue];
+      return fieldValue ? fieldValue.split(segment.repetitionSeparator) : [''];
+    });
+    segment.rawLine = serializeSegment(segment);
+  }
+
+  /**
+   * Rebuild an edited message's raw text: one line per segment, ended with the message's own line
+   * terminator, followed by the blank lines that ended the original message. Lines that are not
+   * segments (comments) are not kept, and wrapped segment lines are written out joined
+   */
+  function updateRaw(message) {
+    const lines = HL7Parser.splitSegmentLines(message.raw);
+    const terminator = lines.length > 0 && lines[0].terminator ? lines[0].terminator : '\r';
+
+    // The last segment's terminator and the blank lines after it
+    let last = lines.length - 1;
+    while (last > 0 && !lines[last].text.trim()) last--;
+    const trailing = lines.slice(last).map((line, i) => (i > 0 ? line.raw : '') + line.terminator).join('');
+    message.raw = message.segments.map(segment => segment.rawLine).join(terminator) + trailing;
+  }
+
+  // ========================================
+  // CHANGES AND HISTORY
+  // ========================================
+
+  /**
+   * Copy a message deeply enough to edit its segments without changing the original
+   */
+  function cloneMessage(message) {
+    return Object.assign({}, message, {
+      segments: message.segments.map(segment => Object.assign({}, segment, {
+        fields: segment.fields.slice(),
+        repetitions: segment.repetitions.map(repetitions => repetitions.slice())
+      }))
+    });
+  }
+
+  /**
+   * Apply an edit to a copy of a message and record it for undo. edit(message) changes the copy's
+   * segments and returns the indexes of the segments it changed, or an error message
+   * Returns null when done (or nothing changed), or the error message
+   */
+  function change(messageIndex, edit) {
+    const before = messageIndex >= 0 && messageIndex < messages.count ? messages.get(messageIndex) : null;
+    if (!before) return 'Message not found';
+
+    const after = cloneMessage(before);
+    const result = edit(after);
+    if (typeof result === 'string') return result;
+
+    result.forEach(segmentIndex => updateSegment(after.segments[segmentIndex]));
+    updateRaw(after);
+    if (after.raw === before.raw) return null;
+
+    edited.set(messageIndex, after);
+    undoStack.push({ messageIndex: messageIndex, before: before, after: after });
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack = [];
+    return null;
+  }
+
+  /**
+   * Undo the last change. Returns the index of the message it changed, or -1 when there is nothing to undo
+   */
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return -1;
+    edited.set(entry.messageIndex, entry.before);
+    redoStack.push(entry);
+    return entry.messageIndex;
+  }
+
+  /**
+   * Redo the last undone change. Returns the index of the message it changed, or -1 when there is nothing to redo
+   */
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return -1;
+    edited.set(entry.messageIndex, entry.after);
+    undoStack.push(entry);
+    return entry.messageIndex;
+  }
+
+  // ========================================
+  // EDITS
+  // Paths locate a value as HL7Parser.getElementPath does: { messageIndex, segmentIndex, field,
+  // repetition, component, subcomponent }, field numbers 1-based
+  // ========================================
+
+  /**
+   * Get a path's segment, or null
+   */
+  function getSegment(path) {
+    if (!(path.messageIndex >= 0 && path.messageIndex < messages.count)) return null;
+    return messages.get(path.messageIndex).segments[path.segmentIndex] || null;
+  }
+
+  /**
+   * Get the index of a field in a segment's field list (MSH.3 is fields[1], since MSH.1 is not listed)
+   */
+  function getFieldIndex(segment, fieldNum) {
+    return segment.segmentId === 'MSH' ? fieldNum - 2 : fieldNum - 1;
+  }
+
+  /**
+   * Check that a path points to a field that can be edited
+   * Returns an error message, or null
+   */
+  function checkFieldPath(path) {
+    const segment = getSegment(path);
+    if (!segment) return 'Segment not found';
+    if (!path.field) return 'No field selected';
+    if (segment.segmentId === 'MSH' && path.field <= 2) {
+      return 'MSH-1 and MSH-2 hold the message\'s encoding characters and cannot be edited';
+    }
+    return null;
+  }
+
+  /**
+   * Replace one part of a delimited value (adding empty parts when the value has fewer)
+   */
+  function replacePart(value, separator, index, replace) {
+    const parts = (value || '').split(separator);
+    while (parts.length <= index) parts.push('');
+    parts[index] = replace(parts[index]);
+    return parts.join(separator);
+  }
+
+  /**
+   * Get the decoded value at a path (a field's first repetition when no repetition is given)
+   */
+  function getValue(path) {
+    const segment = getSegment(path);
+    if (!segment || !path.field) return '';
+
+    let value = segment.fields[getFieldIndex(segment, path.field)] || '';
+    value = value.split(segment.repetitionSeparator)[(path.repetition || 1) - 1] || '';
+    if (path.component) value = value.split(segment.componentSeparator)[path.component - 1] || '';
+    if (path.subcomponent) value = value.split(segment.subcomponentSeparator)[path.subcomponent - 1] || '';
+    return HL7Escape.decode(value, segment);
+  }
+
+  /**
+   * Set the value at a path. The text is escaped, so delimiters typed in it stay part of the value
+   * Returns an error message, or null
+   */
+  function setValue(path, text) {
+    const error = checkFieldPath(path);
+    if (error) return error;
+
+    return change(path.messageIndex, message => {
+      const segment = message.segments[path.segmentIndex];
+      const fieldIndex = getFieldIndex(segment, path.field);
+      const encoded = HL7Escape.encode(text, segment);
+      while (segment.fields.length <= fieldIndex) segment.fields.push('');
+
+      segment.fields[fieldIndex] = replacePart(segment.fields[fieldIndex], segment.repetitionSeparator, (path.repetition || 1) - 1, repetition => {
+        if (!path.component) return encoded;
+        return replacePart(repetition, segment.componentSeparator, path.component - 1, component => {
+          if (!path.subcomponent) return encoded;
+          return replacePart(component, segment.subcomponentSeparator, path.subcomponent - 1, () => encoded);
+        });
+      });
+      return [path.segmentIndex];
+    });
+  }
+
+  /**
+   * Add an empty repetition to a field, after the path's repetition (or after the last one)
+   * Returns an error message, or null
+   */
+  function addRepetition(path) {
+    const error = checkFieldPath(path);
+    if (error) return error;
+
+    return change(path.messageIndex, message => {
+      const segment = message.segments[path.segmentIndex];
+      const fieldIndex = getFieldIndex(segment, path.field);
+      while (segment.fields.length <= fieldIndex) segment.fields.push('');
+
+      const repetitions = segment.fields[fieldIndex].split(segment.repetitionSeparator);
+      repetitions.splice(path.repetition || repetitions.length, 0, '');
+      segment.fields[fieldIndex] = repetitions.join(segment.repetitionSeparator);
+      return [path.segmentIndex];
+    });
+  }
+
+  /**
+   * Delete the path's repetition of a repeating field
+   * Returns an error message, or null
+   */
+  function deleteRepetition(path) {
+    const error = checkFieldPath(path);
+    if (error) return error;
+
+    return change(path.messageIndex, message => {
+      const segment = message.segments[path.segmentIndex];
+      const fieldIndex = getFieldIndex(segment, path.field);
+      const repetitions = (segment.fields[fieldIndex] || '').split(segment.repetitionSeparator);
+      if (!path.repetition || repetitions.length < 2) return 'Only a repetition of a repeating field can be deleted';
+
+      repetitions.splice(path.repetition - 1, 1);
+      segment.fields[fieldIndex] = repetitions.join(segment.repetitionSeparator);
+      return [path.segmentIndex];
+    });
+  }
+
+  /**
+   * Insert an empty segment after the path's segment
+   * Returns an error message, or null
+   */
+  function insertSegment(path, segmentId) {
+    const id = (segmentId || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{3}$/.test(id) || id === 'MSH') {
+      return 'A segment ID is three letters or digits, e.g. PV1 or ZPV (a message has a single MSH)';
+    }
+    if (!getSegment(path)) return 'Segment not found';
+
+    return change(path.messageIndex, message => {
+      const encoding = message.segments[path.segmentIndex];
+      const segment = {
+        segmentId: id,
+        rawLine: id,
+        fields: [''],
+        repetitions: [['']],
+        fieldSeparator: encoding.fieldSeparator,
+        componentSeparator: encoding.componentSeparator,
+        repetitionSeparator: encoding.repetitionSeparator,
+        escapeCharacter: encoding.escapeCharacter,
+        subcomponentSeparator: encoding.subcomponentSeparator
+      };
+      message.segments.splice(path.segmentIndex + 1, 0, segment);
+      return [];
+    });
+  }
+
+  /**
+   * Delete the path's segment (a message's MSH cannot be deleted)
+   * Returns an error message, or null
+   */
+  function deleteSegment(path) {
+    const segment = getSegment(path);
+    if (!segment) return 'Segment not found';
+    if (segment.segmentId === 'MSH') return 'The MSH segment cannot be deleted';
+
+    return change(path.messageIndex, message => {
+      message.segments.splice(path.segmentIndex, 1);
+      return [];
+    });
+  }
+
+  // Public API
+  return {
+    load: load,
+    getMessageList: getMessageList,
+    getMessages: getMessages,
+    getContentParts: getContentParts,
+    getContent: getContent,
+    getTaskInput: getTaskInput,
+    canUndo: canUndo,
+    canRedo: canRedo,
+    undo: undo,
+    redo: redo,
+    checkFieldPath: checkFieldPath,
+    getValue: getValue,
+    setValue: setValue,
+    addRepetition: addRepetition,
+    deleteRepetition: deleteRepetition,
+    insertSegment: insertSegment,
+    deleteSegment: deleteSegment
+  };
+
+})();
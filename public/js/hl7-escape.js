@@ -0,0 +1,172 @@
+// HL7 Viewer - Escape Sequence Module
+// Decodes and encodes HL7 escape sequences using a message's MSH-2 encoding characters
+
+const HL7Escape = (function() {
+  'use strict';
+
+  // Encoding characters used when a message does not declare its own
+  const DEFAULT_ENCODING = {
+    fieldSeparator: '|',
+    componentSeparator: '^',
+    repetitionSeparator: '~',
+    escapeCharacter: '\\',
+    subcomponentSeparator: '&'
+  };
+
+  /**
+   * Decode the escape sequences in a single value (a field, component or subcomponent
+   * that has already been split on its delimiters).
+   * encoding holds the message's delimiters (any object with fieldSeparator, componentSeparator,
+   * repetitionSeparator, escapeCharacter and subcomponentSeparator, such as a parsed segment).
+   * When formatted is true, formatted text (FT) commands like \.sp\ and \.in\ are applied as well.
+   * Unrecognized sequences are left as they are.
+   */
+  function decode(value, encoding, formatted) {
+    if (!value) return value || '';
+
+    const enc = encoding || DEFAULT_ENCODING;
+    const esc = enc.escapeCharacter === undefined ? DEFAULT_ENCODING.escapeCharacter : enc.escapeCharacter;
+    if (!esc || !value.includes(esc)) return value;
+
+    // Formatted text state: indent applied after each line break (\.in\)
+    const state = { indent: 0 };
+    let result = '';
+    let i = 0;
+
+    while (i < value.length) {
+      const ch = value[i];
+      if (ch !== esc) {
+        result += ch;
+        i++;
+        continue;
+      }
+
+      const end = value.indexOf(esc, i + 1);
+      if (end === -1) {
+        // Unterminated escape - keep the rest as-is
+        result += value.substring(i);
+        break;
+      }
+
+      const decoded = decodeSequence(value.substring(i + 1, end), enc, formatted, state, result);
+      result += decoded === null ? value.substring(i, end + 1) : decoded;
+      i = end + 1;
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode the text between two escape characters
+   * Returns the replacement text, or null if the sequence is not recognized
+   */
+  function decodeSequence(seq, enc, formatted, state, textSoFar) {
+    switch (seq) {
+      case 'F': return enc.fieldSeparator || DEFAULT_ENCODING.fieldSeparator;
+      case 'S': return enc.componentSeparator || DEFAULT_ENCODING.componentSeparator;
+      case 'T': return enc.subcomponentSeparator || DEFAULT_ENCODING.subcomponentSeparator;
+      case 'R': return enc.repetitionSeparator || DEFAULT_ENCODING.repetitionSeparator;
+      case 'E': return enc.escapeCharacter || DEFAULT_ENCODING.escapeCharacter;
+      // Highlighting start/end has no plain-text equivalent
+      case 'H':
+      case 'N':
+        return '';
+    }
+
+    if (/^X(?:[0-9A-Fa-f]{2})+$/.test(seq)) {
+      return decodeHex(seq.substring(1));
+    }
+
+    // Character set switches (\Cxxyy\, \Mxxyyzz\) are dropped
+    if (/^C[0-9A-Fa-f]{4}$/.test(seq) || /^M[0-9A-Fa-f]{4}(?:[0-9A-Fa-f]{2})?$/.test(seq)) {
+      return '';
+    }
+
+    const command = seq.match(/^\.([a-z]{2})\s*([+-]?\d+)?$/);
+    if (!command) return null;
+
+    const name = command[1];
+    const count = command[2] !== undefined ? parseInt(command[2], 10) : null;
+
+    if (name === 'br') {
+      return '\n' + ' '.repeat(formatted ? state.indent : 0);
+    }
+
+    if (!formatted) return null;
+
+    switch (name) {
+      case 'sp': {
+        // Skip <count> lines (default 1), then continue at the current indent
+        const lines = count === null ? 1 : Math.max(count, 0);
+        return '\n'.repeat(lines) + (lines > 0 ? ' '.repeat(state.indent) : '');
+      }
+      case 'in':
+        // Indent this and following lines
+        state.indent = Math.max(count || 0, 0);
+        return ' '.repeat(state.indent);
+      case 'ti':
+        // Temporary indent for this line only
+        return ' '.repeat(Math.max(state.indent + (count || 0), 0));
+      case 'sk':
+        return ' '.repeat(Math.max(count || 0, 0));
+      case 'ce':
+        // Centering is not reproduced; the centered text starts on its own line
+        return textSoFar && !textSoFar.endsWith('\n') ? '\n' : '';
+      case 'fi':
+      case 'nf':
+        return '';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Decode a hex string into text (UTF-8 when valid, otherwise one character per byte)
+   */
+  function decodeHex(hex) {
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substring(i, i + 2), 16));
+    }
+
+    if (typeof TextDecoder !== 'undefined') {
+      try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+      } catch (e) {
+        // Not valid UTF-8 - fall through to single-byte decoding
+      }
+    }
+    return String.fromCharCode.apply(null, bytes);
+  }
+
+  /**
+   * Escape a plain value so it can be written into a single field, component or subcomponent:
+   * delimiters and the escape character become \F\, \S\, \T\, \R\ and \E\, and line breaks \.br\
+   * (the reverse of decode for those sequences)
+   */
+  function encode(value, encoding) {
+    if (!value) return '';
+
+    const enc = encoding || DEFAULT_ENCODING;
+    const esc = enc.escapeCharacter || DEFAULT_ENCODING.escapeCharacter;
+    const sequences = new Map([
+      [esc, 'E'],
+      [enc.fieldSeparator || DEFAULT_ENCODING.fieldSeparator, 'F'],
+      [enc.componentSeparator || DEFAULT_ENCODING.componentSeparator, 'S'],
+      [enc.subcomponentSeparator || DEFAULT_ENCODING.subcomponentSeparator, 'T'],
+      [enc.repetitionSeparator || DEFAULT_ENCODING.repetitionSeparator, 'R']
+    ]);
+
+    return value.split(/\r\n|\n|\r/).map(line =>
+      Array.from(line, ch => sequences.has(ch) ? esc + sequences.get(ch) + esc : ch).join('')
+    ).join(esc + '.br' + esc);
+  }
+
+  // Public API
+  return {
+    DEFAULT_ENCODING: DEFAULT_ENCODING,
+    decode: decode,
+    encode: encode
+  };
+
+})();
@@ -0,0 +1,327 @@
+// HL7 Viewer - Embedded HL7 Extraction Module
+// Finds HL7 messages inside other text - interface engine logs, where a message follows a timestamp
+// and log level, and JSON payloads, where it is a string value - and writes them out as plain HL7
+// for the viewer, with where each message was found (see extract)
+
+const HL7Extract = (function() {
+  'use strict';
+
+  // A message header inside other text: MSH, the field separator, the encoding characters and the
+  // field separator again (MSH|^~\&|)
+  const MESSAGE_HEADER = /MSH([^A-Za-z0-9\s])[^A-Za-z0-9\s]{1,5}\1/g;
+
+  // A line break written out as an escape (\r, \n or \r\n), as when a log line quotes a message
+  const ESCAPED_BREAK = '(?:\\\\r\\\\n|\\\\r|\\\\n)';
+
+  // Quotes that may enclose a message in a log line; the message ends at the closing quote
+  const QUOTES = ['"', '\''];
+
+  // ========================================
+  // MESSAGES IN TEXT
+  // ========================================
+
+  /**
+   * Find the first message header in text at or after a position, other than straight after a
+   * letter or digit. Returns its index, or -1
+   */
+  function findHeader(text, from) {
+    MESSAGE_HEADER.lastIndex = from || 0;
+    let match;
+    while ((match = MESSAGE_HEADER.exec(text)) !== null) {
+      if (match.index === 0 || !/[A-Za-z0-9]/.test(text[match.index - 1])) return match.index;
+      MESSAGE_HEADER.lastIndex = match.index + 1;
+    }
+    return -1;
+  }
+
+  /**
+   * Split a line of segments at the line breaks written out as escapes before them (see ESCAPED_BREAK)
+   * Returns the segments as { text, offset }, offset being where each starts in the line
+   */
+  function splitEscapedBreaks(text, fieldSeparator) {
+    const separator = fieldSeparator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const escapedBreak = new RegExp(ESCAPED_BREAK + '(?=[A-Z0-9]{3}(?:' + separator + '|$))', 'g');
+    const pieces = [];
+    let start = 0;
+    let match;
+
+    while ((match = escapedBreak.exec(text)) !== null) {
+      pieces.push({ text: text.substring(start, match.index), offset: start });
+      start = match.index + match[0].length;
+    }
+    pieces.push({ text: text.substring(start), offset: start });
+    return pieces;
+  }
+
+  /**
+   * Find the messages in text: each starts at a message header, wherever it is on its line, and
+   * takes the segments after it - on the same line, split by escaped line breaks, or on the lines
+   * that follow (HL7Parser.splitSegmentLines, wrapped lines joined) - up to a line that is not a
+   * segment, or the closing quote of a quoted message
+   * Returns { position, segments } for each: where its header is in the text, and its segment lines
+   */
+  function findMessages(text) {
+    const messages = [];
+    let current = null;
+    let offset = 0;
+
+    const close = function() {
+      if (current) messages.push({ position: current.position, segments: current.segments });
+      current = null;
+    };
+
+    HL7Parser.splitSegmentLines(text).forEach(line => {
+      const lineStart = offset;
+      offset += line.raw.length + line.terminator.length;
+
+      let from;
+      if (current && HL7Parser.isSegmentLine(line.text.trim(), current.fieldSeparator)) {
+        from = line.text.length - line.text.trimStart().length;
+      } else {
+        close();
+        from = findHeader(line.text, 0);
+        if (from < 0) return;
+      }
+
+      const fieldSeparator = current ? current.fieldSeparator : line.text[from + 3];
+      for (const piece of splitEscapedBreaks(line.text.substring(from), fieldSeparator)) {
+        const index = from + piece.offset;
+        if (findHeader(piece.text, 0) === 0) {
+          close();
+          const before = line.text[index - 1];
+          current = {
+            position: lineStart + index,
+            fieldSeparator: piece.text[3],
+            quote: QUOTES.includes(before) ? before : null,
+            segments: []
+          };
+        }
+        if (!current) break;
+
+        const quoteIndex = current.quote ? piece.text.indexOf(current.quote) : -1;
+        if (quoteIndex >= 0) {
+          if (quoteIndex > 0) current.segments.push(piece.text.substring(0, quoteIndex));
+          close();
+          break;
+        }
+        current.segments.push(piece.text);
+      }
+    });
+
+    close();
+    return messages;
+  }
+
+  // ========================================
+  // MESSAGES IN JSON STRINGS
+  // ========================================
+
+  /**
+   * Find where a JSON string literal that starts at a position ends (after its closing quote), or -1
+   * when the line ends first
+   */
+  function findStringEnd(content, start) {
+    let index = start + 1;
+    while (index < content.length) {
+      const char = content[index];
+      if (char === '\\') {
+        index += 2;
+      } else if (char === '"') {
+        return index + 1;
+      } else if (char === '\n' || char === '\r') {
+        return -1;
+      } else {
+        index++;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Format the path of a JSON value from the objects and arrays it is in, e.g. $.batch[2].message
+   */
+  function formatPath(containers) {
+    return '$' + containers.map(container => {
+      if (container.index !== undefined) return `[${container.index}]`;
+      const key = container.key === null ? '?' : container.key;
+      return /^[A-Za-z_$][\w$]*$/.test(key) ? '.' + key : `[${JSON.stringify(key)}]`;
+    }).join('');
+  }
+
+  /**
+   * Find the JSON string values in content that mention MSH, calling onValue(start, end, value, path)
+   * for each: where its literal starts and ends, its unescaped value and its path (see formatPath)
+   * The content need not be JSON as a whole: string literals are found wherever they are, such as
+   * in JSON logged on a line of its own, and the path follows the braces and brackets around them
+   */
+  function findJsonStrings(content, onValue) {
+    // The objects ({ key }) and arrays ({ index }) open so far, innermost last
+    const containers = [];
+
+    for (let index = 0; index < content.length; index++) {
+      const char = content[index];
+      const top = containers[containers.length - 1];
+
+      if (char === '{') {
+        containers.push({ key: null });
+      } else if (char === '[') {
+        containers.push({ index: 0 });
+      } else if (char === '}' || char === ']') {
+        containers.pop();
+      } else if (char === ',' && top) {
+        if (top.index !== undefined) top.index++; else top.key = null;
+      } else if (char === '"') {
+        const end = findStringEnd(content, index);
+        if (end < 0) continue;
+
+        let value = null;
+        try {
+          value = JSON.parse(content.substring(index, end));
+        } catch (e) {
+          // Not a JSON string (an escape JSON doesn't have); skip it
+        }
+
+        let next = end;
+        while (next < content.length && /\s/.test(content[next])) next++;
+        if (content[next] === ':') {
+          if (top && top.index === undefined) top.key = value;
+        } else if (value !== null && value.indexOf('MSH') >= 0) {
+          onValue(index, end, value, formatPath(containers));
+        }
+        index = end - 1;
+      }
+    }
+  }
+
+  // ========================================
+  // EXTRACTION
+  // ========================================
+
+  /**
+   * Work out the line and column (from 1) of each of the (ascending) positions in content, and the
+   * source file it is in ({ name, start }, see HL7FileReader; -1 when there are none), lines
+   * counted from the start of that file
+   */
+  function locate(content, positions, sources) {
+    const lineBreak = /\r\n|\n|\r/g;
+    let line = 1;
+    let lineStart = 0;
+    let sourceIndex = -1;
+    let sourceLine = 1;
+
+    // Count the line breaks up to a position
+    const advance = function(position) {
+      lineBreak.lastIndex = lineStart;
+      let match;
+      while ((match = lineBreak.exec(content)) !== null && match.index + match[0].length <= position) {
+        line++;
+        lineStart = match.index + match[0].length;
+      }
+    };
+
+    return positions.map(position => {
+      while (sourceIndex + 1 < sources.length && sources[sourceIndex + 1].start <= position) {
+        sourceIndex++;
+        advance(sources[sourceIndex].start);
+        sourceLine = line;
+      }
+      advance(position);
+      return { source: sourceIndex, line: line - sourceLine + 1, column: position - lineStart + 1 };
+    });
+  }
+
+  /**
+   * Extract the HL7 messages embedded in content: in JSON string values (unescaped, so \r escapes
+   * end segments) and in the rest of the text, such as log lines (see findMessages)
+   * sources, when the content was read from files, are those files ({ name, start }, see HL7FileReader)
+   * Returns { content, messageStarts, sources, origins }: the messages as HL7 text (segments ended by
+   * \r, messages on lines of their own), where each starts, the files as they are in that text (when
+   * given), and where each message was found ({ name, line, column, path }: the file's name, or
+   * null, the line and column of its MSH, and the path of the JSON string it was in, or null)
+   */
+  function extract(content, sources) {
+    const found = [];
+
+    // Messages in JSON strings; their literals are blanked out so they aren't found again as text
+    const literals = [];
+    if (content.indexOf('"') >= 0) {
+      findJsonStrings(content, (start, end, value, path) => {
+        const literal = content.substring(start, end);
+        let rawIndex = 0;
+        findMessages(value).forEach(message => {
+          rawIndex = literal.indexOf('MSH', rawIndex);
+          found.push({ position: start + Math.max(rawIndex, 0), segments: message.segments, path: path });
+          rawIndex = rawIndex < 0 ? literal.length : rawIndex + 1;
+        });
+        if (literal.length > 0) literals.push({ start: start, end: end });
+      });
+    }
+
+    let text = content;
+    if (literals.length > 0) {
+      const parts = [];
+      let position = 0;
+      literals.forEach(literal => {
+        parts.push(content.substring(position, literal.start), ' '.repeat(literal.end - literal.start));
+        position = literal.end;
+      });
+      parts.push(content.substring(position));
+      text = parts.join('');
+    }
+
+    findMessages(text).forEach(message => {
+      found.push({ position: message.position, segments: message.segments, path: null });
+    });
+    found.sort((a, b) => a.position - b.position);
+
+    // Write the messages out, noting where each (and each file's first) starts
+    const fileSources = sources || [];
+    const locations = locate(content, found.map(message => message.position), fileSources);
+    const outputSources = fileSources.map(source => ({ name: source.name, start: -1 }));
+    const parts = [];
+    const messageStarts = [];
+    const origins = [];
+    let length = 0;
+
+    found.forEach((message, index) => {
+      if (index > 0) {
+        parts.push('\n');
+        length++;
+      }
+
+      const location = locations[index];
+      outputSources.forEach((source, sourceIndex) => {
+        if (source.start < 0 && sourceIndex <= location.source) source.start = length;
+      });
+
+      const text = message.segments.join('\r') + '\r';
+      messageStarts.push(length);
+      parts.push(text);
+      length += text.length;
+      origins.push({
+        name: location.source >= 0 ? fileSources[location.source].name : null,
+        line: location.line,
+        column: location.column,
+        path: message.path
+      });
+    });
+
+    outputSources.forEach(source => {
+      if (source.start < 0) source.start = length;
+    });
+
+    return {
+      content: parts.join(''),
+      messageStarts: messageStarts,
+      sources: sources ? outputSources : null,
+      origins: origins
+    };
+  }
+
+  // Public API
+  return {
+    findMessages: findMessages,
+    extract: extract
+  };
+
+})();
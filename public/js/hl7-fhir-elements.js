@@ -0,0 +1,635 @@
+// FHIR R4 Resource and Data Type Definitions
+// The elements of common resources and data types, with their type and short description, for the
+// JSON viewer's tooltips. A backbone element (a group of elements only used in its resource, e.g.
+// Bundle.entry) has "BackboneElement" as its type and lists its own elements.
+// Choice elements end in [x]; in a resource they have their type added to the name (valueQuantity).
+const FHIR_RESOURCES = {
+  "AllergyIntolerance": {
+    short: "Allergy or Intolerance (generally: Risk of adverse reaction to a substance)",
+    elements: {
+      identifier: { type: "Identifier", short: "External ids for this item" },
+      clinicalStatus: { type: "CodeableConcept", short: "active | inactive | resolved" },
+      verificationStatus: { type: "CodeableConcept", short: "unconfirmed | confirmed | refuted | entered-in-error" },
+      type: { type: "code", short: "allergy | intolerance - Underlying mechanism (if known)" },
+      category: { type: "code", short: "food | medication | environment | biologic" },
+      criticality: { type: "code", short: "low | high | unable-to-assess" },
+      code: { type: "CodeableConcept", short: "Code that identifies the allergy or intolerance" },
+      patient: { type: "Reference", short: "Who the sensitivity is for" },
+      encounter: { type: "Reference", short: "Encounter when the allergy or intolerance was asserted" },
+      "onset[x]": { type: "dateTime | Age | Period | Range | string", short: "When allergy or intolerance was identified" },
+      recordedDate: { type: "dateTime", short: "Date first version of the resource instance was recorded" },
+      recorder: { type: "Reference", short: "Who recorded the sensitivity" },
+      asserter: { type: "Reference", short: "Source of the information about the allergy" },
+      lastOccurrence: { type: "dateTime", short: "Date(/time) of last known occurrence of a reaction" },
+      note: { type: "Annotation", short: "Additional text not captured in other fields" },
+      reaction: {
+        type: "BackboneElement",
+        short: "Adverse Reaction Events linked to exposure to substance",
+        elements: {
+          substance: { type: "CodeableConcept", short: "Specific substance or pharmaceutical product considered to be responsible for event" },
+          manifestation: { type: "CodeableConcept", short: "Clinical symptoms/signs associated with the Event" },
+          description: { type: "string", short: "Description of the event as a whole" },
+          onset: { type: "dateTime", short: "Date(/time) when manifestations showed" },
+          severity: { type: "code", short: "mild | moderate | severe (of event as a whole)" },
+          exposureRoute: { type: "CodeableConcept", short: "How the subject was exposed to the substance" },
+          note: { type: "Annotation", short: "Text about event not captured in other fields" }
+        }
+      }
+    }
+  },
+  "Bundle": {
+    short: "Contains a collection of resources",
+    elements: {
+      identifier: { type: "Identifier", short: "Persistent identifier for the bundle" },
+      type: { type: "code", short: "document | message | transaction | transaction-response | batch | batch-response | history | searchset | collection" },
+      timestamp: { type: "instant", short: "When the bundle was assembled" },
+      total: { type: "unsignedInt", short: "If search, the total number of matches" },
+      link: {
+        type: "BackboneElement",
+        short: "Links related to this Bundle",
+        elements: {
+          relation: { type: "string", short: "Link relation type (self, next, previous...)" },
+          url: { type: "uri", short: "Reference details for the link" }
+        }
+      },
+      entry: {
+        type: "BackboneElement",
+        short: "Entry in the bundle - will have a resource or information",
+        elements: {
+          fullUrl: { type: "uri", short: "URI for resource (Absolute URL server address or URI for UUID/OID)" },
+          resource: { type: "Resource", short: "A resource in the bundle" },
+          search: {
+            type: "BackboneElement",
+            short: "Search related information",
+            elements: {
+              mode: { type: "code", short: "match | include | outcome - why this is in the result set" },
+              score: { type: "decimal", short: "Search ranking (between 0 and 1)" }
+            }
+          },
+          request: {
+            type: "BackboneElement",
+            short: "Additional execution information (transaction/batch/history)",
+            elements: {
+              method: { type: "code", short: "GET | HEAD | POST | PUT | DELETE | PATCH" },
+              url: { type: "uri", short: "URL for HTTP equivalent of this entry" },
+              ifNoneMatch: { type: "string", short: "For managing cache currency" },
+              ifModifiedSince: { type: "instant", short: "For managing cache currency" },
+              ifMatch: { type: "string", short: "For managing update contention" },
+              ifNoneExist: { type: "string", short: "For conditional creates" }
+            }
+          },
+          response: {
+            type: "BackboneElement",
+            short: "Results of execution (transaction/batch/history)",
+            elements: {
+              status: { type: "string", short: "Status response code (text optional)" },
+              location: { type: "uri", short: "The location (if the operation returns a location)" },
+              etag: { type: "string", short: "The Etag for the resource (if relevant)" },
+              lastModified: { type: "instant", short: "Server's date time modified" },
+              outcome: { type: "Resource", short: "OperationOutcome with hints and warnings (for batch/transaction)" }
+            }
+          }
+        }
+      },
+      signature: { type: "Signature", short: "Digital Signature" }
+    }
+  },
+  "Condition": {
+    short: "Detailed information about conditions, problems or diagnoses",
+    elements: {
+      identifier: { type: "Identifier", short: "External Ids for this condition" },
+      clinicalStatus: { type: "CodeableConcept", short: "active | recurrence | relapse | inactive | remission | resolved" },
+      verificationStatus: { type: "CodeableConcept", short: "unconfirmed | provisional | differential | confirmed | refuted | entered-in-error" },
+      category: { type: "CodeableConcept", short: "problem-list-item | encounter-diagnosis" },
+      severity: { type: "CodeableConcept", short: "Subjective severity of condition" },
+      code: { type: "CodeableConcept", short: "Identification of the condition, problem or diagnosis" },
+      bodySite: { type: "CodeableConcept", short: "Anatomical location, if relevant" },
+      subject: { type: "Reference", short: "Who has the condition?" },
+      encounter: { type: "Reference", short: "Encounter created as part of" },
+      "onset[x]": { type: "dateTime | Age | Period | Range | string", short: "Estimated or actual date, date-time, or age" },
+      "abatement[x]": { type: "dateTime | Age | Period | Range | string", short: "When in resolution/remission" },
+      recordedDate: { type: "dateTime", short: "Date record was first recorded" },
+      recorder: { type: "Reference", short: "Who recorded the condition" },
+      asserter: { type: "Reference", short: "Person who asserts this condition" },
+      stage: {
+        type: "BackboneElement",
+        short: "Stage/grade, usually assessed formally",
+        elements: {
+          summary: { type: "CodeableConcept", short: "Simple summary (disease specific)" },
+          assessment: { type: "Reference", short: "Formal record of assessment" },
+          type: { type: "CodeableConcept", short: "Kind of staging" }
+        }
+      },
+      evidence: {
+        type: "BackboneElement",
+        short: "Supporting evidence",
+        elements: {
+          code: { type: "CodeableConcept", short: "Manifestation/symptom" },
+          detail: { type: "Reference", short: "Supporting information found elsewhere" }
+        }
+      },
+      note: { type: "Annotation", short: "Additional information about the Condition" }
+    }
+  },
+  "Coverage": {
+    short: "Insurance or medical plan or a payment agreement",
+    elements: {
+      identifier: { type: "Identifier", short: "Business Identifier for the coverage" },
+      status: { type: "code", short: "active | cancelled | draft | entered-in-error" },
+      type: { type: "CodeableConcept", short: "Coverage category such as medical or accident" },
+      policyHolder: { type: "Reference", short: "Owner of the policy" },
+      subscriber: { type: "Reference", short: "Subscriber to the policy" },
+      subscriberId: { type: "string", short: "ID assigned to the subscriber" },
+      beneficiary: { type: "Reference", short: "Plan beneficiary" },
+      dependent: { type: "string", short: "Dependent number" },
+      relationship: { type: "CodeableConcept", short: "Beneficiary relationship to the subscriber" },
+      period: { type: "Period", short: "Coverage start and end dates" },
+      payor: { type: "Reference", short: "Issuer of the policy" },
+      class: {
+        type: "BackboneElement",
+        short: "Additional coverage classifications",
+        elements: {
+          type: { type: "CodeableConcept", short: "Type of class such as 'group' or 'plan'" },
+          value: { type: "string", short: "Value associated with the type" },
+          name: { type: "string", short: "Human readable description of the type and value" }
+        }
+      },
+      order: { type: "positiveInt", short: "Relative order of the coverage" },
+      network: { type: "string", short: "Insurer network" },
+      subrogation: { type: "boolean", short: "Reimbursement to insurer" },
+      contract: { type: "Reference", short: "Contract details" }
+    }
+  },
+  "DiagnosticReport": {
+    short: "A Diagnostic report - a combination of request information, atomic results, images, interpretation, as well as formatted reports",
+    elements: {
+      identifier: { type: "Identifier", short: "Business identifier for report" },
+      basedOn: { type: "Reference", short: "What was requested" },
+      status: { type: "code", short: "registered | partial | preliminary | final +" },
+      category: { type: "CodeableConcept", short: "Service category" },
+      code: { type: "CodeableConcept", short: "Name/Code for this diagnostic report" },
+      subject: { type: "Reference", short: "The subject of the report - usually, but not always, the patient" },
+      encounter: { type: "Reference", short: "Health care event when test ordered" },
+      "effective[x]": { type: "dateTime | Period", short: "Clinically relevant time/time-period for report" },
+      issued: { type: "instant", short: "DateTime this version was made" },
+      performer: { type: "Reference", short: "Responsible Diagnostic Service" },
+      resultsInterpreter: { type: "Reference", short: "Primary result interpreter" },
+      specimen: { type: "Reference", short: "Specimens this report is based on" },
+      result: { type: "Reference", short: "Observations" },
+      imagingStudy: { type: "Reference", short: "Reference to full details of imaging associated with the diagnostic report" },
+      conclusion: { type: "string", short: "Clinical conclusion (interpretation) of test results" },
+      conclusionCode: { type: "CodeableConcept", short: "Codes for the clinical conclusion of test results" },
+      presentedForm: { type: "Attachment", short: "Entire report as issued" }
+    }
+  },
+  "Encounter": {
+    short: "An interaction during which services are provided to the patient",
+    elements: {
+      identifier: { type: "Identifier", short: "Identifier(s) by which this encounter is known" },
+      status: { type: "code", short: "planned | arrived | triaged | in-progress | onleave | finished | cancelled +" },
+      class: { type: "Coding", short: "Classification of patient encounter" },
+      type: { type: "CodeableConcept", short: "Specific type of encounter" },
+      serviceType: { type: "CodeableConcept", short: "Specific type of service" },
+      priority: { type: "CodeableConcept", short: "Indicates the urgency of the encounter" },
+      subject: { type: "Reference", short: "The patient or group present at the encounter" },
+      episodeOfCare: { type: "Reference", short: "Episode(s) of care that this encounter should be recorded against" },
+      basedOn: { type: "Reference", short: "The ServiceRequest that initiated this encounter" },
+      participant: {
+        type: "BackboneElement",
+        short: "List of participants involved in the encounter",
+        elements: {
+          type: { type: "CodeableConcept", short: "Role of participant in encounter" },
+          period: { type: "Period", short: "Period of time during the encounter that the participant participated" },
+          individual: { type: "Reference", short: "Persons involved in the encounter other than the patient" }
+        }
+      },
+      appointment: { type: "Reference", short: "The appointment that scheduled this encounter" },
+      period: { type: "Period", short: "The start and end time of the encounter" },
+      length: { type: "Duration", short: "Quantity of time the encounter lasted (less time absent)" },
+      reasonCode: { type: "CodeableConcept", short: "Coded reason the encounter takes place" },
+      reasonReference: { type: "Reference", short: "Reason the encounter takes place (reference)" },
+      diagnosis: {
+        type: "BackboneElement",
+        short: "The list of diagnosis relevant to this encounter",
+        elements: {
+          condition: { type: "Reference", short: "The diagnosis or procedure relevant to the encounter" },
+          use: { type: "CodeableConcept", short: "Role that this diagnosis has within the encounter (e.g. admission, billing, discharge)" },
+          rank: { type: "positiveInt", short: "Ranking of the diagnosis (for each role type)" }
+        }
+      },
+      account: { type: "Reference", short: "The set of accounts that may be used for billing for this Encounter" },
+      hospitalization: {
+        type: "BackboneElement",
+        short: "Details about the admission to a healthcare service",
+        elements: {
+          preAdmissionIdentifier: { type: "Identifier", short: "Pre-admission identifier" },
+          origin: { type: "Reference", short: "The location/organization from which the patient came before admission" },
+          admitSource: { type: "CodeableConcept", short: "From where patient was admitted (physician referral, transfer)" },
+          reAdmission: { type: "CodeableConcept", short: "The type of hospital re-admission that has occurred (if any)" },
+          dietPreference: { type: "CodeableConcept", short: "Diet preferences reported by the patient" },
+          specialCourtesy: { type: "CodeableConcept", short: "Special courtesies (VIP, board member)" },
+          specialArrangement: { type: "CodeableConcept", short: "Wheelchair, translator, stretcher, etc." },
+          destination: { type: "Reference", short: "Location/organization to which the patient is discharged" },
+          dischargeDisposition: { type: "CodeableConcept", short: "Category or kind of location after discharge" }
+        }
+      },
+      location: {
+        type: "BackboneElement",
+        short: "List of locations where the patient has been",
+        elements: {
+          location: { type: "Reference", short: "Location the encounter takes place" },
+          status: { type: "code", short: "planned | active | reserved | completed" },
+          physicalType: { type: "CodeableConcept", short: "The physical type of the location (usually the level in the location hierarchy - bed room ward etc.)" },
+          period: { type: "Period", short: "Time period during which the patient was present at the location" }
+        }
+      },
+      serviceProvider: { type: "Reference", short: "The organization (facility) responsible for this encounter" },
+      partOf: { type: "Reference", short: "Another Encounter this encounter is part of" }
+    }
+  },
+  "Location": {
+    short: "Details and position information for a physical place",
+    elements: {
+      identifier: { type: "Identifier", short: "Unique code or number identifying the location to its users" },
+      status: { type: "code", short: "active | suspended | inactive" },
+      operationalStatus: { type: "Coding", short: "The operational status of the location (typically only for a bed/room)" },
+      name: { type: "string", short: "Name of the location as used by humans" },
+      alias: { type: "string", short: "A list of alternate names that the location is known as, or was known as, in the past" },
+      description: { type: "string", short: "Additional details about the location that could be displayed as further information to identify the location beyond its name" },
+      mode: { type: "code", short: "instance | kind" },
+      type: { type: "CodeableConcept", short: "Type of function performed" },
+      telecom: { type: "ContactPoint", short: "Contact details of the location" },
+      address: { type: "Address", short: "Physical location" },
+      physicalType: { type: "CodeableConcept", short: "Physical form of the location" },
+      position: {
+        type: "BackboneElement",
+        short: "The absolute geographic location",
+        elements: {
+          longitude: { type: "decimal", short: "Longitude with WGS84 datum" },
+          latitude: { type: "decimal", short: "Latitude with WGS84 datum" },
+          altitude: { type: "decimal", short: "Altitude with WGS84 datum" }
+        }
+      },
+      managingOrganization: { type: "Reference", short: "Organization responsible for provisioning and upkeep" },
+      partOf: { type: "Reference", short: "Another Location this one is physically a part of" },
+      endpoint: { type: "Reference", short: "Technical endpoints providing access to services operated for the location" }
+    }
+  },
+  "MessageHeader": {
+    short: "A resource that describes a message that is exchanged between systems",
+    elements: {
+      "event[x]": { type: "Coding | uri", short: "Code for the event this message represents or link to event definition" },
+      destination: {
+        type: "BackboneElement",
+        short: "Message destination application(s)",
+        elements: {
+          name: { type: "string", short: "Name of system" },
+          target: { type: "Reference", short: "Particular delivery destination within the destination" },
+          endpoint: { type: "url", short: "Actual destination address or id" },
+          receiver: { type: "Reference", short: "Intended \"real-world\" recipient for the data" }
+        }
+      },
+      sender: { type: "Reference", short: "Real world sender of the message" },
+      enterer: { type: "Reference", short: "The source of the data entry" },
+      author: { type: "Reference", short: "The source of the decision" },
+      source: {
+        type: "BackboneElement",
+        short: "Message source application",
+        elements: {
+          name: { type: "string", short: "Name of system" },
+          software: { type: "string", short: "Name of software running the system" },
+          version: { type: "string", short: "Version of software running" },
+          contact: { type: "ContactPoint", short: "Human contact for problems" },
+          endpoint: { type: "url", short: "Actual message source address or id" }
+        }
+      },
+      responsible: { type: "Reference", short: "Final responsibility for event" },
+      reason: { type: "CodeableConcept", short: "Cause of event" },
+      response: {
+        type: "BackboneElement",
+        short: "If this is a reply to prior message",
+        elements: {
+          identifier: { type: "id", short: "Id of original message" },
+          code: { type: "code", short: "ok | transient-error | fatal-error" },
+          details: { type: "Reference", short: "Specific list of hints/warnings/errors" }
+        }
+      },
+      focus: { type: "Reference", short: "The actual content of the message" },
+      definition: { type: "canonical", short: "Link to the definition for this message" }
+    }
+  },
+  "Observation": {
+    short: "Measurements and simple assertions",
+    elements: {
+      identifier: { type: "Identifier", short: "Business Identifier for observation" },
+      basedOn: { type: "Reference", short: "Fulfills plan, proposal or order" },
+      partOf: { type: "Reference", short: "Part of referenced event" },
+      status: { type: "code", short: "registered | preliminary | final | amended +" },
+      category: { type: "CodeableConcept", short: "Classification of type of observation" },
+      code: { type: "CodeableConcept", short: "Type of observation (code / type)" },
+      subject: { type: "Reference", short: "Who and/or what the observation is about" },
+      focus: { type: "Reference", short: "What the observation is about, when it is not about the subject of record" },
+      encounter: { type: "Reference", short: "Healthcare event during which this observation is made" },
+      "effective[x]": { type: "dateTime | Period | Timing | instant", short: "Clinically relevant time/time-period for observation" },
+      issued: { type: "instant", short: "Date/Time this version was made available" },
+      performer: { type: "Reference", short: "Who is responsible for the observation" },
+      "value[x]": { type: "Quantity | CodeableConcept | string | boolean | integer | Range | Ratio | SampledData | time | dateTime | Period", short: "Actual result" },
+      dataAbsentReason: { type: "CodeableConcept", short: "Why the result is missing" },
+      interpretation: { type: "CodeableConcept", short: "High, low, normal, etc." },
+      note: { type: "Annotation", short: "Comments about the observation" },
+      bodySite: { type: "CodeableConcept", short: "Observed body part" },
+      method: { type: "CodeableConcept", short: "How it was done" },
+      specimen: { type: "Reference", short: "Specimen used for this observation" },
+      device: { type: "Reference", short: "(Measurement) Device" },
+      referenceRange: {
+        type: "BackboneElement",
+        short: "Provides guide for interpretation",
+        elements: {
+          low: { type: "Quantity", short: "Low Range, if relevant" },
+          high: { type: "Quantity", short: "High Range, if relevant" },
+          type: { type: "CodeableConcept", short: "Reference range qualifier" },
+          appliesTo: { type: "CodeableConcept", short: "Reference range population" },
+          age: { type: "Range", short: "Applicable age range, if relevant" },
+          text: { type: "string", short: "Text based reference range in an observation" }
+        }
+      },
+      hasMember: { type: "Reference", short: "Related resource that belongs to the Observation group" },
+      derivedFrom: { type: "Reference", short: "Related measurements the observation is made from" },
+      component: {
+        type: "BackboneElement",
+        short: "Component results",
+        elements: {
+          code: { type: "CodeableConcept", short: "Type of component observation (code / type)" },
+          "value[x]": { type: "Quantity | CodeableConcept | string | boolean | integer | Range | Ratio | SampledData | time | dateTime | Period", short: "Actual component result" },
+          dataAbsentReason: { type: "CodeableConcept", short: "Why the component result is missing" },
+          interpretation: { type: "CodeableConcept", short: "High, low, normal, etc." }
+        }
+      }
+    }
+  },
+  "Organization": {
+    short: "A grouping of people or organizations with a common purpose",
+    elements: {
+      identifier: { type: "Identifier", short: "Identifies this organization across multiple systems" },
+      active: { type: "boolean", short: "Whether the organization's record is still in active use" },
+      type: { type: "CodeableConcept", short: "Kind of organization" },
+      name: { type: "string", short: "Name used for the organization" },
+      alias: { type: "string", short: "A list of alternate names that the organization is known as, or was known as in the past" },
+      telecom: { type: "ContactPoint", short: "A contact detail for the organization" },
+      address: { type: "Address", short: "An address for the organization" },
+      partOf: { type: "Reference", short: "The organization of which this organization forms a part" },
+      contact: {
+        type: "BackboneElement",
+        short: "Contact for the organization for a certain purpose",
+        elements: {
+          purpose: { type: "CodeableConcept", short: "The type of contact" },
+          name: { type: "HumanName", short: "A name associated with the contact" },
+          telecom: { type: "ContactPoint", short: "Contact details (telephone, email, etc.) for a contact" },
+          address: { type: "Address", short: "Visiting or postal addresses for the contact" }
+        }
+      },
+      endpoint: { type: "Reference", short: "Technical endpoints providing access to services operated for the organization" }
+    }
+  },
+  "Patient": {
+    short: "Information about an individual or animal receiving health care services",
+    elements: {
+      identifier: { type: "Identifier", short: "An identifier for this patient" },
+      active: { type: "boolean", short: "Whether this patient's record is in active use" },
+      name: { type: "HumanName", short: "A name associated with the patient" },
+      telecom: { type: "ContactPoint", short: "A contact detail for the individual" },
+      gender: { type: "code", short: "male | female | other | unknown" },
+      birthDate: { type: "date", short: "The date of birth for the individual" },
+      "deceased[x]": { type: "boolean | dateTime", short: "Indicates if the individual is deceased or not" },
+      address: { type: "Address", short: "An address for the individual" },
+      maritalStatus: { type: "CodeableConcept", short: "Marital (civil) status of a patient" },
+      "multipleBirth[x]": { type: "boolean | integer", short: "Whether patient is part of a multiple birth" },
+      photo: { type: "Attachment", short: "Image of the patient" },
+      contact: {
+        type: "BackboneElement",
+        short: "A contact party (e.g. guardian, partner, friend) for the patient",
+        elements: {
+          relationship: { type: "CodeableConcept", short: "The kind of relationship" },
+          name: { type: "HumanName", short: "A name associated with the contact person" },
+          telecom: { type: "ContactPoint", short: "A contact detail for the person" },
+          address: { type: "Address", short: "Address for the contact person" },
+          gender: { type: "code", short: "male | female | other | unknown" },
+          organization: { type: "Reference", short: "Organization that is associated with the contact" },
+          period: { type: "Period", short: "The period during which this contact person or organization is valid to be contacted relating to this patient" }
+        }
+      },
+      communication: {
+        type: "BackboneElement",
+        short: "A language which may be used to communicate with the patient about his or her health",
+        elements: {
+          language: { type: "CodeableConcept", short: "The language which can be used to communicate with the patient about his or her health" },
+          preferred: { type: "boolean", short: "Language preference indicator" }
+        }
+      },
+      generalPractitioner: { type: "Reference", short: "Patient's nominated primary care provider" },
+      managingOrganization: { type: "Reference", short: "Organization that is the custodian of the patient record" },
+      link: {
+        type: "BackboneElement",
+        short: "Link to another patient resource that concerns the same actual person",
+        elements: {
+          other: { type: "Reference", short: "The other patient or related person resource that the link refers to" },
+          type: { type: "code", short: "replaced-by | replaces | refer | seealso" }
+        }
+      }
+    }
+  },
+  "Practitioner": {
+    short: "A person with a formal responsibility in the provisioning of healthcare or related services",
+    elements: {
+      identifier: { type: "Identifier", short: "An identifier for the person as this agent" },
+      active: { type: "boolean", short: "Whether this practitioner's record is in active use" },
+      name: { type: "HumanName", short: "The name(s) associated with the practitioner" },
+      telecom: { type: "ContactPoint", short: "A contact detail for the practitioner (that apply to all roles)" },
+      address: { type: "Address", short: "Address(es) of the practitioner that are not role specific (typically home address)" },
+      gender: { type: "code", short: "male | female | other | unknown" },
+      birthDate: { type: "date", short: "The date on which the practitioner was born" },
+      photo: { type: "Attachment", short: "Image of the person" },
+      qualification: {
+        type: "BackboneElement",
+        short: "Certification, licenses, or training pertaining to the provision of care",
+        elements: {
+          identifier: { type: "Identifier", short: "An identifier for this qualification for the practitioner" },
+          code: { type: "CodeableConcept", short: "Coded representation of the qualification" },
+          period: { type: "Period", short: "Period during which the qualification is valid" },
+          issuer: { type: "Reference", short: "Organization that regulates and issues the qualification" }
+        }
+      },
+      communication: { type: "CodeableConcept", short: "A language the practitioner can use in patient communication" }
+    }
+  }
+};
+
+// FHIR data types, the types of the elements of resources (see FHIR_RESOURCES)
+// "like" names a data type with the same elements (e.g. Duration, a Quantity)
+const FHIR_DATA_TYPES = {
+  "Address": {
+    elements: {
+      use: { type: "code", short: "home | work | temp | old | billing - purpose of this address" },
+      type: { type: "code", short: "postal | physical | both" },
+      text: { type: "string", short: "Text representation of the address" },
+      line: { type: "string", short: "Street name, number, direction & P.O. Box etc." },
+      city: { type: "string", short: "Name of city, town etc." },
+      district: { type: "string", short: "District name (aka county)" },
+      state: { type: "string", short: "Sub-unit of country (abbreviations ok)" },
+      postalCode: { type: "string", short: "Postal code for area" },
+      country: { type: "string", short: "Country (e.g. can be ISO 3166 2 or 3 letter code)" },
+      period: { type: "Period", short: "Time period when address was/is in use" }
+    }
+  },
+  "Age": { like: "Quantity" },
+  "Annotation": {
+    elements: {
+      "author[x]": { type: "Reference | string", short: "Individual responsible for the annotation" },
+      time: { type: "dateTime", short: "When the annotation was made" },
+      text: { type: "markdown", short: "The annotation - text content (as markdown)" }
+    }
+  },
+  "Attachment": {
+    elements: {
+      contentType: { type: "code", short: "Mime type of the content, with charset etc." },
+      language: { type: "code", short: "Human language of the content (BCP-47)" },
+      data: { type: "base64Binary", short: "Data inline, base64ed" },
+      url: { type: "url", short: "Uri where the data can be found" },
+      size: { type: "unsignedInt", short: "Number of bytes of content (if url provided)" },
+      hash: { type: "base64Binary", short: "Hash of the data (sha-1, base64ed)" },
+      title: { type: "string", short: "Label to display in place of the data" },
+      creation: { type: "dateTime", short: "Date attachment was first created" }
+    }
+  },
+  "CodeableConcept": {
+    elements: {
+      coding: { type: "Coding", short: "Code defined by a terminology system" },
+      text: { type: "string", short: "Plain text representation of the concept" }
+    }
+  },
+  "Coding": {
+    elements: {
+      system: { type: "uri", short: "Identity of the terminology system" },
+      version: { type: "string", short: "Version of the system - if relevant" },
+      code: { type: "code", short: "Symbol in syntax defined by the system" },
+      display: { type: "string", short: "Representation defined by the system" },
+      userSelected: { type: "boolean", short: "If this coding was chosen directly by the user" }
+    }
+  },
+  "ContactPoint": {
+    elements: {
+      system: { type: "code", short: "phone | fax | email | pager | url | sms | other" },
+      value: { type: "string", short: "The actual contact point details" },
+      use: { type: "code", short: "home | work | temp | old | mobile - purpose of this contact point" },
+      rank: { type: "positiveInt", short: "Specify preferred order of use (1 = highest)" },
+      period: { type: "Period", short: "Time period when the contact point was/is in use" }
+    }
+  },
+  "Duration": { like: "Quantity" },
+  "Extension": {
+    elements: {
+      url: { type: "uri", short: "Identifies the meaning of the extension" },
+      "value[x]": { type: "*", short: "Value of extension" }
+    }
+  },
+  "HumanName": {
+    elements: {
+      use: { type: "code", short: "usual | official | temp | nickname | anonymous | old | maiden" },
+      text: { type: "string", short: "Text representation of the full name" },
+      family: { type: "string", short: "Family name (often called 'Surname')" },
+      given: { type: "string", short: "Given names (not always 'first'). Includes middle names" },
+      prefix: { type: "string", short: "Parts that come before the name" },
+      suffix: { type: "string", short: "Parts that come after the name" },
+      period: { type: "Period", short: "Time period when name was/is in use" }
+    }
+  },
+  "Identifier": {
+    elements: {
+      use: { type: "code", short: "usual | official | temp | secondary | old (If known)" },
+      type: { type: "CodeableConcept", short: "Description of identifier" },
+      system: { type: "uri", short: "The namespace for the identifier value" },
+      value: { type: "string", short: "The value that is unique" },
+      period: { type: "Period", short: "Time period when id is/was valid for use" },
+      assigner: { type: "Reference", short: "Organization that issued id (may be just text)" }
+    }
+  },
+  "Meta": {
+    elements: {
+      versionId: { type: "id", short: "Version specific identifier" },
+      lastUpdated: { type: "instant", short: "When the resource version last changed" },
+      source: { type: "uri", short: "Identifies where the resource comes from" },
+      profile: { type: "canonical", short: "Profiles this resource claims to conform to" },
+      security: { type: "Coding", short: "Security Labels applied to this resource" },
+      tag: { type: "Coding", short: "Tags applied to this resource" }
+    }
+  },
+  "Narrative": {
+    elements: {
+      status: { type: "code", short: "generated | extensions | additional | empty" },
+      div: { type: "xhtml", short: "Limited xhtml content" }
+    }
+  },
+  "Period": {
+    elements: {
+      start: { type: "dateTime", short: "Starting time with inclusive boundary" },
+      end: { type: "dateTime", short: "End time with inclusive boundary, if not ongoing" }
+    }
+  },
+  "Quantity": {
+    elements: {
+      value: { type: "decimal", short: "Numerical value (with implicit precision)" },
+      comparator: { type: "code", short: "< | <= | >= | > - how to understand the value" },
+      unit: { type: "string", short: "Unit representation" },
+      system: { type: "uri", short: "System that defines coded unit form" },
+      code: { type: "code", short: "Coded form of the unit" }
+    }
+  },
+  "Range": {
+    elements: {
+      low: { type: "Quantity", short: "Low limit" },
+      high: { type: "Quantity", short: "High limit" }
+    }
+  },
+  "Ratio": {
+    elements: {
+      numerator: { type: "Quantity", short: "Numerator value" },
+      denominator: { type: "Quantity", short: "Denominator value" }
+    }
+  },
+  "Reference": {
+    elements: {
+      reference: { type: "string", short: "Literal reference, Relative, internal or absolute URL" },
+      type: { type: "uri", short: "Type the reference refers to (e.g. \"Patient\")" },
+      identifier: { type: "Identifier", short: "Logical reference, when literal reference is not known" },
+      display: { type: "string", short: "Text alternative for the resource" }
+    }
+  }
+};
+
+// Elements every resource has (Resource and DomainResource), and every data type and backbone
+// element has (Element and BackboneElement)
+const FHIR_COMMON_ELEMENTS = {
+  resource: {
+    resourceType: { type: "code", short: "The type of resource (JSON only)" },
+    id: { type: "id", short: "Logical id of this artifact" },
+    meta: { type: "Meta", short: "Metadata about the resource" },
+    implicitRules: { type: "uri", short: "A set of rules under which this content was created" },
+    language: { type: "code", short: "Language of the resource content" },
+    text: { type: "Narrative", short: "Text summary of the resource, for human interpretation" },
+    contained: { type: "Resource", short: "Contained, inline Resources" },
+    extension: { type: "Extension", short: "Additional content defined by implementations" },
+    modifierExtension: { type: "Extension", short: "Extensions that cannot be ignored" }
+  },
+  element: {
+    id: { type: "string", short: "Unique id for inter-element referencing" },
+    extension: { type: "Extension", short: "Additional content defined by implementations" },
+    modifierExtension: { type: "Extension", short: "Extensions that cannot be ignored even if unrecognized" }
+  }
+};
+
+// The primitive types, whose names start with a lowercase letter (choice elements add them to their
+// name capitalized, e.g. deceasedBoolean)
+const FHIR_PRIMITIVE_TYPES = [
+  "base64Binary", "boolean", "canonical", "code", "date", "dateTime", "decimal", "id", "instant",
+  "integer", "markdown", "oid", "positiveInt", "string", "time", "unsignedInt", "uri", "url", "uuid"
+];
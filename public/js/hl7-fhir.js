@@ -0,0 +1,904 @@
+// HL7 Viewer - FHIR Conversion Module
+// Converts HL7 v2 messages (ADT, ORU) to FHIR R4 Bundles: each segment a mapping names becomes a
+// resource (PID a Patient, OBX an Observation...), its fields set elements of that resource, and
+// resources are linked to the others in their message. The mapping can be edited and is stored in
+// localStorage. FHIR JSON is also described here for the JSON viewer: resource labels, element
+// definitions (see hl7-fhir-elements.js) and references between a Bundle's entries
+
+const HL7Fhir = (function() {
+  'use strict';
+
+  const STORAGE_KEY = 'hl7viewer_fhirMapping';
+
+  // Code systems for the coding systems named in CE/CWE values (the third component)
+  const CODE_SYSTEMS = {
+    LN: 'http://loinc.org',
+    SCT: 'http://snomed.info/sct',
+    SNM: 'http://snomed.info/sct',
+    I10: 'http://hl7.org/fhir/sid/icd-10',
+    I10C: 'http://hl7.org/fhir/sid/icd-10-cm',
+    I9: 'http://hl7.org/fhir/sid/icd-9-cm',
+    I9C: 'http://hl7.org/fhir/sid/icd-9-cm',
+    RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+    UCUM: 'http://unitsofmeasure.org',
+    HL70078: 'http://terminology.hl7.org/CodeSystem/v2-0078'
+  };
+
+  // Code system of identifier types (CX-5)
+  const IDENTIFIER_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0203';
+
+  // Name types (XPN-7), address types (XAD-7) and telecommunication use codes (XTN-2) in FHIR
+  const NAME_USES = { L: 'official', D: 'usual', M: 'maiden', N: 'nickname', A: 'anonymous' };
+  const ADDRESS_USES = { H: 'home', B: 'work', O: 'work', C: 'temp' };
+  const TELECOM_USES = { PRN: 'home', WPN: 'work', ORN: 'home', VHN: 'home', EMR: 'temp' };
+
+  // How a field's value becomes a FHIR element, by the FHIR type it is written as
+  const TYPES = {
+    string: 'Text (components joined with spaces)',
+    code: 'Code (first component, through the rule\'s map)',
+    date: 'Date (YYYY-MM-DD)',
+    dateTime: 'Date and time',
+    Identifier: 'Identifier (CX, EI)',
+    HumanName: 'Name (XPN, XCN)',
+    Address: 'Address (XAD)',
+    ContactPoint: 'Phone or email (XTN)',
+    Coding: 'Coding (CE, CWE, or a code with the rule\'s system)',
+    CodeableConcept: 'CodeableConcept (CE, CWE)',
+    Reference: 'Reference by name (XCN, XON, PL...)',
+    ObservationValue: 'Observation value[x], typed by OBX-2 with units from OBX-6'
+  };
+
+  // Built-in mapping: one entry per segment that becomes a resource
+  // fields: { field, element, type, map, system } - element is a path in the resource, where
+  //   name[] is a list (each repetition of a repeating field is added to the last list in the path)
+  // fixed: element values every resource of the entry starts with
+  // references: { element, resource, following } - the element points at the first resource of that
+  //   type in the message, or (with following) at each one made from the segments that follow, up to
+  //   the next segment of the entry's own
+  const DEFAULT_MAPPING = [
+    {
+      segment: 'PID',
+      resource: 'Patient',
+      fields: [
+        { field: 3, element: 'identifier[]', type: 'Identifier' },
+        { field: 5, element: 'name[]', type: 'HumanName' },
+        { field: 7, element: 'birthDate', type: 'date' },
+        { field: 8, element: 'gender', type: 'code', map: { M: 'male', F: 'female', O: 'other', A: 'other', N: 'other', U: 'unknown' } },
+        { field: 11, element: 'address[]', type: 'Address' },
+        { field: 13, element: 'telecom[]', type: 'ContactPoint' },
+        { field: 14, element: 'telecom[]', type: 'ContactPoint' },
+        { field: 16, element: 'maritalStatus', type: 'CodeableConcept', system: 'http://terminology.hl7.org/CodeSystem/v3-MaritalStatus' },
+        { field: 29, element: 'deceasedDateTime', type: 'dateTime' }
+      ]
+    },
+    {
+      segment: 'PV1',
+      resource: 'Encounter',
+      fixed: { status: 'unknown' },
+      references: [{ element: 'subject', resource: 'Patient' }],
+      fields: [
+        { field: 2, element: 'class', type: 'Coding', system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', map: { I: 'IMP', O: 'AMB', E: 'EMER', P: 'PRENC', R: 'AMB' } },
+        { field: 3, element: 'location[].location', type: 'Reference' },
+        { field: 7, element: 'participant[].individual', type: 'Reference' },
+        { field: 19, element: 'identifier[]', type: 'Identifier' },
+        { field: 44, element: 'period.start', type: 'dateTime' },
+        { field: 45, element: 'period.end', type: 'dateTime' }
+      ]
+    },
+    {
+      segment: 'OBR',
+      resource: 'DiagnosticReport',
+      fixed: { status: 'unknown' },
+      references: [
+        { element: 'subject', resource: 'Patient' },
+        { element: 'encounter', resource: 'Encounter' },
+        { element: 'result[]', resource: 'Observation', following: true }
+      ],
+      fields: [
+        { field: 3, element: 'identifier[]', type: 'Identifier' },
+        { field: 4, element: 'code', type: 'CodeableConcept' },
+        { field: 7, element: 'effectiveDateTime', type: 'dateTime' },
+        { field: 22, element: 'issued', type: 'dateTime' },
+        { field: 25, element: 'status', type: 'code', map: { O: 'registered', I: 'registered', S: 'registered', P: 'preliminary', A: 'partial', R: 'partial', C: 'corrected', F: 'final', X: 'cancelled' } }
+      ]
+    },
+    {
+      segment: 'OBX',
+      resource: 'Observation',
+      fixed: { status: 'unknown' },
+      references: [
+        { element: 'subject', resource: 'Patient' },
+        { element: 'encounter', resource: 'Encounter' }
+      ],
+      fields: [
+        { field: 3, element: 'code', type: 'CodeableConcept' },
+        { field: 5, element: 'value[x]', type: 'ObservationValue' },
+        { field: 7, element: 'referenceRange[].text', type: 'string' },
+        { field: 8, element: 'interpretation[]', type: 'CodeableConcept', system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation' },
+        { field: 11, element: 'status', type: 'code', map: { P: 'preliminary', R: 'preliminary', F: 'final', C: 'corrected', X: 'cancelled', I: 'registered', D: 'entered-in-error', W: 'entered-in-error' } },
+        { field: 14, element: 'effectiveDateTime', type: 'dateTime' }
+      ]
+    },
+    {
+      segment: 'AL1',
+      resource: 'AllergyIntolerance',
+      fixed: {
+        clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }] }
+      },
+      references: [{ element: 'patient', resource: 'Patient' }],
+      fields: [
+        { field: 2, element: 'category[]', type: 'code', map: { DA: 'medication', MA: 'medication', FA: 'food', EA: 'environment', AA: 'environment', PA: 'environment', LA: 'environment' } },
+        { field: 3, element: 'code', type: 'CodeableConcept' },
+        { field: 4, element: 'criticality', type: 'code', map: { SV: 'high', MO: 'low', MI: 'low', U: 'unable-to-assess' } },
+        { field: 5, element: 'reaction[].manifestation[].text', type: 'string' },
+        { field: 6, element: 'onsetDateTime', type: 'dateTime' }
+      ]
+    },
+    {
+      segment: 'DG1',
+      resource: 'Condition',
+      fixed: {
+        category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis' }] }]
+      },
+      references: [
+        { element: 'subject', resource: 'Patient' },
+        { element: 'encounter', resource: 'Encounter' }
+      ],
+      fields: [
+        { field: 3, element: 'code', type: 'CodeableConcept' },
+        { field: 4, element: 'code.text', type: 'string' },
+        { field: 5, element: 'onsetDateTime', type: 'dateTime' }
+      ]
+    },
+    {
+      segment: 'IN1',
+      resource: 'Coverage',
+      fixed: { status: 'active' },
+      references: [{ element: 'beneficiary', resource: 'Patient' }],
+      fields: [
+        { field: 2, element: 'type', type: 'CodeableConcept' },
+        { field: 4, element: 'payor[]', type: 'Reference' },
+        { field: 12, element: 'period.start', type: 'dateTime' },
+        { field: 13, element: 'period.end', type: 'dateTime' },
+        { field: 17, element: 'relationship', type: 'CodeableConcept', system: 'http://terminology.hl7.org/CodeSystem/subscriber-relationship', map: {
+          SEL: 'self', SPO: 'spouse', DOM: 'common', CHD: 'child', NCH: 'child', SCH: 'child', FCH: 'child', PAR: 'parent', MTH: 'parent', FTH: 'parent',
+          GCH: 'other', DEP: 'other', WRD: 'other', CGV: 'other', GRD: 'other', GRP: 'other', EXF: 'other', SIB: 'other', BRO: 'other', SIS: 'other',
+          FND: 'other', OAD: 'other', EME: 'other', EMR: 'other', ASC: 'other', EMC: 'other', OWN: 'other', TRA: 'other', MGR: 'other', OTH: 'other'
+        } },
+        { field: 36, element: 'identifier[]', type: 'Identifier' }
+      ]
+    }
+  ];
+
+  // ========================================
+  // MAPPING
+  // ========================================
+
+  /**
+   * Check that a mapping has the expected shape
+   * Throws an Error describing the first problem found
+   */
+  function validateMapping(mapping) {
+    if (!Array.isArray(mapping)) {
+      throw new Error('The mapping must be a list of segment mappings.');
+    }
+
+    const elementPath = /^[a-z][A-Za-z0-9]*(\[\])?(\.[a-z][A-Za-z0-9]*(\[\])?)*$/;
+    mapping.forEach((entry, index) => {
+      const where = `Mapping ${index + 1}`;
+      if (!entry || !/^[A-Z][A-Z0-9]{2}$/.test(entry.segment || '')) {
+        throw new Error(`${where}: "${entry && entry.segment}" is not a segment ID (e.g. PID).`);
+      }
+      if (!/^[A-Z][A-Za-z]+$/.test(entry.resource || '')) {
+        throw new Error(`${where} (${entry.segment}): "${entry.resource}" is not a FHIR resource type (e.g. Patient).`);
+      }
+      if (!Array.isArray(entry.fields)) {
+        throw new Error(`${where} (${entry.segment}): it must have a list of fields.`);
+      }
+      if (entry.fixed !== undefined && (typeof entry.fixed !== 'object' || entry.fixed === null || Array.isArray(entry.fixed))) {
+        throw new Error(`${where} (${entry.segment}): fixed must be an object of element values.`);
+      }
+
+      entry.fields.forEach((rule, ruleIndex) => {
+        const ruleWhere = `${where} (${entry.segment}), field rule ${ruleIndex + 1}`;
+        if (!rule || !Number.isInteger(rule.field) || rule.field < 1) {
+          throw new Error(`${ruleWhere}: the field must be a field number (e.g. 5 for ${entry.segment}.5).`);
+        }
+        if (!TYPES[rule.type]) {
+          throw new Error(`${ruleWhere}: "${rule.type}" is not a type (use ${Object.keys(TYPES).join(', ')}).`);
+        }
+        const isChoice = rule.element === 'value[x]';
+        if (!(isChoice || elementPath.test(rule.element || ''))) {
+          throw new Error(`${ruleWhere}: "${rule.element}" is not an element path (e.g. name[] or period.start).`);
+        }
+        if (isChoice !== (rule.type === 'ObservationValue')) {
+          throw new Error(`${ruleWhere}: value[x] is set with the ObservationValue type, and only it.`);
+        }
+        if (rule.map !== undefined && (typeof rule.map !== 'object' || rule.map === null || Array.isArray(rule.map))) {
+          throw new Error(`${ruleWhere}: map must be an object of HL7 codes and FHIR codes.`);
+        }
+      });
+
+      (entry.references || []).forEach((reference, referenceIndex) => {
+        const referenceWhere = `${where} (${entry.segment}), reference ${referenceIndex + 1}`;
+        if (!reference || !elementPath.test(reference.element || '')) {
+          throw new Error(`${referenceWhere}: "${reference && reference.element}" is not an element path (e.g. subject).`);
+        }
+        if (!/^[A-Z][A-Za-z]+$/.test(reference.resource || '')) {
+          throw new Error(`${referenceWhere}: "${reference.resource}" is not a FHIR resource type.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a copy of the mapping in use: the saved one, or the built-in one
+   */
+  function getMapping() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (stored) return JSON.parse(stored);
+    } catch (e) {
+      // Fall back to the built-in mapping
+    }
+    return getDefaultMapping();
+  }
+
+  /**
+   * Get a copy of the built-in mapping
+   */
+  function getDefaultMapping() {
+    return JSON.parse(JSON.stringify(DEFAULT_MAPPING));
+  }
+
+  /**
+   * Check whether a mapping of your own is saved
+   */
+  function hasCustomMapping() {
+    return !!localStorage.getItem(STORAGE_KEY);
+  }
+
+  /**
+   * Save a mapping in place of the built-in one
+   */
+  function saveMapping(mapping) {
+    validateMapping(mapping);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mapping));
+  }
+
+  /**
+   * Go back to the built-in mapping
+   */
+  function resetMapping() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  // ========================================
+  // VALUE CONVERSION
+  // ========================================
+
+  /**
+   * Split a field repetition into its components and subcomponents, decoded
+   * Returns a function (compNum, subcompNum) giving a part's trimmed text ('' when missing)
+   */
+  function getParts(repetition, encoding) {
+    const components = repetition.split(encoding.componentSeparator)
+      .map(component => component.split(encoding.subcomponentSeparator));
+    return function(compNum, subcompNum) {
+      const component = components[compNum - 1];
+      const text = component ? component[(subcompNum || 1) - 1] : '';
+      return text ? HL7Escape.decode(text, encoding).trim() : '';
+    };
+  }
+
+  /**
+   * Convert an HL7 date/time (YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]) to a FHIR date, or dateTime
+   * when it has a time. Returns undefined for anything else
+   * HL7 times without a time zone are written without one
+   */
+  function toFhirDate(value, withTime) {
+    const match = /^(\d{4})(\d{2})?(\d{2})?(?:(\d{2})(\d{2})?(\d{2})?(\.\d+)?)?([+-]\d{4})?$/.exec(value);
+    if (!match) return undefined;
+
+    const date = match[1] + (match[2] ? '-' + match[2] + (match[3] ? '-' + match[3] : '') : '');
+    if (!withTime || !match[3] || !match[4]) return date;
+
+    const time = `${match[4]}:${match[5] || '00'}:${match[6] || '00'}${match[7] || ''}`;
+    const zone = match[8] ? `${match[8].substring(0, 3)}:${match[8].substring(3)}` : '';
+    return `${date}T${time}${zone}`;
+  }
+
+  /**
+   * Get the FHIR code system for a coding system named in HL7 (e.g. LN), or undefined
+   */
+  function getCodeSystem(name) {
+    if (!name) return undefined;
+    return CODE_SYSTEMS[name.toUpperCase()] || (/^[a-z][a-z0-9+.-]*:/i.test(name) ? name : undefined);
+  }
+
+  /**
+   * Map a code through a rule's map; codes it doesn't list are kept
+   */
+  function mapCode(code, rule) {
+    return rule.map && Object.prototype.hasOwnProperty.call(rule.map, code) ? rule.map[code] : code;
+  }
+
+  /**
+   * Remove the properties of an object that are undefined or empty lists; returns undefined when
+   * none are left
+   */
+  function compact(object) {
+    Object.keys(object).forEach(key => {
+      const value = object[key];
+      if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) delete object[key];
+    });
+    return Object.keys(object).length > 0 ? object : undefined;
+  }
+
+  /**
+   * Build a Coding from a code, display and HL7 coding system name; the rule's system wins, except
+   * for a code its map doesn't list (the rule's system is that of the codes the map gives, e.g.
+   * IN1-17's table 0063 codes are mapped to subscriber-relationship codes)
+   */
+  function toCoding(code, display, systemName, rule) {
+    if (!code) return undefined;
+    const unmapped = rule.map && !Object.prototype.hasOwnProperty.call(rule.map, code);
+    return compact({
+      system: (!unmapped && rule.system) || getCodeSystem(systemName),
+      code: mapCode(code, rule),
+      display: display
+    });
+  }
+
+  /**
+   * Build a CodeableConcept from a CE/CWE value: its code and its alternate code, and its text
+   */
+  function toCodeableConcept(part, rule) {
+    const codings = [
+      toCoding(part(1), part(2), part(3), rule),
+      toCoding(part(4), part(5), part(6), { map: rule.map })
+    ].filter(coding => coding);
+    return compact({ coding: codings, text: part(9) || part(2) || (codings.length ? undefined : part(1)) });
+  }
+
+  /**
+   * Build a person's name from a name starting at a component (1 for XPN, 2 for XCN)
+   */
+  function toHumanName(part, first) {
+    return compact({
+      use: NAME_USES[part(first + 6)],
+      family: part(first),
+      given: [part(first + 1), part(first + 2)].filter(name => name),
+      prefix: [part(first + 4)].filter(prefix => prefix),
+      suffix: [part(first + 3)].filter(suffix => suffix)
+    });
+  }
+
+  // Converters for the types (see TYPES): (part, context) to a FHIR value, or undefined when there
+  // is nothing to write. part gives the repetition's decoded components (see getParts); context is
+  // { repetition, rule, dataType, segment } - the raw repetition, its mapping rule, the field's HL7
+  // data type, and the segment it is in
+  const CONVERTERS = {
+    string: function(part, context) {
+      const count = context.repetition.split(context.segment.componentSeparator).length;
+      const texts = [];
+      for (let compNum = 1; compNum <= count; compNum++) {
+        if (part(compNum)) texts.push(part(compNum));
+      }
+      return texts.join(' ') || undefined;
+    },
+
+    code: function(part, context) {
+      return part(1) ? mapCode(part(1), context.rule) : undefined;
+    },
+
+    date: function(part) {
+      return toFhirDate(part(1), false);
+    },
+
+    dateTime: function(part) {
+      return toFhirDate(part(1), true);
+    },
+
+    Identifier: function(part, context) {
+      if (!part(1)) return undefined;
+      // EI: entity^namespace^universal ID^universal ID type; CX: ID^^^assigning authority (HD)^type
+      const entity = context.dataType === 'EI' || context.dataType === 'EIP';
+      const authority = entity ? [part(2), part(3), part(4)] : [part(4, 1), part(4, 2), part(4, 3)];
+      const system = authority[2] === 'ISO' && authority[1] ? 'urn:oid:' + authority[1]
+        : (/^[a-z][a-z0-9+.-]*:/i.test(authority[1]) ? authority[1] : undefined);
+      return compact({
+        type: !entity && part(5) ? { coding: [{ system: IDENTIFIER_TYPE_SYSTEM, code: part(5) }] } : undefined,
+        system: system,
+        value: part(1),
+        assigner: authority[0] ? { display: authority[0] } : undefined
+      });
+    },
+
+    HumanName: function(part, context) {
+      return toHumanName(part, context.dataType === 'XCN' ? 2 : 1);
+    },
+
+    Address: function(part) {
+      return compact({
+        use: ADDRESS_USES[part(7)],
+        line: [part(1, 1), part(2)].filter(line => line),
+        city: part(3),
+        state: part(4),
+        postalCode: part(5),
+        country: part(6)
+      });
+    },
+
+    ContactPoint: function(part) {
+      // XTN: number^use^equipment^email^country^area^local^extension
+      const equipment = part(3).toUpperCase();
+      const email = equipment === 'INTERNET' || equipment === 'X.400' || (!part(1) && !!part(4));
+      const number = part(1) || (part(6) ? `(${part(6)})` : '') + part(7) + (part(8) ? ` x${part(8)}` : '');
+      const value = email ? part(4) : number;
+      if (!value) return undefined;
+      return compact({
+        system: email ? 'email' : (equipment === 'FX' ? 'fax' : (equipment === 'BP' ? 'pager' : 'phone')),
+        value: value,
+        use: equipment === 'CP' ? 'mobile' : TELECOM_USES[part(2)]
+      });
+    },
+
+    Coding: function(part, context) {
+      return toCoding(part(1), part(2), part(3), context.rule);
+    },
+
+    CodeableConcept: function(part, context) {
+      return toCodeableConcept(part, context.rule);
+    },
+
+    Reference: function(part, context) {
+      let display;
+      if (context.dataType === 'XCN') {
+        display = [part(3), part(2)].filter(name => name).join(' ');
+        return compact({
+          identifier: part(1) ? { value: part(1) } : undefined,
+          display: display || undefined
+        });
+      }
+      if (context.dataType === 'XON') {
+        display = part(1);
+      } else {
+        display = CONVERTERS.string(part, context);
+      }
+      return display ? { display: display } : undefined;
+    },
+
+    ObservationValue: function(part, context) {
+      const segment = context.segment;
+      const valueType = (segment.fields[1] || '').split(segment.componentSeparator)[0].trim().toUpperCase();
+
+      switch (valueType) {
+        case 'NM':
+        case 'SN': {
+          // SN: comparator^number (other forms, such as ranges and ratios, are written as text)
+          const comparator = valueType === 'SN' ? part(1) : '';
+          const number = valueType === 'SN' ? part(2) : part(1);
+          const simple = valueType === 'NM' || !(part(3) || part(4));
+          if (!simple || !/^[+-]?(\d+\.?\d*|\.\d+)$/.test(number)) break;
+
+          const units = getParts(segment.fields[5] || '', segment);
+          return {
+            type: 'Quantity',
+            value: compact({
+              value: parseFloat(number),
+              comparator: ['<', '<=', '>', '>='].includes(comparator) ? comparator : undefined,
+              unit: units(2) || units(1) || undefined,
+              system: units(1) ? getCodeSystem(units(3)) : undefined,
+              code: units(1) || undefined
+            })
+          };
+        }
+        case 'CE':
+        case 'CWE':
+        case 'CNE':
+        case 'CF': {
+          const concept = toCodeableConcept(part, context.rule);
+          return concept ? { type: 'CodeableConcept', value: concept } : undefined;
+        }
+        case 'DT':
+        case 'TS':
+        case 'DTM': {
+          const dateTime = toFhirDate(part(1), true);
+          if (dateTime) return { type: 'DateTime', value: dateTime };
+          break;
+        }
+        case 'TM': {
+          const match = /^(\d{2})(\d{2})?(\d{2})?/.exec(part(1));
+          if (match) return { type: 'Time', value: `${match[1]}:${match[2] || '00'}:${match[3] || '00'}` };
+          break;
+        }
+      }
+
+      const text = CONVERTERS.string(part, context);
+      return text ? { type: 'String', value: text } : undefined;
+    }
+  };
+
+  // ========================================
+  // BUNDLES
+  // ========================================
+
+  /**
+   * Make a random UUID for a resource's id and full URL
+   */
+  function createUuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+      const random = Math.random() * 16 | 0;
+      return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  /**
+   * Set an element in a resource by its path (see DEFAULT_MAPPING): the last list in the path gets
+   * a new entry for the value, and earlier lists have their first entry used. value[x] is named
+   * after the type the value has ({ type, value }, see CONVERTERS.ObservationValue)
+   * Returns the path with the list positions filled in (e.g. name[1])
+   */
+  function setElement(resource, path, value) {
+    const names = path.split('.');
+    const lastList = names.reduce((last, name, index) => name.endsWith('[]') ? index : last, -1);
+    const resolved = [];
+    let target = resource;
+
+    names.forEach((name, index) => {
+      const isList = name.endsWith('[]');
+      const isLast = index === names.length - 1;
+      let key = isList ? name.slice(0, -2) : name;
+
+      if (key.endsWith('[x]')) {
+        key = key.slice(0, -3) + value.type;
+        value = value.value;
+      }
+
+      if (isList) {
+        const list = target[key] = target[key] || [];
+        if (index === lastList || list.length === 0) list.push(isLast ? value : {});
+        const position = index === lastList ? list.length - 1 : 0;
+        resolved.push(`${key}[${position}]`);
+        target = list[position];
+      } else if (isLast) {
+        target[key] = value;
+        resolved.push(key);
+      } else {
+        target = target[key] = target[key] || {};
+        resolved.push(key);
+      }
+    });
+
+    return resolved.join('.');
+  }
+
+  /**
+   * Get the value of a field of a parsed segment ('' when it is missing)
+   */
+  function getFieldValue(segment, fieldNum) {
+    if (HL7Parser.isHeaderSegment(segment.segmentId)) {
+      return fieldNum === 1 ? segment.fieldSeparator : (segment.fields[fieldNum - 2] || '');
+    }
+    return segment.fields[fieldNum - 1] || '';
+  }
+
+  /**
+   * Make a resource from a segment with a segment mapping, adding what each field was mapped to
+   * ({ field, repetition, value, element }) to mapped
+   */
+  function createResource(segment, entry, version, mapped) {
+    const resource = Object.assign({ resourceType: entry.resource, id: createUuid() },
+      JSON.parse(JSON.stringify(entry.fixed || {})));
+
+    entry.fields.forEach(rule => {
+      const value = getFieldValue(segment, rule.field);
+      if (!value) return;
+
+      const fieldDef = HL7Dictionary.getField(segment.segmentId, rule.field, version);
+      const repetitions = value.split(segment.repetitionSeparator);
+      const isList = rule.element.indexOf('[]') >= 0;
+
+      repetitions.forEach((repetition, index) => {
+        // Elements that aren't lists take the first repetition
+        if (!repetition || repetition === '""' || (index > 0 && !isList)) return;
+
+        const converted = CONVERTERS[rule.type](getParts(repetition, segment), {
+          repetition: repetition,
+          rule: rule,
+          dataType: fieldDef ? fieldDef.dataType : undefined,
+          segment: segment
+        });
+        if (converted === undefined) return;
+
+        mapped.push({
+          field: `${segment.segmentId}.${rule.field}`,
+          repetition: repetitions.length > 1 ? index + 1 : null,
+          value: repetition,
+          element: `${entry.resource}.${setElement(resource, rule.element, converted)}`
+        });
+      });
+    });
+
+    return resource;
+  }
+
+  /**
+   * Convert a parsed message (see HL7Parser.parseIntoMessages) to a Bundle of type collection
+   * hl7Version overrides the definition set (used for data types) chosen from MSH-12
+   * Returns { bundle, mapped }: the Bundle, and what each field was mapped to ({ field,
+   * repetition, value, element, entry }: the field reference, its repetition when it has several,
+   * its HL7 value, the FHIR element it set and the index of the Bundle entry it is in)
+   */
+  function convertMessage(message, mapping, hl7Version) {
+    const msh = message.segments.find(segment => segment.segmentId === 'MSH');
+    const versionId = msh ? HL7Parser.getMessageVersionId(msh.fields, message.componentSeparator) : '';
+    const version = HL7Dictionary.resolveVersion(versionId, hl7Version);
+    const entries = [];
+    const mapped = [];
+
+    message.segments.forEach((segment, segmentIndex) => {
+      mapping.filter(entry => entry.segment === segment.segmentId).forEach(entry => {
+        const entryMapped = [];
+        const resource = createResource(segment, entry, version, entryMapped);
+        entryMapped.forEach(item => mapped.push(Object.assign(item, { entry: entries.length })));
+        entries.push({ resource: resource, fullUrl: 'urn:uuid:' + resource.id, segmentIndex: segmentIndex, mapping: entry });
+      });
+    });
+
+    // Link the resources to the others in the message
+    entries.forEach(item => {
+      (item.mapping.references || []).forEach(reference => {
+        let targets = entries.filter(other => other !== item && other.resource.resourceType === reference.resource);
+        if (reference.following) {
+          const next = message.segments.findIndex((segment, index) =>
+            index > item.segmentIndex && segment.segmentId === item.mapping.segment);
+          targets = targets.filter(other => other.segmentIndex > item.segmentIndex &&
+            (next < 0 || other.segmentIndex < next));
+        } else {
+          targets = targets.slice(0, 1);
+        }
+        targets.forEach(target => setElement(item.resource, reference.element, { reference: target.fullUrl }));
+      });
+    });
+
+    // Bundle.timestamp is an instant, so only a message date/time with a time zone is kept
+    const controlId = msh ? (msh.fields[8] || '').trim() : '';
+    const timestamp = msh ? toFhirDate((msh.fields[5] || '').split(msh.componentSeparator)[0], true) : undefined;
+    const bundle = compact({
+      resourceType: 'Bundle',
+      id: createUuid(),
+      identifier: controlId ? { value: controlId } : undefined,
+      type: 'collection',
+      timestamp: timestamp && /[+-]\d{2}:\d{2}$/.test(timestamp) ? timestamp : undefined,
+      entry: entries.map(item => ({ fullUrl: item.fullUrl, resource: item.resource }))
+    });
+
+    return { bundle: bundle, mapped: mapped };
+  }
+
+  /**
+   * Convert parsed messages to FHIR R4 Bundles with a mapping (see DEFAULT_MAPPING), one Bundle per
+   * message
+   * hl7Version overrides the definition set chosen from each message's MSH-12
+   * Returns { bundles, mapped, resourceCount }: the Bundles, what each field was mapped to (see
+   * convertMessage; with the index of its message, as message) and the number of resources made
+   */
+  function convert(messages, mapping, hl7Version) {
+    validateMapping(mapping);
+
+    const bundles = [];
+    const mapped = [];
+    let resourceCount = 0;
+
+    messages.forEach((message, messageIndex) => {
+      const result = convertMessage(message, mapping, hl7Version);
+      bundles.push(result.bundle);
+      result.mapped.forEach(item => mapped.push(Object.assign({ message: messageIndex }, item)));
+      resourceCount += (result.bundle.entry || []).length;
+    });
+
+    return { bundles: bundles, mapped: mapped, resourceCount: resourceCount };
+  }
+
+  // ========================================
+  // RESOURCES IN THE JSON VIEWER
+  // ========================================
+
+  // Elements that sum up a resource in its label (see getResourceLabel), the first one set is used
+  const SUMMARY_ELEMENTS = ['name', 'code', 'type', 'class', 'payor', 'title', 'description'];
+
+  /**
+   * Check whether a JSON value is a FHIR resource (an object with a resourceType)
+   */
+  function isResource(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.resourceType === 'string';
+  }
+
+  /**
+   * Get a resource type's short description (see FHIR_RESOURCES), or null
+   */
+  function getResourceDescription(resourceType) {
+    return FHIR_RESOURCES[resourceType] ? FHIR_RESOURCES[resourceType].short : null;
+  }
+
+  /**
+   * Get the element definitions a type's elements are looked up in (see findElement): its own
+   * (FHIR_RESOURCES, FHIR_DATA_TYPES) and those every resource or data type has
+   * isResourceType marks a resource (of a type that may not be defined)
+   */
+  function getTypeElements(type, isResourceType) {
+    if (FHIR_RESOURCES[type]) return [FHIR_RESOURCES[type].elements, FHIR_COMMON_ELEMENTS.resource];
+    if (isResourceType) return [FHIR_COMMON_ELEMENTS.resource];
+
+    let dataType = FHIR_DATA_TYPES[type];
+    if (dataType && dataType.like) dataType = FHIR_DATA_TYPES[dataType.like];
+    return dataType ? [dataType.elements, FHIR_COMMON_ELEMENTS.element] : [FHIR_COMMON_ELEMENTS.element];
+  }
+
+  /**
+   * Find an element by name in element definitions (see getTypeElements): by the name itself, or
+   * for a choice element by the name with its type added (valueQuantity for value[x])
+   * Returns { definition, type }: its definition and the type it has there, or null
+   */
+  function findElement(elementSets, name) {
+    for (const elements of elementSets) {
+      if (elements[name]) return { definition: elements[name], type: elements[name].type };
+
+      for (let index = name.length - 1; index > 0; index--) {
+        const definition = elements[name.substring(0, index) + '[x]'];
+        if (definition && /^[A-Z]/.test(name[index])) {
+          const suffix = name.substring(index);
+          const primitive = suffix[0].toLowerCase() + suffix.substring(1);
+          return { definition: definition, type: FHIR_PRIMITIVE_TYPES.includes(primitive) ? primitive : suffix };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Describe the element at a path in FHIR JSON (a resource, or a list of them)
+   * keys are the path's object keys and list positions from the root; resources inside resources
+   * (a Bundle's entries, contained resources) start paths of their own
+   * Returns { path, type, short }: its FHIR path with the element names as written (e.g.
+   * Patient.name.family, Observation.valueQuantity), and its type and short description (null
+   * when it isn't defined, see FHIR_RESOURCES); or null when the path isn't in a resource
+   */
+  function describeElement(root, keys) {
+    let value = root;
+    let path = null;
+    let elementSets = [];
+    let found = null;
+
+    for (const key of keys) {
+      if (isResource(value)) {
+        path = value.resourceType;
+        elementSets = getTypeElements(value.resourceType, true);
+      }
+      value = value !== null && typeof value === 'object' ? value[key] : undefined;
+
+      // A list's entries are described by the list's element
+      if (typeof key === 'number') continue;
+      if (path === null) return null;
+
+      path += '.' + key;
+      found = findElement(elementSets, key);
+      if (!found) {
+        elementSets = [];
+      } else if (found.definition.elements) {
+        elementSets = [found.definition.elements, FHIR_COMMON_ELEMENTS.element];
+      } else {
+        elementSets = getTypeElements(found.type, false);
+      }
+    }
+
+    if (path === null) return null;
+    const type = found && found.type === 'Resource' && isResource(value) ? value.resourceType : (found ? found.type : null);
+    return { path: path, type: type, short: found ? found.definition.short : null };
+  }
+
+  /**
+   * Get a short text for an element's value: a name as "family, given", a code by its text or
+   * display, a reference by its display; the first entry of a list
+   */
+  function summarize(value) {
+    if (Array.isArray(value)) return value.length > 0 ? summarize(value[0]) : '';
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+
+    if (value.family !== undefined || value.given !== undefined) {
+      const name = [value.family, (value.given || []).join(' ')].filter(part => part).join(', ');
+      if (name) return name;
+    }
+    return value.text || value.display || summarize(value.coding) || value.code || '';
+  }
+
+  /**
+   * Get the label of a resource: its type and id, and what it is (e.g. "Patient/123 — SMITH, JOHN",
+   * see SUMMARY_ELEMENTS; for a Bundle its type and number of entries)
+   */
+  function getResourceLabel(resource) {
+    const id = resource.resourceType + (resource.id ? '/' + resource.id : '');
+    let summary = '';
+
+    if (resource.resourceType === 'Bundle') {
+      const count = Array.isArray(resource.entry) ? resource.entry.length : 0;
+      summary = [resource.type, count + (count === 1 ? ' entry' : ' entries')].filter(part => part).join(', ');
+    } else {
+      for (const name of SUMMARY_ELEMENTS) {
+        summary = summarize(resource[name]);
+        if (summary) break;
+      }
+    }
+
+    return summary ? `${id} — ${summary}` : id;
+  }
+
+  /**
+   * Remove the version (/_history/2) from the end of a reference
+   */
+  function removeVersion(reference) {
+    return reference.replace(/\/_history\/[^/]+$/, '');
+  }
+
+  /**
+   * Get the resource type and id a full URL or reference ends with (e.g. Patient/123), or null
+   */
+  function getRelativeReference(reference) {
+    const match = /(?:^|\/)([A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64})$/.exec(removeVersion(reference));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Make a function that finds which of a Bundle's entries ({ fullUrl, resource }) a reference points
+   * at, ignoring its version: an absolute reference (a URL or URN) the entry with it as its full URL;
+   * a relative one (Patient/123) the entry whose resource has that type and id, or whose full URL
+   * ends with them. The function returns the entry's index, or -1
+   */
+  function createReferenceResolver(entries) {
+    const fullUrls = new Map();
+    const relatives = new Map();
+    const add = function(targets, key, index) {
+      if (key && !targets.has(key)) targets.set(key, index);
+    };
+
+    entries.forEach((entry, index) => {
+      if (!entry) return;
+      if (typeof entry.fullUrl === 'string') {
+        add(fullUrls, entry.fullUrl, index);
+        add(relatives, getRelativeReference(entry.fullUrl), index);
+      }
+      if (isResource(entry.resource) && entry.resource.id) {
+        add(relatives, entry.resource.resourceType + '/' + entry.resource.id, index);
+      }
+    });
+
+    return function(reference) {
+      if (typeof reference !== 'string') return -1;
+      const unversioned = removeVersion(reference);
+      const targets = /^[a-z][a-z0-9+.-]*:/i.test(unversioned) ? fullUrls : relatives;
+      return targets.has(unversioned) ? targets.get(unversioned) : -1;
+    };
+  }
+
+  // Public API
+  return {
+    TYPES: TYPES,
+    getMapping: getMapping,
+    getDefaultMapping: getDefaultMapping,
+    hasCustomMapping: hasCustomMapping,
+    saveMapping: saveMapping,
+    resetMapping: resetMapping,
+    validateMapping: validateMapping,
+    convert: convert,
+    isResource: isResource,
+    getResourceDescription: getResourceDescription,
+    describeElement: describeElement,
+    getResourceLabel: getResourceLabel,
+    createReferenceResolver: createReferenceResolver
+  };
+
+})();
@@ -3,83 +3,205 @@ const HL7_SEGMENTS = {
   "MSH": {
     name: "Message Header",
     fields: {
-      1: { name: "Field Separator" },
-      2: { name: "Encoding Characters" },
+      1: { name: "Field Separator", required: true, maxLength: 1 },
+      2: { name: "Encoding Characters", required: true, maxLength: 4 },
       3: {
         name: "Sending Application",
+        dataType: "HD",
         components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
       },
       4: {
         name: "Sending Facility",
+        dataType: "HD",
         components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
       },
       5: {
         name: "Receiving Application",
+        dataType: "HD",
         components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
       },
       6: {
         name: "Receiving Facility",
+        dataType: "HD",
         components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
       },
       7: {
         name: "Date/Time of Message",
+        dataType: "TS",
+        required: true,
+        maxLength: 26,
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       8: { name: "Security" },
       9: {
         name: "Message Type",
+        dataType: "MSG",
+        required: true,
+        maxLength: 15,
         components: { 1: "Message Code", 2: "Trigger Event", 3: "Message Structure" }
       },
-      10: { name: "Message Control ID" },
+      10: { name: "Message Control ID", required: true, maxLength: 20 },
       11: {
         name: "Processing ID",
+        dataType: "PT",
+        required: true,
+        maxLength: 3,
+        table: "0103",
         components: { 1: "Processing ID", 2: "Processing Mode" }
       },
       12: {
         name: "Version ID",
+        dataType: "VID",
+        required: true,
+        maxLength: 60,
+        table: "0104",
         components: { 1: "Version ID", 2: "Internationalization Code", 3: "International Version ID" }
       },
-      13: { name: "Sequence Number" },
+      13: { name: "Sequence Number", dataType: "NM" },
       14: { name: "Continuation Pointer" },
-      15: { name: "Accept Acknowledgment Type" },
-      16: { name: "Application Acknowledgment Type" },
+      15: { name: "Accept Acknowledgment Type", dataType: "ID", table: "0155" },
+      16: { name: "Application Acknowledgment Type", dataType: "ID", table: "0155" },
       17: { name: "Country Code" },
       18: { name: "Character Set" },
       19: {
         name: "Principal Language of Message",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       20: { name: "Alternate Character Set Handling Scheme" },
       21: {
         name: "Message Profile Identifier",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       }
     }
   },
 
+  "FHS": {
+    name: "File Header",
+    fields: {
+      1: { name: "File Field Separator", required: true, maxLength: 1 },
+      2: { name: "File Encoding Characters", required: true, maxLength: 4 },
+      3: {
+        name: "File Sending Application",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      4: {
+        name: "File Sending Facility",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      5: {
+        name: "File Receiving Application",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      6: {
+        name: "File Receiving Facility",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      7: {
+        name: "File Creation Date/Time",
+        dataType: "TS",
+        maxLength: 26,
+        components: { 1: "Time", 2: "Degree of Precision" }
+      },
+      8: { name: "File Security", maxLength: 40 },
+      9: { name: "File Name/ID", maxLength: 20 },
+      10: { name: "File Header Comment", maxLength: 80 },
+      11: { name: "File Control ID", maxLength: 20 },
+      12: { name: "Reference File Control ID", maxLength: 20 }
+    }
+  },
+
+  "BHS": {
+    name: "Batch Header",
+    fields: {
+      1: { name: "Batch Field Separator", required: true, maxLength: 1 },
+      2: { name: "Batch Encoding Characters", required: true, maxLength: 4 },
+      3: {
+        name: "Batch Sending Application",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      4: {
+        name: "Batch Sending Facility",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      5: {
+        name: "Batch Receiving Application",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      6: {
+        name: "Batch Receiving Facility",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      7: {
+        name: "Batch Creation Date/Time",
+        dataType: "TS",
+        maxLength: 26,
+        components: { 1: "Time", 2: "Degree of Precision" }
+      },
+      8: { name: "Batch Security", maxLength: 40 },
+      9: { name: "Batch Name/ID/Type", maxLength: 20 },
+      10: { name: "Batch Comment", maxLength: 80 },
+      11: { name: "Batch Control ID", maxLength: 20 },
+      12: { name: "Reference Batch Control ID", maxLength: 20 }
+    }
+  },
+
+  "BTS": {
+    name: "Batch Trailer",
+    fields: {
+      1: { name: "Batch Message Count", maxLength: 10 },
+      2: { name: "Batch Comment", maxLength: 80 },
+      3: { name: "Batch Totals", dataType: "NM" }
+    }
+  },
+
+  "FTS": {
+    name: "File Trailer",
+    fields: {
+      1: { name: "File Batch Count", dataType: "NM", maxLength: 10 },
+      2: { name: "File Trailer Comment", maxLength: 80 }
+    }
+  },
+
   "EVN": {
     name: "Event Type",
     fields: {
       1: { name: "Event Type Code" },
       2: {
         name: "Recorded Date/Time",
+        dataType: "TS",
+        required: true,
+        maxLength: 26,
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       3: {
         name: "Date/Time Planned Event",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       4: { name: "Event Reason Code" },
       5: {
         name: "Operator ID",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       6: {
         name: "Event Occurred",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       7: {
         name: "Event Facility",
+        dataType: "HD",
         components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
       }
     }
@@ -88,102 +210,160 @@ const HL7_SEGMENTS = {
   "PID": {
     name: "Patient Identification",
     fields: {
-      1: { name: "Set ID - PID" },
+      1: { name: "Set ID - PID", dataType: "SI", maxLength: 4 },
       2: {
         name: "Patient ID (External)",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       3: {
         name: "Patient Identifier List",
+        dataType: "CX",
+        required: true,
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility", 7: "Effective Date", 8: "Expiration Date", 9: "Assigning Jurisdiction", 10: "Assigning Agency" }
       },
       4: {
         name: "Alternate Patient ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       5: {
         name: "Patient Name",
+        dataType: "XPN",
+        required: true,
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree", 7: "Name Type Code", 8: "Name Representation Code" }
       },
       6: {
         name: "Mother's Maiden Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       7: {
         name: "Date/Time of Birth",
+        dataType: "TS",
+        maxLength: 26,
         components: { 1: "Time", 2: "Degree of Precision" }
       },
-      8: { name: "Administrative Sex" },
+      8: { name: "Administrative Sex", dataType: "IS", maxLength: 1, table: "0001" },
       9: {
         name: "Patient Alias",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       10: {
         name: "Race",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System", 4: "Alternate Identifier", 5: "Alternate Text", 6: "Name of Alternate Coding System" }
       },
       11: {
         name: "Patient Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type", 8: "Other Geographic Designation", 9: "County Code", 10: "Census Tract", 11: "Address Representation Code" }
       },
       12: { name: "County Code" },
       13: {
         name: "Phone Number - Home",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address", 5: "Country Code", 6: "Area Code", 7: "Local Number", 8: "Extension" }
       },
       14: {
         name: "Phone Number - Business",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address", 5: "Country Code", 6: "Area Code", 7: "Local Number", 8: "Extension" }
       },
       15: {
         name: "Primary Language",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       16: {
         name: "Marital Status",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       17: {
         name: "Religion",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       18: {
         name: "Patient Account Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
-      19: { name: "SSN Number - Patient" },
+      19: { name: "SSN Number - Patient", maxLength: 16 },
       20: {
         name: "Driver's License Number",
+        dataType: "DLN",
         components: { 1: "License Number", 2: "Issuing State", 3: "Expiration Date" }
       },
       21: {
         name: "Mother's Identifier",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       22: {
         name: "Ethnic Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       23: { name: "Birth Place" },
-      24: { name: "Multiple Birth Indicator" },
-      25: { name: "Birth Order" },
+      24: { name: "Multiple Birth Indicator", dataType: "ID", table: "0136" },
+      25: { name: "Birth Order", dataType: "NM" },
       26: {
         name: "Citizenship",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       27: {
         name: "Veterans Military Status",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       28: {
         name: "Nationality",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       29: {
         name: "Patient Death Date and Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
-      30: { name: "Patient Death Indicator" }
+      30: { name: "Patient Death Indicator", dataType: "ID", table: "0136" },
+      31: { name: "Identity Unknown Indicator" },
+      32: { name: "Identity Reliability Code" },
+      33: {
+        name: "Last Update Date/Time",
+        dataType: "TS",
+        components: { 1: "Time", 2: "Degree of Precision" }
+      },
+      34: {
+        name: "Last Update Facility",
+        dataType: "HD",
+        components: { 1: "Namespace ID", 2: "Universal ID", 3: "Universal ID Type" }
+      },
+      35: {
+        name: "Species Code",
+        dataType: "CWE",
+        components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
+      },
+      36: {
+        name: "Breed Code",
+        dataType: "CWE",
+        components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
+      },
+      37: { name: "Strain" },
+      38: {
+        name: "Production Class Code",
+        dataType: "CWE",
+        components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
+      },
+      39: {
+        name: "Tribal Citizenship",
+        dataType: "CWE",
+        components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
+      }
     }
   },
 
@@ -192,18 +372,22 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Living Dependency",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       2: {
         name: "Living Arrangement",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       3: {
         name: "Patient Primary Facility",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number", 4: "Check Digit", 5: "Check Digit Scheme", 6: "Assigning Authority", 7: "Identifier Type Code", 8: "Assigning Facility" }
       },
       4: {
         name: "Patient Primary Care Provider Name & ID",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       5: { name: "Student Indicator" },
@@ -213,10 +397,12 @@ const HL7_SEGMENTS = {
       9: { name: "Separate Bill" },
       10: {
         name: "Duplicate Patient",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       11: {
         name: "Publicity Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       12: { name: "Protection Indicator" }
@@ -226,126 +412,155 @@ const HL7_SEGMENTS = {
   "NK1": {
     name: "Next of Kin",
     fields: {
-      1: { name: "Set ID - NK1" },
+      1: { name: "Set ID - NK1", dataType: "SI", required: true, maxLength: 4 },
       2: {
         name: "Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree", 7: "Name Type Code" }
       },
       3: {
         name: "Relationship",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       4: {
         name: "Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       5: {
         name: "Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address", 5: "Country Code", 6: "Area Code", 7: "Local Number", 8: "Extension" }
       },
       6: {
         name: "Business Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address", 5: "Country Code", 6: "Area Code", 7: "Local Number", 8: "Extension" }
       },
       7: {
         name: "Contact Role",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: {
         name: "Start Date",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       9: {
         name: "End Date",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       10: { name: "Next of Kin / Associated Parties Job Title" },
       11: {
         name: "Next of Kin / Associated Parties Job Code/Class",
+        dataType: "JCC",
         components: { 1: "Job Code", 2: "Job Class" }
       },
       12: {
         name: "Next of Kin / Associated Parties Employee Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       13: {
         name: "Organization Name - NK1",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       14: {
         name: "Marital Status",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
-      15: { name: "Administrative Sex" },
+      15: { name: "Administrative Sex", dataType: "IS", table: "0001" },
       16: {
         name: "Date/Time of Birth",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       17: {
         name: "Living Dependency",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       18: {
         name: "Ambulatory Status",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       19: {
         name: "Citizenship",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       20: {
         name: "Primary Language",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       21: {
         name: "Living Arrangement",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       22: {
         name: "Publicity Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       23: { name: "Protection Indicator" },
       24: { name: "Student Indicator" },
       25: {
         name: "Religion",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       26: {
         name: "Mother's Maiden Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       27: {
         name: "Nationality",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       28: {
         name: "Ethnic Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       29: {
         name: "Contact Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       30: {
         name: "Contact Person's Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       31: {
         name: "Contact Person's Telephone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       32: {
         name: "Contact Person's Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       33: {
         name: "Next of Kin/Associated Party's Identifiers",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       34: { name: "Job Status" },
       35: {
         name: "Race",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       36: { name: "Handicap" },
@@ -356,36 +571,43 @@ const HL7_SEGMENTS = {
   "PV1": {
     name: "Patient Visit",
     fields: {
-      1: { name: "Set ID - PV1" },
-      2: { name: "Patient Class" },
+      1: { name: "Set ID - PV1", dataType: "SI", maxLength: 4 },
+      2: { name: "Patient Class", required: true, maxLength: 1, table: "0004" },
       3: {
         name: "Assigned Patient Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Person Location Type", 7: "Building", 8: "Floor", 9: "Location Description" }
       },
       4: { name: "Admission Type" },
       5: {
         name: "Preadmit Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       6: {
         name: "Prior Patient Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Person Location Type", 7: "Building", 8: "Floor" }
       },
       7: {
         name: "Attending Doctor",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       8: {
         name: "Referring Doctor",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       9: {
         name: "Consulting Doctor",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       10: { name: "Hospital Service" },
       11: {
         name: "Temporary Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Person Location Type", 7: "Building", 8: "Floor" }
       },
       12: { name: "Preadmit Test Indicator" },
@@ -395,11 +617,13 @@ const HL7_SEGMENTS = {
       16: { name: "VIP Indicator" },
       17: {
         name: "Admitting Doctor",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       18: { name: "Patient Type" },
       19: {
         name: "Visit Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       20: {
@@ -428,6 +652,7 @@ const HL7_SEGMENTS = {
       },
       38: {
         name: "Diet Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       39: { name: "Servicing Facility" },
@@ -435,18 +660,22 @@ const HL7_SEGMENTS = {
       41: { name: "Account Status" },
       42: {
         name: "Pending Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Person Location Type", 7: "Building", 8: "Floor" }
       },
       43: {
         name: "Prior Temporary Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Person Location Type", 7: "Building", 8: "Floor" }
       },
       44: {
         name: "Admit Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       45: {
         name: "Discharge Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       46: { name: "Current Patient Balance" },
@@ -455,11 +684,13 @@ const HL7_SEGMENTS = {
       49: { name: "Total Payments" },
       50: {
         name: "Alternate Visit ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       51: { name: "Visit Indicator" },
       52: {
         name: "Other Healthcare Provider",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       }
     }
@@ -470,18 +701,22 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Prior Pending Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility" }
       },
       2: {
         name: "Accommodation Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       3: {
         name: "Admit Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       4: {
         name: "Transfer Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: { name: "Patient Valuables" },
@@ -489,10 +724,12 @@ const HL7_SEGMENTS = {
       7: { name: "Visit User Code" },
       8: {
         name: "Expected Admit Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       9: {
         name: "Expected Discharge Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       10: { name: "Estimated Length of Inpatient Stay" },
@@ -500,6 +737,7 @@ const HL7_SEGMENTS = {
       12: { name: "Visit Description" },
       13: {
         name: "Referral Source Code",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name" }
       },
       14: { name: "Previous Service Date" },
@@ -513,6 +751,7 @@ const HL7_SEGMENTS = {
       22: { name: "Visit Protection Indicator" },
       23: {
         name: "Clinic Organization Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code" }
       },
       24: { name: "Patient Status Code" },
@@ -523,12 +762,14 @@ const HL7_SEGMENTS = {
       29: { name: "First Similar Illness Date" },
       30: {
         name: "Patient Charge Adjustment Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       31: { name: "Recurring Service Code" },
       32: { name: "Billing Media Code" },
       33: {
         name: "Expected Surgery Date and Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       34: { name: "Military Partnership Code" },
@@ -541,95 +782,117 @@ const HL7_SEGMENTS = {
   "ORC": {
     name: "Common Order",
     fields: {
-      1: { name: "Order Control" },
+      1: { name: "Order Control", dataType: "ID", required: true, maxLength: 2 },
       2: {
         name: "Placer Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       3: {
         name: "Filler Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       4: {
         name: "Placer Group Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       5: { name: "Order Status" },
       6: { name: "Response Flag" },
       7: {
         name: "Quantity/Timing",
+        dataType: "TQ",
         components: { 1: "Quantity", 2: "Interval", 3: "Duration", 4: "Start Date/Time", 5: "End Date/Time", 6: "Priority", 7: "Condition", 8: "Text", 9: "Conjunction", 10: "Order Sequencing" }
       },
       8: {
         name: "Parent",
+        dataType: "EIP",
         components: { 1: "Placer Assigned Identifier", 2: "Filler Assigned Identifier" }
       },
       9: {
         name: "Date/Time of Transaction",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       10: {
         name: "Entered By",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       11: {
         name: "Verified By",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       12: {
         name: "Ordering Provider",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       13: {
         name: "Enterer's Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Person Location Type", 7: "Building", 8: "Floor" }
       },
       14: {
         name: "Call Back Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       15: {
         name: "Order Effective Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       16: {
         name: "Order Control Code Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       17: {
         name: "Entering Organization",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       18: {
         name: "Entering Device",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       19: {
         name: "Action By",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       20: {
         name: "Advanced Beneficiary Notice Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       21: {
         name: "Ordering Facility Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       22: {
         name: "Ordering Facility Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       23: {
         name: "Ordering Facility Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       24: {
         name: "Ordering Provider Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       25: {
         name: "Order Status Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -638,60 +901,74 @@ const HL7_SEGMENTS = {
   "OBR": {
     name: "Observation Request",
     fields: {
-      1: { name: "Set ID - OBR" },
+      1: { name: "Set ID - OBR", dataType: "SI", maxLength: 4 },
       2: {
         name: "Placer Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       3: {
         name: "Filler Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       4: {
         name: "Universal Service Identifier",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System", 4: "Alternate Identifier", 5: "Alternate Text", 6: "Name of Alternate Coding System" }
       },
       5: { name: "Priority - OBR" },
       6: {
         name: "Requested Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       7: {
         name: "Observation Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       8: {
         name: "Observation End Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       9: {
         name: "Collection Volume",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       10: {
         name: "Collector Identifier",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       11: { name: "Specimen Action Code" },
       12: {
         name: "Danger Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       13: { name: "Relevant Clinical Information" },
       14: {
         name: "Specimen Received Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       15: {
         name: "Specimen Source",
+        dataType: "SPS",
         components: { 1: "Specimen Source Name", 2: "Additives", 3: "Specimen Collection Method", 4: "Body Site", 5: "Site Modifier", 6: "Collection Method Modifier Code" }
       },
       16: {
         name: "Ordering Provider",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree", 8: "Source Table", 9: "Assigning Authority" }
       },
       17: {
         name: "Order Callback Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       18: { name: "Placer Field 1" },
@@ -700,6 +977,7 @@ const HL7_SEGMENTS = {
       21: { name: "Filler Field 2" },
       22: {
         name: "Results Rpt/Status Chng - Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       23: {
@@ -714,19 +992,23 @@ const HL7_SEGMENTS = {
       },
       27: {
         name: "Quantity/Timing",
+        dataType: "TQ",
         components: { 1: "Quantity", 2: "Interval", 3: "Duration", 4: "Start Date/Time", 5: "End Date/Time", 6: "Priority", 7: "Condition", 8: "Text", 9: "Conjunction", 10: "Order Sequencing" }
       },
       28: {
         name: "Result Copies To",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       29: {
         name: "Parent",
+        dataType: "EIP",
         components: { 1: "Placer Assigned Identifier", 2: "Filler Assigned Identifier" }
       },
       30: { name: "Transportation Mode" },
       31: {
         name: "Reason for Study",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       32: {
@@ -747,41 +1029,50 @@ const HL7_SEGMENTS = {
       },
       36: {
         name: "Scheduled Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       37: { name: "Number of Sample Containers" },
       38: {
         name: "Transport Logistics of Collected Sample",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       39: {
         name: "Collector's Comment",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       40: {
         name: "Transport Arrangement Responsibility",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       41: { name: "Transport Arranged" },
       42: { name: "Escort Required" },
       43: {
         name: "Planned Patient Transport Comment",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       44: {
         name: "Procedure Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       45: {
         name: "Procedure Code Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       46: {
         name: "Placer Supplemental Service Information",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       47: {
         name: "Filler Supplemental Service Information",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -790,50 +1081,60 @@ const HL7_SEGMENTS = {
   "OBX": {
     name: "Observation/Result",
     fields: {
-      1: { name: "Set ID - OBX" },
-      2: { name: "Value Type" },
+      1: { name: "Set ID - OBX", dataType: "SI", maxLength: 4 },
+      2: { name: "Value Type", dataType: "ID", maxLength: 2, table: "0125" },
       3: {
         name: "Observation Identifier",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System", 4: "Alternate Identifier", 5: "Alternate Text", 6: "Name of Alternate Coding System" }
       },
       4: { name: "Observation Sub-ID" },
       5: { name: "Observation Value" },
       6: {
         name: "Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       7: { name: "References Range" },
       8: { name: "Abnormal Flags" },
       9: { name: "Probability" },
       10: { name: "Nature of Abnormal Test" },
-      11: { name: "Observation Result Status" },
+      11: { name: "Observation Result Status", dataType: "ID", required: true, maxLength: 1, table: "0085" },
       12: {
         name: "Effective Date of Reference Range",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       13: { name: "User Defined Access Checks" },
       14: {
         name: "Date/Time of the Observation",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       15: {
         name: "Producer's ID",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       16: {
         name: "Responsible Observer",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       17: {
         name: "Observation Method",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       18: {
         name: "Equipment Instance Identifier",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       19: {
         name: "Date/Time of the Analysis",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       }
     }
@@ -842,47 +1143,55 @@ const HL7_SEGMENTS = {
   "DG1": {
     name: "Diagnosis",
     fields: {
-      1: { name: "Set ID - DG1" },
+      1: { name: "Set ID - DG1", dataType: "SI", required: true, maxLength: 4 },
       2: { name: "Diagnosis Coding Method" },
       3: {
         name: "Diagnosis Code - DG1",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System", 4: "Alternate Identifier", 5: "Alternate Text", 6: "Name of Alternate Coding System" }
       },
       4: { name: "Diagnosis Description" },
       5: {
         name: "Diagnosis Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
-      6: { name: "Diagnosis Type" },
+      6: { name: "Diagnosis Type", required: true },
       7: {
         name: "Major Diagnostic Category",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: {
         name: "Diagnostic Related Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: { name: "DRG Approval Indicator" },
       10: { name: "DRG Grouper Review Code" },
       11: {
         name: "Outlier Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       12: { name: "Outlier Days" },
       13: {
         name: "Outlier Cost",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type", 3: "From Value", 4: "To Value", 5: "Range Units", 6: "Range Type" }
       },
       14: { name: "Grouper Version And Type" },
       15: { name: "Diagnosis Priority" },
       16: {
         name: "Diagnosing Clinician",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       17: { name: "Diagnosis Classification" },
       18: { name: "Confidential Indicator" },
       19: {
         name: "Attestation Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       }
     }
@@ -891,67 +1200,82 @@ const HL7_SEGMENTS = {
   "AL1": {
     name: "Patient Allergy Information",
     fields: {
-      1: { name: "Set ID - AL1" },
+      1: { name: "Set ID - AL1", dataType: "SI", required: true, maxLength: 4 },
       2: {
         name: "Allergen Type Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       3: {
         name: "Allergen Code/Mnemonic/Description",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System", 4: "Alternate Identifier", 5: "Alternate Text", 6: "Name of Alternate Coding System" }
       },
       4: {
         name: "Allergy Severity Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: { name: "Allergy Reaction Code" },
-      6: { name: "Identification Date" }
+      6: { name: "Identification Date", dataType: "DT" }
     }
   },
 
   "IN1": {
     name: "Insurance",
     fields: {
-      1: { name: "Set ID - IN1" },
+      1: { name: "Set ID - IN1", dataType: "SI", required: true, maxLength: 4 },
       2: {
         name: "Insurance Plan ID",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       3: {
         name: "Insurance Company ID",
+        dataType: "CX",
+        required: true,
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       4: {
         name: "Insurance Company Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       5: {
         name: "Insurance Company Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       6: {
         name: "Insurance Co Contact Person",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       7: {
         name: "Insurance Co Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       8: { name: "Group Number" },
       9: {
         name: "Group Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       10: {
         name: "Insured's Group Emp ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       11: {
         name: "Insured's Group Emp Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
-      12: { name: "Plan Effective Date" },
-      13: { name: "Plan Expiration Date" },
+      12: { name: "Plan Effective Date", dataType: "DT" },
+      13: { name: "Plan Expiration Date", dataType: "DT" },
       14: {
         name: "Authorization Information",
         components: { 1: "Authorization Number", 2: "Date", 3: "Source" }
@@ -959,15 +1283,18 @@ const HL7_SEGMENTS = {
       15: { name: "Plan Type" },
       16: {
         name: "Name Of Insured",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       17: { name: "Insured's Relationship To Patient" },
       18: {
         name: "Insured's Date Of Birth",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       19: {
         name: "Insured's Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       20: { name: "Assignment Of Benefits" },
@@ -981,10 +1308,12 @@ const HL7_SEGMENTS = {
       28: { name: "Pre-Admit Cert (PAC)" },
       29: {
         name: "Verification Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       30: {
         name: "Verification By",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       31: { name: "Type Of Agreement Code" },
@@ -995,28 +1324,34 @@ const HL7_SEGMENTS = {
       36: { name: "Policy Number" },
       37: {
         name: "Policy Deductible",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       38: {
         name: "Policy Limit - Amount",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       39: { name: "Policy Limit - Days" },
       40: {
         name: "Room Rate - Semi-Private",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       41: {
         name: "Room Rate - Private",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       42: {
         name: "Insured's Employment Status",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
-      43: { name: "Insured's Administrative Sex" },
+      43: { name: "Insured's Administrative Sex", dataType: "IS", table: "0001" },
       44: {
         name: "Insured's Employer's Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       45: { name: "Verification Status" },
@@ -1025,6 +1360,7 @@ const HL7_SEGMENTS = {
       48: { name: "Handicap" },
       49: {
         name: "Insured's ID Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       }
     }
@@ -1035,11 +1371,13 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Insured's Employee ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       2: { name: "Insured's Social Security Number" },
       3: {
         name: "Insured's Employer's Name and ID",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       4: { name: "Employer Information Data" },
@@ -1047,16 +1385,19 @@ const HL7_SEGMENTS = {
       6: { name: "Medicare Health Ins Card Number" },
       7: {
         name: "Medicaid Case Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       8: { name: "Medicaid Case Number" },
       9: {
         name: "Military Sponsor Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       10: { name: "Military ID Number" },
       11: {
         name: "Dependent Of Military Recipient",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       12: { name: "Military Organization" },
@@ -1071,16 +1412,19 @@ const HL7_SEGMENTS = {
       21: { name: "Blood Deductible" },
       22: {
         name: "Special Coverage Approval Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       23: { name: "Special Coverage Approval Title" },
       24: { name: "Non-Covered Insurance Code" },
       25: {
         name: "Payor ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       26: {
         name: "Payor Subscriber ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       27: { name: "Eligibility Source" },
@@ -1101,33 +1445,40 @@ const HL7_SEGMENTS = {
       33: { name: "Citizenship" },
       34: {
         name: "Primary Language",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       35: { name: "Living Arrangement" },
       36: {
         name: "Publicity Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       37: { name: "Protection Indicator" },
       38: { name: "Student Indicator" },
       39: {
         name: "Religion",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       40: {
         name: "Mother's Maiden Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       41: {
         name: "Nationality",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       42: {
         name: "Ethnic Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       43: {
         name: "Marital Status",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       44: { name: "Insured's Employment Start Date" },
@@ -1135,24 +1486,29 @@ const HL7_SEGMENTS = {
       46: { name: "Job Title" },
       47: {
         name: "Job Code/Class",
+        dataType: "JCC",
         components: { 1: "Job Code", 2: "Job Class" }
       },
       48: { name: "Job Status" },
       49: {
         name: "Employer Contact Person Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       50: {
         name: "Employer Contact Person Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       51: { name: "Employer Contact Reason" },
       52: {
         name: "Insured's Contact Person's Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       53: {
         name: "Insured's Contact Person Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       54: { name: "Insured's Contact Person Reason" },
@@ -1161,25 +1517,30 @@ const HL7_SEGMENTS = {
       57: { name: "Insurance Co. Contact Reason" },
       58: {
         name: "Insurance Co Contact Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       59: { name: "Policy Scope" },
       60: { name: "Policy Source" },
       61: {
         name: "Patient Member Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       62: { name: "Guarantor's Relationship to Insured" },
       63: {
         name: "Insured's Phone Number - Home",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       64: {
         name: "Insured's Employer Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       65: {
         name: "Military Handicapped Program",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       66: { name: "Suspend Flag" },
@@ -1187,18 +1548,22 @@ const HL7_SEGMENTS = {
       68: { name: "Stoploss Limit Flag" },
       69: {
         name: "Insured Organization Name and ID",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       70: {
         name: "Insured Employer Organization Name and ID",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       71: {
         name: "Race",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       72: {
         name: "CMS Patient's Relationship to Insured",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1207,36 +1572,44 @@ const HL7_SEGMENTS = {
   "GT1": {
     name: "Guarantor",
     fields: {
-      1: { name: "Set ID - GT1" },
+      1: { name: "Set ID - GT1", dataType: "SI", required: true, maxLength: 4 },
       2: {
         name: "Guarantor Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       3: {
         name: "Guarantor Name",
+        dataType: "XPN",
+        required: true,
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       4: {
         name: "Guarantor Spouse Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       5: {
         name: "Guarantor Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       6: {
         name: "Guarantor Ph Num - Home",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       7: {
         name: "Guarantor Ph Num - Business",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       8: {
         name: "Guarantor Date/Time Of Birth",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
-      9: { name: "Guarantor Administrative Sex" },
+      9: { name: "Guarantor Administrative Sex", dataType: "IS", table: "0001" },
       10: { name: "Guarantor Type" },
       11: { name: "Guarantor Relationship" },
       12: { name: "Guarantor SSN" },
@@ -1245,50 +1618,61 @@ const HL7_SEGMENTS = {
       15: { name: "Guarantor Priority" },
       16: {
         name: "Guarantor Employer Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       17: {
         name: "Guarantor Employer Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       18: {
         name: "Guarantor Employer Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       19: {
         name: "Guarantor Employee ID Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       20: { name: "Guarantor Employment Status" },
       21: {
         name: "Guarantor Organization Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       22: { name: "Guarantor Billing Hold Flag" },
       23: {
         name: "Guarantor Credit Rating Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       24: {
         name: "Guarantor Death Date And Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       25: { name: "Guarantor Death Flag" },
       26: {
         name: "Guarantor Charge Adjustment Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       27: {
         name: "Guarantor Household Annual Income",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       28: { name: "Guarantor Household Size" },
       29: {
         name: "Guarantor Employer ID Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       30: {
         name: "Guarantor Marital Status Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       31: { name: "Guarantor Hire Effective Date" },
@@ -1298,51 +1682,62 @@ const HL7_SEGMENTS = {
       35: { name: "Citizenship" },
       36: {
         name: "Primary Language",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       37: { name: "Living Arrangement" },
       38: {
         name: "Publicity Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       39: { name: "Protection Indicator" },
       40: { name: "Student Indicator" },
       41: {
         name: "Religion",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       42: {
         name: "Mother's Maiden Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       43: {
         name: "Nationality",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       44: {
         name: "Ethnic Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       45: {
         name: "Contact Person's Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       },
       46: {
         name: "Contact Person's Telephone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       47: {
         name: "Contact Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       48: { name: "Contact Relationship" },
       49: { name: "Job Title" },
       50: {
         name: "Job Code/Class",
+        dataType: "JCC",
         components: { 1: "Job Code", 2: "Job Class" }
       },
       51: {
         name: "Guarantor Employer's Organization Name",
+        dataType: "XON",
         components: { 1: "Organization Name", 2: "Organization Name Type Code", 3: "ID Number" }
       },
       52: { name: "Handicap" },
@@ -1353,6 +1748,7 @@ const HL7_SEGMENTS = {
       },
       55: {
         name: "Guarantor Race",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1361,11 +1757,12 @@ const HL7_SEGMENTS = {
   "NTE": {
     name: "Notes and Comments",
     fields: {
-      1: { name: "Set ID - NTE" },
+      1: { name: "Set ID - NTE", dataType: "SI", maxLength: 4 },
       2: { name: "Source of Comment" },
-      3: { name: "Comment" },
+      3: { name: "Comment", dataType: "FT" },
       4: {
         name: "Comment Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1374,77 +1771,96 @@ const HL7_SEGMENTS = {
   "RXA": {
     name: "Pharmacy/Treatment Administration",
     fields: {
-      1: { name: "Give Sub-ID Counter" },
-      2: { name: "Administration Sub-ID Counter" },
+      1: { name: "Give Sub-ID Counter", dataType: "NM", required: true },
+      2: { name: "Administration Sub-ID Counter", dataType: "NM", required: true },
       3: {
         name: "Date/Time Start of Administration",
+        dataType: "TS",
+        required: true,
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       4: {
         name: "Date/Time End of Administration",
+        dataType: "TS",
+        required: true,
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       5: {
         name: "Administered Code",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System", 4: "Alternate Identifier", 5: "Alternate Text", 6: "Name of Alternate Coding System" }
       },
-      6: { name: "Administered Amount" },
+      6: { name: "Administered Amount", dataType: "NM", required: true },
       7: {
         name: "Administered Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: {
         name: "Administered Dosage Form",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: {
         name: "Administration Notes",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       10: {
         name: "Administering Provider",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       11: {
         name: "Administered-at Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility", 5: "Location Status", 6: "Patient Location Type", 7: "Building", 8: "Floor", 9: "Address" }
       },
       12: { name: "Administered Per (Time Unit)" },
       13: { name: "Administered Strength" },
       14: {
         name: "Administered Strength Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       15: { name: "Substance Lot Number" },
       16: {
         name: "Substance Expiration Date",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       17: {
         name: "Substance Manufacturer Name",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       18: {
         name: "Substance/Treatment Refusal Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       19: {
         name: "Indication",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       20: { name: "Completion Status" },
       21: { name: "Action Code - RXA" },
       22: {
         name: "System Entry Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       23: { name: "Administered Drug Strength Volume" },
       24: {
         name: "Administered Drug Strength Volume Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       25: {
         name: "Administered Barcode Identifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       26: { name: "Pharmacy Order Type" }
@@ -1456,26 +1872,32 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Route",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       2: {
         name: "Administration Site",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       3: {
         name: "Administration Device",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       4: {
         name: "Administration Method",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: {
         name: "Routing Instruction",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       6: {
         name: "Administration Site Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1486,104 +1908,129 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Placer Appointment ID",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       2: {
         name: "Filler Appointment ID",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       3: { name: "Occurrence Number" },
       4: {
         name: "Placer Group Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       5: {
         name: "Schedule ID",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       6: {
         name: "Event Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       7: {
         name: "Appointment Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: {
         name: "Appointment Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: { name: "Appointment Duration" },
       10: {
         name: "Appointment Duration Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: {
         name: "Appointment Timing Quantity",
+        dataType: "TQ",
         components: { 1: "Quantity", 2: "Interval", 3: "Duration", 4: "Start Date/Time", 5: "End Date/Time", 6: "Priority" }
       },
       12: {
         name: "Placer Contact Person",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       13: {
         name: "Placer Contact Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       14: {
         name: "Placer Contact Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country" }
       },
       15: {
         name: "Placer Contact Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility" }
       },
       16: {
         name: "Filler Contact Person",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       17: {
         name: "Filler Contact Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       18: {
         name: "Filler Contact Address",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country" }
       },
       19: {
         name: "Filler Contact Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility" }
       },
       20: {
         name: "Entered By Person",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       21: {
         name: "Entered By Phone Number",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       },
       22: {
         name: "Entered By Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility" }
       },
       23: {
         name: "Parent Placer Appointment ID",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       24: {
         name: "Parent Filler Appointment ID",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       25: {
         name: "Filler Status Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       26: {
         name: "Placer Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       27: {
         name: "Filler Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       }
     }
@@ -1592,37 +2039,45 @@ const HL7_SEGMENTS = {
   "TQ1": {
     name: "Timing/Quantity",
     fields: {
-      1: { name: "Set ID - TQ1" },
+      1: { name: "Set ID - TQ1", dataType: "SI", maxLength: 4 },
       2: {
         name: "Quantity",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       3: {
         name: "Repeat Pattern",
+        dataType: "RPT",
         components: { 1: "Repeat Pattern Code", 2: "Calendar Alignment", 3: "Phase Range Begin Value", 4: "Phase Range End Value", 5: "Period Quantity", 6: "Period Units" }
       },
       4: {
         name: "Explicit Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       5: {
         name: "Relative Time and Units",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       6: {
         name: "Service Duration",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       7: {
         name: "Start date/time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       8: {
         name: "End date/time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       9: {
         name: "Priority",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       10: {
@@ -1636,6 +2091,7 @@ const HL7_SEGMENTS = {
       12: { name: "Conjunction" },
       13: {
         name: "Occurrence duration",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       14: { name: "Total occurrences" }
@@ -1645,37 +2101,44 @@ const HL7_SEGMENTS = {
   "AIS": {
     name: "Appointment Information - Service",
     fields: {
-      1: { name: "Set ID - AIS" },
+      1: { name: "Set ID - AIS", dataType: "SI", maxLength: 4 },
       2: { name: "Segment Action Code" },
       3: {
         name: "Universal Service Identifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       4: {
         name: "Start Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       5: { name: "Start Date/Time Offset" },
       6: {
         name: "Start Date/Time Offset Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       7: { name: "Duration" },
       8: {
         name: "Duration Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: { name: "Allow Substitution Code" },
       10: {
         name: "Filler Status Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: {
         name: "Placer Supplemental Service Information",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       12: {
         name: "Filler Supplemental Service Information",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1684,37 +2147,44 @@ const HL7_SEGMENTS = {
   "AIL": {
     name: "Appointment Information - Location",
     fields: {
-      1: { name: "Set ID - AIL" },
+      1: { name: "Set ID - AIL", dataType: "SI", maxLength: 4 },
       2: { name: "Segment Action Code" },
       3: {
         name: "Location Resource ID",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility" }
       },
       4: {
         name: "Location Type - AIL",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: {
         name: "Location Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       6: {
         name: "Start Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       7: { name: "Start Date/Time Offset" },
       8: {
         name: "Start Date/Time Offset Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: { name: "Duration" },
       10: {
         name: "Duration Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: { name: "Allow Substitution Code" },
       12: {
         name: "Filler Status Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1723,37 +2193,44 @@ const HL7_SEGMENTS = {
   "AIP": {
     name: "Appointment Information - Personnel",
     fields: {
-      1: { name: "Set ID - AIP" },
+      1: { name: "Set ID - AIP", dataType: "SI", maxLength: 4 },
       2: { name: "Segment Action Code" },
       3: {
         name: "Personnel Resource ID",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       4: {
         name: "Resource Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: {
         name: "Resource Group",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       6: {
         name: "Start Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       7: { name: "Start Date/Time Offset" },
       8: {
         name: "Start Date/Time Offset Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: { name: "Duration" },
       10: {
         name: "Duration Units",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: { name: "Allow Substitution Code" },
       12: {
         name: "Filler Status Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1762,13 +2239,14 @@ const HL7_SEGMENTS = {
   "MSA": {
     name: "Message Acknowledgment",
     fields: {
-      1: { name: "Acknowledgment Code" },
-      2: { name: "Message Control ID" },
+      1: { name: "Acknowledgment Code", dataType: "ID", required: true, maxLength: 2, table: "0008" },
+      2: { name: "Message Control ID", required: true, maxLength: 20 },
       3: { name: "Text Message" },
       4: { name: "Expected Sequence Number" },
       5: { name: "Delayed Acknowledgment Type" },
       6: {
         name: "Error Condition",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -1779,19 +2257,24 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Error Code and Location",
+        dataType: "ELD",
         components: { 1: "Segment ID", 2: "Sequence", 3: "Field Position", 4: "Code Identifying Error" }
       },
       2: {
         name: "Error Location",
+        dataType: "ERL",
         components: { 1: "Segment ID", 2: "Segment Sequence", 3: "Field Position", 4: "Field Repetition", 5: "Component Number", 6: "Sub-Component Number" }
       },
       3: {
         name: "HL7 Error Code",
+        dataType: "CWE",
+        table: "0357",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
-      4: { name: "Severity" },
+      4: { name: "Severity", dataType: "ID", maxLength: 2, table: "0516" },
       5: {
         name: "Application Error Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       6: { name: "Application Error Parameter" },
@@ -1800,14 +2283,17 @@ const HL7_SEGMENTS = {
       9: { name: "Inform Person Indicator" },
       10: {
         name: "Override Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: {
         name: "Override Reason Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       12: {
         name: "Help Desk Contact Point",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       }
     }
@@ -1818,6 +2304,7 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Query Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       2: { name: "Query Format Code" },
@@ -1826,22 +2313,27 @@ const HL7_SEGMENTS = {
       5: { name: "Deferred Response Type" },
       6: {
         name: "Deferred Response Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       7: {
         name: "Quantity Limited Request",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       8: {
         name: "Who Subject Filter",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       9: {
         name: "What Subject Filter",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       10: {
         name: "What Department Data Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: {
@@ -1858,10 +2350,12 @@ const HL7_SEGMENTS = {
       1: { name: "Where Subject Filter" },
       2: {
         name: "When Data Start Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       3: {
         name: "When Data End Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       4: { name: "What User Qualifier" },
@@ -1871,6 +2365,7 @@ const HL7_SEGMENTS = {
       8: { name: "Date/Time Selection Qualifier" },
       9: {
         name: "When Quantity/Timing Qualifier",
+        dataType: "TQ",
         components: { 1: "Quantity", 2: "Interval", 3: "Duration", 4: "Start Date/Time", 5: "End Date/Time", 6: "Priority" }
       },
       10: { name: "Search Confidence Threshold" }
@@ -1882,30 +2377,37 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Prior Patient Identifier List",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       2: {
         name: "Prior Alternate Patient ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       3: {
         name: "Prior Patient Account Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       4: {
         name: "Prior Patient ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       5: {
         name: "Prior Visit Number",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       6: {
         name: "Prior Alternate Visit ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       7: {
         name: "Prior Patient Name",
+        dataType: "XPN",
         components: { 1: "Family Name", 2: "Given Name", 3: "Second Name", 4: "Suffix", 5: "Prefix", 6: "Degree" }
       }
     }
@@ -1914,97 +2416,120 @@ const HL7_SEGMENTS = {
   "FT1": {
     name: "Financial Transaction",
     fields: {
-      1: { name: "Set ID - FT1" },
+      1: { name: "Set ID - FT1", dataType: "SI", maxLength: 4 },
       2: { name: "Transaction ID" },
       3: { name: "Transaction Batch ID" },
       4: {
         name: "Transaction Date",
+        dataType: "DR",
+        required: true,
         components: { 1: "Range Start Date/Time", 2: "Range End Date/Time" }
       },
       5: {
         name: "Transaction Posting Date",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
-      6: { name: "Transaction Type" },
+      6: { name: "Transaction Type", required: true },
       7: {
         name: "Transaction Code",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: { name: "Transaction Description" },
       9: { name: "Transaction Description - Alt" },
-      10: { name: "Transaction Quantity" },
+      10: { name: "Transaction Quantity", dataType: "NM" },
       11: {
         name: "Transaction Amount - Extended",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       12: {
         name: "Transaction Amount - Unit",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       13: {
         name: "Department Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       14: {
         name: "Insurance Plan ID",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       15: {
         name: "Insurance Amount",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       16: {
         name: "Assigned Patient Location",
+        dataType: "PL",
         components: { 1: "Point of Care", 2: "Room", 3: "Bed", 4: "Facility" }
       },
       17: { name: "Fee Schedule" },
       18: { name: "Patient Type" },
       19: {
         name: "Diagnosis Code - FT1",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       20: {
         name: "Performed By Code",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       21: {
         name: "Ordered By Code",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       22: {
         name: "Unit Cost",
+        dataType: "CP",
         components: { 1: "Price", 2: "Price Type" }
       },
       23: {
         name: "Filler Order Number",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       24: {
         name: "Entered By Code",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       25: {
         name: "Procedure Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       26: {
         name: "Procedure Code Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       27: {
         name: "Advanced Beneficiary Notice Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       28: {
         name: "Medically Necessary Duplicate Procedure Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       29: {
         name: "NDC Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       30: {
         name: "Payment Reference ID",
+        dataType: "CX",
         components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
       },
       31: { name: "Transaction Reference Key" }
@@ -2014,53 +2539,65 @@ const HL7_SEGMENTS = {
   "PR1": {
     name: "Procedures",
     fields: {
-      1: { name: "Set ID - PR1" },
+      1: { name: "Set ID - PR1", dataType: "SI", required: true, maxLength: 4 },
       2: { name: "Procedure Coding Method" },
       3: {
         name: "Procedure Code",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       4: { name: "Procedure Description" },
       5: {
         name: "Procedure Date/Time",
+        dataType: "TS",
+        required: true,
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       6: { name: "Procedure Functional Type" },
       7: { name: "Procedure Minutes" },
       8: {
         name: "Anesthesiologist",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       9: { name: "Anesthesia Code" },
       10: { name: "Anesthesia Minutes" },
       11: {
         name: "Surgeon",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       12: {
         name: "Procedure Practitioner",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       13: {
         name: "Consent Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       14: { name: "Procedure Priority" },
       15: {
         name: "Associated Diagnosis Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       16: {
         name: "Procedure Code Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       17: { name: "Procedure DRG Type" },
       18: {
         name: "Tissue Type Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       19: {
         name: "Procedure Identifier",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       20: { name: "Procedure Action Code" }
@@ -2072,47 +2609,58 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Role Instance ID",
+        dataType: "EI",
         components: { 1: "Entity Identifier", 2: "Namespace ID", 3: "Universal ID", 4: "Universal ID Type" }
       },
       2: { name: "Action Code" },
       3: {
         name: "Role-ROL",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       4: {
         name: "Role Person",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       5: {
         name: "Role Begin Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       6: {
         name: "Role End Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       7: {
         name: "Role Duration",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: {
         name: "Role Action Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: {
         name: "Provider Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       10: {
         name: "Organization Unit Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: {
         name: "Office/Home Address/Birthplace",
+        dataType: "XAD",
         components: { 1: "Street Address", 2: "Other Designation", 3: "City", 4: "State", 5: "Zip Code", 6: "Country", 7: "Address Type" }
       },
       12: {
         name: "Phone",
+        dataType: "XTN",
         components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Email Address" }
       }
     }
@@ -2121,105 +2669,130 @@ const HL7_SEGMENTS = {
   "SPM": {
     name: "Specimen",
     fields: {
-      1: { name: "Set ID - SPM" },
+      1: { name: "Set ID - SPM", dataType: "SI", maxLength: 4 },
       2: {
         name: "Specimen ID",
+        dataType: "EIP",
         components: { 1: "Placer Assigned Identifier", 2: "Filler Assigned Identifier" }
       },
       3: {
         name: "Specimen Parent IDs",
+        dataType: "EIP",
         components: { 1: "Placer Assigned Identifier", 2: "Filler Assigned Identifier" }
       },
       4: {
         name: "Specimen Type",
+        dataType: "CWE",
+        required: true,
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: {
         name: "Specimen Type Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       6: {
         name: "Specimen Additives",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       7: {
         name: "Specimen Collection Method",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       8: {
         name: "Specimen Source Site",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       9: {
         name: "Specimen Source Site Modifier",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       10: {
         name: "Specimen Collection Site",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       11: {
         name: "Specimen Role",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       12: {
         name: "Specimen Collection Amount",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       13: { name: "Grouped Specimen Count" },
       14: { name: "Specimen Description" },
       15: {
         name: "Specimen Handling Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       16: {
         name: "Specimen Risk Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       17: {
         name: "Specimen Collection Date/Time",
+        dataType: "DR",
         components: { 1: "Range Start Date/Time", 2: "Range End Date/Time" }
       },
       18: {
         name: "Specimen Received Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       19: {
         name: "Specimen Expiration Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       20: { name: "Specimen Availability" },
       21: {
         name: "Specimen Reject Reason",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       22: {
         name: "Specimen Quality",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       23: {
         name: "Specimen Appropriateness",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       24: {
         name: "Specimen Condition",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       25: {
         name: "Specimen Current Quantity",
+        dataType: "CQ",
         components: { 1: "Quantity", 2: "Units" }
       },
       26: { name: "Number of Specimen Containers" },
       27: {
         name: "Container Type",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       28: {
         name: "Container Condition",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       29: {
         name: "Specimen Child Role",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       }
     }
@@ -2230,21 +2803,25 @@ const HL7_SEGMENTS = {
     fields: {
       1: {
         name: "Accident Date/Time",
+        dataType: "TS",
         components: { 1: "Time", 2: "Degree of Precision" }
       },
       2: {
         name: "Accident Code",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       3: { name: "Accident Location" },
       4: {
         name: "Auto Accident State",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       5: { name: "Accident Job Related Indicator" },
       6: { name: "Accident Death Indicator" },
       7: {
         name: "Entered By",
+        dataType: "XCN",
         components: { 1: "ID Number", 2: "Family Name", 3: "Given Name", 4: "Second Name", 5: "Suffix", 6: "Prefix", 7: "Degree" }
       },
       8: { name: "Accident Description" },
@@ -2256,7 +2833,7 @@ const HL7_SEGMENTS = {
   "UB1": {
     name: "UB82",
     fields: {
-      1: { name: "Set ID - UB1" },
+      1: { name: "Set ID - UB1", dataType: "SI", maxLength: 4 },
       2: { name: "Blood Deductible" },
       3: { name: "Blood Furnished-Pints" },
       4: { name: "Blood Replaced-Pints" },
@@ -2272,10 +2849,12 @@ const HL7_SEGMENTS = {
       11: { name: "Number Of Grace Days" },
       12: {
         name: "Special Program Indicator",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       13: {
         name: "PSRO/UR Approval Indicator",
+        dataType: "CWE",
         components: { 1: "Identifier", 2: "Text", 3: "Name of Coding System" }
       },
       14: { name: "PSRO/UR Approved Stay-Fm" },
@@ -2300,7 +2879,7 @@ const HL7_SEGMENTS = {
   "UB2": {
     name: "UB92 Data",
     fields: {
-      1: { name: "Set ID - UB2" },
+      1: { name: "Set ID - UB2", dataType: "SI", maxLength: 4 },
       2: { name: "Co-Insurance Days" },
       3: { name: "Condition Code" },
       4: { name: "Covered Days" },
@@ -2343,3 +2922,579 @@ const HL7_SEGMENTS = {
 
 // List of known HL7 segment identifiers for detection
 const HL7_SEGMENT_IDS = Object.keys(HL7_SEGMENTS);
+
+// HL7 data types, used to name components and subcomponents.
+// A field's dataType names its components; a component's dataType names its subcomponents.
+// Field-specific component names in HL7_SEGMENTS take precedence over these.
+const HL7_DATA_TYPES = {
+  "CE": {
+    name: "Coded Element",
+    components: {
+      1: { name: "Identifier", dataType: "ST" },
+      2: { name: "Text", dataType: "ST" },
+      3: { name: "Name of Coding System", dataType: "ID" },
+      4: { name: "Alternate Identifier", dataType: "ST" },
+      5: { name: "Alternate Text", dataType: "ST" },
+      6: { name: "Name of Alternate Coding System", dataType: "ID" }
+    }
+  },
+  "CP": {
+    name: "Composite Price",
+    components: {
+      1: { name: "Price", dataType: "MO" },
+      2: { name: "Price Type", dataType: "ID" },
+      3: { name: "From Value", dataType: "NM" },
+      4: { name: "To Value", dataType: "NM" },
+      5: { name: "Range Units", dataType: "CWE" },
+      6: { name: "Range Type", dataType: "ID" }
+    }
+  },
+  "CQ": {
+    name: "Composite Quantity with Units",
+    components: {
+      1: { name: "Quantity", dataType: "NM" },
+      2: { name: "Units", dataType: "CWE" }
+    }
+  },
+  "CWE": {
+    name: "Coded with Exceptions",
+    components: {
+      1: { name: "Identifier", dataType: "ST" },
+      2: { name: "Text", dataType: "ST" },
+      3: { name: "Name of Coding System", dataType: "ID" },
+      4: { name: "Alternate Identifier", dataType: "ST" },
+      5: { name: "Alternate Text", dataType: "ST" },
+      6: { name: "Name of Alternate Coding System", dataType: "ID" },
+      7: { name: "Coding System Version ID", dataType: "ST" },
+      8: { name: "Alternate Coding System Version ID", dataType: "ST" },
+      9: { name: "Original Text", dataType: "ST" }
+    }
+  },
+  "CX": {
+    name: "Extended Composite ID with Check Digit",
+    components: {
+      1: { name: "ID Number", dataType: "ST" },
+      2: { name: "Check Digit", dataType: "ST" },
+      3: { name: "Check Digit Scheme", dataType: "ID" },
+      4: { name: "Assigning Authority", dataType: "HD" },
+      5: { name: "Identifier Type Code", dataType: "ID" },
+      6: { name: "Assigning Facility", dataType: "HD" },
+      7: { name: "Effective Date", dataType: "DT" },
+      8: { name: "Expiration Date", dataType: "DT" },
+      9: { name: "Assigning Jurisdiction", dataType: "CWE" },
+      10: { name: "Assigning Agency or Department", dataType: "CWE" }
+    }
+  },
+  "DLN": {
+    name: "Driver's License Number",
+    components: {
+      1: { name: "License Number", dataType: "ST" },
+      2: { name: "Issuing State, Province, Country", dataType: "IS" },
+      3: { name: "Expiration Date", dataType: "DT" }
+    }
+  },
+  "DR": {
+    name: "Date/Time Range",
+    components: {
+      1: { name: "Range Start Date/Time", dataType: "TS" },
+      2: { name: "Range End Date/Time", dataType: "TS" }
+    }
+  },
+  "DTM": { name: "Date/Time" },
+  "EI": {
+    name: "Entity Identifier",
+    components: {
+      1: { name: "Entity Identifier", dataType: "ST" },
+      2: { name: "Namespace ID", dataType: "IS" },
+      3: { name: "Universal ID", dataType: "ST" },
+      4: { name: "Universal ID Type", dataType: "ID" }
+    }
+  },
+  "EIP": {
+    name: "Entity Identifier Pair",
+    components: {
+      1: { name: "Placer Assigned Identifier", dataType: "EI" },
+      2: { name: "Filler Assigned Identifier", dataType: "EI" }
+    }
+  },
+  "ELD": {
+    name: "Error Location and Description",
+    components: {
+      1: { name: "Segment ID", dataType: "ST" },
+      2: { name: "Segment Sequence", dataType: "NM" },
+      3: { name: "Field Position", dataType: "NM" },
+      4: { name: "Code Identifying Error", dataType: "CWE" }
+    }
+  },
+  "ERL": {
+    name: "Error Location",
+    components: {
+      1: { name: "Segment ID", dataType: "ST" },
+      2: { name: "Segment Sequence", dataType: "NM" },
+      3: { name: "Field Position", dataType: "NM" },
+      4: { name: "Field Repetition", dataType: "NM" },
+      5: { name: "Component Number", dataType: "NM" },
+      6: { name: "Sub-Component Number", dataType: "NM" }
+    }
+  },
+  "FN": {
+    name: "Family Name",
+    components: {
+      1: { name: "Surname", dataType: "ST" },
+      2: { name: "Own Surname Prefix", dataType: "ST" },
+      3: { name: "Own Surname", dataType: "ST" },
+      4: { name: "Surname Prefix from Partner/Spouse", dataType: "ST" },
+      5: { name: "Surname from Partner/Spouse", dataType: "ST" }
+    }
+  },
+  "HD": {
+    name: "Hierarchic Designator",
+    components: {
+      1: { name: "Namespace ID", dataType: "IS" },
+      2: { name: "Universal ID", dataType: "ST" },
+      3: { name: "Universal ID Type", dataType: "ID" }
+    }
+  },
+  "JCC": {
+    name: "Job Code/Class",
+    components: {
+      1: { name: "Job Code", dataType: "IS" },
+      2: { name: "Job Class", dataType: "IS" },
+      3: { name: "Job Description Text", dataType: "TX" }
+    }
+  },
+  "MO": {
+    name: "Money",
+    components: {
+      1: { name: "Quantity", dataType: "NM" },
+      2: { name: "Denomination", dataType: "ID" }
+    }
+  },
+  "MSG": {
+    name: "Message Type",
+    components: {
+      1: { name: "Message Code", dataType: "ID" },
+      2: { name: "Trigger Event", dataType: "ID" },
+      3: { name: "Message Structure", dataType: "ID" }
+    }
+  },
+  "PL": {
+    name: "Person Location",
+    components: {
+      1: { name: "Point of Care", dataType: "IS" },
+      2: { name: "Room", dataType: "IS" },
+      3: { name: "Bed", dataType: "IS" },
+      4: { name: "Facility", dataType: "HD" },
+      5: { name: "Location Status", dataType: "IS" },
+      6: { name: "Person Location Type", dataType: "IS" },
+      7: { name: "Building", dataType: "IS" },
+      8: { name: "Floor", dataType: "IS" },
+      9: { name: "Location Description", dataType: "ST" },
+      10: { name: "Comprehensive Location Identifier", dataType: "EI" },
+      11: { name: "Assigning Authority for Location", dataType: "HD" }
+    }
+  },
+  "PT": {
+    name: "Processing Type",
+    components: {
+      1: { name: "Processing ID", dataType: "ID" },
+      2: { name: "Processing Mode", dataType: "ID" }
+    }
+  },
+  "RI": {
+    name: "Repeat Interval",
+    components: {
+      1: { name: "Repeat Pattern", dataType: "IS" },
+      2: { name: "Explicit Time Interval", dataType: "ST" }
+    }
+  },
+  "RPT": {
+    name: "Repeat Pattern",
+    components: {
+      1: { name: "Repeat Pattern Code", dataType: "CWE" },
+      2: { name: "Calendar Alignment", dataType: "ID" },
+      3: { name: "Phase Range Begin Value", dataType: "NM" },
+      4: { name: "Phase Range End Value", dataType: "NM" },
+      5: { name: "Period Quantity", dataType: "NM" },
+      6: { name: "Period Units", dataType: "IS" }
+    }
+  },
+  "SAD": {
+    name: "Street Address",
+    components: {
+      1: { name: "Street or Mailing Address", dataType: "ST" },
+      2: { name: "Street Name", dataType: "ST" },
+      3: { name: "Dwelling Number", dataType: "ST" }
+    }
+  },
+  "SPS": {
+    name: "Specimen Source",
+    components: {
+      1: { name: "Specimen Source Name or Code", dataType: "CWE" },
+      2: { name: "Additives", dataType: "CWE" },
+      3: { name: "Specimen Collection Method", dataType: "TX" },
+      4: { name: "Body Site", dataType: "CWE" },
+      5: { name: "Site Modifier", dataType: "CWE" },
+      6: { name: "Collection Method Modifier Code", dataType: "CWE" },
+      7: { name: "Specimen Role", dataType: "CWE" }
+    }
+  },
+  "TQ": {
+    name: "Timing Quantity",
+    components: {
+      1: { name: "Quantity", dataType: "CQ" },
+      2: { name: "Interval", dataType: "RI" },
+      3: { name: "Duration", dataType: "ST" },
+      4: { name: "Start Date/Time", dataType: "TS" },
+      5: { name: "End Date/Time", dataType: "TS" },
+      6: { name: "Priority", dataType: "ST" },
+      7: { name: "Condition", dataType: "ST" },
+      8: { name: "Text", dataType: "TX" },
+      9: { name: "Conjunction", dataType: "ID" },
+      10: { name: "Order Sequencing", dataType: "ST" },
+      11: { name: "Occurrence Duration", dataType: "CWE" },
+      12: { name: "Total Occurrences", dataType: "NM" }
+    }
+  },
+  "TS": {
+    name: "Time Stamp",
+    components: {
+      1: { name: "Time", dataType: "DTM" },
+      2: { name: "Degree of Precision", dataType: "ID" }
+    }
+  },
+  "VID": {
+    name: "Version Identifier",
+    components: {
+      1: { name: "Version ID", dataType: "ID" },
+      2: { name: "Internationalization Code", dataType: "CWE" },
+      3: { name: "International Version ID", dataType: "CWE" }
+    }
+  },
+  "XAD": {
+    name: "Extended Address",
+    components: {
+      1: { name: "Street Address", dataType: "SAD" },
+      2: { name: "Other Designation", dataType: "ST" },
+      3: { name: "City", dataType: "ST" },
+      4: { name: "State or Province", dataType: "ST" },
+      5: { name: "Zip or Postal Code", dataType: "ST" },
+      6: { name: "Country", dataType: "ID" },
+      7: { name: "Address Type", dataType: "ID" },
+      8: { name: "Other Geographic Designation", dataType: "ST" },
+      9: { name: "County/Parish Code", dataType: "IS" },
+      10: { name: "Census Tract", dataType: "IS" },
+      11: { name: "Address Representation Code", dataType: "ID" },
+      12: { name: "Address Validity Range", dataType: "DR" },
+      13: { name: "Effective Date", dataType: "TS" },
+      14: { name: "Expiration Date", dataType: "TS" }
+    }
+  },
+  "XCN": {
+    name: "Extended Composite ID Number and Name for Persons",
+    components: {
+      1: { name: "ID Number", dataType: "ST" },
+      2: { name: "Family Name", dataType: "FN" },
+      3: { name: "Given Name", dataType: "ST" },
+      4: { name: "Second and Further Given Names or Initials Thereof", dataType: "ST" },
+      5: { name: "Suffix", dataType: "ST" },
+      6: { name: "Prefix", dataType: "ST" },
+      7: { name: "Degree", dataType: "IS" },
+      8: { name: "Source Table", dataType: "IS" },
+      9: { name: "Assigning Authority", dataType: "HD" },
+      10: { name: "Name Type Code", dataType: "ID" },
+      11: { name: "Identifier Check Digit", dataType: "ST" },
+      12: { name: "Check Digit Scheme", dataType: "ID" },
+      13: { name: "Identifier Type Code", dataType: "ID" },
+      14: { name: "Assigning Facility", dataType: "HD" },
+      15: { name: "Name Representation Code", dataType: "ID" },
+      16: { name: "Name Context", dataType: "CWE" },
+      17: { name: "Name Validity Range", dataType: "DR" },
+      18: { name: "Name Assembly Order", dataType: "ID" },
+      19: { name: "Effective Date", dataType: "TS" },
+      20: { name: "Expiration Date", dataType: "TS" },
+      21: { name: "Professional Suffix", dataType: "ST" },
+      22: { name: "Assigning Jurisdiction", dataType: "CWE" },
+      23: { name: "Assigning Agency or Department", dataType: "CWE" }
+    }
+  },
+  "XON": {
+    name: "Extended Composite Name and Identification Number for Organizations",
+    components: {
+      1: { name: "Organization Name", dataType: "ST" },
+      2: { name: "Organization Name Type Code", dataType: "IS" },
+      3: { name: "ID Number", dataType: "NM" },
+      4: { name: "Check Digit", dataType: "NM" },
+      5: { name: "Check Digit Scheme", dataType: "ID" },
+      6: { name: "Assigning Authority", dataType: "HD" },
+      7: { name: "Identifier Type Code", dataType: "ID" },
+      8: { name: "Assigning Facility", dataType: "HD" },
+      9: { name: "Name Representation Code", dataType: "ID" },
+      10: { name: "Organization Identifier", dataType: "ST" }
+    }
+  },
+  "XPN": {
+    name: "Extended Person Name",
+    components: {
+      1: { name: "Family Name", dataType: "FN" },
+      2: { name: "Given Name", dataType: "ST" },
+      3: { name: "Second and Further Given Names or Initials Thereof", dataType: "ST" },
+      4: { name: "Suffix", dataType: "ST" },
+      5: { name: "Prefix", dataType: "ST" },
+      6: { name: "Degree", dataType: "IS" },
+      7: { name: "Name Type Code", dataType: "ID" },
+      8: { name: "Name Representation Code", dataType: "ID" },
+      9: { name: "Name Context", dataType: "CWE" },
+      10: { name: "Name Validity Range", dataType: "DR" },
+      11: { name: "Name Assembly Order", dataType: "ID" },
+      12: { name: "Effective Date", dataType: "TS" },
+      13: { name: "Expiration Date", dataType: "TS" },
+      14: { name: "Professional Suffix", dataType: "ST" }
+    }
+  },
+  "XTN": {
+    name: "Extended Telecommunication Number",
+    components: {
+      1: { name: "Telephone Number", dataType: "ST" },
+      2: { name: "Telecommunication Use Code", dataType: "ID" },
+      3: { name: "Telecommunication Equipment Type", dataType: "ID" },
+      4: { name: "Email Address", dataType: "ST" },
+      5: { name: "Country Code", dataType: "NM" },
+      6: { name: "Area/City Code", dataType: "NM" },
+      7: { name: "Local Number", dataType: "NM" },
+      8: { name: "Extension", dataType: "NM" },
+      9: { name: "Any Text", dataType: "ST" },
+      10: { name: "Extension Prefix", dataType: "ST" },
+      11: { name: "Speed Dial Code", dataType: "ST" },
+      12: { name: "Unformatted Telephone Number", dataType: "ST" }
+    }
+  }
+};
+
+// HL7 tables for coded fields (a field's "table"), used by the validator.
+// Only the first component of a coded value is checked against the table.
+const HL7_TABLES = {
+  "0001": {
+    name: "Administrative Sex",
+    values: { A: "Ambiguous", F: "Female", M: "Male", N: "Not applicable", O: "Other", U: "Unknown" }
+  },
+  "0004": {
+    name: "Patient Class",
+    values: {
+      B: "Obstetrics", C: "Commercial Account", E: "Emergency", I: "Inpatient", N: "Not Applicable",
+      O: "Outpatient", P: "Preadmit", R: "Recurring patient", U: "Unknown"
+    }
+  },
+  "0008": {
+    name: "Acknowledgment Code",
+    values: {
+      AA: "Application Accept", AE: "Application Error", AR: "Application Reject",
+      CA: "Commit Accept", CE: "Commit Error", CR: "Commit Reject"
+    }
+  },
+  "0085": {
+    name: "Observation Result Status",
+    values: {
+      C: "Correction", D: "Deletes the OBX record", F: "Final", I: "Specimen in lab; results pending",
+      N: "Not asked", O: "Order detail description only", P: "Preliminary", R: "Results entered - not verified",
+      S: "Partial", U: "Results status change to final", W: "Post original as wrong", X: "Results cannot be obtained"
+    }
+  },
+  "0103": {
+    name: "Processing ID",
+    values: { D: "Debugging", P: "Production", T: "Training" }
+  },
+  "0104": {
+    name: "Version ID",
+    values: {
+      "2.0": "Release 2.0", "2.0D": "Demo 2.0", "2.1": "Release 2.1", "2.2": "Release 2.2", "2.3": "Release 2.3",
+      "2.3.1": "Release 2.3.1", "2.4": "Release 2.4", "2.5": "Release 2.5", "2.5.1": "Release 2.5.1",
+      "2.6": "Release 2.6", "2.7": "Release 2.7", "2.7.1": "Release 2.7.1", "2.8": "Release 2.8",
+      "2.8.1": "Release 2.8.1", "2.8.2": "Release 2.8.2", "2.9": "Release 2.9"
+    }
+  },
+  "0125": {
+    name: "Value Type",
+    values: {
+      AD: "Address", CE: "Coded Entry", CF: "Coded Element With Formatted Values", CK: "Composite ID With Check Digit",
+      CN: "Composite ID And Name", CNE: "Coded with No Exceptions", CP: "Composite Price", CWE: "Coded with Exceptions",
+      CX: "Extended Composite ID With Check Digit", DR: "Date/Time Range", DT: "Date", DTM: "Date/Time", ED: "Encapsulated Data",
+      FT: "Formatted Text", ID: "Coded Value for HL7 Defined Tables", IS: "Coded Value for User-Defined Tables",
+      MO: "Money", NA: "Numeric Array", NM: "Numeric", PN: "Person Name", RP: "Reference Pointer", SN: "Structured Numeric",
+      ST: "String Data", TM: "Time", TN: "Telephone Number", TS: "Time Stamp", TX: "Text Data",
+      XAD: "Extended Address", XCN: "Extended Composite Name And Number For Persons", XON: "Extended Composite Name And Number For Organizations",
+      XPN: "Extended Person Name", XTN: "Extended Telecommunications Number"
+    }
+  },
+  "0136": {
+    name: "Yes/No Indicator",
+    values: { Y: "Yes", N: "No" }
+  },
+  "0155": {
+    name: "Accept/Application Acknowledgment Conditions",
+    values: { AL: "Always", NE: "Never", ER: "Error/reject conditions only", SU: "Successful completion only" }
+  },
+  "0357": {
+    name: "Message Error Condition Codes",
+    values: {
+      "0": "Message accepted", "100": "Segment sequence error", "101": "Required field missing", "102": "Data type error",
+      "103": "Table value not found", "104": "Value too long", "200": "Unsupported message type",
+      "201": "Unsupported event code", "202": "Unsupported processing id", "203": "Unsupported version id",
+      "204": "Unknown key identifier", "205": "Duplicate key identifier", "206": "Application record locked",
+      "207": "Application internal error"
+    }
+  },
+  "0516": {
+    name: "Error Severity",
+    values: { E: "Error", F: "Fatal Error", I: "Information", W: "Warning" }
+  }
+};
+
+// Version-specific definition sets, keyed by the version label shown in the viewer.
+// HL7_SEGMENTS describes the default version; every other set only lists what differs from the
+// set it is based on (same shape as HL7_SEGMENTS, merged by field/component number).
+// A field set to null does not exist in that version. "versions" are the MSH-12 values it covers.
+const HL7_DEFAULT_VERSION = "2.5.1";
+
+const HL7_VERSIONS = {
+  // Follows v2.3 itself (v2.3.1 made some of its IS fields CEs)
+  "2.3": {
+    basedOn: "2.4",
+    versions: ["2.1", "2.2", "2.3", "2.3.1"],
+    segments: {
+      "PID": {
+        fields: {
+          2: {
+            name: "Patient ID (External ID)",
+            dataType: "CK",
+            components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority" }
+          },
+          3: { name: "Patient ID (Internal ID)" },
+          5: {
+            name: "Patient Name",
+            components: { 3: "Middle Initial or Name" }
+          },
+          8: { name: "Sex" },
+          // Coded with user-defined tables (IS) rather than coded elements
+          10: { dataType: "IS", components: null },
+          16: { dataType: "IS", components: null },
+          17: { dataType: "IS", components: null },
+          22: { dataType: "IS", components: null },
+          26: { dataType: "IS", components: null },
+          // Identity and species fields were added in v2.4
+          31: null,
+          32: null,
+          33: null,
+          34: null,
+          35: null,
+          36: null,
+          37: null,
+          38: null
+        }
+      }
+    }
+  },
+
+  "2.4": {
+    basedOn: "2.5.1",
+    versions: ["2.4"],
+    segments: {
+      "PID": {
+        fields: {
+          4: { name: "Alternate Patient ID - PID" },
+          // Coded values are CEs before v2.6 (no Coding System Version IDs or Original Text)
+          10: { dataType: "CE", components: null },
+          15: { dataType: "CE", components: null },
+          16: { dataType: "CE", components: null },
+          17: { dataType: "CE", components: null },
+          22: { dataType: "CE", components: null },
+          26: { dataType: "CE", components: null },
+          27: { dataType: "CE", components: null },
+          28: { dataType: "CE", components: null },
+          35: { dataType: "CE", components: null },
+          36: { dataType: "CE", components: null },
+          38: { dataType: "CE", components: null },
+          // Tribal Citizenship was added in v2.5
+          39: null
+        }
+      },
+      "PV1": {
+        fields: {
+          38: { dataType: "CE", components: null }
+        }
+      }
+    }
+  },
+
+  // v2.6 has no set of its own; its messages use these definitions and are labelled as such
+  "2.5.1": {
+    basedOn: null,
+    versions: ["2.5", "2.5.1", "2.6"],
+    segments: {}
+  },
+
+  "2.8": {
+    basedOn: "2.5.1",
+    versions: ["2.7", "2.7.1", "2.8", "2.8.1", "2.8.2", "2.9"],
+    segments: {
+      "MSH": {
+        fields: {
+          // From v2.7, MSH.2 may end with the truncation character (#)
+          2: { maxLength: 5 }
+        }
+      },
+      "FHS": {
+        fields: {
+          2: { maxLength: 5 }
+        }
+      },
+      "BHS": {
+        fields: {
+          2: { maxLength: 5 }
+        }
+      },
+      "PID": {
+        fields: {
+          // TS was withdrawn in v2.7: date/times are DTMs, and IS values became CWEs
+          7: { dataType: "DTM", maxLength: 24, components: null },
+          8: { dataType: "CWE", maxLength: null },
+          29: { dataType: "DTM", components: null },
+          32: { dataType: "CWE" },
+          33: { dataType: "DTM", components: null },
+          2: { name: "Patient ID (withdrawn)" },
+          4: { name: "Alternate Patient ID (withdrawn)" },
+          12: { name: "County Code (withdrawn)" },
+          13: { name: "Phone Number - Home (backward compatibility, see PID.40)" },
+          14: { name: "Phone Number - Business (backward compatibility, see PID.40)" },
+          19: { name: "SSN Number - Patient (withdrawn)" },
+          20: { name: "Driver's License Number (withdrawn)" },
+          40: {
+            name: "Patient Telecommunication Information",
+            dataType: "XTN",
+            components: { 1: "Telephone Number", 2: "Telecommunication Use Code", 3: "Telecommunication Equipment Type", 4: "Communication Address", 5: "Country Code", 6: "Area/City Code", 7: "Local Number", 8: "Extension", 9: "Any Text", 10: "Extension Prefix", 11: "Speed Dial Code", 12: "Unformatted Telephone Number" }
+          }
+        }
+      },
+      "PV1": {
+        fields: {
+          2: { dataType: "CWE", maxLength: null },
+          4: { dataType: "CWE" },
+          10: { dataType: "CWE" },
+          14: { dataType: "CWE" },
+          18: { dataType: "CWE" },
+          36: { dataType: "CWE" },
+          44: { dataType: "DTM", components: null },
+          45: { dataType: "DTM", components: null },
+          51: { dataType: "CWE" },
+          52: { name: "Other Healthcare Provider (withdrawn)" },
+          53: { name: "Service Episode Description" },
+          54: {
+            name: "Service Episode Identifier",
+            dataType: "CX",
+            components: { 1: "ID Number", 2: "Check Digit", 3: "Check Digit Scheme", 4: "Assigning Authority", 5: "Identifier Type Code", 6: "Assigning Facility" }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,134 @@
+// HL7 Viewer - File Reader Module
+// Reads files in chunks (File.slice), decoding them as UTF-8 as it goes, so large files are never
+// read in one piece, and indexes where each message starts while reading: lines starting with MSH
+// (or a batch envelope segment) are found across the edges of the chunks. MLLP framing is stripped
+// on the way (see HL7Parser.stripMllpFraming). The result is the text, kept in the chunks it was
+// read in (HL7Parser.createChunkedText), with its message starts and the files it was read from,
+// for HL7Parser.createMessageList to read and parse the messages as they are needed and tell which
+// file each came from
+
+const HL7FileReader = (function() {
+  'use strict';
+
+  // Bytes read at a time
+  const CHUNK_SIZE = 4 * 1024 * 1024;
+
+  // Put between the texts of files read together
+  const FILE_SEPARATOR = '\n\n';
+
+  // The start of a line that is too short yet to tell whether it is an MSH line: whitespace and
+  // at most two other characters
+  const UNDECIDED_LINE = /^\s*\S{0,2}$/;
+
+  // Characters at the end of a chunk whose MLLP framing can't be told apart yet (an end block and
+  // the line breaks around it), kept for the next chunk
+  const FRAMING_END = /[\r\n\x1C]/;
+
+  /**
+   * Read a chunk of a file (a Blob) as an ArrayBuffer
+   */
+  function readChunk(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = function(e) {
+        resolve(e.target.result);
+      };
+      reader.onerror = function() {
+        reject(new Error('Failed to read file'));
+      };
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Create a scanner for one file's text, read chunk by chunk: scan(text, offset) adds the message
+   * starts (see HL7Parser.findMessageStarts) found in the next chunk, which is at offset in the whole
+   * text, to starts. The end of a chunk whose last line can't be told apart yet is scanned again with
+   * the next chunk
+   */
+  function createScanner(starts) {
+    let carry = '';
+    let carryStartsLine = true;
+
+    return function scan(text, offset) {
+      const scanText = carry + text;
+      HL7Parser.findMessageStarts(scanText).forEach(position => {
+        // The scanned text's first character only starts a line when the carried text does
+        if (position > 0 || carryStartsLine) starts.push(offset - carry.length + position);
+      });
+
+      const lastBreak = Math.max(scanText.lastIndexOf('\r'), scanText.lastIndexOf('\n'));
+      const lastLine = scanText.substring(lastBreak + 1);
+      carryStartsLine = lastBreak >= 0 || carryStartsLine;
+      if (carryStartsLine && UNDECIDED_LINE.test(lastLine)) {
+        carry = lastLine;
+      } else {
+        carry = '';
+        carryStartsLine = false;
+      }
+    };
+  }
+
+  /**
+   * Get where the characters at the end of a text start that FRAMING_END holds back
+   */
+  function findFramingEnd(text) {
+    let position = text.length;
+    while (position > 0 && FRAMING_END.test(text[position - 1])) position--;
+    return position;
+  }
+
+  /**
+   * Read files one after another, chunk by chunk, calling onProgress(fraction) after each chunk
+   * Files follow one another with a blank line between them, as one text
+   * Resolves to { content, messageStarts, sources }: the text (from HL7Parser.createChunkedText,
+   * never joined into one string), where each of its messages starts, and the files it was read
+   * from ({ name, start }: a file's name and where its text starts)
+   */
+  async function readFiles(files, onProgress) {
+    const totalBytes = Array.from(files).reduce((total, file) => total + file.size, 0);
+    const parts = [];
+    const messageStarts = [];
+    const sources = [];
+    let length = 0;
+    let bytesRead = 0;
+
+    for (const file of files) {
+      if (length > 0 && file.size > 0) {
+        parts.push(FILE_SEPARATOR);
+        length += FILE_SEPARATOR.length;
+      }
+      sources.push({ name: file.name, start: length });
+
+      const decoder = new TextDecoder('utf-8');
+      const scan = createScanner(messageStarts);
+      let held = '';
+
+      for (let position = 0; position < file.size; position += CHUNK_SIZE) {
+        const chunk = file.slice(position, position + CHUNK_SIZE);
+        const more = position + CHUNK_SIZE < file.size;
+        let text = held + decoder.decode(await readChunk(chunk), { stream: more });
+
+        // Framing split between chunks is stripped with the next one
+        const framingEnd = more ? findFramingEnd(text) : text.length;
+        held = text.substring(framingEnd);
+        text = HL7Parser.stripMllpFraming(text.substring(0, framingEnd));
+
+        scan(text, length);
+        parts.push(text);
+        length += text.length;
+
+        bytesRead += chunk.size;
+        if (onProgress) onProgress(bytesRead / totalBytes);
+      }
+    }
+
+    return { content: HL7Parser.createChunkedText(parts), messageStarts: messageStarts, sources: sources };
+  }
+
+  // Public API
+  return {
+    readFiles: readFiles
+  };
+
+})();
@@ -0,0 +1,375 @@
+// HL7 Viewer - Message Generator Module
+// Builds test messages from scratch: a template (the segments and field values of one message type
+// and trigger event) is created from HL7_MESSAGE_STRUCTURES and the segment definitions, then
+// generated as any number of variants, with the chosen fields filled with random synthetic data
+
+const HL7Generator = (function() {
+  'use strict';
+
+  // Message types that can be generated
+  const MESSAGE_CODES = ['ADT', 'ORM', 'ORU'];
+
+  // Most messages generated at once
+  const MAX_COUNT = 1000;
+
+  // Optional groups still included in a new template (the patient, visit, order and result parts)
+  const DEFAULT_GROUPS = ['PATIENT', 'PATIENT_VISIT', 'VISIT', 'ORDER_DETAIL', 'OBSERVATION'];
+
+  // Starting values of a new template's fields; random fields get a new value in every message
+  const DEFAULT_FIELDS = {
+    MSH: {
+      3: { value: 'HL7VIEWER' },
+      4: { value: 'TEST_FACILITY' },
+      5: { value: 'RECEIVER' },
+      6: { value: 'RECEIVING_FACILITY' },
+      7: { value: '', random: true },
+      10: { value: '', random: true },
+      11: { value: 'P' }
+    },
+    EVN: {
+      2: { value: '', random: true }
+    },
+    PID: {
+      1: { value: '1' },
+      3: { value: '^^^HOSP^MR', random: true },
+      5: { value: '', random: true },
+      7: { value: '', random: true },
+      8: { value: '', random: true },
+      11: { value: '', random: true },
+      13: { value: '', random: true }
+    },
+    MRG: {
+      1: { value: '^^^HOSP^PI', random: true }
+    },
+    PV1: {
+      1: { value: '1' },
+      2: { value: 'I' },
+      3: { value: 'WARD^101^A' },
+      7: { value: '', random: true },
+      19: { value: '^^^HOSP^VN', random: true },
+      44: { value: '', random: true }
+    },
+    ORC: {
+      2: { value: '', random: true },
+      9: { value: '', random: true }
+    },
+    OBR: {
+      1: { value: '1' },
+      2: { value: '', random: true },
+      4: { value: '24331-1^LIPID PANEL^LN' },
+      7: { value: '', random: true },
+      16: { value: '', random: true },
+      25: { value: 'F' }
+    },
+    OBX: {
+      1: { value: '1' },
+      2: { value: 'NM' },
+      3: { value: '2093-3^CHOLESTEROL^LN' },
+      5: { value: '180' },
+      6: { value: 'mg/dL' },
+      11: { value: 'F' },
+      14: { value: '', random: true }
+    }
+  };
+
+  // What kind of random value a field gets, by data type; fields listed in FIELD_RANDOM_KINDS win
+  const RANDOM_KINDS = {
+    XPN: 'name',
+    XCN: 'person',
+    XAD: 'address',
+    XTN: 'phone',
+    CX: 'id',
+    EI: 'id',
+    TS: 'timestamp',
+    DTM: 'timestamp',
+    DT: 'date'
+  };
+  const FIELD_RANDOM_KINDS = {
+    'MSH.10': 'controlId',
+    'PID.7': 'birthDate',
+    'PID.8': 'sex'
+  };
+
+  const STATES = ['CA', 'FL', 'IL', 'NY', 'OH', 'TX', 'WA'];
+
+  /**
+   * List the trigger events that can be generated: [{ event, structureId, name }] (e.g. ADT^A04, ADT_A01)
+   */
+  function getEvents() {
+    const events = [];
+    Object.keys(HL7_MESSAGE_STRUCTURES).forEach(structureId => {
+      const structure = HL7_MESSAGE_STRUCTURES[structureId];
+      structure.events.forEach(event => {
+        if (MESSAGE_CODES.includes(event.split('^')[0])) {
+          events.push({ event: event, structureId: structureId, name: structure.name });
+        }
+      });
+    });
+    return events.sort((a, b) => a.event.localeCompare(b.event));
+  }
+
+  /**
+   * Find the message structure ID for a trigger event, or null
+   */
+  function getStructureId(event) {
+    const match = getEvents().find(item => item.event === event);
+    return match ? match.structureId : null;
+  }
+
+  // ========================================
+  // TEMPLATES
+  // A template is { event, version, segments: [{ segmentId, fields: { fieldNum: { value, random } } }] };
+  // values are HL7 text with the default encoding characters (e.g. DOE^JANE)
+  // ========================================
+
+  /**
+   * Get the kind of random value a field can get (e.g. 'name', 'timestamp'), or null
+   */
+  function getRandomKind(segmentId, fieldNum, version) {
+    const fieldKind = FIELD_RANDOM_KINDS[`${segmentId}.${fieldNum}`];
+    if (fieldKind) return fieldKind;
+
+    const fieldDef = HL7Dictionary.getField(segmentId, fieldNum, version);
+    return fieldDef ? RANDOM_KINDS[fieldDef.dataType] || null : null;
+  }
+
+  /**
+   * Collect the segments of a new template from a structure's segment list: required segments,
+   * in required groups and in the common optional groups
+   */
+  function collectSegmentIds(items, segmentIds) {
+    items.forEach(item => {
+      if (item.segment) {
+        if (item.required) segmentIds.push(item.segment);
+      } else if (item.required || DEFAULT_GROUPS.includes(item.group)) {
+        collectSegmentIds(item.segments, segmentIds);
+      }
+    });
+    return segmentIds;
+  }
+
+  /**
+   * Create a template segment with its starting values (the message type, trigger event and version
+   * fill MSH-9, MSH-12, EVN-1 and ORC-1)
+   */
+  function createSegment(segmentId, event, version) {
+    const id = (segmentId || '').trim().toUpperCase();
+    const [code, trigger] = (event || '').split('^');
+    const fields = JSON.parse(JSON.stringify(DEFAULT_FIELDS[id] || {}));
+
+    if (id === 'MSH') {
+      fields[9] = { value: [code, trigger, getStructureId(event)].join('^') };
+      fields[12] = { value: version || HL7_DEFAULT_VERSION };
+    } else if (id === 'EVN') {
+      fields[1] = { value: trigger || '' };
+    } else if (id === 'ORC') {
+      // New order for orders, results for their order's control segment
+      fields[1] = { value: code === 'ORU' ? 'RE' : 'NW' };
+    }
+
+    return { segmentId: id, fields: fields };
+  }
+
+  /**
+   * Create a template for a trigger event, with the segments the event's message structure needs
+   * Throws an error for an event that can't be generated
+   */
+  function createTemplate(event, version) {
+    const structureId = getStructureId(event);
+    if (!structureId) {
+      throw new Error(`Messages for ${event} can't be generated.`);
+    }
+
+    const segmentIds = collectSegmentIds(HL7_MESSAGE_STRUCTURES[structureId].segments, []);
+    return {
+      event: event,
+      version: version || HL7_DEFAULT_VERSION,
+      segments: segmentIds.map(segmentId => createSegment(segmentId, event, version))
+    };
+  }
+
+  // ========================================
+  // RANDOM VALUES
+  // ========================================
+
+  /**
+   * Random whole number from 0 up to (not including) max
+   */
+  function randomInt(max) {
+    return Math.floor(Math.random() * max);
+  }
+
+  /**
+   * Random item of a list
+   */
+  function pick(list) {
+    return list[randomInt(list.length)];
+  }
+
+  /**
+   * Random string of digits, not starting with 0
+   */
+  function randomDigits(length) {
+    let digits = String(1 + randomInt(9));
+    while (digits.length < length) digits += randomInt(10);
+    return digits;
+  }
+
+  /**
+   * Format a date as an HL7 date (YYYYMMDD) or timestamp (YYYYMMDDHHMMSS)
+   */
+  function formatDate(date, withTime) {
+    const pad = value => String(value).padStart(2, '0');
+    const text = date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate());
+    return withTime ? text + pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds()) : text;
+  }
+
+  /**
+   * Create the state shared by the fields of one message: its time (some time in the last 30 days,
+   * used by every timestamp) and the random values already chosen, so fields with the same template
+   * value (e.g. ORC-2 and OBR-2) get the same random value
+   */
+  function createContext() {
+    return {
+      time: new Date(Date.now() - randomInt(30 * 24 * 60 * 60) * 1000),
+      values: new Map()
+    };
+  }
+
+  /**
+   * Fill a value with random synthetic data of a kind. The parts of the value the kind doesn't
+   * replace are kept (e.g. the assigning authority and type of an ID: ^^^HOSP^MR)
+   */
+  function randomValue(kind, value, context) {
+    const key = `${kind}|${value}`;
+    if (context.values.has(key)) return context.values.get(key);
+
+    const components = value.split(HL7Escape.DEFAULT_ENCODING.componentSeparator);
+    const set = (compNum, text) => {
+      while (components.length < compNum) components.push('');
+      components[compNum - 1] = text;
+    };
+
+    switch (kind) {
+      case 'name':
+        set(1, pick(HL7Deidentify.FAKE_LAST_NAMES));
+        set(2, pick(HL7Deidentify.FAKE_FIRST_NAMES));
+        break;
+      case 'person':
+        set(1, randomDigits(6));
+        set(2, pick(HL7Deidentify.FAKE_LAST_NAMES));
+        set(3, pick(HL7Deidentify.FAKE_FIRST_NAMES));
+        break;
+      case 'address':
+        set(1, `${1 + randomInt(9999)} ${pick(HL7Deidentify.FAKE_STREETS)}`);
+        set(3, pick(HL7Deidentify.FAKE_CITIES));
+        set(4, pick(STATES));
+        set(5, randomDigits(5));
+        break;
+      case 'phone':
+        set(1, `(555)555-${String(randomInt(10000)).padStart(4, '0')}`);
+        break;
+      case 'id':
+        set(1, randomDigits(8));
+        break;
+      case 'controlId':
+        set(1, 'MSG' + randomDigits(10));
+        break;
+      case 'timestamp':
+        set(1, formatDate(context.time, true));
+        break;
+      case 'date':
+        set(1, formatDate(context.time, false));
+        break;
+      case 'birthDate': {
+        // Someone born between 1930 and 2019
+        const year = 1930 + randomInt(90);
+        set(1, formatDate(new Date(year, randomInt(12), 1 + randomInt(28)), false));
+        break;
+      }
+      case 'sex':
+        set(1, pick(['F', 'M']));
+        break;
+      default:
+        return value;
+    }
+
+    const result = components.join(HL7Escape.DEFAULT_ENCODING.componentSeparator);
+    context.values.set(key, result);
+    return result;
+  }
+
+  // ========================================
+  // GENERATION
+  // ========================================
+
+  /**
+   * Build one segment of a message from its template, as a line of HL7 text
+   */
+  function buildSegment(segment, version, context) {
+    const encoding = HL7Escape.DEFAULT_ENCODING;
+    const values = [];
+
+    Object.keys(segment.fields).forEach(key => {
+      const fieldNum = parseInt(key, 10);
+      const field = segment.fields[key];
+      const kind = field.random ? getRandomKind(segment.segmentId, fieldNum, version) : null;
+      values[fieldNum] = kind ? randomValue(kind, field.value || '', context) : field.value || '';
+    });
+
+    if (segment.segmentId === 'MSH') {
+      // MSH-1 and MSH-2 are the encoding characters themselves
+      values[1] = encoding.fieldSeparator;
+      values[2] = encoding.componentSeparator + encoding.repetitionSeparator +
+        encoding.escapeCharacter + encoding.subcomponentSeparator;
+    }
+
+    let last = values.length - 1;
+    while (last > 0 && !values[last]) last--;
+
+    const fields = [];
+    for (let fieldNum = 1; fieldNum <= last; fieldNum++) {
+      fields.push(values[fieldNum] || '');
+    }
+    if (segment.segmentId === 'MSH') {
+      return 'MSH' + fields[0] + fields.slice(1).join(encoding.fieldSeparator);
+    }
+    return fields.length ? segment.segmentId + encoding.fieldSeparator + fields.join(encoding.fieldSeparator) : segment.segmentId;
+  }
+
+  /**
+   * Generate messages from a template, each with its own random values
+   * Returns { content, messageCount }; segments end with a carriage return, as HL7 specifies
+   * Throws an error for a template without MSH first or a count outside 1 to MAX_COUNT
+   */
+  function generate(template, count) {
+    const messageCount = Number(count);
+    if (!Number.isInteger(messageCount) || messageCount < 1 || messageCount > MAX_COUNT) {
+      throw new Error(`The number of messages must be a whole number from 1 to ${MAX_COUNT}.`);
+    }
+    if (!template.segments.length || template.segments[0].segmentId !== 'MSH') {
+      throw new Error('A message must start with an MSH segment.');
+    }
+
+    const lines = [];
+    for (let i = 0; i < messageCount; i++) {
+      const context = createContext();
+      template.segments.forEach(segment => {
+        lines.push(buildSegment(segment, template.version, context) + '\r');
+      });
+    }
+
+    return { content: lines.join(''), messageCount: messageCount };
+  }
+
+  // Public API
+  return {
+    MAX_COUNT: MAX_COUNT,
+    getEvents: getEvents,
+    getRandomKind: getRandomKind,
+    createSegment: createSegment,
+    createTemplate: createTemplate,
+    generate: generate
+  };
+
+})();
@@ -7,15 +7,66 @@ const HL7Parser = (function() {
   // Configuration defaults
   const DEFAULT_MESSAGES_PER_BATCH = 20;
 
+  // Label for segments without a definition (Z-segments and other custom segments)
+  const UNKNOWN_SEGMENT_NAME = 'Unknown/Custom Segment';
+
+  // A line starting with MSH or a batch envelope segment (after any whitespace), where a message or
+  // an envelope segment starts (see findMessageStarts)
+  const MESSAGE_START = /(^|[\r\n])[^\S\r\n]*(MSH|FHS|BHS|BTS|FTS)/g;
+
+  // Segments that wrap messages into batches (BHS...BTS) and files of batches (FHS...FTS); they
+  // belong to no message (see createMessageList)
+  const ENVELOPE_SEGMENTS = ['FHS', 'BHS', 'BTS', 'FTS'];
+
+  // Segments whose field separator is their first field and encoding characters their second
+  const HEADER_SEGMENTS = ['MSH', 'FHS', 'BHS'];
+
+  // MLLP framing: the start block character, and the end block character with the carriage return
+  // that follows it (and the line break before it, when there is one; see stripMllpFraming)
+  const MLLP_START_BLOCK = /\x0B/g;
+  const MLLP_END_BLOCK = /(\r\n|\n|\r)?\x1C(\r\n|\n|\r)?/g;
+
+  // Narrowest width taken for a wrap width (see findWrapWidth); log viewers and mail clients wrap at
+  // 72 to 80 characters or more
+  const WRAP_MIN_WIDTH = 60;
+
+  // Lines that start something of their own rather than carry on a wrapped line: comments (#, //,
+  // ; or -- first) and log records (a date or time first)
+  const STANDALONE_LINE = /^(#|\/\/|;|--|\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}:\d{2}:\d{2})/;
+
+  // Most parsed messages a message list keeps (see createMessageList)
+  const PARSED_CACHE_SIZE = 1000;
+
+  // Rendered values in the tree view and the standard view (fields, repetitions, components, subcomponents)
+  const VALUE_SELECTOR = '.hl7-tree-field-value, .hl7-tree-comp-value, .hl7-tree-subcomp-value, ' +
+    '.hl7-field, .hl7-repetition, .hl7-component, .hl7-subcomponent';
+
+  // What each container rendered by renderMessages shows: { messages, settings, onMessageRendered,
+  // collapsedEnvelopes, view } (see renderMessageView)
+  const messageViews = new WeakMap();
+
+  // Containers whose JSON elements open the JSON context menu (see setupJSONContextMenu)
+  const jsonMenuContainers = new WeakSet();
+
+  // What each container rendered by renderFHIRContent shows, and the tooltip element of each
+  // container with FHIR listeners (see setupFHIRListeners)
+  const fhirViews = new WeakMap();
+  const fhirTooltips = new WeakMap();
+
   /**
-   * Detect content type (json or hl7)
+   * Detect content type (json, fhir for FHIR resources in JSON, xml for HL7 v2 XML, or hl7)
    */
   function detectContentType(content) {
     const trimmed = content.trim();
 
     // Check for JSON first
     if (isJSONContent(trimmed)) {
-      return 'json';
+      return isFHIRContent(trimmed) ? 'fhir' : 'json';
+    }
+
+    // HL7 v2 XML, before HL7, as its MSH elements may start lines
+    if (isXMLContent(trimmed)) {
+      return 'xml';
     }
 
     // Check for HL7
@@ -46,10 +97,41 @@ const HL7Parser = (function() {
     }
   }
 
+  /**
+   * Check if JSON content is FHIR: a resource (an object with a resourceType) or a list of them
+   */
+  function isFHIRContent(content) {
+    if (content.indexOf('"resourceType"') < 0) return false;
+    try {
+      return isFHIRJSON(JSON.parse(content.trim()));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if parsed JSON is a FHIR resource or a list of them
+   */
+  function isFHIRJSON(parsed) {
+    if (Array.isArray(parsed)) return parsed.length > 0 && parsed.every(HL7Fhir.isResource);
+    return HL7Fhir.isResource(parsed);
+  }
+
+  /**
+   * Check if the content appears to be HL7 v2 XML: an XML document with an MSH element
+   */
+  function isXMLContent(content) {
+    const trimmed = content.trim();
+    return trimmed.startsWith('<') && /<(?:[\w.-]+:)?MSH[\s/>]/.test(trimmed);
+  }
+
   /**
    * Check if the content appears to be HL7 formatted
    */
   function isHL7Content(content) {
+    // A line starting with MSH settles it, without splitting large content into lines
+    if (/(^|[\r\n])MSH/.test(content)) return true;
+
     const lines = content.split(/\r\n|\n|\r/).filter(line => line.trim());
     if (lines.length === 0) return false;
 
@@ -57,14 +139,33 @@ const HL7Parser = (function() {
     let hl7LineCount = 0;
     for (const line of lines) {
       const segmentId = line.substring(0, 3);
-      if (HL7_SEGMENT_IDS.includes(segmentId)) {
+      if (HL7Dictionary.hasSegment(segmentId)) {
         hl7LineCount++;
       }
     }
 
-    // Consider it HL7 if at least 30% of lines are HL7 segments or has MSH
-    const hasMSH = lines.some(line => line.startsWith('MSH'));
-    return hasMSH || (hl7LineCount / lines.length > 0.3);
+    // Consider it HL7 if at least 30% of lines are HL7 segments
+    return hl7LineCount / lines.length > 0.3;
+  }
+
+  /**
+   * Remove MLLP framing (the start block \x0B before each message, and the end block \x1C and
+   * carriage return after it) from content, e.g. a capture of an interface connection
+   * A message whose last segment isn't ended by a line break keeps the break that ended its frame
+   */
+  function stripMllpFraming(content) {
+    if (!/[\x0B\x1C]/.test(content)) return content;
+    return content
+      .replace(MLLP_START_BLOCK, '')
+      .replace(MLLP_END_BLOCK, (match, before, after) => before || after || '\r');
+  }
+
+  /**
+   * Check whether a segment holds its own field separator and encoding characters as its first two
+   * fields (MSH, and the FHS and BHS batch envelope headers)
+   */
+  function isHeaderSegment(segmentId) {
+    return HEADER_SEGMENTS.includes(segmentId);
   }
 
   /**
@@ -72,7 +173,6 @@ const HL7Parser = (function() {
    */
   function renderContent(container, content, settings) {
     const viewMode = settings.viewMode || 'collapsed';
-    const hideEmptyFields = settings.hideEmptyFields || false;
     const messagesPerBatch = parseInt(settings.messagesPerBatch) || DEFAULT_MESSAGES_PER_BATCH;
 
     const contentType = detectContentType(content);
@@ -82,249 +182,453 @@ const HL7Parser = (function() {
       return;
     }
 
-    if (contentType === 'json') {
+    if (contentType === 'json' || contentType === 'fhir') {
       renderJSONContent(container, content, viewMode, messagesPerBatch);
+    } else if (contentType === 'xml') {
+      renderMessages(container, createMessageList(HL7Xml.toER7(content)), settings);
     } else {
-      renderHL7Content(container, content, viewMode, hideEmptyFields, messagesPerBatch);
+      renderMessages(container, createMessageList(content), settings);
     }
   }
 
   /**
-   * Parse and render the HL7 content with interactive elements
+   * Render HL7 messages (a message list, see createMessageList) with interactive elements
+   * Only the messages in and near the visible area are in the DOM (see HL7VirtualList); the others
+   * are rendered as they scroll into view, and onMessageRendered(messageElement, msgIndex), when
+   * given, is called for each
+   * settings.hl7Version picks the definition set for every message ('auto' uses each message's MSH-12)
+   * With settings.validate, validation issues are flagged inline (see HL7Validator)
+   * settings.hiddenSources, a Set of source file indexes (see createMessageList), leaves out the
+   * messages of those files
+   * Batch envelope segments (FHS, BHS, BTS, FTS) are shown between the messages; in the tree view
+   * each file and batch is a container node that collapses what is inside it (see toggleEnvelope)
    */
-  function renderHL7Content(container, content, viewMode, hideEmptyFields, messagesPerBatch) {
-    if (viewMode === 'collapsed') {
-      renderCollapsedView(container, content, hideEmptyFields, messagesPerBatch);
-    } else {
-      renderStandardView(container, content, messagesPerBatch);
-    }
+  function renderMessages(container, messages, settings, onMessageRendered) {
+    renderMessageView(container, {
+      messages: messages,
+      settings: settings,
+      onMessageRendered: onMessageRendered,
+      collapsedEnvelopes: new Set()
+    });
   }
 
   /**
-   * Render the standard inline view with hover tooltips
+   * Render a container's messages (see renderMessages) from what it shows: first, and again when
+   * a batch envelope container is collapsed or expanded (see toggleEnvelope)
    */
-  function renderStandardView(container, content, messagesPerBatch) {
-    // Clear container and set up
-    container.innerHTML = '';
-    container.className = 'hl7-container hl7-standard-view';
+  function renderMessageView(container, state) {
+    const settings = state.settings;
+    const hideEmptyFields = settings.hideEmptyFields || false;
+    const decodeEscapes = settings.decodeEscapes || false;
+    const hl7Version = settings.hl7Version || 'auto';
+    const validate = settings.validate || false;
+    const collapsedView = (settings.viewMode || 'collapsed') === 'collapsed';
 
-    // Create tooltip element
-    const tooltip = document.createElement('div');
-    tooltip.className = 'hl7-tooltip';
-    tooltip.style.display = 'none';
+    // Envelope containers only collapse in the tree view
+    state.view = createMessageView(state.messages, settings.hiddenSources, collapsedView ? state.collapsedEnvelopes : null);
+    messageViews.set(container, state);
 
-    // Split content into lines and group by messages
-    const lines = content.split(/\r\n|\n|\r/);
-    const messageGroups = groupLinesByMessage(lines);
+    if (collapsedView) {
+      renderCollapsedView(container, state.messages, state.view, hideEmptyFields, hl7Version, validate, state.onMessageRendered);
+    } else {
+      renderStandardView(container, state.messages, state.view, decodeEscapes, hl7Version, validate, state.onMessageRendered);
+    }
+  }
 
-    // State for pagination
-    let renderedCount = 0;
-    const totalMessages = messageGroups.length;
+  /**
+   * Get the items shown, by their position in the viewer: the messages - all of them, or those of
+   * the source files not in hiddenSources - and the batch envelope segments around them (see
+   * createMessageList), leaving out what is inside the envelope containers in collapsedEnvelopes
+   * (a Set of envelope indexes of FHS and BHS segments)
+   * Returns { count, getItem(position), getPosition(msgIndex) }: the number of items shown, the item
+   * at a position ({ messageIndex } or { envelopeIndex }, with the depth of containers it is in),
+   * and the position of a message (-1 when it is not shown)
+   */
+  function createMessageView(messages, hiddenSources, collapsedEnvelopes) {
+    const envelope = messages.getEnvelope();
+    const sources = messages.getSources();
+    const isSourceShown = sourceIndex => !hiddenSources || sourceIndex < 0 || !hiddenSources.has(sourceIndex);
+
+    // Runs of shown messages ({ firstMessage, messageCount, depth, position }) and the envelope
+    // segments between them ({ envelopeIndex, depth, position }), in order
+    const runs = [];
+    const messageRuns = [];
+    let count = 0;
+
+    /**
+     * Add the runs for messages from one index up to another, leaving out those of hidden files
+     */
+    const addMessages = function(from, to, depth) {
+      const ranges = hiddenSources && hiddenSources.size > 0
+        ? sources.filter((source, sourceIndex) => isSourceShown(sourceIndex))
+          .map(source => [Math.max(from, source.firstMessage), Math.min(to, source.firstMessage + source.messageCount)])
+        : [[from, to]];
+      ranges.forEach(range => {
+        if (range[1] <= range[0]) return;
+        const run = { firstMessage: range[0], messageCount: range[1] - range[0], depth: depth, position: count };
+        runs.push(run);
+        messageRuns.push(run);
+        count += run.messageCount;
+      });
+    };
+
+    let nextMessage = 0;
+    let depth = 0;
+    for (let envelopeIndex = 0; envelopeIndex < envelope.length; envelopeIndex++) {
+      const entry = envelope[envelopeIndex];
+      addMessages(nextMessage, entry.messageIndex, depth);
+      nextMessage = entry.messageIndex;
+
+      if (isSourceShown(entry.source)) {
+        runs.push({ envelopeIndex: envelopeIndex, depth: entry.depth, position: count });
+        count++;
+      }
 
-    // Render first batch
-    renderedCount = renderStandardBatch(container, messageGroups, 0, messagesPerBatch);
+      if (!isHeaderSegment(entry.segment.segmentId)) {
+        // A trailer: back to the container around its own
+        depth = entry.depth;
+      } else if (collapsedEnvelopes && collapsedEnvelopes.has(envelopeIndex)) {
+        // A collapsed header: skip what is inside its container
+        envelopeIndex = entry.endEntry;
+        nextMessage = entry.endMessage;
+        depth = entry.depth;
+      } else {
+        depth = entry.depth + 1;
+      }
+    }
+    addMessages(nextMessage, messages.count, depth);
+
+    /**
+     * Find the last run that starts at or before a value of one of its keys
+     */
+    function findRun(list, key, value) {
+      let low = 0;
+      let high = list.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (list[middle][key] <= value) low = middle; else high = middle - 1;
+      }
+      return list[low];
+    }
 
-    // Add tooltip to body (not container) for proper positioning
-    document.body.appendChild(tooltip);
+    return {
+      count: count,
+      getItem: function(position) {
+        const run = findRun(runs, 'position', position);
+        if (run.envelopeIndex !== undefined) return { envelopeIndex: run.envelopeIndex, depth: run.depth };
+        return { messageIndex: run.firstMessage + position - run.position, depth: run.depth };
+      },
+      getPosition: function(msgIndex) {
+        const run = messageRuns.length > 0 ? findRun(messageRuns, 'firstMessage', msgIndex) : null;
+        if (!run || msgIndex < run.firstMessage || msgIndex >= run.firstMessage + run.messageCount) return -1;
+        return run.position + msgIndex - run.firstMessage;
+      }
+    };
+  }
 
-    // Add "Load More" button if there are more messages
-    if (renderedCount < totalMessages) {
-      const loadMoreBtn = createLoadMoreButton(totalMessages, renderedCount);
-      container.appendChild(loadMoreBtn);
+  /**
+   * Collapse or expand a batch envelope container (an FHS or BHS node in the tree view), hiding or
+   * showing the batches and messages inside it
+   */
+  function toggleEnvelope(container, envelopeIndex) {
+    const state = messageViews.get(container);
+    if (!state) return;
 
-      loadMoreBtn.addEventListener('click', function() {
-        // Remove the button temporarily
-        loadMoreBtn.remove();
+    if (state.collapsedEnvelopes.has(envelopeIndex)) {
+      state.collapsedEnvelopes.delete(envelopeIndex);
+    } else {
+      state.collapsedEnvelopes.add(envelopeIndex);
+    }
+    renderMessageView(container, state);
+  }
 
-        // Render next batch
-        const newCount = renderStandardBatch(container, messageGroups, renderedCount, messagesPerBatch);
-        renderedCount = newCount;
+  /**
+   * Get the position of a message in a container's viewer (see createMessageView), or -1
+   */
+  function getMessagePosition(container, msgIndex) {
+    const state = messageViews.get(container);
+    return state ? state.view.getPosition(msgIndex) : msgIndex;
+  }
 
-        // Add button back if still more to load
-        if (renderedCount < totalMessages) {
-          updateLoadMoreButton(loadMoreBtn, totalMessages, renderedCount);
-          container.appendChild(loadMoreBtn);
-        }
-      });
-    }
+  /**
+   * Render a message again after it changed (see HL7Editor), keeping its open tree nodes open
+   * Messages that are not rendered are left alone: they are rendered from the model when they scroll into view
+   */
+  function refreshMessage(container, msgIndex) {
+    const position = getMessagePosition(container, msgIndex);
+    if (position >= 0) HL7VirtualList.refreshItem(container, position);
+  }
 
-    // Add event listeners for tooltips
-    setupTooltipListeners(container, tooltip);
+  /**
+   * Scroll the viewer to a message, rendering it. Returns the message's element, or null (also when
+   * the message's source file is hidden)
+   */
+  function scrollToMessage(container, msgIndex) {
+    const position = getMessagePosition(container, msgIndex);
+    return position >= 0 ? HL7VirtualList.scrollToItem(container, position) : null;
   }
 
   /**
-   * Group lines by message (each message starts with MSH)
+   * Render the standard inline view with hover tooltips
+   * When decodeEscapes is set, values are shown with their escape sequences decoded instead of raw
    */
-  function groupLinesByMessage(lines) {
-    const messageGroups = [];
-    let currentGroup = [];
+  function renderStandardView(container, messages, view, decodeEscapes, hl7Version, validate, onMessageRendered) {
+    container.className = 'hl7-container hl7-standard-view hl7-virtual-list';
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.startsWith('MSH')) {
-        if (currentGroup.length > 0) {
-          messageGroups.push(currentGroup);
+    // Create tooltip element
+    const tooltip = document.createElement('div');
+    tooltip.className = 'hl7-tooltip';
+    tooltip.style.display = 'none';
+
+    const envelope = messages.getEnvelope();
+    const envelopeIssues = validate ? HL7Validator.validateEnvelope(envelope, hl7Version) : [];
+    const envelopeVersion = HL7Dictionary.resolveVersion('', hl7Version);
+
+    HL7VirtualList.create(container, view.count, {
+      createItem: function(position) {
+        const item = view.getItem(position);
+        if (item.envelopeIndex !== undefined) {
+          const lineDiv = createSegmentLine(envelope[item.envelopeIndex].segment, envelopeVersion, decodeEscapes);
+          lineDiv.classList.add('hl7-envelope-line');
+          lineDiv.dataset.envelope = item.envelopeIndex;
+          markLineIssues(lineDiv, envelopeIssues[item.envelopeIndex] || []);
+          return lineDiv;
         }
-        currentGroup = [line];
-      } else {
-        currentGroup.push(line);
+        return createStandardMessage(messages.get(item.messageIndex), item.messageIndex, position > 0, decodeEscapes, hl7Version, validate);
+      },
+      onRender: function(element, position) {
+        const item = view.getItem(position);
+        if (onMessageRendered && item.messageIndex !== undefined) onMessageRendered(element, item.messageIndex);
       }
-    }
+    });
 
-    // Don't forget the last group
-    if (currentGroup.length > 0) {
-      messageGroups.push(currentGroup);
-    }
+    // Add tooltip to body (not container) for proper positioning
+    document.body.appendChild(tooltip);
 
-    return messageGroups;
+    // Add event listeners for tooltips
+    setupTooltipListeners(container, tooltip);
   }
 
   /**
-   * Render a batch of messages in standard view
+   * Create the standard view lines of a message: its raw lines, with segment lines built from its
+   * parsed segments and blank or non-HL7 lines shown as they are
+   * separated puts a separator above it (every message but the first shown)
    */
-  function renderStandardBatch(container, messageGroups, startIndex, batchSize) {
-    const endIndex = Math.min(startIndex + batchSize, messageGroups.length);
+  function createStandardMessage(message, msgIndex, separated, decodeEscapes, hl7Version, validate) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'hl7-message';
+    messageDiv.dataset.message = msgIndex;
+
+    // Add message separator if not the first message
+    if (separated) {
+      const separatorDiv = document.createElement('div');
+      separatorDiv.className = 'hl7-message-separator';
+      messageDiv.appendChild(separatorDiv);
+    }
+
+    // Definition set for the message (chosen from its MSH-12 unless overridden)
+    const mshSegment = message.segments.find(s => s.segmentId === 'MSH');
+    const versionId = mshSegment ? getMessageVersionId(mshSegment.fields, message.componentSeparator) : '';
+    const versionInfo = HL7Dictionary.describeVersion(versionId, hl7Version);
+    const version = versionInfo.version;
 
-    // Track message context (encoding characters)
-    let fieldSeparator = '|';
-    let componentSeparator = '^';
-    let repetitionSeparator = '~';
-    let escapeCharacter = '\\';
-    let subcomponentSeparator = '&';
+    const issues = validate ? HL7Validator.validateMessage(message.segments, hl7Version) : [];
+    let segmentIndex = -1;
 
-    for (let m = startIndex; m < endIndex; m++) {
-      const messageLines = messageGroups[m];
+    for (const line of splitSegmentLines(message.raw)) {
+      const trimmedLine = line.text.trim();
 
-      // Add message separator if not the first message
-      if (m > 0) {
-        const separatorDiv = document.createElement('div');
-        separatorDiv.className = 'hl7-message-separator';
-        container.appendChild(separatorDiv);
+      if (!trimmedLine) {
+        // Empty line
+        const lineDiv = document.createElement('div');
+        lineDiv.className = 'hl7-line hl7-empty';
+        lineDiv.innerHTML = '&nbsp;';
+        messageDiv.appendChild(lineDiv);
+        continue;
       }
 
-      for (const line of messageLines) {
-        const trimmedLine = line.trim();
-
-        if (!trimmedLine) {
-          // Empty line
-          const lineDiv = document.createElement('div');
-          lineDiv.className = 'hl7-line hl7-empty';
-          lineDiv.innerHTML = '&nbsp;';
-          container.appendChild(lineDiv);
-          continue;
-        }
+      if (trimmedLine.substring(0, 3) !== 'MSH' && !isSegmentLine(trimmedLine, message.fieldSeparator)) {
+        // Non-HL7 line (comment or other)
+        const lineDiv = document.createElement('div');
+        lineDiv.className = 'hl7-line hl7-comment';
+        lineDiv.textContent = trimmedLine;
+        messageDiv.appendChild(lineDiv);
+        continue;
+      }
 
-        const segmentId = trimmedLine.substring(0, 3);
+      segmentIndex++;
+      const lineDiv = createSegmentLine(message.segments[segmentIndex], version, decodeEscapes);
+      lineDiv.dataset.segmentIndex = segmentIndex;
+      if (message.segments[segmentIndex].segmentId === 'MSH') {
+        // Say where the definition set came from, and when it stands in for another version
+        const segmentSpan = lineDiv.querySelector('.hl7-segment-id');
+        segmentSpan.dataset.tooltipText = `${getSegmentTooltip('MSH', version)} (${versionInfo.title})`;
+        segmentSpan.classList.toggle('substituted', versionInfo.substituted);
+      }
+      if (line.wrapped > 0) markRejoinedLine(lineDiv, line.wrapped + 1);
 
-        if (!HL7_SEGMENT_IDS.includes(segmentId)) {
-          // Non-HL7 line (comment or other)
-          const lineDiv = document.createElement('div');
-          lineDiv.className = 'hl7-line hl7-comment';
-          lineDiv.textContent = trimmedLine;
-          container.appendChild(lineDiv);
-          continue;
-        }
+      // Issues about the whole message (missing segments) are flagged on its MSH
+      markLineIssues(lineDiv, issues.filter(issue =>
+        issue.segmentIndex === segmentIndex || (segmentIndex === 0 && issue.segmentIndex === null)));
+      messageDiv.appendChild(lineDiv);
+    }
 
-        // Parse MSH segment to get encoding characters
-        if (segmentId === 'MSH') {
-          if (trimmedLine.length > 3) {
-            fieldSeparator = trimmedLine[3];
-          }
-          if (trimmedLine.length > 7) {
-            const encodingChars = trimmedLine.substring(4, 8);
-            componentSeparator = encodingChars[0] || '^';
-            repetitionSeparator = encodingChars[1] || '~';
-            escapeCharacter = encodingChars[2] || '\\';
-            subcomponentSeparator = encodingChars[3] || '&';
-          }
-        }
+    return messageDiv;
+  }
 
-        // Create line container
-        const lineDiv = document.createElement('div');
-        lineDiv.className = 'hl7-line';
-        lineDiv.dataset.segment = segmentId;
+  /**
+   * Mark a standard view line that was joined back up from a number of wrapped lines
+   */
+  function markRejoinedLine(lineDiv, lineCount) {
+    const marker = document.createElement('span');
+    marker.className = 'hl7-rejoined-marker';
+    marker.textContent = '\u21B5';
+    marker.dataset.tooltipText = `Re-joined from ${lineCount} wrapped lines`;
+    lineDiv.classList.add('hl7-rejoined');
+    lineDiv.appendChild(marker);
+  }
 
-        // Parse and render the segment
-        const parsedSegment = parseSegment(
-          trimmedLine,
+  /**
+   * Create the standard view line for a segment ({ segmentId, fields } plus its encoding characters,
+   * as parsed by parseIntoMessages), with hover tooltips from the given version's definitions
+   */
+  function createSegmentLine(segment, version, decodeEscapes) {
+    const segmentId = segment.segmentId;
+    const fieldSeparator = segment.fieldSeparator;
+    const encoding = segment;
+
+    // Create line container
+    const lineDiv = document.createElement('div');
+    lineDiv.className = 'hl7-line';
+    lineDiv.dataset.segment = segmentId;
+    lineDiv.dataset.version = version;
+
+    // Create segment name span (the MSH tooltip also names the definition set in use)
+    const segmentSpan = document.createElement('span');
+    segmentSpan.className = 'hl7-segment-id';
+    segmentSpan.textContent = segmentId;
+    segmentSpan.dataset.segment = segmentId;
+    segmentSpan.dataset.tooltipText = getSegmentTooltip(segmentId, version) +
+      (segmentId === 'MSH' ? ` (HL7 v${version} definitions)` : '');
+    lineDiv.appendChild(segmentSpan);
+
+    // Handle MSH (and FHS, BHS) specially - field separator is MSH.1
+    if (isHeaderSegment(segmentId)) {
+      // Add the field separator as MSH.1
+      const sepSpan = document.createElement('span');
+      sepSpan.className = 'hl7-field';
+      sepSpan.textContent = fieldSeparator;
+      sepSpan.dataset.segment = segmentId;
+      sepSpan.dataset.field = '1';
+      sepSpan.dataset.tooltipText = `${segmentId}.1 - Field Separator`;
+      lineDiv.appendChild(sepSpan);
+
+      // Add encoding characters as MSH.2
+      if (segment.fields.length > 0) {
+        const encSpan = createFieldSpan(
+          segment.fields[0],
           segmentId,
-          fieldSeparator,
-          componentSeparator,
-          repetitionSeparator,
-          subcomponentSeparator
+          2,
+          encoding,
+          false,
+          false,
+          version
         );
+        lineDiv.appendChild(encSpan);
+      }
 
-        // Create segment name span
-        const segmentSpan = document.createElement('span');
-        segmentSpan.className = 'hl7-segment-id';
-        segmentSpan.textContent = segmentId;
-        segmentSpan.dataset.segment = segmentId;
-        segmentSpan.dataset.tooltipText = getSegmentTooltip(segmentId);
-        lineDiv.appendChild(segmentSpan);
-
-        // Handle MSH specially - field separator is MSH.1
-        if (segmentId === 'MSH') {
-          // Add the field separator as MSH.1
-          const sepSpan = document.createElement('span');
-          sepSpan.className = 'hl7-field';
-          sepSpan.textContent = fieldSeparator;
-          sepSpan.dataset.segment = 'MSH';
-          sepSpan.dataset.field = '1';
-          sepSpan.dataset.tooltipText = 'MSH.1 - Field Separator';
-          lineDiv.appendChild(sepSpan);
-
-          // Add encoding characters as MSH.2
-          if (parsedSegment.fields.length > 0) {
-            const encSpan = createFieldSpan(
-              parsedSegment.fields[0],
-              'MSH',
-              2,
-              componentSeparator,
-              subcomponentSeparator
-            );
-            lineDiv.appendChild(encSpan);
-          }
+      // Add remaining fields starting from index 1 (which is MSH.3)
+      for (let i = 1; i < segment.fields.length; i++) {
+        const sepSpan = document.createElement('span');
+        sepSpan.className = 'hl7-separator';
+        sepSpan.textContent = fieldSeparator;
+        lineDiv.appendChild(sepSpan);
 
-          // Add remaining fields starting from index 1 (which is MSH.3)
-          for (let i = 1; i < parsedSegment.fields.length; i++) {
-            const sepSpan = document.createElement('span');
-            sepSpan.className = 'hl7-separator';
-            sepSpan.textContent = fieldSeparator;
-            lineDiv.appendChild(sepSpan);
-
-            const fieldSpan = createFieldSpan(
-              parsedSegment.fields[i],
-              segmentId,
-              i + 2, // MSH fields are offset by 2
-              componentSeparator,
-              subcomponentSeparator
-            );
-            lineDiv.appendChild(fieldSpan);
-          }
-        } else {
-          // Regular segment
-          for (let i = 0; i < parsedSegment.fields.length; i++) {
-            const sepSpan = document.createElement('span');
-            sepSpan.className = 'hl7-separator';
-            sepSpan.textContent = fieldSeparator;
-            lineDiv.appendChild(sepSpan);
-
-            const fieldSpan = createFieldSpan(
-              parsedSegment.fields[i],
-              segmentId,
-              i + 1,
-              componentSeparator,
-              subcomponentSeparator
-            );
-            lineDiv.appendChild(fieldSpan);
-          }
-        }
+        const fieldSpan = createFieldSpan(
+          segment.fields[i],
+          segmentId,
+          i + 2, // MSH fields are offset by 2
+          encoding,
+          decodeEscapes,
+          false,
+          version
+        );
+        lineDiv.appendChild(fieldSpan);
+      }
+    } else {
+      // Regular segment
+      for (let i = 0; i < segment.fields.length; i++) {
+        const sepSpan = document.createElement('span');
+        sepSpan.className = 'hl7-separator';
+        sepSpan.textContent = fieldSeparator;
+        lineDiv.appendChild(sepSpan);
 
-        container.appendChild(lineDiv);
+        const fieldSpan = createFieldSpan(
+          segment.fields[i],
+          segmentId,
+          i + 1,
+          encoding,
+          decodeEscapes,
+          isFormattedTextField(segmentId, i + 1, segment.fields, HL7Dictionary.getField(segmentId, i + 1, version)),
+          version
+        );
+        lineDiv.appendChild(fieldSpan);
       }
     }
 
-    return endIndex;
+    return lineDiv;
+  }
+
+  /**
+   * Flag a segment line's validation issues (standard view): each issue marks its field, or the
+   * segment ID when the field is not on the line, and its text is added to the tooltip
+   */
+  function markLineIssues(lineDiv, issues) {
+    const issuesByTarget = new Map();
+    issues.forEach(issue => {
+      const fieldSpan = issue.fieldNum ? lineDiv.querySelector(`.hl7-field[data-field="${issue.fieldNum}"]`) : null;
+      const target = fieldSpan || lineDiv.querySelector('.hl7-segment-id');
+      if (!issuesByTarget.has(target)) issuesByTarget.set(target, []);
+      issuesByTarget.get(target).push(issue);
+    });
+
+    issuesByTarget.forEach((targetIssues, target) => {
+      target.classList.add('hl7-validation-' + HL7Validator.getWorstSeverity(targetIssues));
+      target.dataset.validation = targetIssues.map(formatIssue).join('\n');
+    });
+  }
+
+  /**
+   * Format an issue for a tooltip, e.g. "Error: PID.8 ..."
+   */
+  function formatIssue(issue) {
+    return issue.severity.charAt(0).toUpperCase() + issue.severity.slice(1) + ': ' + issue.text;
+  }
+
+  /**
+   * Build a badge summarizing validation issues (tree view), or '' when there are none
+   */
+  function getValidationBadge(issues) {
+    if (issues.length === 0) return '';
+    const severity = HL7Validator.getWorstSeverity(issues);
+    const title = issues.map(formatIssue).join('\n');
+    return `<span class="hl7-validation-badge hl7-validation-${severity}" title="${escapeHtml(title)}">${HL7Validator.formatCounts(issues)}</span>`;
+  }
+
+  /**
+   * Flag a tree field node with its validation issues (a marker after the field name)
+   */
+  function markFieldIssues(fieldNode, issues) {
+    if (issues.length === 0) return;
+    const severity = HL7Validator.getWorstSeverity(issues);
+    fieldNode.classList.add('hl7-validation-' + severity);
+
+    const flag = document.createElement('span');
+    flag.className = 'hl7-validation-flag hl7-validation-' + severity;
+    flag.title = issues.map(formatIssue).join('\n');
+    flag.innerHTML = '&#9888;';
+    const fieldName = fieldNode.querySelector('.hl7-tree-field-name');
+    fieldName.insertAdjacentElement('afterend', flag);
   }
 
   /**
@@ -347,129 +651,655 @@ const HL7Parser = (function() {
   /**
    * Render the collapsed/tree view with expandable segments
    */
-  function renderCollapsedView(container, content, hideEmptyFields, messagesPerBatch) {
-    // Clear container and set up
-    container.innerHTML = '';
-    container.className = 'hl7-container hl7-collapsed-view';
+  function renderCollapsedView(container, messages, view, hideEmptyFields, hl7Version, validate, onMessageRendered) {
+    container.className = 'hl7-container hl7-collapsed-view hl7-virtual-list';
+
+    // Open tree nodes of the messages scrolled out of view, by message index, to open them again
+    const expandedKeys = new Map();
+
+    const envelope = messages.getEnvelope();
+    const envelopeIssues = validate ? HL7Validator.validateEnvelope(envelope, hl7Version) : [];
+    const envelopeVersion = HL7Dictionary.resolveVersion('', hl7Version);
+    const collapsedEnvelopes = messageViews.get(container).collapsedEnvelopes;
+
+    HL7VirtualList.create(container, view.count, {
+      createItem: function(position) {
+        const item = view.getItem(position);
+        let element;
+        if (item.envelopeIndex !== undefined) {
+          element = createEnvelopeNode(envelope, item.envelopeIndex, collapsedEnvelopes.has(item.envelopeIndex),
+            hideEmptyFields, envelopeVersion, envelopeIssues[item.envelopeIndex] || []);
+        } else {
+          const msgIndex = item.messageIndex;
+          element = createMessageNode(messages.get(msgIndex), msgIndex, hideEmptyFields, hl7Version, validate,
+            messages.getOrigin(msgIndex) || messages.getSource(msgIndex));
+          if (expandedKeys.has(msgIndex)) {
+            expandTreeHeaders(element, expandedKeys.get(msgIndex));
+            expandedKeys.delete(msgIndex);
+          }
+        }
 
-    // Split content into lines and parse into messages
-    const lines = content.split(/\r\n|\n|\r/);
-    const messages = parseIntoMessages(lines);
+        // Nodes inside files and batches are indented under them
+        if (item.depth > 0) element.style.setProperty('--envelope-depth', item.depth);
+        return element;
+      },
+      removeItem: function(element, position) {
+        const item = view.getItem(position);
+        const keys = getExpandedTreeHeaders(element);
+        if (keys.size > 0 && item.messageIndex !== undefined) expandedKeys.set(item.messageIndex, keys);
+      },
+      onRender: function(element, position) {
+        const item = view.getItem(position);
+        if (onMessageRendered && item.messageIndex !== undefined) onMessageRendered(element, item.messageIndex);
+      }
+    });
 
-    // State for pagination
-    let renderedCount = 0;
-    const totalMessages = messages.length;
+    // Setup expand/collapse listeners
+    setupCollapseListeners(container);
+  }
 
-    // Render first batch
-    renderedCount = renderCollapsedBatch(container, messages, 0, messagesPerBatch, hideEmptyFields);
+  /**
+   * Get a key for each tree header of a message node (its label and occurrence), to carry the
+   * expanded state over to the message's next node
+   */
+  function getTreeHeaderKeys(messageNode) {
+    const occurrences = {};
+    return Array.from(messageNode.querySelectorAll('.hl7-tree-header')).map(header => {
+      const label = header.querySelector('.hl7-tree-segment-id, .hl7-tree-field-id, .hl7-tree-comp-id, .hl7-tree-group-name');
+      const text = label ? label.textContent : 'message';
+      occurrences[text] = (occurrences[text] || 0) + 1;
+      return { header: header, key: `${text}#${occurrences[text]}` };
+    });
+  }
 
-    // Add "Load More" button if there are more messages
-    if (renderedCount < totalMessages) {
-      const loadMoreBtn = createLoadMoreButton(totalMessages, renderedCount);
-      container.appendChild(loadMoreBtn);
+  /**
+   * Get the keys of a message node's expanded tree headers (see getTreeHeaderKeys)
+   */
+  function getExpandedTreeHeaders(messageNode) {
+    return new Set(getTreeHeaderKeys(messageNode)
+      .filter(item => item.header.classList.contains('expanded'))
+      .map(item => item.key));
+  }
 
-      loadMoreBtn.addEventListener('click', function() {
-        // Remove the button temporarily
-        loadMoreBtn.remove();
+  /**
+   * Expand the tree headers of a (collapsed) message node whose keys are given
+   */
+  function expandTreeHeaders(messageNode, keys) {
+    getTreeHeaderKeys(messageNode).forEach(item => {
+      if (keys.has(item.key) && item.header.classList.contains('collapsed')) {
+        handleTreeClick({ target: item.header });
+      }
+    });
+  }
 
-        // Render next batch
-        const newCount = renderCollapsedBatch(container, messages, renderedCount, messagesPerBatch, hideEmptyFields);
-        renderedCount = newCount;
+  /**
+   * Parse HL7 content into separate messages (each starting with MSH)
+   * Each message keeps its raw text - from its MSH line up to the next MSH line, line
+   * terminators, wrapped lines and whitespace included - so it can be written back out byte-for-byte
+   * Lines are split into segments by splitSegmentLines, which joins wrapped segment lines back up
+   * Segments before the first MSH form a message of their own (without a header) rather than
+   * being dropped, so the validator can report them
+   * Batch envelope segments (FHS, BHS, BTS, FTS) end the message before them and belong to none
+   * (see parseEnvelopeSegment)
+   */
+  function parseIntoMessages(content) {
+    const lines = splitSegmentLines(content);
+    const messages = [];
+    let currentMessage = null;
+    let encoding = HL7Escape.DEFAULT_ENCODING;
 
-        // Add button back if still more to load
-        if (renderedCount < totalMessages) {
-          updateLoadMoreButton(loadMoreBtn, totalMessages, renderedCount);
-          container.appendChild(loadMoreBtn);
+    for (const line of lines) {
+      const trimmedLine = line.text.trim();
+      const segmentId = trimmedLine.substring(0, 3);
+
+      if (isHeaderSegment(segmentId)) {
+        encoding = readEncodingCharacters(getSegmentText(line.text), encoding);
+      }
+
+      if (segmentId === 'MSH' || ENVELOPE_SEGMENTS.includes(segmentId)) {
+        // Start a new message (or none, after an envelope segment)
+        if (currentMessage) {
+          messages.push(currentMessage);
         }
-      });
+        currentMessage = segmentId === 'MSH' ? createEmptyMessage(encoding) : null;
+        if (!currentMessage) continue;
+      }
+
+      if (!currentMessage) {
+        if (!isSegmentLine(trimmedLine, encoding.fieldSeparator)) continue;
+        currentMessage = createEmptyMessage(encoding);
+      }
+
+      currentMessage.raw += line.raw + line.terminator;
+
+      if (segmentId === 'MSH' || isSegmentLine(trimmedLine, encoding.fieldSeparator)) {
+        currentMessage.segments.push(parseSegmentLine(getSegmentText(line.text), segmentId, encoding));
+      }
     }
 
-    // Setup expand/collapse listeners
-    setupCollapseListeners(container);
+    // Don't forget the last message
+    if (currentMessage) {
+      messages.push(currentMessage);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Read the encoding characters a header segment line (MSH, FHS or BHS) declares; those it is too
+   * short to declare are kept from encoding
+   */
+  function readEncodingCharacters(line, encoding) {
+    const result = Object.assign({}, encoding);
+    if (line.length > 3) {
+      result.fieldSeparator = line[3];
+    }
+    if (line.length > 7) {
+      const encodingChars = line.substring(4, 8);
+      result.componentSeparator = encodingChars[0] || '^';
+      result.repetitionSeparator = encodingChars[1] || '~';
+      result.escapeCharacter = encodingChars[2] || '\\';
+      result.subcomponentSeparator = encodingChars[3] || '&';
+    }
+    return result;
   }
 
   /**
-   * Render a batch of messages in collapsed/tree view
+   * Create a message without segments yet, using the given encoding characters
    */
-  function renderCollapsedBatch(container, messages, startIndex, batchSize, hideEmptyFields) {
-    const endIndex = Math.min(startIndex + batchSize, messages.length);
+  function createEmptyMessage(encoding) {
+    return {
+      fieldSeparator: encoding.fieldSeparator,
+      componentSeparator: encoding.componentSeparator,
+      repetitionSeparator: encoding.repetitionSeparator,
+      escapeCharacter: encoding.escapeCharacter,
+      subcomponentSeparator: encoding.subcomponentSeparator,
+      raw: '',
+      segments: []
+    };
+  }
+
+  /**
+   * Parse a segment line (see getSegmentText) into a segment: { segmentId, rawLine, fields,
+   * repetitions } plus the encoding characters it was split with
+   */
+  function parseSegmentLine(segmentText, segmentId, encoding) {
+    const parsed = parseSegment(segmentText, segmentId, encoding.fieldSeparator, encoding.componentSeparator,
+      encoding.repetitionSeparator, encoding.subcomponentSeparator);
+    return {
+      segmentId,
+      rawLine: segmentText,
+      fields: parsed.fields,
+      repetitions: parsed.repetitions,
+      fieldSeparator: encoding.fieldSeparator,
+      componentSeparator: encoding.componentSeparator,
+      repetitionSeparator: encoding.repetitionSeparator,
+      escapeCharacter: encoding.escapeCharacter,
+      subcomponentSeparator: encoding.subcomponentSeparator
+    };
+  }
+
+  /**
+   * Parse a batch envelope segment line (FHS, BHS, BTS or FTS). Headers declare their own encoding
+   * characters; trailers are split with those of the envelope segment before them (previous), if any
+   */
+  function parseEnvelopeSegment(line, previous) {
+    const segmentText = getSegmentText(line);
+    const segmentId = segmentText.substring(0, 3);
+    const encoding = previous || HL7Escape.DEFAULT_ENCODING;
+    return parseSegmentLine(segmentText, segmentId,
+      isHeaderSegment(segmentId) ? readEncodingCharacters(segmentText, encoding) : encoding);
+  }
 
-    for (let m = startIndex; m < endIndex; m++) {
-      const message = messages[m];
-      const messageDiv = createMessageNode(message, m, hideEmptyFields);
-      container.appendChild(messageDiv);
+  /**
+   * Create text held in pieces (e.g. the chunks HL7FileReader read a file in), so large content is
+   * never joined into one string. It has what createMessageList reads from content - length,
+   * charAt and substring - and toString joins it, for what needs the whole text at once
+   */
+  function createChunkedText(parts) {
+    // Where each part starts in the text
+    const partStarts = [];
+    let length = 0;
+    parts.forEach(part => {
+      partStarts.push(length);
+      length += part.length;
+    });
+
+    /**
+     * Find the part a position is in (the last part for the end of the text)
+     */
+    function findPart(position) {
+      let low = 0;
+      let high = parts.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (partStarts[middle] <= position) low = middle; else high = middle - 1;
+      }
+      return low;
     }
 
-    return endIndex;
+    /**
+     * Get the text from start to end as pieces, one per part it spans
+     */
+    function getPieces(start, end) {
+      const from = Math.max(0, Math.min(start, end, length));
+      const to = Math.min(length, Math.max(start, end, 0));
+      const pieces = [];
+      if (from >= to) return pieces;
+
+      for (let index = findPart(from); index < parts.length && partStarts[index] < to; index++) {
+        const partStart = partStarts[index];
+        pieces.push(parts[index].substring(Math.max(from - partStart, 0), to - partStart));
+      }
+      return pieces;
+    }
+
+    return {
+      parts: parts,
+      length: length,
+      charAt: function(position) {
+        if (!(position >= 0 && position < length)) return '';
+        const index = findPart(position);
+        return parts[index].charAt(position - partStarts[index]);
+      },
+      substring: function(start, end) {
+        return getPieces(start, end === undefined ? length : end).join('');
+      },
+      getPieces: getPieces,
+      toString: function() {
+        return parts.join('');
+      }
+    };
   }
 
   /**
-   * Parse lines into separate messages (each starting with MSH)
+   * Get part of content (a string, or text from createChunkedText) as a list of strings, without
+   * joining the pieces of chunked text
    */
-  function parseIntoMessages(lines) {
-    const messages = [];
-    let currentMessage = null;
-    let fieldSeparator = '|';
-    let componentSeparator = '^';
-    let subcomponentSeparator = '&';
+  function getTextPieces(content, start, end) {
+    if (typeof content === 'string') return [content.substring(start, end)];
+    return content.getPieces(start, end);
+  }
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (!trimmedLine) continue;
+  /**
+   * Find where the messages of HL7 content start: the position of each line that starts with MSH
+   * (after any whitespace), where parseIntoMessages starts a new message. Lines of batch envelope
+   * segments (FHS, BHS, BTS, FTS) end messages too, so their positions are included
+   */
+  function findMessageStarts(content) {
+    const starts = [];
+    let match;
 
-      const segmentId = trimmedLine.substring(0, 3);
+    MESSAGE_START.lastIndex = 0;
+    while ((match = MESSAGE_START.exec(content)) !== null) {
+      starts.push(match.index + match[1].length);
+    }
+    return starts;
+  }
+
+  /**
+   * Create a message list for HL7 content (a string, or text from createChunkedText): its messages,
+   * read from the content and parsed (by parseIntoMessages) only when they are asked for, so large
+   * content is not parsed all at once. The most recently used PARSED_CACHE_SIZE parsed messages are kept
+   * messageStarts (from findMessageStarts, or HL7FileReader while reading) are found when not given
+   * sources, when the content was read from files, are those files ({ name, start }, see HL7FileReader)
+   * origins, when the messages were extracted from other text, are where each was found ({ name,
+   * line, column, path }, see HL7Extract)
+   * Returns { count, get(index), getOffset(index), getLength(index), getSources(), getSource(index),
+   * getOrigin(index), getEnvelope() }: the number of messages, a parsed message, where a message's
+   * text starts in the content, its length, the source files
+   * ({ name, firstMessage, messageCount }, none when not read from files), the file a message came
+   * from ({ index, name, line }, or null), where it was found (or null) and the batch envelope (see
+   * getEnvelope)
+   */
+  function createMessageList(content, messageStarts, sources, origins) {
+    const boundaries = messageStarts || findMessageStarts(String(content));
+
+    // Where each message's text starts and ends; envelope segments take their lines out of the
+    // messages (see parseIntoMessages)
+    const starts = [];
+    const ends = [];
+    const envelopeStarts = [];
+    const envelope = [];
+
+    // Segments before the first MSH are a message of their own (see parseIntoMessages)
+    const preambleEnd = boundaries.length > 0 ? boundaries[0] : content.length;
+    if (preambleEnd > 0 && parseIntoMessages(content.substring(0, preambleEnd)).length > 0) {
+      starts.push(0);
+      ends.push(preambleEnd);
+    }
 
+    boundaries.forEach((start, index) => {
+      const end = index + 1 < boundaries.length ? boundaries[index + 1] : content.length;
+      const segmentId = getSegmentIdAt(content, start);
       if (segmentId === 'MSH') {
-        // Start a new message
-        if (currentMessage) {
-          messages.push(currentMessage);
-        }
+        starts.push(start);
+        ends.push(end);
+        return;
+      }
+
+      const previous = envelope.length > 0 ? envelope[envelope.length - 1].segment : null;
+      envelopeStarts.push(start);
+      envelope.push({
+        segment: parseEnvelopeSegment(splitSegmentLines(content.substring(start, end))[0].text, previous),
+        messageIndex: starts.length
+      });
+    });
+
+    const cache = new Map();
+
+    // The source files, each with the messages that start in it (files are in the content's order,
+    // so each file's messages follow one another)
+    const sourceFiles = (sources || []).map(source => ({
+      name: source.name,
+      start: source.start,
+      firstMessage: findFirstStart(starts, source.start)
+    }));
+    sourceFiles.forEach((source, sourceIndex) => {
+      const next = sourceIndex + 1 < sourceFiles.length ? sourceFiles[sourceIndex + 1].firstMessage : starts.length;
+      source.messageCount = next - source.firstMessage;
+    });
 
-        // Parse encoding characters
-        if (trimmedLine.length > 3) {
-          fieldSeparator = trimmedLine[3];
+    // Pair the envelope's headers and trailers, and note the file each envelope segment is in
+    linkEnvelope(envelope, starts.length);
+    const sourceStarts = sourceFiles.map(source => source.start);
+    envelope.forEach((entry, envelopeIndex) => {
+      entry.source = findFirstStart(sourceStarts, envelopeStarts[envelopeIndex] + 1) - 1;
+    });
+
+    // Line breaks before each message's start, counted as far as asked for (see getSource)
+    const lineBreaks = new Uint32Array(starts.length);
+    let countedMessages = 0;
+
+    /**
+     * Get the text of a message
+     */
+    function getText(index) {
+      return content.substring(starts[index], ends[index]);
+    }
+
+    /**
+     * Get the number of line breaks before a message's start
+     */
+    function getLineBreaks(index) {
+      for (; countedMessages <= index; countedMessages++) {
+        const from = countedMessages > 0 ? starts[countedMessages - 1] : 0;
+        const before = countedMessages > 0 ? lineBreaks[countedMessages - 1] : 0;
+        lineBreaks[countedMessages] = before + countLineBreaks(content, from, starts[countedMessages]);
+      }
+      return lineBreaks[index];
+    }
+
+    return {
+      count: starts.length,
+      get: function(index) {
+        let message = cache.get(index);
+        if (message) {
+          // Most recently used last
+          cache.delete(index);
+        } else {
+          message = parseIntoMessages(getText(index))[0];
+          if (cache.size >= PARSED_CACHE_SIZE) cache.delete(cache.keys().next().value);
         }
-        if (trimmedLine.length > 7) {
-          const encodingChars = trimmedLine.substring(4, 8);
-          componentSeparator = encodingChars[0] || '^';
-          subcomponentSeparator = encodingChars[3] || '&';
+        cache.set(index, message);
+        return message;
+      },
+      getOffset: function(index) {
+        return starts[index];
+      },
+      getLength: function(index) {
+        return ends[index] - starts[index];
+      },
+      getSources: function() {
+        return sourceFiles.map(source => ({
+          name: source.name,
+          firstMessage: source.firstMessage,
+          messageCount: source.messageCount
+        }));
+      },
+      getSource: function(index) {
+        // The last file whose messages start at or before the message (files without messages
+        // share their first message with the file after them)
+        let low = 0;
+        let high = sourceFiles.length - 1;
+        if (high < 0 || index < 0 || index >= starts.length) return null;
+        while (low < high) {
+          const middle = (low + high + 1) >> 1;
+          if (sourceFiles[middle].firstMessage <= index) low = middle; else high = middle - 1;
         }
 
-        currentMessage = {
-          fieldSeparator,
-          componentSeparator,
-          subcomponentSeparator,
-          segments: []
-        };
+        const source = sourceFiles[low];
+        const fileStart = getLineBreaks(source.firstMessage) -
+          countLineBreaks(content, source.start, starts[source.firstMessage]);
+        return { index: low, name: source.name, line: getLineBreaks(index) - fileStart + 1 };
+      },
+      getOrigin: function(index) {
+        return origins && origins[index] ? Object.assign({}, origins[index]) : null;
+      },
+      getEnvelope: function() {
+        return envelope.map(entry => Object.assign({}, entry));
       }
+    };
+  }
 
-      if (currentMessage && HL7_SEGMENT_IDS.includes(segmentId)) {
-        const parsed = parseSegment(trimmedLine, segmentId, fieldSeparator, componentSeparator, '~', subcomponentSeparator);
-        currentMessage.segments.push({
-          segmentId,
-          rawLine: trimmedLine,
-          fields: parsed.fields,
-          fieldSeparator,
-          componentSeparator,
-          subcomponentSeparator
-        });
+  /**
+   * Get the ID of the segment whose line starts at a position (after any whitespace)
+   */
+  function getSegmentIdAt(content, position) {
+    let index = position;
+    while (index < content.length && /[^\S\r\n]/.test(content.charAt(index))) index++;
+    return content.substring(index, index + 3);
+  }
+
+  /**
+   * Work out the structure of a batch envelope (the FHS, BHS, BTS and FTS segments of some content,
+   * in order, as { segment, messageIndex }: the segment and the number of messages before it).
+   * A file (FHS...FTS) holds batches (BHS...BTS), which hold messages; a header left open is closed
+   * by the next header of its kind or an enclosing trailer, or runs to the end. Adds to each entry:
+   * - depth: the number of containers it is inside of
+   * - headers: trailer (the index of the matching trailer, or -1), endEntry (the index of the last
+   *   entry inside the container, its trailer included), endMessage (the index after the container's
+   *   last message) and batchCount (the batches in a file)
+   * - trailers: header (the index of the matching header, or -1)
+   */
+  function linkEnvelope(envelope, messageCount) {
+    // Headers of the containers open so far, innermost last
+    const open = [];
+
+    const close = function(endEntry, endMessage) {
+      const header = envelope[open.pop()];
+      header.endEntry = endEntry;
+      header.endMessage = endMessage;
+    };
+
+    envelope.forEach((entry, index) => {
+      const segmentId = entry.segment.segmentId;
+      const top = open.length > 0 ? envelope[open[open.length - 1]].segment.segmentId : null;
+
+      if (segmentId === 'FHS' || segmentId === 'BHS') {
+        // A new file closes everything open; a new batch closes the open batch
+        if (segmentId === 'FHS') {
+          while (open.length > 0) close(index - 1, entry.messageIndex);
+        } else if (top === 'BHS') {
+          close(index - 1, entry.messageIndex);
+        }
+        if (segmentId === 'BHS' && open.length > 0) envelope[open[open.length - 1]].batchCount++;
+        Object.assign(entry, { depth: open.length, trailer: -1, batchCount: 0 });
+        open.push(index);
+        return;
+      }
+
+      // A file trailer closes the open batch first
+      if (segmentId === 'FTS' && top === 'BHS') close(index - 1, entry.messageIndex);
+      const headerIndex = open.length > 0 ? open[open.length - 1] : -1;
+      const matches = headerIndex >= 0 && envelope[headerIndex].segment.segmentId === (segmentId === 'FTS' ? 'FHS' : 'BHS');
+
+      entry.depth = matches ? open.length - 1 : open.length;
+      entry.header = matches ? headerIndex : -1;
+      if (matches) {
+        envelope[headerIndex].trailer = index;
+        close(index, entry.messageIndex);
       }
+    });
+
+    while (open.length > 0) close(envelope.length - 1, messageCount);
+  }
+
+  /**
+   * Find the first of the (ascending) starts at or after a position (starts.length when there is none)
+   */
+  function findFirstStart(starts, position) {
+    let low = 0;
+    let high = starts.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (starts[middle] < position) low = middle + 1; else high = middle;
     }
+    return low;
+  }
 
-    // Don't forget the last message
-    if (currentMessage) {
-      messages.push(currentMessage);
+  /**
+   * Count the line breaks (\r\n, \n or \r) in content from one position up to another
+   */
+  function countLineBreaks(content, from, to) {
+    const lineBreak = /\r\n|\n|\r/g;
+    const text = content.substring(from, to);
+    let count = 0;
+    while (lineBreak.exec(text) !== null) count++;
+    return count;
+  }
+
+  /**
+   * Split content into lines, keeping each line's terminator (\r\n, \n, \r, or '' for the last line)
+   */
+  function splitLinesWithTerminators(content) {
+    const lines = [];
+    const terminatorRegex = /\r\n|\n|\r/g;
+    let start = 0;
+    let match;
+
+    while ((match = terminatorRegex.exec(content)) !== null) {
+      lines.push({ text: content.substring(start, match.index), terminator: match[0] });
+      start = match.index + match[0].length;
+    }
+    if (start < content.length) {
+      lines.push({ text: content.substring(start), terminator: '' });
     }
 
-    return messages;
+    return lines;
+  }
+
+  /**
+   * Split HL7 content into segment lines: { text, raw, terminator, wrapped }. \r is the segment
+   * terminator HL7 defines, but \r\n and \n end segments too; a segment line wrapped onto further
+   * lines (see isWrappedLine) is joined back into one: text is the joined line, raw the lines as they
+   * were (without the last terminator) and wrapped the number of line breaks taken out. Whitespace
+   * is kept as it is, so the raw texts and terminators give back the content exactly
+   */
+  function splitSegmentLines(content) {
+    const lines = [];
+    let fieldSeparator = HL7Escape.DEFAULT_ENCODING.fieldSeparator;
+    let terminator = null;  // How the last segment line before current ended
+    let current = null;     // The last line, while it is a segment line that may go on
+
+    const contentLines = splitLinesWithTerminators(content);
+    const wrapWidth = findWrapWidth(contentLines);
+    contentLines.forEach(line => {
+      const trimmedLine = line.text.trim();
+      if (current && trimmedLine && isWrappedLine(current, trimmedLine, fieldSeparator, terminator, wrapWidth)) {
+        current.text += line.text;
+        current.raw += current.terminator + line.text;
+        current.terminator = line.terminator;
+        current.lastLength = line.text.length;
+        current.wrapped++;
+        return;
+      }
+
+      if (current) terminator = current.terminator;
+      if (isHeaderSegment(trimmedLine.substring(0, 3)) && trimmedLine.length > 3) {
+        fieldSeparator = trimmedLine[3];
+      }
+
+      const segmentLine = { text: line.text, raw: line.text, terminator: line.terminator, wrapped: 0 };
+      lines.push(segmentLine);
+      current = isSegmentLine(trimmedLine, fieldSeparator) ? segmentLine : null;
+      if (current) current.lastLength = line.text.length;
+    });
+
+    lines.forEach(line => delete line.lastLength);
+    return lines;
+  }
+
+  /**
+   * Find the width the lines of content were wrapped at, if they look wrapped: a tool that wraps
+   * long lines cuts each at the same width, so no line is longer and at least two are that long
+   * Returns null when there is no such width of at least WRAP_MIN_WIDTH
+   */
+  function findWrapWidth(lines) {
+    let width = 0;
+    let count = 0;
+    lines.forEach(line => {
+      if (line.text.length > width) {
+        width = line.text.length;
+        count = 1;
+      } else if (line.text.length === width) {
+        count++;
+      }
+    });
+    return width >= WRAP_MIN_WIDTH && count >= 2 ? width : null;
+  }
+
+  /**
+   * Check whether a (trimmed, non-blank) line carries on the segment line before it (current), as
+   * when a log or an e-mail wraps long lines. It must not look like a segment, a comment or a log
+   * record itself (see STANDALONE_LINE), and there must be a sign of a wrap, either
+   * - the segment line ended with \n where the segments before it ended with \r alone, or
+   * - the segment line's last line was cut at the content's wrap width (see findWrapWidth)
+   * Any other line is kept as a line of its own
+   */
+  function isWrappedLine(current, trimmedLine, fieldSeparator, terminator, wrapWidth) {
+    if (isSegmentLine(trimmedLine, fieldSeparator) || STANDALONE_LINE.test(trimmedLine)) return false;
+    return (current.terminator === '\n' && terminator === '\r') || (wrapWidth !== null && current.lastLength === wrapWidth);
+  }
+
+  /**
+   * Get the text of a segment line (see splitSegmentLines) to parse: without its indentation, but
+   * with its trailing whitespace, which belongs to its last value (unless it has no fields)
+   */
+  function getSegmentText(text) {
+    const segmentText = text.trimStart();
+    return segmentText.trimEnd().length <= 3 ? segmentText.trimEnd() : segmentText;
+  }
+
+  /**
+   * Check whether a (trimmed) line looks like an HL7 segment: a three character ID of uppercase
+   * letters and digits - standard, Z-segment or any other custom segment - followed by the
+   * field separator or the end of the line
+   */
+  function isSegmentLine(line, fieldSep) {
+    if (!/^[A-Z0-9]{3}/.test(line)) return false;
+    return line.length === 3 || line[3] === fieldSep;
+  }
+
+  /**
+   * Get the Version ID (MSH-12.1) from a parsed MSH field list, or ''
+   */
+  function getMessageVersionId(mshFields, compSep) {
+    const versionField = mshFields[10] || ''; // MSH.12 (0-indexed: field 10 after encoding chars)
+    return versionField.split(compSep)[0].trim();
   }
 
   /**
    * Create a message node for the collapsed view
+   * hl7Version overrides the definition set chosen from the message's MSH-12
+   * With validate, the message's validation issues are flagged on its segments and fields
+   * source, when known, is the file the message came from ({ name, line }), or where it was found
+   * when it was extracted from other text ({ name, line, column, path }; see createMessageList)
    */
-  function createMessageNode(message, msgIndex, hideEmptyFields) {
+  function createMessageNode(message, msgIndex, hideEmptyFields, hl7Version, validate, source) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'hl7-tree-message';
+    messageDiv.dataset.message = msgIndex;
 
     // Get message type from MSH.9 if available
     let messageType = 'HL7 Message';
@@ -482,11 +1312,39 @@ const HL7Parser = (function() {
       }
     }
 
+    // Pick the definition set from MSH.12 (unless overridden)
+    const versionId = mshSegment ? getMessageVersionId(mshSegment.fields, message.componentSeparator) : '';
+    const versionInfo = HL7Dictionary.describeVersion(versionId, hl7Version);
+    const version = versionInfo.version;
+
+    const issues = validate ? HL7Validator.validateMessage(message.segments, hl7Version) : [];
+
+    // Message structure (from MSH-9 or a loaded profile), used to group the segments
+    const structure = HL7Profiles.checkStructure(message.segments);
+    let structureBadge = '';
+    if (structure) {
+      const structureSource = structure.source === 'profile' ? 'loaded profile' : 'standard structure';
+      const structureTitle = `${structure.name} (${structureSource}, selected by ${structure.selectedBy})`;
+      structureBadge = `<span class="hl7-tree-structure" title="${escapeHtml(structureTitle)}">${escapeHtml(structure.id)}</span>`;
+    }
+
+    // Source file badge (messages loaded from files, or extracted from other text)
+    let sourceBadge = '';
+    if (source) {
+      const place = (source.name ? `${source.name}, ` : '') + `line ${source.line}`;
+      const sourceTitle = source.column
+        ? `Found at ${place}, column ${source.column}` + (source.path ? `, in the JSON string at ${source.path}` : '')
+        : `From ${place}`;
+      const sourceLabel = (source.name ? `${source.name}:${source.line}` : `line ${source.line}`) +
+        (source.path ? ` ${source.path}` : '');
+      sourceBadge = `<span class="hl7-tree-source" title="${escapeHtml(sourceTitle)}">${escapeHtml(sourceLabel)}</span>`;
+    }
+
     // Get patient name from PID.5 if available
     let patientName = '';
     const pidSegment = message.segments.find(s => s.segmentId === 'PID');
     if (pidSegment && pidSegment.fields.length > 4) {
-      const nameField = pidSegment.fields[4]; // PID.5 (0-indexed: field 4)
+      const nameField = pidSegment.repetitions[4][0]; // PID.5, first repetition (0-indexed: field 4)
       if (nameField && nameField.trim()) {
         patientName = nameField;
       }
@@ -505,6 +1363,10 @@ const HL7Parser = (function() {
       <span class="hl7-tree-toggle">&#9654;</span>
       <span class="hl7-tree-icon">&#128232;</span>
       <span class="hl7-tree-title">${messageTitle}</span>
+      <span class="hl7-tree-version${versionInfo.substituted ? ' substituted' : ''}" title="${escapeHtml(versionInfo.title)}">${escapeHtml(versionInfo.label)}</span>
+      ${structureBadge}
+      ${sourceBadge}
+      ${getValidationBadge(issues)}
       <span class="hl7-tree-count">${message.segments.length} segments</span>
     `;
     messageDiv.appendChild(messageHeader);
@@ -514,25 +1376,135 @@ const HL7Parser = (function() {
     messageContent.className = 'hl7-tree-content';
     messageContent.style.display = 'none';
 
-    message.segments.forEach(segment => {
-      const segmentNode = createSegmentNode(segment, hideEmptyFields);
-      messageContent.appendChild(segmentNode);
-    });
+    const createNode = function(segmentIndex) {
+      const segmentIssues = issues.filter(issue => issue.segmentIndex === segmentIndex);
+      const segmentNode = createSegmentNode(message.segments[segmentIndex], hideEmptyFields, version, segmentIssues);
+      segmentNode.dataset.segmentIndex = segmentIndex;
+      return segmentNode;
+    };
+
+    if (structure) {
+      appendStructureNodes(messageContent, structure.nodes, createNode);
+    } else {
+      message.segments.forEach((segment, segmentIndex) => {
+        messageContent.appendChild(createNode(segmentIndex));
+      });
+    }
+
+    messageDiv.appendChild(messageContent);
+
+    return messageDiv;
+  }
+
+  /**
+   * Create the node of a batch envelope segment (see createMessageList) for the collapsed view
+   * A file (FHS) or batch (BHS) header is a container: its header collapses what is inside it (see
+   * toggleEnvelope) and its segment node shows its fields. A trailer (BTS, FTS) is a segment node
+   * issues are the segment's validation issues (see HL7Validator.validateEnvelope)
+   */
+  function createEnvelopeNode(envelope, envelopeIndex, collapsed, hideEmptyFields, version, issues) {
+    const entry = envelope[envelopeIndex];
+    const segment = entry.segment;
+
+    const envelopeDiv = document.createElement('div');
+    envelopeDiv.className = 'hl7-tree-envelope';
+    envelopeDiv.dataset.envelope = envelopeIndex;
+
+    const segmentNode = createSegmentNode(segment, hideEmptyFields, version, issues);
+    if (!isHeaderSegment(segment.segmentId)) {
+      envelopeDiv.classList.add('hl7-tree-envelope-trailer');
+      envelopeDiv.appendChild(segmentNode);
+      return envelopeDiv;
+    }
+
+    // Named from FHS.9/BHS.9 (name/ID), or FHS.11/BHS.11 (control ID)
+    const isFile = segment.segmentId === 'FHS';
+    const name = (segment.fields[7] || segment.fields[9] || '').trim();
+    const messageCount = entry.endMessage - entry.messageIndex;
+    let countText = `${messageCount} message${messageCount === 1 ? '' : 's'}`;
+    if (isFile && entry.batchCount > 0) {
+      countText = `${entry.batchCount} batch${entry.batchCount === 1 ? '' : 'es'}, ${countText}`;
+    }
+
+    const envelopeHeader = document.createElement('div');
+    envelopeHeader.className = 'hl7-tree-header hl7-tree-envelope-header ' + (collapsed ? 'collapsed' : 'expanded');
+    envelopeHeader.innerHTML = `
+      <span class="hl7-tree-toggle">${collapsed ? '&#9654;' : '&#9660;'}</span>
+      <span class="hl7-tree-icon">${isFile ? '&#128193;' : '&#128230;'}</span>
+      <span class="hl7-tree-title">${isFile ? 'File' : 'Batch'}${name ? ': ' + escapeHtml(name) : ''}</span>
+      ${getValidationBadge(issues)}
+      <span class="hl7-tree-count">${countText}</span>
+    `;
+    envelopeDiv.appendChild(envelopeHeader);
+
+    const envelopeContent = document.createElement('div');
+    envelopeContent.className = 'hl7-tree-content';
+    envelopeContent.style.display = collapsed ? 'none' : 'block';
+    envelopeContent.appendChild(segmentNode);
+    envelopeDiv.appendChild(envelopeContent);
+
+    return envelopeDiv;
+  }
+
+  /**
+   * Add the segment nodes of a message, nested in its structure's groups (see HL7Profiles.checkStructure)
+   * createNode builds the node for a segment index
+   */
+  function appendStructureNodes(container, nodes, createNode) {
+    nodes.forEach(node => {
+      if (node.group) {
+        container.appendChild(createGroupNode(node, createNode));
+      } else {
+        container.appendChild(createNode(node.segmentIndex));
+      }
+    });
+  }
+
+  /**
+   * Create a segment group node (e.g. PATIENT, ORDER_OBSERVATION) for the collapsed view, expanded by default
+   */
+  function createGroupNode(node, createNode) {
+    const groupDiv = document.createElement('div');
+    groupDiv.className = 'hl7-tree-group';
+
+    const segmentCount = countGroupSegments(node);
+    const groupHeader = document.createElement('div');
+    groupHeader.className = 'hl7-tree-header hl7-tree-group-header expanded';
+    groupHeader.innerHTML = `
+      <span class="hl7-tree-toggle">&#9660;</span>
+      <span class="hl7-tree-group-name">${escapeHtml(node.group)}</span>
+      <span class="hl7-tree-count">${segmentCount} segment${segmentCount === 1 ? '' : 's'}</span>
+    `;
+    groupDiv.appendChild(groupHeader);
+
+    const groupContent = document.createElement('div');
+    groupContent.className = 'hl7-tree-content hl7-tree-group-content';
+    appendStructureNodes(groupContent, node.children, createNode);
+    groupDiv.appendChild(groupContent);
 
-    messageDiv.appendChild(messageContent);
+    return groupDiv;
+  }
 
-    return messageDiv;
+  /**
+   * Count the segments in a group node, including nested groups
+   */
+  function countGroupSegments(node) {
+    return node.children.reduce((count, child) => count + (child.group ? countGroupSegments(child) : 1), 0);
   }
 
   /**
-   * Create a segment node for the collapsed view
+   * Create a segment node for the collapsed view, labelled from the given version's definitions
+   * issues are the segment's validation issues (may be empty)
    */
-  function createSegmentNode(segment, hideEmptyFields) {
+  function createSegmentNode(segment, hideEmptyFields, version, issues) {
     const segmentDiv = document.createElement('div');
     segmentDiv.className = 'hl7-tree-segment';
 
-    const segmentInfo = HL7_SEGMENTS[segment.segmentId];
-    const segmentName = segmentInfo ? segmentInfo.name : 'Unknown Segment';
+    const segmentInfo = HL7Dictionary.getSegment(segment.segmentId, version);
+    const segmentName = segmentInfo ? segmentInfo.name : UNKNOWN_SEGMENT_NAME;
+    if (!segmentInfo) {
+      segmentDiv.classList.add('hl7-tree-segment-unknown');
+    }
 
     // Count non-empty fields
     const nonEmptyFields = segment.fields.filter(f => f && f.trim()).length;
@@ -545,6 +1517,7 @@ const HL7Parser = (function() {
       <span class="hl7-tree-toggle">&#9654;</span>
       <span class="hl7-tree-segment-id">${segment.segmentId}</span>
       <span class="hl7-tree-segment-name">${escapeHtml(segmentName)}</span>
+      ${getValidationBadge(issues)}
       <span class="hl7-tree-count">${nonEmptyFields} fields</span>
     `;
     segmentDiv.appendChild(segmentHeader);
@@ -554,15 +1527,22 @@ const HL7Parser = (function() {
     segmentContent.className = 'hl7-tree-content';
     segmentContent.style.display = 'none';
 
-    // Handle MSH specially
-    if (segment.segmentId === 'MSH') {
+    // Add a field node, flagged with the field's validation issues
+    const appendFieldNode = function(fieldNode, fieldNum) {
+      if (!fieldNode) return;
+      markFieldIssues(fieldNode, issues.filter(issue => issue.fieldNum === fieldNum));
+      segmentContent.appendChild(fieldNode);
+    };
+
+    // Handle MSH (and FHS, BHS) specially
+    if (isHeaderSegment(segment.segmentId)) {
       // MSH.1 - Field Separator (always show)
-      const field1Node = createFieldNode(segment.segmentId, 1, segment.fieldSeparator, null, segment.componentSeparator, segment.subcomponentSeparator, hideEmptyFields);
-      if (field1Node) segmentContent.appendChild(field1Node);
+      const field1Node = createFieldNode(segment, 1, segment.fieldSeparator, segmentInfo, hideEmptyFields, [segment.fieldSeparator]);
+      appendFieldNode(field1Node, 1);
 
       // MSH.2 - Encoding Characters (always show)
-      const field2Node = createFieldNode(segment.segmentId, 2, segment.fields[0], null, segment.componentSeparator, segment.subcomponentSeparator, hideEmptyFields);
-      if (field2Node) segmentContent.appendChild(field2Node);
+      const field2Node = createFieldNode(segment, 2, segment.fields[0], segmentInfo, hideEmptyFields, segment.repetitions[0]);
+      appendFieldNode(field2Node, 2);
 
       // Remaining fields
       for (let i = 1; i < segment.fields.length; i++) {
@@ -570,8 +1550,8 @@ const HL7Parser = (function() {
         const fieldValue = segment.fields[i];
         // Skip empty fields if hideEmptyFields is enabled
         if (hideEmptyFields && (!fieldValue || !fieldValue.trim())) continue;
-        const fieldNode = createFieldNode(segment.segmentId, fieldNum, fieldValue, segmentInfo, segment.componentSeparator, segment.subcomponentSeparator, hideEmptyFields);
-        if (fieldNode) segmentContent.appendChild(fieldNode);
+        const fieldNode = createFieldNode(segment, fieldNum, fieldValue, segmentInfo, hideEmptyFields, segment.repetitions[i]);
+        appendFieldNode(fieldNode, fieldNum);
       }
     } else {
       // Regular segment
@@ -580,8 +1560,8 @@ const HL7Parser = (function() {
         const fieldValue = segment.fields[i];
         // Skip empty fields if hideEmptyFields is enabled
         if (hideEmptyFields && (!fieldValue || !fieldValue.trim())) continue;
-        const fieldNode = createFieldNode(segment.segmentId, fieldNum, fieldValue, segmentInfo, segment.componentSeparator, segment.subcomponentSeparator, hideEmptyFields);
-        if (fieldNode) segmentContent.appendChild(fieldNode);
+        const fieldNode = createFieldNode(segment, fieldNum, fieldValue, segmentInfo, hideEmptyFields, segment.repetitions[i]);
+        appendFieldNode(fieldNode, fieldNum);
       }
     }
 
@@ -592,10 +1572,11 @@ const HL7Parser = (function() {
 
   /**
    * Create a field node for the collapsed view
+   * The segment supplies the segment ID and the encoding characters used to split and decode values.
+   * Repeating fields get one child node per repetition (e.g. PID.3[1], PID.3[2])
    */
-  function createFieldNode(segmentId, fieldNum, fieldValue, segmentInfo, compSep, subcompSep, hideEmptyFields) {
-    const fieldDiv = document.createElement('div');
-    fieldDiv.className = 'hl7-tree-field';
+  function createFieldNode(segment, fieldNum, fieldValue, segmentInfo, hideEmptyFields, repetitions) {
+    const segmentId = segment.segmentId;
 
     // Get field info
     let fieldName = `Field ${fieldNum}`;
@@ -605,8 +1586,64 @@ const HL7Parser = (function() {
       fieldName = fieldDef.name;
     }
 
-    const displayValue = fieldValue || '(empty)';
-    const hasComponents = fieldValue && fieldValue.includes(compSep);
+    const fieldPath = `${segmentId}.${fieldNum}`;
+    const formatted = isFormattedTextField(segmentId, fieldNum, segment.fields, fieldDef);
+
+    // MSH.1 and MSH.2 (and those of FHS, BHS) contain the delimiters themselves and are never split or decoded
+    const isEncodingField = isHeaderSegment(segmentId) && fieldNum <= 2;
+
+    if (isEncodingField || !repetitions || repetitions.length < 2) {
+      const valueNode = createFieldValueNode(fieldPath, fieldName, fieldValue, fieldDef, segment, hideEmptyFields, isEncodingField, formatted);
+      valueNode.dataset.field = fieldNum;
+      return valueNode;
+    }
+
+    // Repeating field - make it expandable with a node per repetition
+    const fieldDiv = document.createElement('div');
+    fieldDiv.className = 'hl7-tree-field hl7-tree-field-repeating';
+    fieldDiv.dataset.field = fieldNum;
+
+    const fieldHeader = document.createElement('div');
+    fieldHeader.className = 'hl7-tree-header hl7-tree-field-header collapsed';
+    fieldHeader.innerHTML = `
+      <span class="hl7-tree-toggle">&#9654;</span>
+      <span class="hl7-tree-field-id">${fieldPath}</span>
+      <span class="hl7-tree-field-name"${getDataTypeTitle(fieldDef && fieldDef.dataType)}>${escapeHtml(fieldName)}</span>
+      <span class="hl7-tree-count">${repetitions.length} repetitions</span>
+    `;
+    fieldDiv.appendChild(fieldHeader);
+
+    const fieldContent = document.createElement('div');
+    fieldContent.className = 'hl7-tree-content';
+    fieldContent.style.display = 'none';
+
+    repetitions.forEach((repValue, repIndex) => {
+      // Skip empty repetitions if hideEmptyFields is enabled
+      if (hideEmptyFields && (!repValue || !repValue.trim())) return;
+      const repNode = createFieldValueNode(`${fieldPath}[${repIndex + 1}]`, fieldName, repValue, fieldDef, segment, hideEmptyFields, false, formatted);
+      repNode.classList.add('hl7-tree-repetition');
+      repNode.dataset.field = fieldNum;
+      repNode.dataset.repetition = repIndex + 1;
+      fieldContent.appendChild(repNode);
+    });
+
+    fieldDiv.appendChild(fieldContent);
+
+    return fieldDiv;
+  }
+
+  /**
+   * Create the node for a single field value (or a single repetition of a field)
+   * fieldPath is the label shown for the node, e.g. "PID.5" or "PID.3[2]"
+   * Atomic values (MSH.1, MSH.2) are shown exactly as they appear in the message
+   */
+  function createFieldValueNode(fieldPath, fieldName, fieldValue, fieldDef, encoding, hideEmptyFields, isAtomic, formatted) {
+    const fieldDiv = document.createElement('div');
+    fieldDiv.className = 'hl7-tree-field';
+
+    const compSep = encoding.componentSeparator;
+    const displayValue = fieldValue ? (isAtomic ? fieldValue : HL7Escape.decode(fieldValue, encoding, formatted)) : '(empty)';
+    const hasComponents = !isAtomic && fieldValue && fieldValue.includes(compSep);
     const isEmpty = !fieldValue || !fieldValue.trim();
 
     if (hasComponents) {
@@ -615,8 +1652,8 @@ const HL7Parser = (function() {
       fieldHeader.className = 'hl7-tree-header hl7-tree-field-header collapsed';
       fieldHeader.innerHTML = `
         <span class="hl7-tree-toggle">&#9654;</span>
-        <span class="hl7-tree-field-id">${segmentId}.${fieldNum}</span>
-        <span class="hl7-tree-field-name">${escapeHtml(fieldName)}</span>
+        <span class="hl7-tree-field-id">${fieldPath}</span>
+        <span class="hl7-tree-field-name"${getDataTypeTitle(fieldDef && fieldDef.dataType)}>${escapeHtml(fieldName)}</span>
       `;
       fieldDiv.appendChild(fieldHeader);
 
@@ -630,7 +1667,7 @@ const HL7Parser = (function() {
         const compNum = compIndex + 1;
         // Skip empty components if hideEmptyFields is enabled
         if (hideEmptyFields && (!comp || !comp.trim())) return;
-        const compNode = createComponentNode(segmentId, fieldNum, compNum, comp, fieldDef, subcompSep, hideEmptyFields);
+        const compNode = createComponentNode(fieldPath, compNum, comp, fieldDef, encoding, hideEmptyFields, formatted);
         fieldContent.appendChild(compNode);
       });
 
@@ -639,8 +1676,8 @@ const HL7Parser = (function() {
       // Simple field - just show inline
       fieldDiv.className += isEmpty ? ' hl7-tree-field-empty' : '';
       fieldDiv.innerHTML = `
-        <span class="hl7-tree-field-id">${segmentId}.${fieldNum}</span>
-        <span class="hl7-tree-field-name">${escapeHtml(fieldName)}</span>
+        <span class="hl7-tree-field-id">${fieldPath}</span>
+        <span class="hl7-tree-field-name"${getDataTypeTitle(fieldDef && fieldDef.dataType)}>${escapeHtml(fieldName)}</span>
         <span class="hl7-tree-field-value ${isEmpty ? 'empty' : ''}">${escapeHtml(displayValue)}</span>
       `;
     }
@@ -651,17 +1688,18 @@ const HL7Parser = (function() {
   /**
    * Create a component node for the collapsed view
    */
-  function createComponentNode(segmentId, fieldNum, compNum, compValue, fieldDef, subcompSep, hideEmptyFields) {
+  function createComponentNode(fieldPath, compNum, compValue, fieldDef, encoding, hideEmptyFields, formatted) {
     const compDiv = document.createElement('div');
     compDiv.className = 'hl7-tree-component';
+    compDiv.dataset.component = compNum;
 
-    // Get component name
-    let compName = `Component ${compNum}`;
-    if (fieldDef && fieldDef.components && fieldDef.components[compNum]) {
-      compName = fieldDef.components[compNum];
-    }
+    const subcompSep = encoding.subcomponentSeparator;
+
+    // Get component name (from the field definition or its data type)
+    const compInfo = HL7Dictionary.getComponentInfo(fieldDef, compNum);
+    const compName = compInfo ? compInfo.name : `Component ${compNum}`;
 
-    const displayValue = compValue || '(empty)';
+    const displayValue = compValue ? HL7Escape.decode(compValue, encoding, formatted) : '(empty)';
     const hasSubcomponents = compValue && compValue.includes(subcompSep);
     const isEmpty = !compValue || !compValue.trim();
 
@@ -671,8 +1709,8 @@ const HL7Parser = (function() {
       compHeader.className = 'hl7-tree-header hl7-tree-component-header collapsed';
       compHeader.innerHTML = `
         <span class="hl7-tree-toggle">&#9654;</span>
-        <span class="hl7-tree-comp-id">${segmentId}.${fieldNum}.${compNum}</span>
-        <span class="hl7-tree-comp-name">${escapeHtml(compName)}</span>
+        <span class="hl7-tree-comp-id">${fieldPath}.${compNum}</span>
+        <span class="hl7-tree-comp-name"${getDataTypeTitle(compInfo && compInfo.dataType)}>${escapeHtml(compName)}</span>
       `;
       compDiv.appendChild(compHeader);
 
@@ -688,11 +1726,15 @@ const HL7Parser = (function() {
         if (hideEmptyFields && (!subcomp || !subcomp.trim())) return;
         const subcompDiv = document.createElement('div');
         subcompDiv.className = 'hl7-tree-subcomponent';
+        subcompDiv.dataset.subcomponent = subcompNum;
         const subcompEmpty = !subcomp || !subcomp.trim();
+        const subcompDisplay = subcomp ? HL7Escape.decode(subcomp, encoding, formatted) : '(empty)';
+        const subcompInfo = HL7Dictionary.getSubcomponentInfo(fieldDef, compNum, subcompNum);
+        const subcompName = subcompInfo ? `${compName} > ${subcompInfo.name}` : `Subcomponent ${subcompNum}`;
         subcompDiv.innerHTML = `
-          <span class="hl7-tree-subcomp-id">${segmentId}.${fieldNum}.${compNum}.${subcompNum}</span>
-          <span class="hl7-tree-subcomp-name">Subcomponent ${subcompNum}</span>
-          <span class="hl7-tree-subcomp-value ${subcompEmpty ? 'empty' : ''}">${escapeHtml(subcomp || '(empty)')}</span>
+          <span class="hl7-tree-subcomp-id">${fieldPath}.${compNum}.${subcompNum}</span>
+          <span class="hl7-tree-subcomp-name"${getDataTypeTitle(subcompInfo && subcompInfo.dataType)}>${escapeHtml(subcompName)}</span>
+          <span class="hl7-tree-subcomp-value ${subcompEmpty ? 'empty' : ''}">${escapeHtml(subcompDisplay)}</span>
         `;
         compContent.appendChild(subcompDiv);
       });
@@ -702,8 +1744,8 @@ const HL7Parser = (function() {
       // Simple component - just show inline
       compDiv.className += isEmpty ? ' hl7-tree-component-empty' : '';
       compDiv.innerHTML = `
-        <span class="hl7-tree-comp-id">${segmentId}.${fieldNum}.${compNum}</span>
-        <span class="hl7-tree-comp-name">${escapeHtml(compName)}</span>
+        <span class="hl7-tree-comp-id">${fieldPath}.${compNum}</span>
+        <span class="hl7-tree-comp-name"${getDataTypeTitle(compInfo && compInfo.dataType)}>${escapeHtml(compName)}</span>
         <span class="hl7-tree-comp-value ${isEmpty ? 'empty' : ''}">${escapeHtml(displayValue)}</span>
       `;
     }
@@ -711,11 +1753,31 @@ const HL7Parser = (function() {
     return compDiv;
   }
 
+  /**
+   * Check whether a field holds formatted text (FT), whose line breaks and indents are rendered
+   * fields is the segment's parsed field list; OBX.5 takes its data type from OBX.2
+   * fieldDef is the field's definition, if any
+   */
+  function isFormattedTextField(segmentId, fieldNum, fields, fieldDef) {
+    if (segmentId === 'OBX' && fieldNum === 5) {
+      return !!fields && (fields[1] || '').trim().toUpperCase() === 'FT';
+    }
+
+    return !!fieldDef && fieldDef.dataType === 'FT';
+  }
+
   /**
    * Handle tree node expand/collapse click
    * Exported so it can be called from a persistent event listener
    */
   function handleTreeClick(e) {
+    // File and batch containers are collapsed by leaving their items out of the viewer
+    const envelopeHeader = e.target.closest('.hl7-tree-envelope-header');
+    if (envelopeHeader) {
+      toggleEnvelope(envelopeHeader.closest('.hl7-container'), parseInt(envelopeHeader.parentElement.dataset.envelope, 10));
+      return;
+    }
+
     const header = e.target.closest('.hl7-tree-header');
     if (!header) return;
 
@@ -743,6 +1805,54 @@ const HL7Parser = (function() {
     }
   }
 
+  /**
+   * Get where a rendered element (tree view or standard view) sits in its message:
+   * { messageIndex, segmentIndex, field, repetition, component, subcomponent }, with only the parts
+   * the element is inside of (field numbers are 1-based). Returns null outside a segment
+   */
+  function getElementPath(element) {
+    const messageElement = element.closest('[data-message]');
+    const segmentElement = element.closest('[data-segment-index]');
+    if (!messageElement || !segmentElement) return null;
+
+    const path = {
+      messageIndex: parseInt(messageElement.dataset.message, 10),
+      segmentIndex: parseInt(segmentElement.dataset.segmentIndex, 10)
+    };
+    ['field', 'repetition', 'component', 'subcomponent'].forEach(part => {
+      const partElement = element.closest(`[data-${part}]`);
+      if (partElement && segmentElement.contains(partElement)) {
+        path[part] = parseInt(partElement.dataset[part], 10);
+      }
+    });
+    return path;
+  }
+
+  /**
+   * Check whether a rendered value element holds a single value: it has no child elements other than
+   * search highlights (standard view fields and repetitions split into components hold several)
+   */
+  function isSingleValue(element) {
+    return Array.from(element.children).every(child => child.classList.contains('hl7-search-match'));
+  }
+
+  /**
+   * Get the rendered value (field, repetition, component or subcomponent) an element belongs to, or null
+   * Standard view fields and repetitions that are split into components are not values themselves
+   */
+  function getValueElement(element) {
+    const valueElement = element.closest(VALUE_SELECTOR);
+    if (!valueElement || !isSingleValue(valueElement)) return null;
+    return valueElement;
+  }
+
+  /**
+   * Get every rendered value inside an element (e.g. a message), in document order
+   */
+  function getValueElements(element) {
+    return Array.from(element.querySelectorAll(VALUE_SELECTOR)).filter(isSingleValue);
+  }
+
   /**
    * Setup expand/collapse click listeners (no-op, handled by app.js)
    */
@@ -761,12 +1871,14 @@ const HL7Parser = (function() {
 
   /**
    * Parse a segment into its fields
+   * Returns { segmentId, fields, repetitions } where repetitions[i] holds the
+   * repetitions of fields[i] (a single entry when the field does not repeat)
    */
   function parseSegment(line, segmentId, fieldSep, compSep, repSep, subcompSep) {
     let fields;
 
-    if (segmentId === 'MSH') {
-      // MSH is special - the field separator is part of the segment
+    if (isHeaderSegment(segmentId)) {
+      // MSH (like FHS and BHS) is special - the field separator is part of the segment
       // Split starting after the field separator (position 4)
       const afterSep = line.substring(4);
       fields = afterSep.split(fieldSep);
@@ -780,123 +1892,217 @@ const HL7Parser = (function() {
       }
     }
 
-    return { segmentId, fields };
+    const repetitions = fields.map((fieldValue, index) => {
+      // MSH.2 holds the repetition separator itself, so it never repeats
+      if (isHeaderSegment(segmentId) && index === 0) return [fieldValue];
+      return splitRepetitions(fieldValue, repSep);
+    });
+
+    return { segmentId, fields, repetitions };
+  }
+
+  /**
+   * Split a field value into its repetitions
+   */
+  function splitRepetitions(fieldValue, repSep) {
+    if (!fieldValue || !repSep || !fieldValue.includes(repSep)) {
+      return [fieldValue || ''];
+    }
+    return fieldValue.split(repSep);
   }
 
   /**
    * Create a span element for a field with component-level hovering (standard view)
+   * With decodeEscapes, leaf values show their escape sequences decoded (and FT formatting applied when formatted)
    */
-  function createFieldSpan(fieldValue, segmentId, fieldNum, compSep, subcompSep) {
+  function createFieldSpan(fieldValue, segmentId, fieldNum, encoding, decodeEscapes, formatted, version) {
     const fieldSpan = document.createElement('span');
     fieldSpan.className = 'hl7-field';
     fieldSpan.dataset.segment = segmentId;
     fieldSpan.dataset.field = fieldNum;
 
-    // Check if this field has components
-    if (fieldValue && fieldValue.includes(compSep)) {
-      const components = fieldValue.split(compSep);
-
-      for (let c = 0; c < components.length; c++) {
-        if (c > 0) {
-          const compSepSpan = document.createElement('span');
-          compSepSpan.className = 'hl7-comp-separator';
-          compSepSpan.textContent = compSep;
-          fieldSpan.appendChild(compSepSpan);
+    const compSep = encoding.componentSeparator;
+    const repSep = encoding.repetitionSeparator;
+
+    // MSH.1 and MSH.2 (and those of FHS, BHS) contain the delimiters themselves and are never split or decoded
+    const isEncodingField = isHeaderSegment(segmentId) && fieldNum <= 2;
+    const repetitions = isEncodingField ? [fieldValue || ''] : splitRepetitions(fieldValue, repSep);
+    const formatValue = function(value) {
+      return decodeEscapes && !isEncodingField ? HL7Escape.decode(value, encoding, formatted) : value;
+    };
+
+    if (repetitions.length > 1) {
+      // Repeating field - wrap each repetition in its own span
+      for (let r = 0; r < repetitions.length; r++) {
+        if (r > 0) {
+          const repSepSpan = document.createElement('span');
+          repSepSpan.className = 'hl7-rep-separator';
+          repSepSpan.textContent = repSep;
+          fieldSpan.appendChild(repSepSpan);
         }
 
-        const component = components[c];
-
-        // Check for subcomponents
-        if (component && component.includes(subcompSep)) {
-          const subcomponents = component.split(subcompSep);
-          for (let s = 0; s < subcomponents.length; s++) {
-            if (s > 0) {
-              const subcompSepSpan = document.createElement('span');
-              subcompSepSpan.className = 'hl7-subcomp-separator';
-              subcompSepSpan.textContent = subcompSep;
-              fieldSpan.appendChild(subcompSepSpan);
-            }
-
-            const subcompSpan = document.createElement('span');
-            subcompSpan.className = 'hl7-subcomponent';
-            subcompSpan.textContent = subcomponents[s];
-            subcompSpan.dataset.segment = segmentId;
-            subcompSpan.dataset.field = fieldNum;
-            subcompSpan.dataset.component = c + 1;
-            subcompSpan.dataset.subcomponent = s + 1;
-            subcompSpan.dataset.tooltipText = getSubcomponentTooltip(segmentId, fieldNum, c + 1, s + 1);
-            fieldSpan.appendChild(subcompSpan);
-          }
+        const repSpan = document.createElement('span');
+        repSpan.className = 'hl7-repetition';
+        repSpan.dataset.segment = segmentId;
+        repSpan.dataset.field = fieldNum;
+        repSpan.dataset.repetition = r + 1;
+
+        if (repetitions[r].includes(compSep)) {
+          appendComponentSpans(repSpan, repetitions[r], segmentId, fieldNum, r + 1, encoding, formatValue, version);
         } else {
-          const compSpan = document.createElement('span');
-          compSpan.className = 'hl7-component';
-          compSpan.textContent = component;
-          compSpan.dataset.segment = segmentId;
-          compSpan.dataset.field = fieldNum;
-          compSpan.dataset.component = c + 1;
-          compSpan.dataset.tooltipText = getComponentTooltip(segmentId, fieldNum, c + 1);
-          fieldSpan.appendChild(compSpan);
+          repSpan.textContent = formatValue(repetitions[r]);
+          repSpan.dataset.tooltipText = getFieldTooltip(segmentId, fieldNum, r + 1, version);
         }
+        fieldSpan.appendChild(repSpan);
       }
+    } else if (!isEncodingField && fieldValue && fieldValue.includes(compSep)) {
+      // Field with components
+      appendComponentSpans(fieldSpan, fieldValue, segmentId, fieldNum, null, encoding, formatValue, version);
     } else {
       // Simple field without components
-      fieldSpan.textContent = fieldValue || '';
-      fieldSpan.dataset.tooltipText = getFieldTooltip(segmentId, fieldNum);
+      fieldSpan.textContent = formatValue(fieldValue || '');
+      fieldSpan.dataset.tooltipText = getFieldTooltip(segmentId, fieldNum, null, version);
     }
 
     return fieldSpan;
   }
 
+  /**
+   * Append component and subcomponent spans for a field (or repetition) value
+   * formatValue turns each leaf value into the text to display
+   */
+  function appendComponentSpans(parentSpan, value, segmentId, fieldNum, repNum, encoding, formatValue, version) {
+    const compSep = encoding.componentSeparator;
+    const subcompSep = encoding.subcomponentSeparator;
+    const components = value.split(compSep);
+
+    for (let c = 0; c < components.length; c++) {
+      if (c > 0) {
+        const compSepSpan = document.createElement('span');
+        compSepSpan.className = 'hl7-comp-separator';
+        compSepSpan.textContent = compSep;
+        parentSpan.appendChild(compSepSpan);
+      }
+
+      const component = components[c];
+
+      // Check for subcomponents
+      if (component && component.includes(subcompSep)) {
+        const subcomponents = component.split(subcompSep);
+        for (let s = 0; s < subcomponents.length; s++) {
+          if (s > 0) {
+            const subcompSepSpan = document.createElement('span');
+            subcompSepSpan.className = 'hl7-subcomp-separator';
+            subcompSepSpan.textContent = subcompSep;
+            parentSpan.appendChild(subcompSepSpan);
+          }
+
+          const subcompSpan = document.createElement('span');
+          subcompSpan.className = 'hl7-subcomponent';
+          subcompSpan.textContent = formatValue(subcomponents[s]);
+          subcompSpan.dataset.segment = segmentId;
+          subcompSpan.dataset.field = fieldNum;
+          subcompSpan.dataset.component = c + 1;
+          subcompSpan.dataset.subcomponent = s + 1;
+          subcompSpan.dataset.tooltipText = getSubcomponentTooltip(segmentId, fieldNum, c + 1, s + 1, repNum, version);
+          parentSpan.appendChild(subcompSpan);
+        }
+      } else {
+        const compSpan = document.createElement('span');
+        compSpan.className = 'hl7-component';
+        compSpan.textContent = formatValue(component);
+        compSpan.dataset.segment = segmentId;
+        compSpan.dataset.field = fieldNum;
+        compSpan.dataset.component = c + 1;
+        compSpan.dataset.tooltipText = getComponentTooltip(segmentId, fieldNum, c + 1, repNum, version);
+        parentSpan.appendChild(compSpan);
+      }
+    }
+  }
+
   /**
    * Get tooltip text for a segment
+   * version selects the definition set (defaults to HL7_DEFAULT_VERSION), as for the tooltips below
    */
-  function getSegmentTooltip(segmentId) {
-    const segment = HL7_SEGMENTS[segmentId];
+  function getSegmentTooltip(segmentId, version) {
+    const segment = HL7Dictionary.getSegment(segmentId, version);
     if (segment) {
       return `${segmentId} - ${segment.name}`;
     }
-    return segmentId;
+    return `${segmentId} - ${UNKNOWN_SEGMENT_NAME}`;
+  }
+
+  /**
+   * Build the display path for a field, including the repetition when given
+   * e.g. "PID.3" or "PID.3[2]"
+   */
+  function getFieldPath(segmentId, fieldNum, repNum) {
+    return repNum ? `${segmentId}.${fieldNum}[${repNum}]` : `${segmentId}.${fieldNum}`;
+  }
+
+  /**
+   * Format a data type code for a tooltip, e.g. " (CX)" (empty when unknown)
+   */
+  function formatDataType(dataType) {
+    return dataType ? ` (${dataType})` : '';
+  }
+
+  /**
+   * Build a title attribute naming a data type for tree labels, e.g. ' title="CX - Extended Composite ID..."'
+   */
+  function getDataTypeTitle(dataType) {
+    if (!dataType) return '';
+    const typeDef = HL7Dictionary.getDataType(dataType);
+    const text = typeDef ? `${dataType} - ${typeDef.name}` : dataType;
+    return ` title="${escapeHtml(text)}"`;
   }
 
   /**
    * Get tooltip text for a field
    */
-  function getFieldTooltip(segmentId, fieldNum) {
-    const segment = HL7_SEGMENTS[segmentId];
-    if (segment && segment.fields && segment.fields[fieldNum]) {
-      return `${segmentId}.${fieldNum} - ${segment.fields[fieldNum].name}`;
+  function getFieldTooltip(segmentId, fieldNum, repNum, version) {
+    const fieldPath = getFieldPath(segmentId, fieldNum, repNum);
+    const field = HL7Dictionary.getField(segmentId, fieldNum, version);
+    if (field) {
+      return `${fieldPath} - ${field.name}${formatDataType(field.dataType)}`;
     }
-    return `${segmentId}.${fieldNum}`;
+    return fieldPath;
   }
 
   /**
    * Get tooltip text for a component
    */
-  function getComponentTooltip(segmentId, fieldNum, compNum) {
-    const segment = HL7_SEGMENTS[segmentId];
-    if (segment && segment.fields && segment.fields[fieldNum]) {
-      const field = segment.fields[fieldNum];
-      if (field.components && field.components[compNum]) {
-        return `${segmentId}.${fieldNum}.${compNum} - ${field.components[compNum]}`;
+  function getComponentTooltip(segmentId, fieldNum, compNum, repNum, version) {
+    const fieldPath = getFieldPath(segmentId, fieldNum, repNum);
+    const field = HL7Dictionary.getField(segmentId, fieldNum, version);
+    if (field) {
+      const component = HL7Dictionary.getComponentInfo(field, compNum);
+      if (component) {
+        return `${fieldPath}.${compNum} - ${component.name}${formatDataType(component.dataType)}`;
       }
-      return `${segmentId}.${fieldNum}.${compNum} (${field.name})`;
+      return `${fieldPath}.${compNum} (${field.name})`;
     }
-    return `${segmentId}.${fieldNum}.${compNum}`;
+    return `${fieldPath}.${compNum}`;
   }
 
   /**
-   * Get tooltip text for a subcomponent
+   * Get tooltip text for a subcomponent, e.g. "PID.3.4.1 - Assigning Authority > Namespace ID (IS)"
    */
-  function getSubcomponentTooltip(segmentId, fieldNum, compNum, subcompNum) {
-    const segment = HL7_SEGMENTS[segmentId];
-    if (segment && segment.fields && segment.fields[fieldNum]) {
-      const field = segment.fields[fieldNum];
-      if (field.components && field.components[compNum]) {
-        return `${segmentId}.${fieldNum}.${compNum}.${subcompNum} - ${field.components[compNum]} (subcomponent ${subcompNum})`;
+  function getSubcomponentTooltip(segmentId, fieldNum, compNum, subcompNum, repNum, version) {
+    const fieldPath = getFieldPath(segmentId, fieldNum, repNum);
+    const field = HL7Dictionary.getField(segmentId, fieldNum, version);
+    if (field) {
+      const component = HL7Dictionary.getComponentInfo(field, compNum);
+      const subcomponent = HL7Dictionary.getSubcomponentInfo(field, compNum, subcompNum);
+      if (subcomponent) {
+        return `${fieldPath}.${compNum}.${subcompNum} - ${component.name} > ${subcomponent.name}${formatDataType(subcomponent.dataType)}`;
       }
-      return `${segmentId}.${fieldNum}.${compNum}.${subcompNum} (${field.name})`;
+      if (component) {
+        return `${fieldPath}.${compNum}.${subcompNum} - ${component.name} (subcomponent ${subcompNum})`;
+      }
+      return `${fieldPath}.${compNum}.${subcompNum} (${field.name})`;
     }
-    return `${segmentId}.${fieldNum}.${compNum}.${subcompNum}`;
+    return `${fieldPath}.${compNum}.${subcompNum}`;
   }
 
   /**
@@ -907,6 +2113,7 @@ const HL7Parser = (function() {
     const hoverableSelectors = [
       '.hl7-segment-id',
       '.hl7-field',
+      '.hl7-repetition',
       '.hl7-component',
       '.hl7-subcomponent'
     ].join(', ');
@@ -914,7 +2121,9 @@ const HL7Parser = (function() {
     container.addEventListener('mouseover', function(e) {
       const target = e.target.closest(hoverableSelectors);
       if (target && target.dataset.tooltipText) {
-        showTooltip(tooltip, target, target.dataset.tooltipText);
+        // Add the validation issues flagged on the value (or the field that contains it)
+        const flagged = target.closest('[data-validation]');
+        showTooltip(tooltip, target, target.dataset.tooltipText + (flagged ? '\n' + flagged.dataset.validation : ''));
       }
     });
 
@@ -925,13 +2134,16 @@ const HL7Parser = (function() {
       }
     });
 
-    // Also handle when hovering over fields that contain components
+    // Also handle when hovering over fields (or repetitions) that contain components
     container.addEventListener('mouseover', function(e) {
-      if (e.target.classList.contains('hl7-field') && !e.target.dataset.tooltipText) {
+      const isContainer = e.target.classList.contains('hl7-field') || e.target.classList.contains('hl7-repetition');
+      if (isContainer && !e.target.dataset.tooltipText) {
         // Field with components - show field-level tooltip
         const segmentId = e.target.dataset.segment;
         const fieldNum = e.target.dataset.field;
-        const tooltipText = getFieldTooltip(segmentId, parseInt(fieldNum));
+        const repNum = e.target.dataset.repetition ? parseInt(e.target.dataset.repetition) : null;
+        const line = e.target.closest('.hl7-line');
+        const tooltipText = getFieldTooltip(segmentId, parseInt(fieldNum), repNum, line ? line.dataset.version : null);
 
         // Only show if we're directly on the field container (not a component)
         if (e.target === e.target) {
@@ -941,6 +2153,18 @@ const HL7Parser = (function() {
     });
   }
 
+  /**
+   * Add hover tooltips to a container of standard view lines (see createSegmentLine)
+   * Call once per container; the tooltip element is shared by later renders into it
+   */
+  function setupTooltips(container) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'hl7-tooltip';
+    tooltip.style.display = 'none';
+    document.body.appendChild(tooltip);
+    setupTooltipListeners(container, tooltip);
+  }
+
   /**
    * Show tooltip near the target element
    */
@@ -987,12 +2211,14 @@ const HL7Parser = (function() {
   // ========================================
 
   /**
-   * Parse and render JSON content
+   * Parse and render JSON content (FHIR resources as a list of resources, see renderFHIRContent)
    */
   function renderJSONContent(container, content, viewMode, messagesPerBatch) {
     const parsed = JSON.parse(content.trim());
 
-    if (viewMode === 'collapsed') {
+    if (isFHIRJSON(parsed)) {
+      renderFHIRContent(container, parsed, viewMode, messagesPerBatch);
+    } else if (viewMode === 'collapsed') {
       renderJSONCollapsedView(container, parsed, messagesPerBatch);
     } else {
       renderJSONStandardView(container, parsed, messagesPerBatch);
@@ -1341,6 +2567,285 @@ const HL7Parser = (function() {
     return String(value);
   }
 
+  // ========================================
+  // FHIR RESOURCES IN THE JSON VIEWER
+  // ========================================
+
+  /**
+   * Get what a FHIR view lists (see renderFHIRContent): each resource, and for a Bundle its elements
+   * other than its entries, then each entry
+   * Returns { items, scopes }: the items ({ value, key, parentPath, path, label }: what is shown,
+   * its key and parent's path for createJSONTreeNode, its Python path and its header), and for
+   * finding references, each Bundle's by its position in the list (-1 for the list itself) as
+   * { resolve, items }: its reference resolver (see HL7Fhir.createReferenceResolver), and the
+   * items its entries are
+   */
+  function getFHIRItems(parsed) {
+    const isArray = Array.isArray(parsed);
+    const resources = isArray ? parsed : [parsed];
+    const items = [];
+    const scopes = new Map();
+    const resourceItems = [];
+
+    resources.forEach((resource, index) => {
+      const key = isArray ? `[${index}]` : 'root';
+      const path = isArray ? key : '';
+      const label = HL7Fhir.getResourceLabel(resource);
+      resourceItems.push(items.length);
+
+      if (resource.resourceType !== 'Bundle' || !Array.isArray(resource.entry)) {
+        items.push({ value: resource, key: key, parentPath: '', path: path, label: label });
+        return;
+      }
+
+      const bundle = Object.assign({}, resource);
+      delete bundle.entry;
+      items.push({ value: bundle, key: key, parentPath: '', path: path, label: label });
+
+      const entryItems = resource.entry.map((entry, entryIndex) => {
+        const hasResource = !!entry && HL7Fhir.isResource(entry.resource);
+        items.push({
+          value: entry,
+          key: `[${entryIndex}]`,
+          parentPath: `${path}['entry']`,
+          path: `${path}['entry'][${entryIndex}]`,
+          label: hasResource ? HL7Fhir.getResourceLabel(entry.resource) : `Entry ${entryIndex + 1}`
+        });
+        return items.length - 1;
+      });
+      scopes.set(index, { resolve: HL7Fhir.createReferenceResolver(resource.entry), items: entryItems });
+    });
+
+    scopes.set(-1, {
+      resolve: HL7Fhir.createReferenceResolver(resources.map(resource => ({ resource: resource }))),
+      items: resourceItems
+    });
+    return { items: items, scopes: scopes };
+  }
+
+  /**
+   * Render FHIR JSON (a resource or a list of them) in the JSON viewer's standard or tree view, as a
+   * list of resources: a Bundle is followed by its entries, each headed by its resource's type, id
+   * and what it is (see HL7Fhir.getResourceLabel). Element names have tooltips describing them, and
+   * references to another resource in the same Bundle (or list) go to it when clicked
+   */
+  function renderFHIRContent(container, parsed, viewMode, messagesPerBatch) {
+    const fhir = getFHIRItems(parsed);
+    const collapsed = viewMode === 'collapsed';
+    const state = {
+      root: parsed,
+      items: fhir.items,
+      scopes: fhir.scopes,
+      collapsed: collapsed,
+      batchSize: messagesPerBatch,
+      renderedCount: 0,
+      loadMoreBtn: null
+    };
+
+    container.innerHTML = '';
+    container.className = 'hl7-container fhir-view ' + (collapsed ? 'json-collapsed-view' : 'json-standard-view');
+    fhirViews.set(container, state);
+    renderFHIRItems(container, state, messagesPerBatch);
+
+    setupJSONContextMenu(container);
+    setupFHIRListeners(container);
+  }
+
+  /**
+   * Render the items of a FHIR view (see renderFHIRContent) up to a count, with a "Load More" button
+   * after them while there are more
+   */
+  function renderFHIRItems(container, state, count) {
+    const endIndex = Math.min(count, state.items.length);
+    if (state.loadMoreBtn) state.loadMoreBtn.remove();
+
+    for (let i = state.renderedCount; i < endIndex; i++) {
+      if (i > 0 && !state.collapsed) {
+        const separator = document.createElement('div');
+        separator.className = 'json-item-separator';
+        container.appendChild(separator);
+      }
+      container.appendChild(createFHIRItem(state, i));
+    }
+    state.renderedCount = Math.max(state.renderedCount, endIndex);
+
+    if (state.renderedCount < state.items.length) {
+      if (!state.loadMoreBtn) {
+        state.loadMoreBtn = createLoadMoreButton(state.items.length, state.renderedCount);
+        state.loadMoreBtn.addEventListener('click', function() {
+          renderFHIRItems(container, state, state.renderedCount + state.batchSize);
+        });
+      } else {
+        updateLoadMoreButton(state.loadMoreBtn, state.items.length, state.renderedCount);
+      }
+      container.appendChild(state.loadMoreBtn);
+    }
+  }
+
+  /**
+   * Create an item of a FHIR view: a JSON item headed by its label (standard view), or a tree node
+   * named by it (tree view), with its elements described and its references linked
+   */
+  function createFHIRItem(state, index) {
+    const item = state.items[index];
+    let element;
+    let header;
+
+    if (state.collapsed) {
+      element = createJSONTreeNode(item.value, item.key, index, false, item.parentPath);
+      header = element.firstElementChild;
+      header.querySelector('.json-tree-key').textContent = item.label;
+    } else {
+      element = document.createElement('div');
+      element.className = 'json-item';
+
+      header = document.createElement('div');
+      header.className = 'json-item-header';
+      header.textContent = item.label;
+      element.appendChild(header);
+
+      const pre = document.createElement('pre');
+      pre.className = 'json-content';
+      pre.appendChild(renderJSONWithPaths(item.value, item.path));
+      element.appendChild(pre);
+    }
+
+    element.classList.add('fhir-item');
+    element.dataset.fhirItem = index;
+
+    const resource = HL7Fhir.isResource(item.value) ? item.value : (item.value || {}).resource;
+    const description = HL7Fhir.isResource(resource) ? HL7Fhir.getResourceDescription(resource.resourceType) : null;
+    if (description) {
+      header.classList.add('fhir-element');
+      header.dataset.tooltipText = `${resource.resourceType} - ${description}`;
+    }
+
+    describeFHIRElements(element, state);
+    return element;
+  }
+
+  /**
+   * Split a Python-style JSON path (see createJSONTreeNode) into its keys and list positions
+   */
+  function parseJSONPath(pythonPath) {
+    const keys = [];
+    const segmentRegex = /\['([^']+)'\]|\[(\d+)\]/g;
+    let match;
+    while ((match = segmentRegex.exec(pythonPath)) !== null) {
+      keys.push(match[1] !== undefined ? match[1] : parseInt(match[2], 10));
+    }
+    return keys;
+  }
+
+  /**
+   * Give the element names rendered in an element of a FHIR view tooltips describing them (see
+   * HL7Fhir.describeElement), and turn the references in it to another resource of the view into links
+   */
+  function describeFHIRElements(element, state) {
+    element.querySelectorAll('[data-json-path]').forEach(pathElement => {
+      const keys = parseJSONPath(pathElement.dataset.jsonPath);
+      const lastKey = keys[keys.length - 1];
+      const isTreeNode = pathElement.classList.contains('json-tree-header') || pathElement.classList.contains('json-tree-leaf');
+      const isLeaf = pathElement.classList.contains('json-tree-leaf');
+
+      // The standard view's keys and the tree view's node names; list entries aren't named
+      const nameElement = isTreeNode ? pathElement.querySelector('.json-tree-key') :
+        (pathElement.classList.contains('json-key') ? pathElement : null);
+      if (nameElement && typeof lastKey === 'string') {
+        const description = HL7Fhir.describeElement(state.root, keys);
+        if (description) {
+          nameElement.classList.add('fhir-element');
+          nameElement.dataset.tooltipText = description.short
+            ? `${description.path} - ${description.short}${formatDataType(description.type)}`
+            : description.path;
+        }
+      }
+
+      // Reference.reference values (the standard view's value spans, the tree view's leaf values)
+      const valueElement = isLeaf ? pathElement.querySelector('.json-tree-value') :
+        (!isTreeNode && !nameElement && !pathElement.classList.contains('json-array-item') ? pathElement : null);
+      if (valueElement && lastKey === 'reference' && pathElement.dataset.jsonValueType === 'string') {
+        const target = resolveFHIRReference(state, keys);
+        if (target >= 0) {
+          valueElement.classList.add('fhir-reference');
+          valueElement.dataset.fhirTarget = target;
+          valueElement.dataset.tooltipText = `Go to ${state.items[target].label}`;
+        }
+      }
+    });
+  }
+
+  /**
+   * Find the item of a FHIR view a reference (the value at a path) points at: an entry of the Bundle
+   * it is in, or another resource of the list. Returns its index, or -1
+   */
+  function resolveFHIRReference(state, keys) {
+    const reference = keys.reduce((value, key) => value !== null && typeof value === 'object' ? value[key] : undefined, state.root);
+    const position = Array.isArray(state.root) ? keys[0] : 0;
+    const scope = state.scopes.get(position) || state.scopes.get(-1);
+    const target = scope.resolve(reference);
+    return target >= 0 ? scope.items[target] : -1;
+  }
+
+  /**
+   * Show an item of a FHIR view (see renderFHIRContent): render it if it isn't yet, expand it in the
+   * tree view, scroll to it and mark it as the one gone to
+   * Returns the item's element, or null
+   */
+  function showFHIRItem(container, index) {
+    const state = fhirViews.get(container);
+    if (!state || index < 0 || index >= state.items.length) return null;
+    if (index >= state.renderedCount) renderFHIRItems(container, state, index + 1);
+
+    const element = container.querySelector(`[data-fhir-item="${index}"]`);
+    if (!element) return null;
+
+    const header = element.firstElementChild;
+    if (state.collapsed && header.classList.contains('collapsed')) {
+      handleTreeClick({ target: header });
+    }
+
+    container.querySelectorAll('.fhir-target').forEach(el => el.classList.remove('fhir-target'));
+    element.classList.add('fhir-target');
+    element.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    return element;
+  }
+
+  /**
+   * Add the FHIR tooltips and reference links of a container's FHIR views (see renderFHIRContent)
+   * The listeners are added once per container; the tooltip element is added back when it has been
+   * removed (e.g. when the viewer is cleared)
+   */
+  function setupFHIRListeners(container) {
+    let tooltip = fhirTooltips.get(container);
+    if (tooltip) {
+      if (!tooltip.isConnected) document.body.appendChild(tooltip);
+      return;
+    }
+
+    tooltip = document.createElement('div');
+    tooltip.className = 'hl7-tooltip';
+    tooltip.style.display = 'none';
+    document.body.appendChild(tooltip);
+    fhirTooltips.set(container, tooltip);
+
+    container.addEventListener('mouseover', function(e) {
+      const target = e.target.closest('.fhir-element, .fhir-reference');
+      if (target && container.contains(target)) showTooltip(tooltip, target, target.dataset.tooltipText);
+    });
+
+    container.addEventListener('mouseout', function(e) {
+      if (e.target.closest('.fhir-element, .fhir-reference')) hideTooltip(tooltip);
+    });
+
+    container.addEventListener('click', function(e) {
+      const reference = e.target.closest('.fhir-reference');
+      if (!reference || !container.contains(reference)) return;
+      hideTooltip(tooltip);
+      showFHIRItem(container, parseInt(reference.dataset.fhirTarget, 10));
+    });
+  }
+
   // ========================================
   // JSON CONTEXT MENU FOR PATH COPYING
   // ========================================
@@ -1481,36 +2986,12 @@ const HL7Parser = (function() {
 
   /**
    * Setup custom context menu for JSON elements
+   * One menu is shared by every container JSON is rendered in; each container gets its listener once
    */
   function setupJSONContextMenu(container) {
-    // Remove any existing context menu
-    const existingMenu = document.querySelector('.json-context-menu');
-    if (existingMenu) {
-      existingMenu.remove();
-    }
-
-    // Create context menu element
-    const contextMenu = document.createElement('div');
-    contextMenu.className = 'json-context-menu';
-    contextMenu.style.display = 'none';
-    contextMenu.innerHTML = `
-      <div class="json-context-menu-item" data-action="copy-python-path">
-        <span class="json-context-menu-icon">&#128203;</span>
-        Copy Python path
-      </div>
-      <div class="json-context-menu-item" data-action="copy-java-path">
-        <span class="json-context-menu-icon">&#9749;</span>
-        Copy Java path
-      </div>
-      <div class="json-context-menu-item" data-action="copy-postgresql-path">
-        <span class="json-context-menu-icon">&#128028;</span>
-        Copy PostgreSQL path
-      </div>
-    `;
-    document.body.appendChild(contextMenu);
-
-    let currentPath = null;
-    let currentValueType = null;
+    const contextMenu = getJSONContextMenu();
+    if (jsonMenuContainers.has(container)) return;
+    jsonMenuContainers.add(container);
 
     // Handle right-click on JSON elements
     container.addEventListener('contextmenu', function(e) {
@@ -1519,8 +3000,8 @@ const HL7Parser = (function() {
 
       if (pathElement) {
         e.preventDefault();
-        currentPath = pathElement.dataset.jsonPath;
-        currentValueType = pathElement.dataset.jsonValueType || 'object';
+        contextMenu.dataset.jsonPath = pathElement.dataset.jsonPath;
+        contextMenu.dataset.jsonValueType = pathElement.dataset.jsonValueType || 'object';
 
         // Position and show the context menu
         contextMenu.style.left = e.pageX + 'px';
@@ -1537,16 +3018,48 @@ const HL7Parser = (function() {
         }
       }
     });
+  }
+
+  /**
+   * Get the JSON context menu, creating it the first time; the path it copies is the one of the
+   * element it was last opened on (kept on the menu as data-json-path and data-json-value-type)
+   */
+  function getJSONContextMenu() {
+    const existingMenu = document.querySelector('.json-context-menu');
+    if (existingMenu) {
+      return existingMenu;
+    }
+
+    // Create context menu element
+    const contextMenu = document.createElement('div');
+    contextMenu.className = 'json-context-menu';
+    contextMenu.style.display = 'none';
+    contextMenu.innerHTML = `
+      <div class="json-context-menu-item" data-action="copy-python-path">
+        <span class="json-context-menu-icon">&#128203;</span>
+        Copy Python path
+      </div>
+      <div class="json-context-menu-item" data-action="copy-java-path">
+        <span class="json-context-menu-icon">&#9749;</span>
+        Copy Java path
+      </div>
+      <div class="json-context-menu-item" data-action="copy-postgresql-path">
+        <span class="json-context-menu-icon">&#128028;</span>
+        Copy PostgreSQL path
+      </div>
+    `;
+    document.body.appendChild(contextMenu);
 
     // Handle context menu item click
     contextMenu.addEventListener('click', function(e) {
       const menuItem = e.target.closest('.json-context-menu-item');
+      const currentPath = contextMenu.dataset.jsonPath;
       if (menuItem && currentPath) {
         if (menuItem.dataset.action === 'copy-python-path') {
           copyToClipboard(currentPath);
           showCopyNotification('Python path copied to clipboard!');
         } else if (menuItem.dataset.action === 'copy-java-path') {
-          const javaPath = convertToJavaPath(currentPath, currentValueType);
+          const javaPath = convertToJavaPath(currentPath, contextMenu.dataset.jsonValueType);
           copyToClipboard(javaPath);
           showCopyNotification('Java path copied to clipboard!');
         } else if (menuItem.dataset.action === 'copy-postgresql-path') {
@@ -1576,6 +3089,8 @@ const HL7Parser = (function() {
         contextMenu.style.display = 'none';
       }
     });
+
+    return contextMenu;
   }
 
   /**
@@ -1645,9 +3160,30 @@ const HL7Parser = (function() {
   return {
     detectContentType: detectContentType,
     renderContent: renderContent,
+    renderJSONContent: renderJSONContent,
+    renderMessages: renderMessages,
+    refreshMessage: refreshMessage,
+    scrollToMessage: scrollToMessage,
     isJSONContent: isJSONContent,
+    isXMLContent: isXMLContent,
+    isFHIRContent: isFHIRContent,
     isHL7Content: isHL7Content,
-    handleTreeClick: handleTreeClick
+    stripMllpFraming: stripMllpFraming,
+    isHeaderSegment: isHeaderSegment,
+    parseIntoMessages: parseIntoMessages,
+    findMessageStarts: findMessageStarts,
+    createChunkedText: createChunkedText,
+    getTextPieces: getTextPieces,
+    splitSegmentLines: splitSegmentLines,
+    isSegmentLine: isSegmentLine,
+    createMessageList: createMessageList,
+    getMessageVersionId: getMessageVersionId,
+    createSegmentLine: createSegmentLine,
+    setupTooltips: setupTooltips,
+    handleTreeClick: handleTreeClick,
+    getElementPath: getElementPath,
+    getValueElement: getValueElement,
+    getValueElements: getValueElements
   };
 
 })();
@@ -0,0 +1,399 @@
+// HL7 Viewer - Message Profile Module
+// Picks the message structure for each message (a user profile stored in localStorage, or one of
+// the built-in HL7_MESSAGE_STRUCTURES) and matches the message's segments against it
+
+const HL7Profiles = (function() {
+  'use strict';
+
+  const STORAGE_KEY = 'hl7viewer_customProfiles';
+
+  // User profiles, in the same shape as HL7_MESSAGE_STRUCTURES (plus optional "match" conditions)
+  let customProfiles = loadCustomProfiles();
+
+  // Structure check results by message (keyed by its segments array); reset when the profiles change
+  let cache = new WeakMap();
+
+  /**
+   * Load the user profiles from localStorage
+   */
+  function loadCustomProfiles() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Save the user profiles to localStorage
+   */
+  function saveCustomProfiles() {
+    if (Object.keys(customProfiles).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(customProfiles));
+    }
+    cache = new WeakMap();
+  }
+
+  /**
+   * Read the message type from MSH-9: { code, trigger, structureId } (upper case, '' when missing)
+   */
+  function getMessageType(msh) {
+    const parts = (msh.fields[7] || '').split(msh.componentSeparator); // MSH.9 (0-indexed: field 7 after encoding chars)
+    return {
+      code: (parts[0] || '').trim().toUpperCase(),
+      trigger: (parts[1] || '').trim().toUpperCase(),
+      structureId: (parts[2] || '').trim().toUpperCase()
+    };
+  }
+
+  /**
+   * Check whether a structure's events include the message type
+   * (an event given as a message code alone matches every trigger event)
+   */
+  function hasEvent(definition, messageType) {
+    const events = (definition.events || []).map(event => event.toUpperCase());
+    return events.includes(`${messageType.code}^${messageType.trigger}`) || events.includes(messageType.code);
+  }
+
+  /**
+   * Check a profile's "match" conditions against the MSH segment
+   * Each condition compares the first component of an MSH field, e.g. { "MSH.4": "ACME" } (case-insensitive)
+   */
+  function matchesConditions(profile, msh) {
+    return Object.keys(profile.match).every(fieldRef => {
+      const fieldNum = parseInt(fieldRef.split('.')[1], 10);
+      const value = fieldNum === 1 ? msh.fieldSeparator : (msh.fields[fieldNum - 2] || '');
+      const expected = String(profile.match[fieldRef]).trim().toUpperCase();
+      return value.split(msh.componentSeparator)[0].trim().toUpperCase() === expected;
+    });
+  }
+
+  /**
+   * Choose the structure for a message, given its MSH segment
+   * Order: user profiles whose "match" conditions hold, then the structure named by MSH-9.3,
+   * then the structure whose events include MSH-9.1^MSH-9.2 (user profiles before built-in ones)
+   * Returns { id, definition, source, selectedBy } or null (source is 'profile' or 'standard';
+   * selectedBy is 'MSH conditions', 'MSH-9.3' or 'MSH-9')
+   */
+  function findStructure(msh) {
+    const messageType = getMessageType(msh);
+    if (!messageType.code) return null;
+
+    const fitsMessage = (id, definition) => id.toUpperCase() === messageType.structureId || hasEvent(definition, messageType);
+
+    for (const id of Object.keys(customProfiles)) {
+      const profile = customProfiles[id];
+      if (profile.match && fitsMessage(id, profile) && matchesConditions(profile, msh)) {
+        return { id: id, definition: profile, source: 'profile', selectedBy: 'MSH conditions' };
+      }
+    }
+
+    const candidates = [
+      { definitions: customProfiles, source: 'profile' },
+      { definitions: HL7_MESSAGE_STRUCTURES, source: 'standard' }
+    ];
+
+    if (messageType.structureId) {
+      for (const candidate of candidates) {
+        const definition = candidate.definitions[messageType.structureId];
+        if (definition && !definition.match) {
+          return { id: messageType.structureId, definition: definition, source: candidate.source, selectedBy: 'MSH-9.3' };
+        }
+      }
+    }
+
+    for (const candidate of candidates) {
+      for (const id of Object.keys(candidate.definitions)) {
+        const definition = candidate.definitions[id];
+        if (!definition.match && hasEvent(definition, messageType)) {
+          return { id: id, definition: definition, source: candidate.source, selectedBy: 'MSH-9' };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the segment IDs that can start an element: a segment's own ID, or for a group the first
+   * segments of its elements up to and including the first required one
+   */
+  function getFirstSegments(element) {
+    if (element.segment) return [element.segment];
+
+    const first = [];
+    for (const child of element.segments) {
+      first.push(...getFirstSegments(child));
+      if (child.required) break;
+    }
+    return first;
+  }
+
+  /**
+   * Collect every segment ID used in a list of elements
+   */
+  function collectSegmentIds(elements, ids) {
+    elements.forEach(element => {
+      if (element.segment) {
+        ids.add(element.segment);
+      } else {
+        collectSegmentIds(element.segments, ids);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Report the required elements from index "from" up to (not including) "to" that never matched
+   */
+  function reportMissing(elements, counts, from, to, structureId, problems) {
+    for (let i = from; i < to; i++) {
+      const element = elements[i];
+      if (counts[i] > 0 || !element.required) continue;
+
+      if (element.segment) {
+        problems.push({
+          severity: 'error', segmentIndex: null, segmentId: element.segment, rule: 'missing required segment',
+          text: `${element.segment} is required in ${structureId} but missing`
+        });
+      } else {
+        problems.push({
+          severity: 'error', segmentIndex: null, segmentId: element.group, rule: 'missing required group',
+          text: `${element.group} group (starting with ${getFirstSegments(element).join(' or ')}) is required in ${structureId} but missing`
+        });
+      }
+    }
+  }
+
+  /**
+   * Match segments (from state.pos on) against a list of elements, greedily and in order
+   * Returns the matched nodes: { segmentIndex } for a segment, { group, children } for a group.
+   * Inside a group, matching stops at the first segment the group cannot take (its parent tries
+   * it next); at the top level such a segment is reported as out of order or unexpected and skipped.
+   */
+  function matchElements(elements, segments, state, structureId, problems, isTop) {
+    const nodes = [];
+    const counts = elements.map(() => 0);
+    let current = 0;
+
+    while (state.pos < segments.length) {
+      const segmentId = segments[state.pos].segmentId;
+
+      // The first element from the current one on that can take this segment
+      let next = -1;
+      for (let i = current; i < elements.length; i++) {
+        if (i === current && counts[i] > 0 && !elements[i].repeating) continue;
+        if (getFirstSegments(elements[i]).includes(segmentId)) {
+          next = i;
+          break;
+        }
+      }
+
+      if (next === -1) {
+        if (!isTop) break;
+
+        const inStructure = state.segmentIds.has(segmentId);
+        problems.push({
+          severity: inStructure ? 'error' : (segmentId.startsWith('Z') ? 'info' : 'warning'),
+          segmentIndex: state.pos,
+          segmentId: segmentId,
+          rule: inStructure ? 'segment out of order' : 'unexpected segment',
+          text: inStructure
+            ? `${segmentId} is out of order for ${structureId}`
+            : `${segmentId} is not part of ${structureId}`
+        });
+        nodes.push({ segmentIndex: state.pos, unexpected: true });
+        state.pos++;
+        continue;
+      }
+
+      reportMissing(elements, counts, current, next, structureId, problems);
+      current = next;
+      counts[next]++;
+
+      const element = elements[next];
+      if (element.segment) {
+        nodes.push({ segmentIndex: state.pos });
+        state.pos++;
+      } else {
+        nodes.push({
+          group: element.group,
+          children: matchElements(element.segments, segments, state, structureId, problems, false)
+        });
+      }
+    }
+
+    reportMissing(elements, counts, current, elements.length, structureId, problems);
+    return nodes;
+  }
+
+  /**
+   * Check a message's segments (from HL7Parser.parseIntoMessages) against its structure
+   * Returns null when the message has no MSH or no known structure, otherwise
+   * { id, name, source, selectedBy, nodes, problems } (see findStructure) where nodes group the segments (see matchElements) and
+   * problems are { severity, segmentIndex, segmentId, rule, text } (segmentIndex is null for
+   * missing segments and groups)
+   */
+  function checkStructure(segments) {
+    if (cache.has(segments)) return cache.get(segments);
+
+    const msh = segments[0] && segments[0].segmentId === 'MSH' ? segments[0] : null;
+    const structure = msh ? findStructure(msh) : null;
+    let result = null;
+
+    if (structure) {
+      const elements = structure.definition.segments;
+      const state = { pos: 0, segmentIds: collectSegmentIds(elements, new Set()) };
+      const problems = [];
+      const nodes = matchElements(elements, segments, state, structure.id, problems, true);
+
+      // A segment reported as out of order is not also reported as missing
+      const outOfOrder = new Set(problems.filter(p => p.rule === 'segment out of order').map(p => p.segmentId));
+      result = {
+        id: structure.id,
+        name: structure.definition.name || structure.id,
+        source: structure.source,
+        selectedBy: structure.selectedBy,
+        nodes: nodes,
+        problems: problems.filter(p => !(p.rule === 'missing required segment' && outOfOrder.has(p.segmentId)))
+      };
+    }
+
+    cache.set(segments, result);
+    return result;
+  }
+
+  /**
+   * Check that a list of structure elements has the expected shape
+   * Throws an Error describing the first problem found
+   */
+  function validateElements(elements, path) {
+    if (!Array.isArray(elements) || elements.length === 0) {
+      throw new Error(`${path}: "segments" must be a non-empty array.`);
+    }
+
+    elements.forEach((element, index) => {
+      const elementPath = `${path}[${index + 1}]`;
+      if (!element || typeof element !== 'object' || Array.isArray(element)) {
+        throw new Error(`${elementPath}: each element must be an object.`);
+      }
+      if (element.required !== undefined && typeof element.required !== 'boolean') {
+        throw new Error(`${elementPath}: "required" must be true or false.`);
+      }
+      if (element.repeating !== undefined && typeof element.repeating !== 'boolean') {
+        throw new Error(`${elementPath}: "repeating" must be true or false.`);
+      }
+
+      if (element.segment !== undefined) {
+        if (typeof element.segment !== 'string' || !/^[A-Z0-9]{3}$/.test(element.segment)) {
+          throw new Error(`${elementPath}: "segment" must be a segment ID (3 uppercase letters or digits).`);
+        }
+      } else if (typeof element.group === 'string' && element.group) {
+        validateElements(element.segments, `${path} > ${element.group}`);
+      } else {
+        throw new Error(`${elementPath}: each element needs a "segment" ID or a "group" name with its "segments".`);
+      }
+    });
+  }
+
+  /**
+   * Check that parsed JSON profiles have the HL7_MESSAGE_STRUCTURES shape
+   * Throws an Error describing the first problem found
+   */
+  function validateProfiles(profiles) {
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+      throw new Error('The profiles must be a JSON object keyed by structure ID (e.g. { "ORU_R01": { ... } }).');
+    }
+
+    for (const id of Object.keys(profiles)) {
+      const profile = profiles[id];
+
+      if (!/^[A-Za-z0-9_]+$/.test(id)) {
+        throw new Error(`"${id}" is not a valid profile ID (use letters, digits and underscores, e.g. ORU_R01).`);
+      }
+      if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error(`${id}: the profile must be an object.`);
+      }
+      if (profile.name !== undefined && typeof profile.name !== 'string') {
+        throw new Error(`${id}: "name" must be a string.`);
+      }
+      if (profile.events !== undefined && (!Array.isArray(profile.events) || profile.events.some(event => typeof event !== 'string'))) {
+        throw new Error(`${id}: "events" must be an array of message types (e.g. ["ORU^R01"]).`);
+      }
+      if (profile.match !== undefined) {
+        if (!profile.match || typeof profile.match !== 'object' || Array.isArray(profile.match)) {
+          throw new Error(`${id}: "match" must be an object of MSH field values (e.g. { "MSH.4": "ACME" }).`);
+        }
+        for (const fieldRef of Object.keys(profile.match)) {
+          if (!/^MSH\.\d+$/.test(fieldRef) || typeof profile.match[fieldRef] !== 'string') {
+            throw new Error(`${id}: "match" keys must be MSH fields (e.g. "MSH.4") with string values.`);
+          }
+        }
+      }
+      validateElements(profile.segments, id);
+    }
+  }
+
+  /**
+   * Import profiles (JSON text); each replaces any user profile with the same ID
+   * Returns the imported profile IDs
+   */
+  function importProfiles(jsonText) {
+    let profiles;
+    try {
+      profiles = JSON.parse(jsonText);
+    } catch (e) {
+      throw new Error('The file is not valid JSON: ' + e.message);
+    }
+
+    validateProfiles(profiles);
+
+    Object.assign(customProfiles, profiles);
+    saveCustomProfiles();
+    return Object.keys(profiles);
+  }
+
+  /**
+   * Remove all user profiles
+   */
+  function clearCustomProfiles() {
+    customProfiles = {};
+    saveCustomProfiles();
+  }
+
+  /**
+   * IDs of the user profiles
+   */
+  function getCustomProfileIds() {
+    return Object.keys(customProfiles);
+  }
+
+  /**
+   * Serialize the user profiles as JSON (importable by importProfiles). The built-in structures are
+   * left out: imported, they would become user profiles that no longer follow the built-in ones
+   */
+  function exportProfiles() {
+    return JSON.stringify(customProfiles, null, 2);
+  }
+
+  /**
+   * Serialize the built-in structures as JSON, as a template to copy the structures to change from
+   */
+  function exportBuiltInStructures() {
+    return JSON.stringify(HL7_MESSAGE_STRUCTURES, null, 2);
+  }
+
+  // Public API
+  return {
+    checkStructure: checkStructure,
+    importProfiles: importProfiles,
+    exportProfiles: exportProfiles,
+    exportBuiltInStructures: exportBuiltInStructures,
+    clearCustomProfiles: clearCustomProfiles,
+    getCustomProfileIds: getCustomProfileIds
+  };
+
+})();
@@ -0,0 +1,293 @@
+// HL7 Viewer - Search Module
+// Searches the parsed messages (a message list, see HL7Parser.createMessageList) rather than the
+// rendered page, so messages that are not rendered yet are found too. Queries are plain text, a regular expression,
+// or scoped to a field ("PID.5 ~ SMITH"); hits are single values (field, repetition, component or
+// subcomponent) and can be revealed and highlighted in the viewer
+
+const HL7Search = (function() {
+  'use strict';
+
+  // Most hits counted; searching stops after this many
+  const MAX_HITS = 10000;
+
+  // Messages searched between the progress steps of findHitSteps
+  const STEP_MESSAGES = 500;
+
+  // Field-scoped query: a field reference, ~ (contains) or = (the whole value), then the text
+  const SCOPED_QUERY = /^\s*([A-Za-z0-9]{3}\.[0-9().*]+)\s*(~|=)\s*(.*)$/;
+
+  /**
+   * Escape the characters that have a meaning in regular expressions
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Parse a search query into { reference, pattern }: the field reference it is scoped to (as
+   * HL7Stats.parseFieldReference returns it, or null) and a global RegExp for the text
+   * options: { regex, matchCase }. Returns null for an empty query; throws an Error for an invalid one
+   */
+  function parseQuery(text, options) {
+    let reference = null;
+    let operator = '~';
+    let searchText = text || '';
+
+    const scoped = SCOPED_QUERY.exec(searchText);
+    if (scoped) {
+      reference = HL7Stats.parseFieldReference(scoped[1]);
+      if (!reference || reference.validation) {
+        throw new Error(`"${scoped[1]}" is not a field reference (e.g. PID.5 or PID.5.1).`);
+      }
+      operator = scoped[2];
+      searchText = scoped[3];
+    }
+
+    if (!searchText.trim()) return null;
+
+    let source = options.regex ? searchText : escapeRegExp(searchText.trim());
+    if (operator === '=') source = `^(?:${source})$`;
+
+    try {
+      return { reference: reference, pattern: new RegExp(source, options.matchCase ? 'g' : 'gi') };
+    } catch (e) {
+      throw new Error(e.message);
+    }
+  }
+
+  /**
+   * Count the (non-empty) matches of a query's pattern in a text
+   */
+  function countMatches(pattern, text) {
+    if (!text) return 0;
+    pattern.lastIndex = 0;
+    let count = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Check whether a value's location is inside the part of the message a query is scoped to
+   * Values that are not split count as repetition, component and subcomponent 1
+   */
+  function isInScope(reference, segmentId, location) {
+    if (!reference) return true;
+    if (reference.segment !== segmentId || reference.field !== location.field) return false;
+    if (typeof reference.repetition === 'number' && reference.repetition !== (location.repetition || 1)) return false;
+    if (reference.component && reference.component !== (location.component || 1)) return false;
+    if (reference.subcomponent && reference.subcomponent !== (location.subcomponent || 1)) return false;
+    return true;
+  }
+
+  /**
+   * Call back with each value of a segment, split the way the viewer shows it:
+   * callback({ field, repetition, component, subcomponent }, value), with only the parts that are split
+   * MSH-1 and MSH-2 (the encoding characters) are left out
+   */
+  function forEachValue(segment, callback) {
+    const isMSH = segment.segmentId === 'MSH';
+
+    segment.repetitions.forEach((repetitions, index) => {
+      const field = isMSH ? index + 2 : index + 1;
+      if (isMSH && field <= 2) return;
+
+      repetitions.forEach((repValue, repIndex) => {
+        const repetition = repetitions.length > 1 ? repIndex + 1 : undefined;
+        if (!repValue.includes(segment.componentSeparator)) {
+          callback({ field: field, repetition: repetition }, repValue);
+          return;
+        }
+
+        repValue.split(segment.componentSeparator).forEach((compValue, compIndex) => {
+          const component = compIndex + 1;
+          if (!compValue.includes(segment.subcomponentSeparator)) {
+            callback({ field: field, repetition: repetition, component: component }, compValue);
+            return;
+          }
+
+          compValue.split(segment.subcomponentSeparator).forEach((subValue, subIndex) => {
+            callback({ field: field, repetition: repetition, component: component, subcomponent: subIndex + 1 }, subValue);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Add the hits of a query in one message to hits, up to MAX_HITS
+   */
+  function addMessageHits(hits, message, messageIndex, query, decode) {
+    const segments = message.segments;
+    for (let segmentIndex = 0; segmentIndex < segments.length && hits.length < MAX_HITS; segmentIndex++) {
+      const segment = segments[segmentIndex];
+      if (query.reference && query.reference.segment !== segment.segmentId) continue;
+
+      forEachValue(segment, (location, value) => {
+        if (hits.length >= MAX_HITS || !isInScope(query.reference, segment.segmentId, location)) return;
+
+        const count = countMatches(query.pattern, decode ? HL7Escape.decode(value, segment) : value);
+        for (let occurrence = 0; occurrence < count && hits.length < MAX_HITS; occurrence++) {
+          hits.push(Object.assign({ messageIndex: messageIndex, segmentIndex: segmentIndex, occurrence: occurrence }, location));
+        }
+      });
+    }
+  }
+
+  /**
+   * Find the hits of a query in a message list, in order. Each hit is one match in a value:
+   * { messageIndex, segmentIndex, field, repetition, component, subcomponent, occurrence }, where
+   * occurrence counts the matches within the value from 0
+   * With decode, values are matched with their escape sequences decoded (as the tree view shows them)
+   * Returns { hits, truncated }; truncated is set when searching stopped at MAX_HITS
+   */
+  function findHits(messages, query, decode) {
+    const steps = findHitSteps(messages, query, decode);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  /**
+   * Find the hits of a query as findHits does, STEP_MESSAGES messages at a time: a generator that
+   * yields the fraction of the messages searched so far and returns the result (see HL7Background)
+   */
+  function* findHitSteps(messages, query, decode) {
+    const hits = [];
+
+    for (let messageIndex = 0; messageIndex < messages.count; messageIndex++) {
+      if (messageIndex > 0 && messageIndex % STEP_MESSAGES === 0) yield messageIndex / messages.count;
+
+      addMessageHits(hits, messages.get(messageIndex), messageIndex, query, decode);
+      if (hits.length >= MAX_HITS) return { hits: hits, truncated: true };
+    }
+
+    return { hits: hits, truncated: false };
+  }
+
+  /**
+   * Find the hits of a query in one message of a list (e.g. after it was edited), as findHits does
+   */
+  function findMessageHits(message, messageIndex, query, decode) {
+    const hits = [];
+    addMessageHits(hits, message, messageIndex, query, decode);
+    return hits;
+  }
+
+  // ========================================
+  // VIEWER
+  // ========================================
+
+  /**
+   * Check whether a rendered value's path (HL7Parser.getElementPath) is a hit's value
+   */
+  function isSameValue(path, hit) {
+    return path.messageIndex === hit.messageIndex && path.segmentIndex === hit.segmentIndex &&
+      ['field', 'repetition', 'component', 'subcomponent'].every(part => path[part] === hit[part]);
+  }
+
+  /**
+   * Find the rendered value of a hit in a message's element, or null
+   */
+  function findValueElement(messageElement, hit) {
+    return HL7Parser.getValueElements(messageElement).find(element => {
+      const path = HL7Parser.getElementPath(element);
+      return path && isSameValue(path, hit);
+    }) || null;
+  }
+
+  /**
+   * Remove the highlights from the rendered messages
+   */
+  function clearHighlights(container) {
+    container.querySelectorAll('.hl7-search-match').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(document.createTextNode(mark.textContent));
+      parent.normalize();
+    });
+  }
+
+  /**
+   * Highlight a query's matches in one rendered value
+   */
+  function highlightValue(element, pattern) {
+    const text = element.textContent;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      fragment.appendChild(document.createTextNode(text.substring(lastIndex, match.index)));
+      const mark = document.createElement('mark');
+      mark.className = 'hl7-search-match';
+      mark.textContent = match[0];
+      fragment.appendChild(mark);
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex === 0) return;
+    fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+    element.textContent = '';
+    element.appendChild(fragment);
+  }
+
+  /**
+   * Highlight a query's matches in a rendered message (message is its parsed form, for the segment IDs)
+   */
+  function highlightMessage(messageElement, message, query) {
+    HL7Parser.getValueElements(messageElement).forEach(element => {
+      if (element.classList.contains('empty') || element.querySelector('.hl7-search-match')) return;
+      const path = HL7Parser.getElementPath(element);
+      const segment = path && message.segments[path.segmentIndex];
+      if (!segment || (segment.segmentId === 'MSH' && path.field <= 2)) return;
+      if (!isInScope(query.reference, segment.segmentId, path)) return;
+      highlightValue(element, query.pattern);
+    });
+  }
+
+  /**
+   * Render and open whatever hides a hit: its message, scrolled to when it isn't rendered, then
+   * the collapsed tree nodes around its value
+   * Returns the hit's highlight (or its value when the highlight isn't found), or null
+   */
+  function revealHit(container, hit) {
+    const messageElement = container.querySelector(`:scope > [data-message="${hit.messageIndex}"]`) ||
+      HL7Parser.scrollToMessage(container, hit.messageIndex);
+    if (!messageElement) return null;
+
+    const valueElement = findValueElement(messageElement, hit);
+    if (!valueElement) return null;
+
+    for (let node = valueElement.parentElement; node && node !== messageElement.parentElement; node = node.parentElement) {
+      if (node.classList.contains('hl7-tree-content') && node.style.display === 'none') {
+        HL7Parser.handleTreeClick({ target: node.previousElementSibling });
+      }
+    }
+
+    return valueElement.querySelectorAll('.hl7-search-match')[hit.occurrence] || valueElement;
+  }
+
+  // Public API
+  return {
+    MAX_HITS: MAX_HITS,
+    parseQuery: parseQuery,
+    findHits: findHits,
+    findHitSteps: findHitSteps,
+    findMessageHits: findMessageHits,
+    clearHighlights: clearHighlights,
+    highlightMessage: highlightMessage,
+    revealHit: revealHit
+  };
+
+})();
@@ -0,0 +1,516 @@
+// HL7 Message Structure Definitions (v2.5.1 abstract message syntax)
+// Each structure lists its segments in order. An element is either a segment
+// ({ segment: "PID" }) or a named group of elements ({ group: "PROCEDURE", segments: [...] });
+// "required" and "repeating" give its optionality and repetition (both default to false).
+// "events" are the MSH-9.1^MSH-9.2 message types that use the structure when MSH-9.3 is empty
+// (a message code on its own, e.g. "ACK", matches every trigger event).
+const HL7_MESSAGE_STRUCTURES = {
+  "ACK": {
+    name: "General Acknowledgment",
+    events: ["ACK"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "MSA", required: true },
+      { segment: "ERR", repeating: true }
+    ]
+  },
+  "ADT_A01": {
+    name: "Admit/Visit Notification",
+    events: ["ADT^A01", "ADT^A04", "ADT^A08", "ADT^A13"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "ROL", repeating: true },
+      { segment: "NK1", repeating: true },
+      { segment: "PV1", required: true },
+      { segment: "PV2" },
+      { segment: "ROL", repeating: true },
+      { segment: "DB1", repeating: true },
+      { segment: "OBX", repeating: true },
+      { segment: "AL1", repeating: true },
+      { segment: "DG1", repeating: true },
+      { segment: "DRG" },
+      {
+        group: "PROCEDURE", repeating: true, segments: [
+          { segment: "PR1", required: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "GT1", repeating: true },
+      {
+        group: "INSURANCE", repeating: true, segments: [
+          { segment: "IN1", required: true },
+          { segment: "IN2" },
+          { segment: "IN3", repeating: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "ACC" },
+      { segment: "UB1" },
+      { segment: "UB2" },
+      { segment: "PDA" }
+    ]
+  },
+  "ADT_A02": {
+    name: "Transfer a Patient",
+    events: ["ADT^A02"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "ROL", repeating: true },
+      { segment: "PV1", required: true },
+      { segment: "PV2" },
+      { segment: "ROL", repeating: true },
+      { segment: "DB1", repeating: true },
+      { segment: "OBX", repeating: true },
+      { segment: "PDA" }
+    ]
+  },
+  "ADT_A03": {
+    name: "Discharge/End Visit",
+    events: ["ADT^A03"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "ROL", repeating: true },
+      { segment: "NK1", repeating: true },
+      { segment: "PV1", required: true },
+      { segment: "PV2" },
+      { segment: "ROL", repeating: true },
+      { segment: "DB1", repeating: true },
+      { segment: "AL1", repeating: true },
+      { segment: "DG1", repeating: true },
+      { segment: "DRG" },
+      {
+        group: "PROCEDURE", repeating: true, segments: [
+          { segment: "PR1", required: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "OBX", repeating: true },
+      { segment: "GT1", repeating: true },
+      {
+        group: "INSURANCE", repeating: true, segments: [
+          { segment: "IN1", required: true },
+          { segment: "IN2" },
+          { segment: "IN3", repeating: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "ACC" },
+      { segment: "PDA" }
+    ]
+  },
+  "ADT_A05": {
+    name: "Pre-Admit a Patient",
+    events: ["ADT^A05", "ADT^A14", "ADT^A28", "ADT^A31"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "ROL", repeating: true },
+      { segment: "NK1", repeating: true },
+      { segment: "PV1", required: true },
+      { segment: "PV2" },
+      { segment: "ROL", repeating: true },
+      { segment: "DB1", repeating: true },
+      { segment: "OBX", repeating: true },
+      { segment: "AL1", repeating: true },
+      { segment: "DG1", repeating: true },
+      { segment: "DRG" },
+      {
+        group: "PROCEDURE", repeating: true, segments: [
+          { segment: "PR1", required: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "GT1", repeating: true },
+      {
+        group: "INSURANCE", repeating: true, segments: [
+          { segment: "IN1", required: true },
+          { segment: "IN2" },
+          { segment: "IN3", repeating: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "ACC" },
+      { segment: "UB1" },
+      { segment: "UB2" }
+    ]
+  },
+  "ADT_A09": {
+    name: "Patient Departing - Tracking",
+    events: ["ADT^A09", "ADT^A10", "ADT^A11"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "PV1", required: true },
+      { segment: "PV2" },
+      { segment: "DB1", repeating: true },
+      { segment: "OBX", repeating: true },
+      { segment: "DG1", repeating: true }
+    ]
+  },
+  "ADT_A30": {
+    name: "Merge Patient Information",
+    events: ["ADT^A34", "ADT^A35", "ADT^A36", "ADT^A46", "ADT^A47", "ADT^A48", "ADT^A49"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "MRG", required: true }
+    ]
+  },
+  "ADT_A39": {
+    name: "Merge Patient - Patient ID",
+    events: ["ADT^A39", "ADT^A40", "ADT^A41", "ADT^A42"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      {
+        group: "PATIENT", required: true, repeating: true, segments: [
+          { segment: "PID", required: true },
+          { segment: "PD1" },
+          { segment: "MRG", required: true },
+          { segment: "PV1" }
+        ]
+      }
+    ]
+  },
+  "DFT_P03": {
+    name: "Post Detail Financial Transaction",
+    events: ["DFT^P03"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "ROL", repeating: true },
+      { segment: "PV1" },
+      { segment: "PV2" },
+      { segment: "ROL", repeating: true },
+      { segment: "DB1", repeating: true },
+      {
+        group: "COMMON_ORDER", repeating: true, segments: [
+          { segment: "ORC" },
+          {
+            group: "ORDER", segments: [
+              { segment: "OBR", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          },
+          {
+            group: "OBSERVATION", repeating: true, segments: [
+              { segment: "OBX", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          }
+        ]
+      },
+      {
+        group: "FINANCIAL", required: true, repeating: true, segments: [
+          { segment: "FT1", required: true },
+          {
+            group: "FINANCIAL_PROCEDURE", repeating: true, segments: [
+              { segment: "PR1", required: true },
+              { segment: "ROL", repeating: true }
+            ]
+          }
+        ]
+      },
+      { segment: "DG1", repeating: true },
+      { segment: "DRG" },
+      { segment: "GT1", repeating: true },
+      {
+        group: "INSURANCE", repeating: true, segments: [
+          { segment: "IN1", required: true },
+          { segment: "IN2" },
+          { segment: "IN3", repeating: true },
+          { segment: "ROL", repeating: true }
+        ]
+      },
+      { segment: "ACC" }
+    ]
+  },
+  "MDM_T01": {
+    name: "Original Document Notification",
+    events: ["MDM^T01", "MDM^T03", "MDM^T05", "MDM^T07", "MDM^T09", "MDM^T11"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PV1", required: true },
+      {
+        group: "COMMON_ORDER", repeating: true, segments: [
+          { segment: "ORC", required: true },
+          {
+            group: "TIMING", repeating: true, segments: [
+              { segment: "TQ1", required: true },
+              { segment: "TQ2", repeating: true }
+            ]
+          },
+          { segment: "OBR", required: true },
+          { segment: "NTE", repeating: true }
+        ]
+      },
+      { segment: "TXA", required: true },
+      { segment: "CON", repeating: true }
+    ]
+  },
+  "MDM_T02": {
+    name: "Original Document Notification and Content",
+    events: ["MDM^T02", "MDM^T04", "MDM^T06", "MDM^T08", "MDM^T10"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "EVN", required: true },
+      { segment: "PID", required: true },
+      { segment: "PV1", required: true },
+      {
+        group: "COMMON_ORDER", repeating: true, segments: [
+          { segment: "ORC", required: true },
+          {
+            group: "TIMING", repeating: true, segments: [
+              { segment: "TQ1", required: true },
+              { segment: "TQ2", repeating: true }
+            ]
+          },
+          { segment: "OBR", required: true },
+          { segment: "NTE", repeating: true }
+        ]
+      },
+      { segment: "TXA", required: true },
+      { segment: "CON", repeating: true },
+      {
+        group: "OBXNTE", required: true, repeating: true, segments: [
+          { segment: "OBX", required: true },
+          { segment: "NTE", repeating: true }
+        ]
+      }
+    ]
+  },
+  "ORM_O01": {
+    name: "General Order",
+    events: ["ORM^O01"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "NTE", repeating: true },
+      {
+        group: "PATIENT", segments: [
+          { segment: "PID", required: true },
+          { segment: "PD1" },
+          { segment: "NTE", repeating: true },
+          {
+            group: "PATIENT_VISIT", segments: [
+              { segment: "PV1", required: true },
+              { segment: "PV2" }
+            ]
+          },
+          {
+            group: "INSURANCE", repeating: true, segments: [
+              { segment: "IN1", required: true },
+              { segment: "IN2" },
+              { segment: "IN3" }
+            ]
+          },
+          { segment: "GT1" },
+          { segment: "AL1", repeating: true }
+        ]
+      },
+      {
+        group: "ORDER", required: true, repeating: true, segments: [
+          { segment: "ORC", required: true },
+          {
+            group: "ORDER_DETAIL", segments: [
+              { segment: "OBR", required: true },
+              { segment: "NTE", repeating: true },
+              { segment: "CTD" },
+              { segment: "DG1", repeating: true },
+              {
+                group: "OBSERVATION", repeating: true, segments: [
+                  { segment: "OBX", required: true },
+                  { segment: "NTE", repeating: true }
+                ]
+              }
+            ]
+          },
+          { segment: "FT1", repeating: true },
+          { segment: "CTI", repeating: true },
+          { segment: "BLG" }
+        ]
+      }
+    ]
+  },
+  "ORU_R01": {
+    name: "Unsolicited Observation Message",
+    events: ["ORU^R01"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      {
+        group: "PATIENT_RESULT", required: true, repeating: true, segments: [
+          {
+            group: "PATIENT", segments: [
+              { segment: "PID", required: true },
+              { segment: "PD1" },
+              { segment: "NTE", repeating: true },
+              { segment: "NK1", repeating: true },
+              {
+                group: "VISIT", segments: [
+                  { segment: "PV1", required: true },
+                  { segment: "PV2" }
+                ]
+              }
+            ]
+          },
+          {
+            group: "ORDER_OBSERVATION", required: true, repeating: true, segments: [
+              { segment: "ORC" },
+              { segment: "OBR", required: true },
+              { segment: "NTE", repeating: true },
+              {
+                group: "TIMING_QTY", repeating: true, segments: [
+                  { segment: "TQ1", required: true },
+                  { segment: "TQ2", repeating: true }
+                ]
+              },
+              { segment: "CTD" },
+              {
+                group: "OBSERVATION", repeating: true, segments: [
+                  { segment: "OBX", required: true },
+                  { segment: "NTE", repeating: true }
+                ]
+              },
+              { segment: "FT1", repeating: true },
+              { segment: "CTI", repeating: true },
+              {
+                group: "SPECIMEN", repeating: true, segments: [
+                  { segment: "SPM", required: true },
+                  { segment: "OBX", repeating: true }
+                ]
+              }
+            ]
+          }
+        ]
+      },
+      { segment: "DSC" }
+    ]
+  },
+  "SIU_S12": {
+    name: "Schedule Information Unsolicited",
+    events: [
+      "SIU^S12", "SIU^S13", "SIU^S14", "SIU^S15", "SIU^S16", "SIU^S17", "SIU^S18",
+      "SIU^S19", "SIU^S20", "SIU^S21", "SIU^S22", "SIU^S23", "SIU^S24", "SIU^S26"
+    ],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "SCH", required: true },
+      { segment: "TQ1", repeating: true },
+      { segment: "NTE", repeating: true },
+      {
+        group: "PATIENT", repeating: true, segments: [
+          { segment: "PID", required: true },
+          { segment: "PD1" },
+          { segment: "PV1" },
+          { segment: "PV2" },
+          { segment: "OBX", repeating: true },
+          { segment: "DG1", repeating: true }
+        ]
+      },
+      {
+        group: "RESOURCES", required: true, repeating: true, segments: [
+          { segment: "RGS", required: true },
+          {
+            group: "SERVICE", repeating: true, segments: [
+              { segment: "AIS", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          },
+          {
+            group: "GENERAL_RESOURCE", repeating: true, segments: [
+              { segment: "AIG", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          },
+          {
+            group: "LOCATION_RESOURCE", repeating: true, segments: [
+              { segment: "AIL", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          },
+          {
+            group: "PERSONNEL_RESOURCE", repeating: true, segments: [
+              { segment: "AIP", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          }
+        ]
+      }
+    ]
+  },
+  "VXU_V04": {
+    name: "Unsolicited Vaccination Record Update",
+    events: ["VXU^V04"],
+    segments: [
+      { segment: "MSH", required: true },
+      { segment: "SFT", repeating: true },
+      { segment: "PID", required: true },
+      { segment: "PD1" },
+      { segment: "NK1", repeating: true },
+      {
+        group: "PATIENT", segments: [
+          { segment: "PV1", required: true },
+          { segment: "PV2" }
+        ]
+      },
+      { segment: "GT1", repeating: true },
+      {
+        group: "INSURANCE", repeating: true, segments: [
+          { segment: "IN1", required: true },
+          { segment: "IN2" },
+          { segment: "IN3" }
+        ]
+      },
+      {
+        group: "ORDER", repeating: true, segments: [
+          { segment: "ORC", required: true },
+          {
+            group: "TIMING", repeating: true, segments: [
+              { segment: "TQ1", required: true },
+              { segment: "TQ2", repeating: true }
+            ]
+          },
+          { segment: "RXA", required: true },
+          { segment: "RXR" },
+          {
+            group: "OBSERVATION", repeating: true, segments: [
+              { segment: "OBX", required: true },
+              { segment: "NTE", repeating: true }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,434 @@
+// HL7 Viewer - Validation Module
+// Checks parsed messages (HL7Parser.parseIntoMessages) against the segment definitions:
+// MSH first, segment cardinality, message structure (HL7Profiles), required fields, maximum lengths,
+// data type formats and coded values. Batch envelopes (FHS/BHS/BTS/FTS) are checked the same way,
+// and their trailers' counts against the batches and messages they wrap
+
+const HL7Validator = (function() {
+  'use strict';
+
+  // Issue severities, most severe first
+  const SEVERITIES = ['error', 'warning', 'info'];
+
+  // Segments that may only appear once in a message
+  const SINGLE_SEGMENTS = ['MSH', 'EVN', 'MSA'];
+
+  // The trailer that closes each batch envelope header
+  const ENVELOPE_TRAILERS = { FHS: 'FTS', BHS: 'BTS' };
+
+  // Format checks for primitive data types; each returns an error description or null
+  const FORMAT_CHECKS = {
+    SI: value => /^\d+$/.test(value) ? null : 'is not a valid sequence ID (a non-negative integer)',
+    NM: value => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value) ? null : 'is not a valid number',
+    DT: value => checkDateTime(value, /^(\d{4})(\d{2})?(\d{2})?$/, 'date (YYYY[MM[DD]])'),
+    DTM: value => checkDateTime(value, /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2}(?:\.\d{1,4})?)?([+-]\d{4})?$/, 'date/time (YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ])'),
+    TM: value => checkTime(value)
+  };
+
+  // Results by message (keyed by its segments array), so repeated lookups don't re-validate
+  const cache = new WeakMap();
+
+  // Messages validated between the progress steps of validateMessageListSteps
+  const STEP_MESSAGES = 100;
+
+  /**
+   * Check a date or date/time value against its pattern and the calendar/clock ranges
+   */
+  function checkDateTime(value, pattern, description) {
+    const match = value.match(pattern);
+    if (!match) return `is not a valid ${description}`;
+
+    const month = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+    const day = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+    const hour = match[4] !== undefined ? parseInt(match[4], 10) : 0;
+    const minute = match[5] !== undefined ? parseInt(match[5], 10) : 0;
+    const second = match[6] !== undefined ? parseFloat(match[6]) : 0;
+    const daysInMonth = new Date(parseInt(match[1], 10), month, 0).getDate();
+
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59 || second >= 60) {
+      return `is not a valid ${description}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a time value (HH[MM[SS[.S]]][+/-ZZZZ])
+   */
+  function checkTime(value) {
+    const match = value.match(/^(\d{2})(\d{2})?(\d{2}(?:\.\d{1,4})?)?([+-]\d{4})?$/);
+    const valid = match && parseInt(match[1], 10) <= 23 &&
+      (match[2] === undefined || parseInt(match[2], 10) <= 59) &&
+      (match[3] === undefined || parseFloat(match[3]) < 60);
+    return valid ? null : 'is not a valid time (HH[MM[SS[.S]]][+/-ZZZZ])';
+  }
+
+  /**
+   * Build the display path for a value, e.g. "PID.3", "PID.3[2].4.1"
+   */
+  function getLocation(segmentId, fieldNum, repNum, compNum, subcompNum) {
+    let location = segmentId;
+    if (fieldNum) location += `.${fieldNum}`;
+    if (repNum) location += `[${repNum}]`;
+    if (compNum) location += `.${compNum}`;
+    if (subcompNum) location += `.${subcompNum}`;
+    return location;
+  }
+
+  /**
+   * Create an issue
+   * rule is a short description shared by every occurrence of the problem (used for statistics),
+   * text describes this occurrence (used for the panel and tooltips)
+   */
+  function createIssue(severity, segmentIndex, segmentId, position, rule, text) {
+    const fieldNum = position.fieldNum || null;
+    const repNum = position.repNum || null;
+    const compNum = position.compNum || null;
+    const subcompNum = position.subcompNum || null;
+    return {
+      severity: severity,
+      segmentIndex: segmentIndex,
+      segmentId: segmentId,
+      fieldNum: fieldNum,
+      repNum: repNum,
+      compNum: compNum,
+      subcompNum: subcompNum,
+      location: getLocation(segmentId, fieldNum, repNum, compNum, subcompNum),
+      rule: rule,
+      text: text
+    };
+  }
+
+  /**
+   * Get a segment's field values and repetitions indexed by field number - 1
+   * (MSH.1 is the field separator and MSH.2 the encoding characters, as for FHS and BHS)
+   */
+  function getSegmentFields(segment) {
+    if (HL7Parser.isHeaderSegment(segment.segmentId)) {
+      return {
+        values: [segment.fieldSeparator].concat(segment.fields),
+        repetitions: [[segment.fieldSeparator]].concat(segment.repetitions)
+      };
+    }
+    return { values: segment.fields, repetitions: segment.repetitions };
+  }
+
+  /**
+   * Check whether a value is empty (the HL7 null "" counts as a value)
+   */
+  function isEmpty(value) {
+    return !value || !value.trim();
+  }
+
+  /**
+   * Check a value (field repetition, component or subcomponent) against its data type
+   * Composite types are split and each part checked against its own type
+   */
+  function checkValue(issues, value, dataType, segment, segmentIndex, position, depth) {
+    if (isEmpty(value) || value === '""') return;
+
+    const formatCheck = FORMAT_CHECKS[dataType];
+    if (formatCheck) {
+      const problem = formatCheck(value);
+      if (problem) {
+        const location = getLocation(segment.segmentId, position.fieldNum, position.repNum, position.compNum, position.subcompNum);
+        issues.push(createIssue('error', segmentIndex, segment.segmentId, position,
+          `invalid ${dataType} value`, `${location} "${value}" ${problem}`));
+      }
+      return;
+    }
+
+    const typeDef = HL7Dictionary.getDataType(dataType);
+    if (!typeDef || !typeDef.components || depth >= 2) return;
+
+    const separator = depth === 0 ? segment.componentSeparator : segment.subcomponentSeparator;
+    value.split(separator).forEach((part, index) => {
+      const partDef = typeDef.components[index + 1];
+      if (!partDef) return;
+      const partPosition = Object.assign({}, position, depth === 0 ? { compNum: index + 1 } : { subcompNum: index + 1 });
+      checkValue(issues, part, partDef.dataType, segment, segmentIndex, partPosition, depth + 1);
+    });
+  }
+
+  /**
+   * Check a field's repetitions: maximum length, data type format and table values
+   */
+  function checkField(issues, segment, segmentIndex, fieldNum, repetitions, fieldDef, dataType) {
+    // MSH.1 and MSH.2 (FHS, BHS) hold the delimiters themselves, so only their length is checked
+    const isEncodingField = HL7Parser.isHeaderSegment(segment.segmentId) && fieldNum <= 2;
+    const table = fieldDef.table ? HL7Dictionary.getTable(fieldDef.table) : undefined;
+
+    repetitions.forEach((repValue, repIndex) => {
+      if (isEmpty(repValue)) return;
+      const position = { fieldNum: fieldNum, repNum: repetitions.length > 1 ? repIndex + 1 : null };
+      const location = getLocation(segment.segmentId, fieldNum, position.repNum);
+
+      if (fieldDef.maxLength && repValue.length > fieldDef.maxLength) {
+        issues.push(createIssue('warning', segmentIndex, segment.segmentId, position,
+          'exceeds maximum length',
+          `${location} is ${repValue.length} characters long (maximum ${fieldDef.maxLength})`));
+      }
+
+      if (isEncodingField) return;
+
+      checkValue(issues, repValue, dataType, segment, segmentIndex, position, 0);
+
+      if (table) {
+        const code = repValue.split(segment.componentSeparator)[0].trim();
+        if (code && code !== '""' && !Object.prototype.hasOwnProperty.call(table.values, code)) {
+          issues.push(createIssue('warning', segmentIndex, segment.segmentId, position,
+            `value not in table ${fieldDef.table} (${table.name})`,
+            `${location} "${code}" is not a value of table ${fieldDef.table} (${table.name})`));
+        }
+      }
+    });
+  }
+
+  /**
+   * Check one segment's fields against its definition
+   */
+  function checkSegment(issues, segment, segmentIndex, version) {
+    const segmentId = segment.segmentId;
+    const segmentDef = HL7Dictionary.getSegment(segmentId, version);
+
+    if (!segmentDef) {
+      // Z-segments are custom by definition; anything else unknown is worth pointing out
+      if (!segmentId.startsWith('Z')) {
+        issues.push(createIssue('info', segmentIndex, segmentId, {}, 'undefined segment',
+          `${segmentId} is not defined in the HL7 v${version} definitions`));
+      }
+      return;
+    }
+
+    const fieldDefs = segmentDef.fields || {};
+    const fields = getSegmentFields(segment);
+
+    // Required fields
+    Object.keys(fieldDefs).map(Number).sort((a, b) => a - b).forEach(fieldNum => {
+      const fieldDef = fieldDefs[fieldNum];
+      if (fieldDef.required && isEmpty(fields.values[fieldNum - 1])) {
+        issues.push(createIssue('error', segmentIndex, segmentId, { fieldNum: fieldNum }, 'required field missing',
+          `${segmentId}.${fieldNum} (${fieldDef.name}) is required but empty`));
+      }
+    });
+
+    // Values present in the segment
+    fields.values.forEach((fieldValue, index) => {
+      const fieldNum = index + 1;
+      if (isEmpty(fieldValue)) return;
+
+      const fieldDef = fieldDefs[fieldNum];
+      if (!fieldDef) {
+        issues.push(createIssue('info', segmentIndex, segmentId, { fieldNum: fieldNum }, 'undefined field',
+          `${segmentId}.${fieldNum} is not defined for ${segmentId} in the HL7 v${version} definitions`));
+        return;
+      }
+
+      // OBX.5 takes its data type from OBX.2
+      const dataType = segmentId === 'OBX' && fieldNum === 5
+        ? (fields.values[1] || '').trim().toUpperCase()
+        : fieldDef.dataType;
+
+      const repetitions = HL7Parser.isHeaderSegment(segmentId) && fieldNum <= 2 ? [fieldValue] : fields.repetitions[index];
+      checkField(issues, segment, segmentIndex, fieldNum, repetitions, fieldDef, dataType);
+    });
+  }
+
+  /**
+   * Validate one message, given its parsed segments (from HL7Parser.parseIntoMessages)
+   * hl7Version overrides the definition set chosen from MSH-12 ('auto' or empty to use MSH-12)
+   * Returns a list of issues: { severity, segmentIndex, segmentId, fieldNum, repNum, compNum,
+   * subcompNum, location, rule, text }, ordered by segment; issues about the whole message
+   * (missing segments and groups, see HL7Profiles) have a null segmentIndex and come first
+   */
+  function validateMessage(segments, hl7Version) {
+    const cached = cache.get(segments);
+    if (cached && cached.hl7Version === hl7Version) {
+      return cached.issues;
+    }
+
+    const issues = [];
+    const msh = segments[0] && segments[0].segmentId === 'MSH' ? segments[0] : null;
+    const versionId = msh ? HL7Parser.getMessageVersionId(msh.fields, msh.componentSeparator) : '';
+    const version = HL7Dictionary.resolveVersion(versionId, hl7Version);
+
+    if (segments.length > 0 && !msh) {
+      issues.push(createIssue('error', 0, segments[0].segmentId, {}, 'MSH is not the first segment',
+        `The message starts with ${segments[0].segmentId} instead of an MSH segment`));
+    }
+
+    const occurrences = {};
+    segments.forEach((segment, segmentIndex) => {
+      const segmentId = segment.segmentId;
+      occurrences[segmentId] = (occurrences[segmentId] || 0) + 1;
+
+      if (SINGLE_SEGMENTS.includes(segmentId) && occurrences[segmentId] === 2) {
+        issues.push(createIssue('error', segmentIndex, segmentId, {}, 'segment repeated',
+          `${segmentId} may only appear once in a message`));
+      }
+
+      checkSegment(issues, segment, segmentIndex, version);
+    });
+
+    const structure = msh ? HL7Profiles.checkStructure(segments) : null;
+    if (structure) {
+      structure.problems.forEach(problem => {
+        issues.push(createIssue(problem.severity, problem.segmentIndex, problem.segmentId, {}, problem.rule, problem.text));
+      });
+      issues.sort((a, b) => (a.segmentIndex === null ? -1 : a.segmentIndex) - (b.segmentIndex === null ? -1 : b.segmentIndex));
+    }
+
+    cache.set(segments, { hl7Version: hl7Version, issues: issues });
+    return issues;
+  }
+
+  /**
+   * Validate a batch envelope (see HL7Parser.createMessageList): each envelope segment's fields,
+   * headers and trailers that don't pair up, and the trailers' counts - BTS-1 against the messages
+   * in the batch, FTS-1 against the batches in the file (or its messages, when it has no batches)
+   * hl7Version picks the definition set ('auto' or empty for the default)
+   * Returns the issues of each envelope segment, by envelope index
+   */
+  function validateEnvelope(envelope, hl7Version) {
+    const version = HL7Dictionary.resolveVersion('', hl7Version);
+
+    return envelope.map(entry => {
+      const issues = [];
+      const segment = entry.segment;
+      const segmentId = segment.segmentId;
+      checkSegment(issues, segment, 0, version);
+
+      if (ENVELOPE_TRAILERS[segmentId]) {
+        if (entry.trailer < 0) {
+          issues.push(createIssue('warning', 0, segmentId, {}, 'trailer missing',
+            `${segmentId} is not closed by a ${ENVELOPE_TRAILERS[segmentId]} segment`));
+        }
+        return issues;
+      }
+
+      const headerId = segmentId === 'FTS' ? 'FHS' : 'BHS';
+      if (entry.header < 0) {
+        issues.push(createIssue('warning', 0, segmentId, {}, 'header missing',
+          `${segmentId} does not close a ${headerId} segment`));
+        return issues;
+      }
+
+      const header = envelope[entry.header];
+      const countsBatches = segmentId === 'FTS' && header.batchCount > 0;
+      const actual = countsBatches ? header.batchCount : header.endMessage - header.messageIndex;
+      const value = (segment.fields[0] || '').trim();
+      if (value && value !== '""' && Number(value) !== actual) {
+        const fieldDef = HL7Dictionary.getField(segmentId, 1, version);
+        const noun = countsBatches ? (actual === 1 ? 'batch' : 'batches') : (actual === 1 ? 'message' : 'messages');
+        issues.push(createIssue('error', 0, segmentId, { fieldNum: 1 }, 'count does not match',
+          `${segmentId}.1 (${fieldDef ? fieldDef.name : 'Count'}) is ${value} but the ${segmentId === 'FTS' ? 'file' : 'batch'} has ${actual} ${noun}`));
+      }
+      return issues;
+    });
+  }
+
+  /**
+   * Validate every message in HL7 content
+   * Returns { messages: [{ index, issues }] (only messages with issues), messageCount, counts: { error, warning, info },
+   * envelope } (envelope: the issues of each batch envelope segment, see validateEnvelope)
+   */
+  function validateContent(content, hl7Version) {
+    return validateMessageList(HL7Parser.createMessageList(content), hl7Version);
+  }
+
+  /**
+   * Validate every message in a message list (HL7Parser.createMessageList), one at a time
+   * Returns the same result as validateContent
+   */
+  function validateMessageList(messageList, hl7Version) {
+    const steps = validateMessageListSteps(messageList, hl7Version);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  /**
+   * Validate a message list as validateMessageList does, STEP_MESSAGES messages at a time: a
+   * generator that yields the fraction of the messages done so far and returns the result
+   * (see HL7Background)
+   */
+  function* validateMessageListSteps(messageList, hl7Version) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    const messages = [];
+
+    for (let index = 0; index < messageList.count; index++) {
+      if (index > 0 && index % STEP_MESSAGES === 0) yield index / messageList.count;
+
+      const issues = validateMessage(messageList.get(index).segments, hl7Version);
+      if (issues.length === 0) continue;
+      issues.forEach(issue => counts[issue.severity]++);
+      messages.push({ index: index, issues: issues });
+    }
+
+    const envelope = validateEnvelope(messageList.getEnvelope(), hl7Version);
+    return { messages: messages, messageCount: messageList.count, counts: counts, envelope: envelope };
+  }
+
+  /**
+   * Put the issues of one message (validateMessage, e.g. after it was edited) in a result of
+   * validateMessageList in place of the ones it had, updating the counts
+   */
+  function updateMessageIssues(result, index, issues) {
+    const position = result.messages.findIndex(entry => entry.index >= index);
+    const end = position === -1 ? result.messages.length : position;
+    const replaced = end < result.messages.length && result.messages[end].index === index;
+
+    if (replaced) result.messages[end].issues.forEach(issue => result.counts[issue.severity]--);
+    if (issues.length > 0) {
+      issues.forEach(issue => result.counts[issue.severity]++);
+      result.messages.splice(end, replaced ? 1 : 0, { index: index, issues: issues });
+    } else if (replaced) {
+      result.messages.splice(end, 1);
+    }
+  }
+
+  /**
+   * Get the most severe severity among issues, or null when there are none
+   */
+  function getWorstSeverity(issues) {
+    for (const severity of SEVERITIES) {
+      if (issues.some(issue => issue.severity === severity)) return severity;
+    }
+    return null;
+  }
+
+  /**
+   * Summarize issue counts, e.g. "2 errors, 1 warning"
+   */
+  function formatCounts(issues) {
+    return SEVERITIES.map(severity => {
+      const count = issues.filter(issue => issue.severity === severity).length;
+      if (!count) return '';
+      const label = severity === 'info' ? 'info' : severity + (count === 1 ? '' : 's');
+      return `${count} ${label}`;
+    }).filter(part => part).join(', ');
+  }
+
+  /**
+   * Label an issue by where it is and what kind of problem it is, e.g.
+   * "PID.8: value not in table 0001 (Administrative Sex)" (the same for every occurrence and repetition)
+   */
+  function getIssueLabel(issue) {
+    const location = getLocation(issue.segmentId, issue.fieldNum, null, issue.compNum, issue.subcompNum);
+    return `${location}: ${issue.rule}`;
+  }
+
+  // Public API
+  return {
+    SEVERITIES: SEVERITIES,
+    validateMessage: validateMessage,
+    validateContent: validateContent,
+    validateMessageList: validateMessageList,
+    validateMessageListSteps: validateMessageListSteps,
+    updateMessageIssues: updateMessageIssues,
+    validateEnvelope: validateEnvelope,
+    getWorstSeverity: getWorstSeverity,
+    formatCounts: formatCounts,
+    getIssueLabel: getIssueLabel
+  };
+
+})();
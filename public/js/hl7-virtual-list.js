@@ -0,0 +1,341 @@
+// HL7 Viewer - Virtual List Module
+// Renders a long list of items (the viewer's messages) into a container, keeping only the items
+// in and near the visible area in the DOM. Spacers above and below stand in for the others, so the
+// scrollbar reflects the whole list; items not rendered yet are given the average height of the
+// ones measured so far, so nothing has to be known about an item before it scrolls into view
+
+const HL7VirtualList = (function() {
+  'use strict';
+
+  // Pixels rendered beyond each edge of the visible area, so short scrolls don't show empty space
+  const OVERSCAN = 800;
+
+  // Estimated height of an item until items have been measured
+  const DEFAULT_ITEM_HEIGHT = 26;
+
+  // The list rendered in each container
+  const lists = new WeakMap();
+
+  /**
+   * Render a list of count items into a container, replacing its content
+   * options:
+   * - createItem(index): builds the element for an item
+   * - removeItem(element, index): optional, called before an item's element leaves the DOM
+   * - onRender(element, index): optional, called after an item's element is added
+   */
+  function create(container, count, options) {
+    destroy(container);
+    container.innerHTML = '';
+
+    const list = {
+      container: container,
+      count: count,
+      options: options,
+      heights: new Float64Array(count).fill(NaN),
+      offsets: new Float64Array(count + 1),
+      offsetsValid: false,
+      measuredHeight: 0,
+      measuredCount: 0,
+      elements: new Map(),
+      topSpacer: createSpacer(),
+      bottomSpacer: createSpacer(),
+      frame: null
+    };
+
+    list.schedule = function() {
+      if (list.frame === null) {
+        list.frame = requestAnimationFrame(function() {
+          list.frame = null;
+          update(list);
+        });
+      }
+    };
+
+    container.appendChild(list.topSpacer);
+    container.appendChild(list.bottomSpacer);
+    lists.set(container, list);
+
+    // Scrolling any ancestor (captured, since scroll events don't bubble), resizing the window or
+    // expanding a tree node can change what is visible
+    document.addEventListener('scroll', list.schedule, true);
+    window.addEventListener('resize', list.schedule);
+    container.addEventListener('click', list.schedule);
+
+    update(list);
+  }
+
+  /**
+   * Stop updating the list rendered in a container (its elements are left as they are)
+   */
+  function destroy(container) {
+    const list = lists.get(container);
+    if (!list) return;
+
+    document.removeEventListener('scroll', list.schedule, true);
+    window.removeEventListener('resize', list.schedule);
+    container.removeEventListener('click', list.schedule);
+    if (list.frame !== null) cancelAnimationFrame(list.frame);
+    lists.delete(container);
+  }
+
+  /**
+   * Create an empty spacer element
+   */
+  function createSpacer() {
+    const spacer = document.createElement('div');
+    spacer.className = 'hl7-virtual-spacer';
+    return spacer;
+  }
+
+  // ========================================
+  // HEIGHTS
+  // ========================================
+
+  /**
+   * Get an item's height: as measured, or the average of the measured items
+   */
+  function getHeight(list, index) {
+    const height = list.heights[index];
+    if (!isNaN(height)) return height;
+    return list.measuredCount > 0 ? list.measuredHeight / list.measuredCount : DEFAULT_ITEM_HEIGHT;
+  }
+
+  /**
+   * Record the heights of the rendered items (the distance from each to the next, margins included)
+   * Only rendered items are measured; items that are not laid out (hidden) are left unmeasured
+   */
+  function measure(list) {
+    const indexes = Array.from(list.elements.keys()).sort((a, b) => a - b);
+
+    indexes.forEach((index, i) => {
+      const element = list.elements.get(index);
+      const next = i + 1 < indexes.length ? list.elements.get(indexes[i + 1]) : list.bottomSpacer;
+      const height = next.getBoundingClientRect().top - element.getBoundingClientRect().top;
+      if (height <= 0 || height === list.heights[index]) return;
+
+      if (isNaN(list.heights[index])) {
+        list.measuredCount++;
+      } else {
+        list.measuredHeight -= list.heights[index];
+      }
+      list.measuredHeight += height;
+      list.heights[index] = height;
+      list.offsetsValid = false;
+    });
+  }
+
+  /**
+   * Get the offset of each item from the top of the list (offsets[count] is the list's height),
+   * recomputed after measuring corrects any heights
+   */
+  function getOffsets(list) {
+    if (!list.offsetsValid) {
+      for (let index = 0; index < list.count; index++) {
+        list.offsets[index + 1] = list.offsets[index] + getHeight(list, index);
+      }
+      list.offsetsValid = true;
+    }
+    return list.offsets;
+  }
+
+  /**
+   * Find the first item ending below top and the last item starting above bottom
+   */
+  function findRange(list, top, bottom) {
+    const offsets = getOffsets(list);
+    let low = 0;
+    let high = list.count - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle + 1] > top) high = middle; else low = middle + 1;
+    }
+    const first = low;
+
+    high = list.count - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (offsets[middle] < bottom) low = middle; else high = middle - 1;
+    }
+    return { first: first, last: low };
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  /**
+   * Get the visible part of the list, in pixels from its top ({ top, bottom }), and the element
+   * that scrolls it: the window's viewport clipped by any ancestor that hides its overflow
+   */
+  function getViewport(list) {
+    const origin = list.topSpacer.getBoundingClientRect().top;
+    let top = 0;
+    let bottom = window.innerHeight;
+    let scroller = null;
+
+    for (let element = list.container.parentElement; element && element !== document.body; element = element.parentElement) {
+      const overflow = getComputedStyle(element).overflowY;
+      if (overflow === 'visible') continue;
+
+      const rect = element.getBoundingClientRect();
+      top = Math.max(top, rect.top);
+      bottom = Math.min(bottom, rect.bottom);
+      if (!scroller && (overflow === 'auto' || overflow === 'scroll') && element.scrollHeight > element.clientHeight) {
+        scroller = element;
+      }
+    }
+
+    return { top: top - origin, bottom: bottom - origin, scroller: scroller || document.scrollingElement || document.documentElement };
+  }
+
+  /**
+   * Render exactly the items first to last, keeping the elements of those already rendered
+   */
+  function renderRange(list, first, last) {
+    list.elements.forEach((element, index) => {
+      if (index >= first && index <= last) return;
+      // Leave an edit in progress the way clicking elsewhere does, before its element goes
+      if (element.contains(document.activeElement)) document.activeElement.blur();
+      if (list.options.removeItem) list.options.removeItem(element, index);
+      element.remove();
+      list.elements.delete(index);
+    });
+
+    const created = [];
+    let before = list.bottomSpacer;
+    for (let index = last; index >= first; index--) {
+      let element = list.elements.get(index);
+      if (!element) {
+        element = list.options.createItem(index);
+        list.container.insertBefore(element, before);
+        list.elements.set(index, element);
+        created.push(index);
+      }
+      before = element;
+    }
+
+    if (list.options.onRender) {
+      created.reverse().forEach(index => list.options.onRender(list.elements.get(index), index));
+    }
+  }
+
+  /**
+   * Size the spacers for the items above and below the rendered ones
+   */
+  function updateSpacers(list, first, last) {
+    const offsets = getOffsets(list);
+    list.topSpacer.style.height = offsets[first] + 'px';
+    list.bottomSpacer.style.height = (offsets[list.count] - offsets[last + 1]) + 'px';
+  }
+
+  /**
+   * Render the items in and near the visible area. The first visible item stays where it is on
+   * screen, so items above it getting their measured heights don't make the page jump
+   */
+  function update(list) {
+    // Content replaced by something else: the list is gone
+    if (!list.topSpacer.isConnected) {
+      destroy(list.container);
+      return;
+    }
+    // Hidden (e.g. another page is shown): what was rendered stays until the list is shown again,
+    // but a list rendered while hidden starts with the first items
+    if (list.count === 0 || (list.container.offsetParent === null && list.elements.size > 0)) return;
+
+    const viewport = getViewport(list);
+    const origin = list.topSpacer.getBoundingClientRect().top;
+    const visibleTop = origin + viewport.top;
+    const visibleBottom = origin + viewport.bottom;
+
+    // The first visible item and where it is on screen, before measuring changes any heights
+    let anchor = null;
+    let anchorTop = 0;
+    list.elements.forEach((element, index) => {
+      const rect = element.getBoundingClientRect();
+      if (rect.bottom > visibleTop && rect.top < visibleBottom && (anchor === null || index < anchor)) {
+        anchor = index;
+        anchorTop = rect.top;
+      }
+    });
+
+    measure(list);
+
+    // Measuring changes the estimates of the items above the anchor, so the visible area is found
+    // from the anchor's new offset
+    let top = viewport.top;
+    if (anchor !== null) {
+      top = getOffsets(list)[anchor] - (anchorTop - visibleTop);
+    } else {
+      // Nothing rendered is visible (a jump): the item at the top of the visible area is kept where
+      // its estimate puts it
+      anchor = findRange(list, top, top).first;
+      anchorTop = visibleTop + getOffsets(list)[anchor] - top;
+    }
+    const bottom = top + viewport.bottom - viewport.top;
+
+    const range = findRange(list, top - OVERSCAN, bottom + OVERSCAN);
+    renderRange(list, range.first, range.last);
+    measure(list);
+    updateSpacers(list, range.first, range.last);
+
+    const shift = list.elements.get(anchor).getBoundingClientRect().top - anchorTop;
+    if (shift) viewport.scroller.scrollTop += shift;
+  }
+
+  // ========================================
+  // ITEMS
+  // ========================================
+
+  /**
+   * Build a rendered item's element again (e.g. after the item changed); items not rendered are
+   * built when they scroll into view
+   */
+  function refreshItem(container, index) {
+    const list = lists.get(container);
+    const oldElement = list ? list.elements.get(index) : null;
+    if (!oldElement) return;
+
+    if (list.options.removeItem) list.options.removeItem(oldElement, index);
+    const element = list.options.createItem(index);
+    oldElement.replaceWith(element);
+    list.elements.set(index, element);
+    if (list.options.onRender) list.options.onRender(element, index);
+    list.schedule();
+  }
+
+  /**
+   * Scroll an item to the top of the visible area, rendering it
+   * Returns its element, or null when the index is out of range
+   */
+  function scrollToItem(container, index) {
+    const list = lists.get(container);
+    if (!list || index < 0 || index >= list.count) return null;
+
+    const viewport = getViewport(list);
+    viewport.scroller.scrollTop += getOffsets(list)[index] - viewport.top;
+    update(list);
+
+    const element = list.elements.get(index) || null;
+    // Measuring the newly rendered items may have moved it: align it exactly
+    if (element) element.scrollIntoView({ block: 'start' });
+    return element;
+  }
+
+  /**
+   * Get the element of a rendered item, or null
+   */
+  function getItemElement(container, index) {
+    const list = lists.get(container);
+    return list ? list.elements.get(index) || null : null;
+  }
+
+  // Public API
+  return {
+    create: create,
+    destroy: destroy,
+    refreshItem: refreshItem,
+    scrollToItem: scrollToItem,
+    getItemElement: getItemElement
+  };
+
+})();
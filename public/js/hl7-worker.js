@@ -0,0 +1,34 @@
+// HL7 Viewer - Background Worker
+// Started by HL7Background. The first message from the page ('init') carries the user definitions
+// from localStorage, which workers can't read; the modules the tasks need are loaded with them in
+// place, and HL7Background handles the page's messages from then on
+
+self.onmessage = function(e) {
+  'use strict';
+
+  if (e.data.type !== 'init') return;
+
+  // Read-only stand-in for localStorage, for HL7Dictionary and HL7Profiles
+  const storage = e.data.storage;
+  self.localStorage = {
+    getItem: key => Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null,
+    setItem: function() {},
+    removeItem: function() {}
+  };
+
+  importScripts(
+    'hl7-fields.js',
+    'hl7-dictionary.js',
+    'hl7-structures.js',
+    'hl7-profiles.js',
+    'hl7-escape.js',
+    'hl7-parser.js',
+    'hl7-validator.js',
+    'stats.js',
+    'hl7-search.js',
+    'hl7-background.js'
+  );
+
+  self.onmessage = HL7Background.handleWorkerMessage;
+  self.postMessage({ type: 'ready' });
+};
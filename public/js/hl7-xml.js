@@ -0,0 +1,364 @@
+// HL7 Viewer - HL7 v2 XML Module
+// Converts between the pipe-delimited HL7 encoding and the HL7 v2 XML encoding, where a message is
+// an element named after its structure (ADT_A01) holding segment elements (PID), field elements
+// (PID.5), component elements named after the field's data type (XPN.1) and subcomponent elements
+// named after the component's (FN.1). Groups of the message structure (ADT_A01.INSURANCE) are
+// written when the structure is known, and passed through when read
+
+const HL7Xml = (function() {
+  'use strict';
+
+  // Namespace of the HL7 v2 XML encoding
+  const NAMESPACE = 'urn:hl7-org:v2xml';
+
+  // Element around several messages written out together (the encoding has no element of its own
+  // for them; any element around messages is read)
+  const MESSAGES_ELEMENT = 'HL7Messages';
+
+  // Element names used when a message's structure and type are unknown
+  const DEFAULT_MESSAGE_ELEMENT = 'HL7Message';
+
+  // Escape sequences for the delimiters, which XML holds as plain characters; other escape
+  // sequences (\.br\, \H\...) are written as <escape V="..."/> elements
+  const DELIMITER_ESCAPES = ['F', 'S', 'T', 'R', 'E'];
+
+  // Indentation of each level of the written XML
+  const INDENT = '  ';
+
+  // ========================================
+  // WRITING XML
+  // ========================================
+
+  /**
+   * Escape text for XML content or an attribute
+   */
+  function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Make a name usable as an XML element name
+   */
+  function toElementName(name) {
+    const elementName = name.replace(/[^A-Za-z0-9_.-]/g, '_');
+    return /^[A-Za-z_]/.test(elementName) ? elementName : '_' + elementName;
+  }
+
+  /**
+   * Write an element; empty content makes an empty element
+   */
+  function writeElement(name, content) {
+    return content ? `<${name}>${content}</${name}>` : `<${name}/>`;
+  }
+
+  /**
+   * Write a value that is not split any further as XML content: escape sequences for delimiters
+   * become the delimiters themselves, and other escape sequences <escape V="..."/> elements
+   */
+  function writeValue(value, encoding) {
+    const esc = encoding.escapeCharacter;
+    if (!esc || value.indexOf(esc) < 0) return escapeXml(value);
+
+    let result = '';
+    let index = 0;
+    while (index < value.length) {
+      const end = value[index] === esc ? value.indexOf(esc, index + 1) : -1;
+      if (end < 0) {
+        result += escapeXml(value[index]);
+        index++;
+        continue;
+      }
+
+      const sequence = value.substring(index + 1, end);
+      result += DELIMITER_ESCAPES.includes(sequence)
+        ? escapeXml(HL7Escape.decode(esc + sequence + esc, encoding))
+        : `<escape V="${escapeXml(sequence)}"/>`;
+      index = end + 1;
+    }
+    return result;
+  }
+
+  /**
+   * Check whether a data type has components
+   */
+  function isComposite(dataType) {
+    const definition = HL7Dictionary.getDataType(dataType);
+    return !!(definition && definition.components);
+  }
+
+  /**
+   * Get the data type of a component of a data type, or undefined
+   */
+  function getComponentDataType(dataType, compNum) {
+    const definition = HL7Dictionary.getDataType(dataType);
+    const component = definition && definition.components ? definition.components[compNum] : null;
+    return component ? component.dataType : undefined;
+  }
+
+  /**
+   * Get the data type of a field from its definition; OBX-5, whose type varies, takes it from OBX-2
+   */
+  function getFieldDataType(segment, fieldNum, version) {
+    if (segment.segmentId === 'OBX' && fieldNum === 5) {
+      const valueType = (segment.fields[1] || '').split(segment.componentSeparator)[0].trim();
+      if (HL7Dictionary.getDataType(valueType)) return valueType;
+    }
+    const fieldDef = HL7Dictionary.getField(segment.segmentId, fieldNum, version);
+    return fieldDef ? fieldDef.dataType : undefined;
+  }
+
+  /**
+   * Write the content of an element (name) holding a value split into parts by a separator: an
+   * element per non-empty part, named after the value's data type when it has components (or else
+   * the element's own name) and the part's number. writePart(part, partNum) writes a part's content
+   * A value with one part is written as plain content (partNum 0), unless its data type has components
+   */
+  function writeParts(name, value, separator, dataType, writePart) {
+    const parts = value.split(separator);
+    const composite = isComposite(dataType);
+    if (parts.length === 1 && !composite) return writePart(value, 0);
+
+    const partName = composite ? toElementName(dataType) : name;
+    return parts.map((part, index) =>
+      part ? writeElement(`${partName}.${index + 1}`, writePart(part, index + 1)) : '').join('');
+  }
+
+  /**
+   * Write a parsed segment (see HL7Parser.parseIntoMessages) as XML lines, its fields one per line
+   */
+  function writeSegment(segment, version, indent) {
+    const segmentId = segment.segmentId;
+    const isHeader = HL7Parser.isHeaderSegment(segmentId);
+    const lines = [];
+
+    // MSH-1 and MSH-2 (and FHS, BHS) hold the delimiters themselves
+    if (isHeader) {
+      lines.push(writeElement(`${segmentId}.1`, escapeXml(segment.fieldSeparator)));
+      lines.push(writeElement(`${segmentId}.2`, escapeXml(segment.fields[0] || '')));
+    }
+
+    segment.fields.forEach((value, index) => {
+      const fieldNum = isHeader ? index + 2 : index + 1;
+      if (!value || (isHeader && index === 0)) return;
+
+      const fieldName = `${segmentId}.${fieldNum}`;
+      const dataType = getFieldDataType(segment, fieldNum, version);
+      const writeComponent = function(component, compNum) {
+        if (compNum === 0) return writeValue(component, segment);
+        return writeParts(`${isComposite(dataType) ? toElementName(dataType) : fieldName}.${compNum}`, component,
+          segment.subcomponentSeparator, getComponentDataType(dataType, compNum),
+          subcomponent => writeValue(subcomponent, segment));
+      };
+
+      value.split(segment.repetitionSeparator).forEach(repetition => {
+        lines.push(writeElement(fieldName,
+          writeParts(fieldName, repetition, segment.componentSeparator, dataType, writeComponent)));
+      });
+    });
+
+    if (lines.length === 0) return [indent + `<${segmentId}/>`];
+    return [indent + `<${segmentId}>`]
+      .concat(lines.map(line => indent + INDENT + line))
+      .concat(indent + `</${segmentId}>`);
+  }
+
+  /**
+   * Get the element name of a message: its structure's ID (e.g. ADT_A01), or else from MSH-9
+   */
+  function getMessageName(message, structure) {
+    if (structure) return toElementName(structure.id);
+
+    const msh = message.segments.find(segment => segment.segmentId === 'MSH');
+    const parts = msh && msh.fields[7] ? msh.fields[7].split(message.componentSeparator) : [];
+    if (parts[2]) return toElementName(parts[2]);
+    if (parts[0]) return toElementName(parts[1] ? `${parts[0]}_${parts[1]}` : parts[0]);
+    return DEFAULT_MESSAGE_ELEMENT;
+  }
+
+  /**
+   * Write a parsed message (see HL7Parser.parseIntoMessages) as XML lines: its segments in the
+   * groups of its structure, when it is known (see HL7Profiles.checkStructure)
+   * hl7Version overrides the definition set (used for data types) chosen from MSH-12
+   */
+  function writeMessage(message, hl7Version, indent, attributes) {
+    const msh = message.segments.find(segment => segment.segmentId === 'MSH');
+    const versionId = msh ? HL7Parser.getMessageVersionId(msh.fields, message.componentSeparator) : '';
+    const version = HL7Dictionary.resolveVersion(versionId, hl7Version);
+    const structure = HL7Profiles.checkStructure(message.segments);
+    const name = getMessageName(message, structure);
+    const nodes = structure ? structure.nodes : message.segments.map((segment, index) => ({ segmentIndex: index }));
+
+    const writeNodes = function(children, nodeIndent) {
+      return children.reduce((lines, node) => {
+        if (node.group === undefined) {
+          return lines.concat(writeSegment(message.segments[node.segmentIndex], version, nodeIndent));
+        }
+        const groupName = `${name}.${toElementName(node.group)}`;
+        return lines.concat(nodeIndent + `<${groupName}>`, writeNodes(node.children, nodeIndent + INDENT),
+          nodeIndent + `</${groupName}>`);
+      }, []);
+    };
+
+    return [indent + `<${name}${attributes || ''}>`]
+      .concat(writeNodes(nodes, indent + INDENT))
+      .concat(indent + `</${name}>`);
+  }
+
+  /**
+   * Write parsed messages as an HL7 v2 XML document: a single message is the document's root, and
+   * several are held in an HL7Messages element
+   */
+  function fromMessages(messages, hl7Version) {
+    const namespace = ` xmlns="${NAMESPACE}"`;
+    let lines;
+    if (messages.length === 1) {
+      lines = writeMessage(messages[0], hl7Version, '', namespace);
+    } else {
+      lines = [`<${MESSAGES_ELEMENT}${namespace}>`]
+        .concat(...messages.map(message => writeMessage(message, hl7Version, INDENT)))
+        .concat(`</${MESSAGES_ELEMENT}>`);
+    }
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + lines.join('\n') + '\n';
+  }
+
+  // ========================================
+  // READING XML
+  // ========================================
+
+  /**
+   * Get an element's child elements
+   */
+  function getChildElements(element) {
+    return Array.from(element.childNodes).filter(node => node.nodeType === 1);
+  }
+
+  /**
+   * Get the number at the end of an element's name (5 for PID.5, 1 for XPN.1), or 0
+   */
+  function getElementNumber(element) {
+    const match = /\.(\d+)$/.exec(element.localName);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Find the message elements (those holding an MSH element) in and under an element
+   */
+  function findMessageElements(element, messages) {
+    const children = getChildElements(element);
+    if (children.some(child => child.localName === 'MSH')) {
+      messages.push(element);
+    } else {
+      children.forEach(child => findMessageElements(child, messages));
+    }
+    return messages;
+  }
+
+  /**
+   * Find the segment elements of a message, in order, inside any groups
+   */
+  function findSegmentElements(element, segments) {
+    getChildElements(element).forEach(child => {
+      if (/^[A-Z0-9]{3}$/.test(child.localName)) {
+        segments.push(child);
+      } else {
+        findSegmentElements(child, segments);
+      }
+    });
+    return segments;
+  }
+
+  /**
+   * Read an element's content as an HL7 value: its parts (elements numbered by name, see
+   * getElementNumber) joined with the separators for its level (0 for a field repetition, 1 for a
+   * component, 2 for a subcomponent), or its text, with delimiters escaped and <escape> elements
+   * turned back into escape sequences
+   */
+  function readValue(element, level, encoding) {
+    const parts = getChildElements(element).filter(child => getElementNumber(child) > 0);
+    if (parts.length > 0 && level < 2) {
+      const values = [];
+      parts.forEach(part => {
+        values[getElementNumber(part) - 1] = readValue(part, level + 1, encoding);
+      });
+      const separator = level === 0 ? encoding.componentSeparator : encoding.subcomponentSeparator;
+      return Array.from(values, value => value || '').join(separator);
+    }
+
+    return Array.from(element.childNodes).map(node => {
+      if (node.nodeType === 3 || node.nodeType === 4) return HL7Escape.encode(node.nodeValue, encoding);
+      if (node.nodeType === 1 && node.localName === 'escape') {
+        return encoding.escapeCharacter + (node.getAttribute('V') || '') + encoding.escapeCharacter;
+      }
+      return '';
+    }).join('');
+  }
+
+  /**
+   * Read a segment element as a pipe-delimited segment line. Header segments (MSH, FHS, BHS) set
+   * the encoding characters (encoding) the rest of the message is written with
+   */
+  function readSegment(element, encoding) {
+    const segmentId = element.localName;
+    const isHeader = HL7Parser.isHeaderSegment(segmentId);
+
+    // Each field's repetitions, by field number
+    const fields = [];
+    getChildElements(element).forEach(child => {
+      const fieldNum = getElementNumber(child);
+      if (fieldNum > 0) (fields[fieldNum] = fields[fieldNum] || []).push(child);
+    });
+
+    if (isHeader) {
+      const separator = fields[1] ? fields[1][0].textContent : '';
+      const characters = fields[2] ? fields[2][0].textContent : '';
+      if (separator) encoding.fieldSeparator = separator[0];
+      if (characters.length > 0) encoding.componentSeparator = characters[0];
+      if (characters.length > 1) encoding.repetitionSeparator = characters[1];
+      if (characters.length > 2) encoding.escapeCharacter = characters[2];
+      if (characters.length > 3) encoding.subcomponentSeparator = characters[3];
+    }
+
+    const values = [];
+    for (let fieldNum = isHeader ? 3 : 1; fieldNum < fields.length; fieldNum++) {
+      values.push((fields[fieldNum] || []).map(repetition => readValue(repetition, 0, encoding))
+        .join(encoding.repetitionSeparator));
+    }
+
+    const separator = encoding.fieldSeparator;
+    if (isHeader) {
+      const characters = fields[2] ? fields[2][0].textContent : '';
+      return segmentId + separator + characters + values.map(value => separator + value).join('');
+    }
+    return segmentId + values.map(value => separator + value).join('');
+  }
+
+  /**
+   * Convert HL7 v2 XML to pipe-delimited HL7: every element holding an MSH element is a message,
+   * wherever it is in the document. Segments are ended with \r, and messages put on lines of their own
+   * Throws an Error when the XML is not well-formed or holds no messages
+   */
+  function toER7(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The XML is not well-formed');
+    }
+
+    const messages = findMessageElements(doc.documentElement, []);
+    if (messages.length === 0) {
+      throw new Error('No HL7 v2 XML messages (elements holding an MSH element) were found');
+    }
+
+    return messages.map(message => {
+      const encoding = Object.assign({}, HL7Escape.DEFAULT_ENCODING);
+      return findSegmentElements(message, []).map(segment => readSegment(segment, encoding)).join('\r') + '\r';
+    }).join('\n');
+  }
+
+  // Public API
+  return {
+    NAMESPACE: NAMESPACE,
+    fromMessages: fromMessages,
+    toER7: toER7
+  };
+
+})();
@@ -4,6 +4,12 @@
 const HL7Stats = (function() {
   'use strict';
 
+  // Pseudo field references for validation issues (see HL7Validator), by the severity they select
+  const VALIDATION_REFERENCES = { ERRORS: 'error', WARNINGS: 'warning', ISSUES: 'all' };
+
+  // Messages filtered and counted between the progress steps of extractFieldValueSteps
+  const STEP_MESSAGES = 1000;
+
   /**
    * Parse a filter expression like "PV1.2 = E", "PV1.2 != E", or "PID.5 exists"
    * Returns { fieldRef, operator, value } or null if invalid
@@ -52,53 +58,66 @@ const HL7Stats = (function() {
 
   /**
    * Check if a message matches a single filter condition
+   * hl7Version is the definition set used for validation filters ('auto' uses each message's MSH-12)
    */
-  function messageMatchesSingleFilter(messageSegments, filter, componentSeparator, subcomponentSeparator) {
+  function messageMatchesSingleFilter(messageSegments, filter, componentSeparator, subcomponentSeparator, repetitionSeparator, hl7Version) {
     const parsed = parseFieldReference(filter.fieldRef);
     if (!parsed) return true; // No valid filter = include all
 
-    // Find the segment in this message
-    const segment = messageSegments.find(s => s.segmentId === parsed.segment);
-    if (!segment) {
-      // Segment not found - negation operators match, positive operators don't
-      return filter.operator === '!=' || filter.operator === '!contains' || filter.operator === '!exists';
+    let values;
+    if (parsed.validation) {
+      // One value per validation issue (none when the message is valid)
+      values = extractValidationValues(messageSegments, parsed.validation, hl7Version);
+    } else {
+      // Find the segment in this message
+      const segment = messageSegments.find(s => s.segmentId === parsed.segment);
+      if (!segment) {
+        // Segment not found - negation operators match, positive operators don't
+        return filter.operator === '!=' || filter.operator === '!contains' || filter.operator === '!exists';
+      }
+
+      // Extract the field value(s) - a wildcard repetition yields one value per repetition
+      values = extractValuesFromSegment(
+        segment,
+        parsed,
+        componentSeparator,
+        subcomponentSeparator,
+        repetitionSeparator
+      );
     }
 
-    // Extract the field value
-    const value = extractValueFromSegment(
-      segment,
-      parsed.field,
-      parsed.component,
-      parsed.subcomponent,
-      componentSeparator,
-      subcomponentSeparator
-    );
-
-    const fieldValue = (value || '').trim().toUpperCase();
     const filterValue = filter.value.trim().toUpperCase();
 
+    // Positive operators match if any value matches; negated operators match only if no value matches
     switch (filter.operator) {
       case '=':
-        return fieldValue === filterValue;
+        return values.some(v => normalizeFilterValue(v) === filterValue);
       case '!=':
-        return fieldValue !== filterValue;
+        return values.every(v => normalizeFilterValue(v) !== filterValue);
       case 'contains':
-        return fieldValue.includes(filterValue);
+        return values.some(v => normalizeFilterValue(v).includes(filterValue));
       case '!contains':
-        return !fieldValue.includes(filterValue);
+        return values.every(v => !normalizeFilterValue(v).includes(filterValue));
       case 'exists':
-        return fieldValue.length > 0;
+        return values.some(v => normalizeFilterValue(v).length > 0);
       case '!exists':
-        return fieldValue.length === 0;
+        return values.every(v => normalizeFilterValue(v).length === 0);
       default:
         return true;
     }
   }
 
+  /**
+   * Normalize a field value for case-insensitive comparison
+   */
+  function normalizeFilterValue(value) {
+    return (value || '').trim().toUpperCase();
+  }
+
   /**
    * Evaluate multiple filters against a message
    */
-  function messageMatchesFilters(messageSegments, filtersConfig, componentSeparator, subcomponentSeparator) {
+  function messageMatchesFilters(messageSegments, filtersConfig, componentSeparator, subcomponentSeparator, repetitionSeparator, hl7Version) {
     if (!filtersConfig || !filtersConfig.filters || filtersConfig.filters.length === 0) {
       return true;
     }
@@ -114,7 +133,9 @@ const HL7Stats = (function() {
           messageSegments,
           parsedFilter,
           componentSeparator,
-          subcomponentSeparator
+          subcomponentSeparator,
+          repetitionSeparator,
+          hl7Version
         );
       } else {
         // Invalid filter expression - treat as true to not exclude messages
@@ -270,58 +291,117 @@ const HL7Stats = (function() {
    * Legacy single filter check (for backwards compatibility)
    */
   function messageMatchesFilter(messageSegments, filter, fieldSeparator, componentSeparator, subcomponentSeparator) {
-    return messageMatchesSingleFilter(messageSegments, filter, componentSeparator, subcomponentSeparator);
+    return messageMatchesSingleFilter(messageSegments, filter, componentSeparator, subcomponentSeparator, '~');
   }
 
   /**
-   * Extract value from a parsed segment object
+   * Extract the value(s) a parsed field reference points to from a parsed segment object
+   * Returns an array with one value, or one value per repetition for a wildcard (*) reference
    */
-  function extractValueFromSegment(segment, fieldNum, compNum, subcompNum, compSep, subcompSep) {
+  function extractValuesFromSegment(segment, fieldRef, compSep, subcompSep, repSep) {
     let fieldValue;
 
     if (segment.segmentId === 'MSH') {
-      if (fieldNum === 1) return segment.fieldSeparator;
-      if (fieldNum === 2) return segment.fields[0] || '';
-      const fieldIndex = fieldNum - 2;
-      if (fieldIndex < 0 || fieldIndex >= segment.fields.length) return '';
+      if (fieldRef.field === 1) return [segment.fieldSeparator];
+      if (fieldRef.field === 2) return [segment.fields[0] || ''];
+      const fieldIndex = fieldRef.field - 2;
+      if (fieldIndex < 0 || fieldIndex >= segment.fields.length) return [''];
       fieldValue = segment.fields[fieldIndex];
     } else {
-      const fieldIndex = fieldNum - 1;
-      if (fieldIndex < 0 || fieldIndex >= segment.fields.length) return '';
+      const fieldIndex = fieldRef.field - 1;
+      if (fieldIndex < 0 || fieldIndex >= segment.fields.length) return [''];
       fieldValue = segment.fields[fieldIndex];
     }
 
-    return extractComponentValue(fieldValue, compNum, subcompNum, compSep, subcompSep);
+    const repetitions = fieldValue && repSep ? fieldValue.split(repSep) : [fieldValue || ''];
+    let values;
+
+    if (fieldRef.repetition === '*') {
+      values = repetitions.map(rep => extractComponentValue(rep, fieldRef.component, fieldRef.subcomponent, compSep, subcompSep));
+    } else if (fieldRef.repetition) {
+      const repValue = repetitions[fieldRef.repetition - 1] || '';
+      values = [extractComponentValue(repValue, fieldRef.component, fieldRef.subcomponent, compSep, subcompSep)];
+    } else if (!fieldRef.component) {
+      // No repetition given: the whole field...
+      values = [fieldValue || ''];
+    } else {
+      // ...or a component of its first repetition
+      values = [extractComponentValue(repetitions[0], fieldRef.component, fieldRef.subcomponent, compSep, subcompSep)];
+    }
+
+    // Compare and count values with their escape sequences (\T\, \.br\, ...) decoded
+    return values.map(value => HL7Escape.decode(value, segment));
   }
 
   /**
-   * Parse a field reference like "FT1.13" or "PID.5.1" into components
-   * Returns { segment, field, component, subcomponent } or null if invalid
+   * Get the value a parsed field reference points to in a parsed message, from the first segment
+   * it names ('' when the message has no such segment). Wildcard repetitions are joined with the
+   * message's repetition separator
+   */
+  function getMessageFieldValue(message, fieldRef) {
+    const segment = message.segments.find(s => s.segmentId === fieldRef.segment);
+    if (!segment) return '';
+
+    return extractValuesFromSegment(
+      segment,
+      fieldRef,
+      message.componentSeparator,
+      message.subcomponentSeparator,
+      message.repetitionSeparator
+    ).join(message.repetitionSeparator);
+  }
+
+  /**
+   * Get the labels of a message's validation issues of a severity ('all' for any severity)
+   */
+  function extractValidationValues(messageSegments, severity, hl7Version) {
+    return HL7Validator.validateMessage(messageSegments, hl7Version)
+      .filter(issue => severity === 'all' || issue.severity === severity)
+      .map(HL7Validator.getIssueLabel);
+  }
+
+  /**
+   * Parse a field reference like "FT1.13", "PID.5.1", "PID.3(2).1" or "PID.3(*).1" into components
+   * Returns { segment, field, repetition, component, subcomponent } or null if invalid
+   * repetition is a 1-based number, '*' for every repetition, or undefined when not given
+   * ERRORS, WARNINGS and ISSUES refer to validation issues instead and return { validation: severity }
    */
   function parseFieldReference(fieldRef) {
     if (!fieldRef || typeof fieldRef !== 'string') return null;
 
     const trimmed = fieldRef.trim().toUpperCase();
-    const parts = trimmed.split('.');
-
-    if (parts.length < 2 || parts.length > 4) return null;
+    if (VALIDATION_REFERENCES[trimmed]) {
+      return { validation: VALIDATION_REFERENCES[trimmed] };
+    }
+    const match = trimmed.match(/^([A-Z0-9]+)\.(\d+)(?:\((\d+|\*)\))?(?:\.(\d+))?(?:\.(\d+))?$/);
+    if (!match) return null;
 
-    const segment = parts[0];
-    const field = parseInt(parts[1], 10);
+    const segment = match[1];
+    const field = parseInt(match[2], 10);
 
-    if (!segment || isNaN(field) || field < 1) return null;
+    if (field < 1) return null;
 
     const result = { segment, field };
 
-    if (parts.length >= 3) {
-      const component = parseInt(parts[2], 10);
-      if (isNaN(component) || component < 1) return null;
+    if (match[3] !== undefined) {
+      if (match[3] === '*') {
+        result.repetition = '*';
+      } else {
+        const repetition = parseInt(match[3], 10);
+        if (repetition < 1) return null;
+        result.repetition = repetition;
+      }
+    }
+
+    if (match[4] !== undefined) {
+      const component = parseInt(match[4], 10);
+      if (component < 1) return null;
       result.component = component;
     }
 
-    if (parts.length === 4) {
-      const subcomponent = parseInt(parts[3], 10);
-      if (isNaN(subcomponent) || subcomponent < 1) return null;
+    if (match[5] !== undefined) {
+      const subcomponent = parseInt(match[5], 10);
+      if (subcomponent < 1) return null;
       result.subcomponent = subcomponent;
     }
 
@@ -330,76 +410,10 @@ const HL7Stats = (function() {
 
   /**
    * Parse HL7 content into structured messages for filtering
+   * Uses the viewer's parser so standard, Z- and other custom segments are all kept
    */
   function parseMessagesForFiltering(content) {
-    const lines = content.split(/\r\n|\n|\r/);
-    const messages = [];
-    let currentMessage = null;
-    let fieldSeparator = '|';
-    let componentSeparator = '^';
-    let subcomponentSeparator = '&';
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (!trimmedLine) continue;
-
-      const segmentId = trimmedLine.substring(0, 3);
-
-      if (segmentId === 'MSH') {
-        // Save previous message
-        if (currentMessage) {
-          messages.push(currentMessage);
-        }
-
-        // Parse encoding characters
-        if (trimmedLine.length > 3) {
-          fieldSeparator = trimmedLine[3];
-        }
-        if (trimmedLine.length > 7) {
-          const encodingChars = trimmedLine.substring(4, 8);
-          componentSeparator = encodingChars[0] || '^';
-          subcomponentSeparator = encodingChars[3] || '&';
-        }
-
-        currentMessage = {
-          fieldSeparator,
-          componentSeparator,
-          subcomponentSeparator,
-          segments: []
-        };
-      }
-
-      if (currentMessage && HL7_SEGMENT_IDS.includes(segmentId)) {
-        // Parse segment fields
-        let fields;
-        if (segmentId === 'MSH') {
-          const afterSep = trimmedLine.substring(4);
-          fields = afterSep.split(fieldSeparator);
-        } else {
-          const afterId = trimmedLine.substring(3);
-          if (afterId.startsWith(fieldSeparator)) {
-            fields = afterId.substring(1).split(fieldSeparator);
-          } else {
-            fields = afterId.split(fieldSeparator);
-          }
-        }
-
-        currentMessage.segments.push({
-          segmentId,
-          fields,
-          fieldSeparator,
-          componentSeparator,
-          subcomponentSeparator
-        });
-      }
-    }
-
-    // Don't forget the last message
-    if (currentMessage) {
-      messages.push(currentMessage);
-    }
-
-    return messages;
+    return HL7Parser.parseIntoMessages(content);
   }
 
   /**
@@ -407,24 +421,36 @@ const HL7Stats = (function() {
    * Returns an array of { messageIndex, value } objects
    * Supports optional filtersConfig to only include matching messages
    * If fieldRef is empty, only returns filter results without field analysis
+   * hl7Version is the definition set used for validation ('auto' uses each message's MSH-12)
+   * sources, when given, are the files the messages came from ({ name, firstMessage, messageCount },
+   * see HL7Parser.createMessageList): the results are also broken down by file
+   */
+  function extractFieldValues(content, fieldRef, filtersConfig, hl7Version, sources) {
+    const steps = extractFieldValueSteps(HL7Parser.createMessageList(content), fieldRef, filtersConfig, hl7Version, sources);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  /**
+   * Extract field values as extractFieldValues does, from a message list (HL7Parser.createMessageList),
+   * STEP_MESSAGES messages at a time: a generator that yields the fraction of the messages done so
+   * far and returns the result (see HL7Background)
    */
-  function extractFieldValues(content, fieldRef, filtersConfig) {
+  function* extractFieldValueSteps(messages, fieldRef, filtersConfig, hl7Version, sources) {
     // If no field specified, we're only filtering (no field analysis)
     const filterOnly = !fieldRef || !fieldRef.trim();
 
     let parsed = null;
     if (!filterOnly) {
       parsed = parseFieldReference(fieldRef);
-      if (!parsed) return { error: 'Invalid field reference. Use format like PID.5, FT1.13, or MSH.9.1' };
+      if (!parsed) return { error: 'Invalid field reference. Use format like PID.5, FT1.13, MSH.9.1, PID.3(2).1, or ERRORS' };
     }
 
-    // Parse all messages first
-    const messages = parseMessagesForFiltering(content);
-    const totalMessages = messages.length;
+    const totalMessages = messages.count;
 
     // Apply filters if provided
-    let filteredMessages = messages;
-    let filteredCount = totalMessages;
+    let filteredMessages = [];
     let hasValidFilters = false;
     let filterDescription = '';
 
@@ -458,11 +484,6 @@ const HL7Stats = (function() {
 
       hasValidFilters = true;
 
-      filteredMessages = messages.filter((msg) =>
-        messageMatchesFilters(msg.segments, filtersConfig, msg.componentSeparator, msg.subcomponentSeparator)
-      );
-      filteredCount = filteredMessages.length;
-
       // Build filter description for display
       if (filtersConfig.filters.length === 1) {
         filterDescription = filtersConfig.filters[0].expression;
@@ -476,67 +497,123 @@ const HL7Stats = (function() {
       }
     }
 
-    // Extract field values from filtered messages (only if a field is specified)
+    // Filter the messages and extract the field values from those that match (only if a field is
+    // specified), in one pass
     const results = [];
 
-    if (!filterOnly && parsed) {
-      filteredMessages.forEach((msg, idx) => {
-        // Find segments matching the target
-        const matchingSegments = msg.segments.filter(s => s.segmentId === parsed.segment);
+    // The source file of each message counted (by its number among them), when files are given
+    const messageSources = [];
+    let sourceIndex = 0;
+
+    for (let msgIndex = 0; msgIndex < totalMessages; msgIndex++) {
+      if (msgIndex > 0 && msgIndex % STEP_MESSAGES === 0) yield msgIndex / totalMessages;
 
-        if (matchingSegments.length === 0) {
-          // Segment not found in this message - count as empty
+      const msg = messages.get(msgIndex);
+      if (hasValidFilters) {
+        if (!messageMatchesFilters(msg.segments, filtersConfig, msg.componentSeparator, msg.subcomponentSeparator, msg.repetitionSeparator, hl7Version)) {
+          continue;
+        }
+        filteredMessages.push(msg);
+      }
+      if (sources) {
+        while (sourceIndex + 1 < sources.length && msgIndex >= sources[sourceIndex + 1].firstMessage) sourceIndex++;
+        messageSources.push(sourceIndex);
+      }
+      if (filterOnly) continue;
+
+      // Values are numbered by the message's position among the filtered messages
+      const idx = hasValidFilters ? filteredMessages.length - 1 : msgIndex;
+
+      if (parsed.validation) {
+        // One value per validation issue - a valid message counts as empty
+        const issueLabels = extractValidationValues(msg.segments, parsed.validation, hl7Version);
+        (issueLabels.length > 0 ? issueLabels : ['']).forEach(value => {
           results.push({
             messageIndex: idx,
-            value: ''
+            value: value
           });
-        } else {
-          // Extract value from each matching segment
-          matchingSegments.forEach(segment => {
-            const value = extractValueFromSegment(
-              segment,
-              parsed.field,
-              parsed.component,
-              parsed.subcomponent,
-              msg.componentSeparator,
-              msg.subcomponentSeparator
-            );
+        });
+        continue;
+      }
+
+      // Find segments matching the target
+      const matchingSegments = msg.segments.filter(s => s.segmentId === parsed.segment);
 
+      if (matchingSegments.length === 0) {
+        // Segment not found in this message - count as empty
+        results.push({
+          messageIndex: idx,
+          value: ''
+        });
+      } else {
+        // Extract value(s) from each matching segment
+        matchingSegments.forEach(segment => {
+          const values = extractValuesFromSegment(
+            segment,
+            parsed,
+            msg.componentSeparator,
+            msg.subcomponentSeparator,
+            msg.repetitionSeparator
+          );
+
+          values.forEach(value => {
             results.push({
               messageIndex: idx,
               value: value
             });
           });
-        }
-      });
+        });
+      }
     }
 
-    // Build raw HL7 content from filtered messages for download/view
+    // Build HL7 content from the filtered messages' original text for download/view
     let filteredHL7Content = '';
+    let filteredSourceRanges = null;
     if (hasValidFilters) {
-      filteredHL7Content = filteredMessages.map(msg => {
-        return msg.segments.map(seg => {
-          if (seg.segmentId === 'MSH') {
-            return seg.segmentId + seg.fieldSeparator + seg.fields.join(seg.fieldSeparator);
-          } else {
-            return seg.segmentId + seg.fieldSeparator + seg.fields.join(seg.fieldSeparator);
-          }
-        }).join('\r');
-      }).join('\r\r\n');
+      // The file's last message may have no trailing terminator; give it one if another message follows
+      const texts = filteredMessages.map((msg, i) => {
+        const isLast = i === filteredMessages.length - 1;
+        return isLast || /[\r\n]$/.test(msg.raw) ? msg.raw : msg.raw + '\r';
+      });
+      filteredHL7Content = texts.join('');
+      if (sources) filteredSourceRanges = getSourceRanges(texts, messageSources);
     }
 
     return {
       results,
       totalMessages,
-      filteredMessages: filteredCount,
+      filteredMessages: hasValidFilters ? filteredMessages.length : totalMessages,
       filterApplied: hasValidFilters,
       filterExpression: filterDescription,
       filtersConfig: hasValidFilters ? filtersConfig : null,
       filteredHL7Content: filteredHL7Content,
-      filterOnly: filterOnly
+      filterOnly: filterOnly,
+      sources: sources ? sources.map(source => ({ name: source.name, messageCount: source.messageCount })) : null,
+      messageSources: sources ? messageSources : null,
+      filteredSourceRanges: filteredSourceRanges
     };
   }
 
+  /**
+   * Find where each source file's messages are in content joined from message texts, given the
+   * source of each text (a file's messages follow one another)
+   * Returns [{ source, start, end }], for the files with messages
+   */
+  function getSourceRanges(texts, textSources) {
+    const ranges = [];
+    let position = 0;
+    texts.forEach((text, i) => {
+      const last = ranges[ranges.length - 1];
+      if (last && last.source === textSources[i]) {
+        last.end += text.length;
+      } else {
+        ranges.push({ source: textSources[i], start: position, end: position + text.length });
+      }
+      position += text.length;
+    });
+    return ranges;
+  }
+
   /**
    * Extract a specific field value from an HL7 line
    */
@@ -605,6 +682,7 @@ const HL7Stats = (function() {
 
     const { results, totalMessages, filteredMessages, filterApplied, filterExpression, filterOnly } = extractionResult;
     const messageCount = filterApplied ? filteredMessages : totalMessages;
+    const bySource = getSourceStatistics(extractionResult);
 
     // If filter only mode (no field to analyze), return simplified stats
     if (filterOnly) {
@@ -614,10 +692,35 @@ const HL7Stats = (function() {
         filterApplied,
         filterExpression,
         filterOnly: true,
-        filteredHL7Content: extractionResult.filteredHL7Content || ''
+        filteredHL7Content: extractionResult.filteredHL7Content || '',
+        bySource,
+        filteredSourceRanges: extractionResult.filteredSourceRanges || null
       };
     }
 
+    const counts = countValues(results, messageCount);
+
+    return {
+      totalMessages,
+      filteredMessages: filterApplied ? filteredMessages : null,
+      filterApplied,
+      filterExpression,
+      messagesWithValue: counts.messagesWithValue,
+      messagesWithoutValue: counts.messagesWithoutValue,
+      totalOccurrences: results.length,
+      distinctValues: counts.distinctValues,
+      segmentNotFound: results.length === 0 && !filterApplied,
+      filteredHL7Content: extractionResult.filteredHL7Content || '',
+      bySource,
+      filteredSourceRanges: extractionResult.filteredSourceRanges || null
+    };
+  }
+
+  /**
+   * Count the values extracted from messageCount messages
+   * Returns { messagesWithValue, messagesWithoutValue, distinctValues } (distinct values by count, descending)
+   */
+  function countValues(results, messageCount) {
     // Count distinct values
     const valueCounts = {};
     let messagesWithValue = 0;
@@ -658,18 +761,40 @@ const HL7Stats = (function() {
       .sort((a, b) => b[1] - a[1])
       .map(([value, count]) => ({ value, count }));
 
-    return {
-      totalMessages,
-      filteredMessages: filterApplied ? filteredMessages : null,
-      filterApplied,
-      filterExpression,
-      messagesWithValue,
-      messagesWithoutValue,
-      totalOccurrences: results.length,
-      distinctValues: sortedValues,
-      segmentNotFound: results.length === 0 && !filterApplied,
-      filteredHL7Content: extractionResult.filteredHL7Content || ''
-    };
+    return { messagesWithValue, messagesWithoutValue, distinctValues: sortedValues };
+  }
+
+  /**
+   * Break extracted values down by the source file of their messages
+   * Returns [{ name, totalMessages, filteredMessages, messagesWithValue, messagesWithoutValue,
+   * distinctValues }] (value counts only when a field was analyzed), or null without source files
+   */
+  function getSourceStatistics(extractionResult) {
+    const { sources, messageSources, results, filterApplied, filterOnly } = extractionResult;
+    if (!sources) return null;
+
+    // Messages counted, and their values, by source file
+    const counted = sources.map(() => 0);
+    messageSources.forEach(sourceIndex => counted[sourceIndex]++);
+    const sourceResults = sources.map(() => []);
+    if (!filterOnly) {
+      results.forEach(item => sourceResults[messageSources[item.messageIndex]].push(item));
+    }
+
+    return sources.map((source, sourceIndex) => {
+      const row = {
+        name: source.name,
+        totalMessages: source.messageCount,
+        filteredMessages: filterApplied ? counted[sourceIndex] : null
+      };
+      if (filterOnly) return row;
+
+      const counts = countValues(sourceResults[sourceIndex], counted[sourceIndex]);
+      row.messagesWithValue = counts.messagesWithValue;
+      row.messagesWithoutValue = counts.messagesWithoutValue;
+      row.distinctValues = counts.distinctValues.length;
+      return row;
+    });
   }
 
   /**
@@ -884,6 +1009,7 @@ const HL7Stats = (function() {
             <span class="stats-action-icon">&#11015;</span>
             Download Filtered Messages (.hl7)
           </button>
+          ${getPerSourceOptionHtml(stats)}
           <button type="button" class="stats-action-btn" id="viewFilteredBtn">
             <span class="stats-action-icon">&#128065;</span>
             View Filtered Messages
@@ -928,6 +1054,8 @@ const HL7Stats = (function() {
         </div>
       </div>
 
+      ${renderSourceBreakdown(stats)}
+
       <div class="stats-content">
         <div class="stats-chart-section">
           <h3>Value Distribution</h3>
@@ -1004,7 +1132,7 @@ const HL7Stats = (function() {
 
     // Set up filtered messages functionality if filter is applied
     if (stats.filterApplied && stats.filteredHL7Content) {
-      setupFilteredMessagesHandlers(stats.filteredHL7Content, stats.filteredMessages);
+      setupFilteredMessagesHandlers(stats.filteredHL7Content, stats.filteredMessages, stats.bySource, stats.filteredSourceRanges);
     }
   }
 
@@ -1034,6 +1162,7 @@ const HL7Stats = (function() {
           <span class="stats-action-icon">&#11015;</span>
           Download Filtered Messages (.hl7)
         </button>
+        ${getPerSourceOptionHtml(stats)}
         <button type="button" class="stats-action-btn" id="viewFilteredBtn">
           <span class="stats-action-icon">&#128065;</span>
           View Filtered Messages
@@ -1061,6 +1190,8 @@ const HL7Stats = (function() {
         ` : ''}
       </div>
 
+      ${renderSourceBreakdown(stats)}
+
       <div class="stats-filter-only-hint">
         <p>Enter a field reference in "Field to Analyze" to see detailed statistics and visualizations.</p>
       </div>
@@ -1097,14 +1228,73 @@ const HL7Stats = (function() {
 
     // Set up filtered messages functionality if filter is applied
     if (stats.filterApplied && stats.filteredHL7Content) {
-      setupFilteredMessagesHandlers(stats.filteredHL7Content, stats.filteredMessages);
+      setupFilteredMessagesHandlers(stats.filteredHL7Content, stats.filteredMessages, stats.bySource, stats.filteredSourceRanges);
     }
   }
 
+  /**
+   * Render the statistics of each source file, when the messages were loaded from several files
+   */
+  function renderSourceBreakdown(stats) {
+    if (!stats.bySource) return '';
+
+    const withValues = !stats.filterOnly;
+    let rows = '';
+    stats.bySource.forEach(source => {
+      rows += `
+        <tr>
+          <td class="stats-value-cell" title="${escapeHtml(source.name)}">${escapeHtml(source.name)}</td>
+          <td class="stats-count-cell">${source.totalMessages}</td>
+          ${stats.filterApplied ? `<td class="stats-count-cell">${source.filteredMessages}</td>` : ''}
+          ${withValues ? `
+          <td class="stats-count-cell">${source.messagesWithValue}</td>
+          <td class="stats-count-cell">${source.messagesWithoutValue}</td>
+          <td class="stats-count-cell">${source.distinctValues}</td>
+          ` : ''}
+        </tr>
+      `;
+    });
+
+    return `
+      <div class="stats-table-section stats-source-section">
+        <h3>By Source File</h3>
+        <div class="stats-table-wrapper">
+          <table class="stats-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Messages</th>
+                ${stats.filterApplied ? '<th>Filtered</th>' : ''}
+                ${withValues ? '<th>With Value</th><th>Without Value</th><th>Distinct Values</th>' : ''}
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the option to download the filtered messages as one file per source file, when they
+   * were loaded from several files
+   */
+  function getPerSourceOptionHtml(stats) {
+    if (!stats.filteredSourceRanges) return '';
+    return `
+      <label class="checkbox-control stats-per-source-option" title="Download the filtered messages of each source file as a file of its own">
+        <input type="checkbox" id="downloadPerSourceCheckbox">
+        <span class="checkbox-label">One file per source</span>
+      </label>
+    `;
+  }
+
   /**
    * Set up event handlers for filtered messages download and view
+   * bySource and filteredSourceRanges (see generateStatistics), when the messages were loaded from
+   * several files, allow downloading them as one file per source file
    */
-  function setupFilteredMessagesHandlers(filteredHL7Content, messageCount) {
+  function setupFilteredMessagesHandlers(filteredHL7Content, messageCount, bySource, filteredSourceRanges) {
     const downloadBtn = document.getElementById('downloadFilteredBtn');
     const viewBtn = document.getElementById('viewFilteredBtn');
     const viewer = document.getElementById('filteredMessagesViewer');
@@ -1114,7 +1304,15 @@ const HL7Stats = (function() {
 
     if (downloadBtn) {
       downloadBtn.addEventListener('click', function() {
-        downloadFilteredMessages(filteredHL7Content);
+        const perSource = document.getElementById('downloadPerSourceCheckbox');
+        if (perSource && perSource.checked && filteredSourceRanges) {
+          filteredSourceRanges.forEach(range => {
+            const content = filteredHL7Content.substring(range.start, range.end);
+            downloadFilteredMessages(content, bySource[range.source].name);
+          });
+        } else {
+          downloadFilteredMessages(filteredHL7Content);
+        }
       });
     }
 
@@ -1155,13 +1353,16 @@ const HL7Stats = (function() {
 
   /**
    * Download filtered messages as .hl7 file
+   * sourceName, for the messages of one source file, names the file after it
    */
-  function downloadFilteredMessages(content) {
+  function downloadFilteredMessages(content, sourceName) {
     const blob = new Blob([content], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'filtered_messages_' + new Date().toISOString().slice(0, 10) + '.hl7';
+    a.download = sourceName
+      ? sourceName.replace(/\.[^.]*$/, '') + '_filtered.hl7'
+      : 'filtered_messages_' + new Date().toISOString().slice(0, 10) + '.hl7';
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -1176,7 +1377,7 @@ const HL7Stats = (function() {
       HL7Parser.renderContent(container, content, {
         viewMode: viewMode,
         hideEmptyFields: false,
-        messagesPerBatch: 1000 // Show all messages
+        validate: true
       });
     } else {
       container.innerHTML = '<pre>' + escapeHtml(content) + '</pre>';
@@ -1201,26 +1402,79 @@ const HL7Stats = (function() {
   }
 
   /**
-   * Main function to run statistics on content
+   * Show a run's progress bar, with a Cancel button that stops it
+   * Returns the progress element
+   */
+  function renderProgress(container) {
+    container.innerHTML = `
+      <div class="stats-progress">
+        <div class="stats-progress-label">Starting...</div>
+        <div class="stats-progress-bar"><div class="stats-progress-fill"></div></div>
+        <button type="button" class="stats-action-btn stats-progress-cancel">Cancel</button>
+      </div>
+    `;
+    container.querySelector('.stats-progress-cancel').addEventListener('click', () => HL7Background.cancel('statistics'));
+    return container.querySelector('.stats-progress');
+  }
+
+  /**
+   * Update a progress bar with the phase of the run and the fraction of it done (0 to 1)
    */
-  function runStatistics(content, fieldRef, resultContainerId, filtersConfig) {
-    if (!content || !content.trim()) {
-      const container = document.getElementById(resultContainerId);
-      if (container) {
-        container.innerHTML = '<div class="stats-error">No content loaded. Please load HL7 data first.</div>';
+  function updateProgress(progress, phase, fraction) {
+    const label = progress.querySelector('.stats-progress-label');
+    const fill = progress.querySelector('.stats-progress-fill');
+    const percent = Math.round(fraction * 100);
+    label.textContent = `${phase}... ${percent}%`;
+    fill.style.width = percent + '%';
+  }
+
+  /**
+   * Main function to run statistics on the loaded messages (input is HL7Editor.getTaskInput())
+   * Parsing, filtering and counting run in the background (HL7Background), showing their progress;
+   * a run started while another is in progress replaces it. Nothing is shown when the progress bar
+   * was replaced (e.g. the content was cleared) before the run ended
+   * hl7Version is the viewer's definition set, used for validation filters
+   * sources, when the messages were loaded from several files, break the results down by file
+   * (see extractFieldValues)
+   */
+  async function runStatistics(input, fieldRef, resultContainerId, filtersConfig, hl7Version, sources) {
+    const container = document.getElementById(resultContainerId);
+    if (!container) return;
+
+    if (!input || !input.content || input.content.length === 0) {
+      container.innerHTML = '<div class="stats-error">No content loaded. Please load HL7 data first.</div>';
+      return;
+    }
+
+    const progress = renderProgress(container);
+
+    let stats;
+    try {
+      stats = await HL7Background.runStatistics(input, fieldRef, filtersConfig, hl7Version, sources, (phase, fraction) => {
+        updateProgress(progress, phase, fraction);
+      });
+    } catch (e) {
+      if (container.contains(progress)) {
+        container.innerHTML = `<div class="stats-error">Statistics failed: ${escapeHtml(e.message)}</div>`;
       }
       return;
     }
 
-    const extraction = extractFieldValues(content, fieldRef, filtersConfig);
-    const stats = generateStatistics(extraction);
+    if (!container.contains(progress)) return;
+    if (!stats) {
+      container.innerHTML = '<div class="stats-cancelled">Statistics cancelled.</div>';
+      return;
+    }
     renderStatistics(stats, fieldRef, resultContainerId);
   }
 
   // Public API
   return {
     parseFieldReference: parseFieldReference,
+    parseMessagesForFiltering: parseMessagesForFiltering,
+    getMessageFieldValue: getMessageFieldValue,
     extractFieldValues: extractFieldValues,
+    extractFieldValueSteps: extractFieldValueSteps,
     generateStatistics: generateStatistics,
     renderStatistics: renderStatistics,
     runStatistics: runStatistics